@@ -0,0 +1,159 @@
+/**
+ * LinkedIn Connection Assistant - API Key Store
+ * Keeps one API key per provider in extension storage, optionally encrypted with a passphrase.
+ * Shared by the options page and the background service worker.
+ */
+
+const API_KEY_STORAGE_KEY = 'apiKey';
+const UNLOCKED_KEY_SESSION_KEY = 'unlockedApiKey';
+const PBKDF2_ITERATIONS = 250000;
+
+class ApiKeyStore {
+    static storageKey(provider) {
+        return `${API_KEY_STORAGE_KEY}.${provider}`;
+    }
+
+    static sessionKey(provider) {
+        return `${UNLOCKED_KEY_SESSION_KEY}.${provider}`;
+    }
+
+    /**
+     * Store a key, encrypting it when a passphrase is given.
+     * Replaces (rotates) any previously stored key.
+     */
+    static async save(apiKey, passphrase = '', provider = 'gemini') {
+        const updatedAt = new Date().toISOString();
+        let record;
+
+        if (passphrase) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const cryptoKey = await ApiKeyStore.deriveKey(passphrase, salt);
+            const ciphertext = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv },
+                cryptoKey,
+                new TextEncoder().encode(apiKey)
+            );
+            record = {
+                encrypted: true,
+                salt: ApiKeyStore.toBase64(salt),
+                iv: ApiKeyStore.toBase64(iv),
+                ciphertext: ApiKeyStore.toBase64(new Uint8Array(ciphertext)),
+                updatedAt
+            };
+            // The passphrase was just entered, so keep the key usable for this session
+            await chrome.storage.session.set({ [ApiKeyStore.sessionKey(provider)]: apiKey });
+        } else {
+            record = { encrypted: false, value: apiKey, updatedAt };
+            await chrome.storage.session.remove(ApiKeyStore.sessionKey(provider));
+        }
+
+        await chrome.storage.local.set({ [ApiKeyStore.storageKey(provider)]: record });
+    }
+
+    /**
+     * Get the usable key, or null if none is stored or it is still locked
+     */
+    static async getKey(provider = 'gemini') {
+        const record = await ApiKeyStore.getRecord(provider);
+        if (!record) return null;
+
+        if (!record.encrypted) {
+            return record.value || null;
+        }
+
+        const session = await chrome.storage.session.get(ApiKeyStore.sessionKey(provider));
+        return session[ApiKeyStore.sessionKey(provider)] || null;
+    }
+
+    /**
+     * Describe the stored key without revealing it
+     */
+    static async getStatus(provider = 'gemini') {
+        const record = await ApiKeyStore.getRecord(provider);
+        if (!record) {
+            return { configured: false, encrypted: false, locked: false, updatedAt: null };
+        }
+
+        let locked = false;
+        if (record.encrypted) {
+            const session = await chrome.storage.session.get(ApiKeyStore.sessionKey(provider));
+            locked = !session[ApiKeyStore.sessionKey(provider)];
+        }
+
+        return { configured: true, encrypted: !!record.encrypted, locked, updatedAt: record.updatedAt || null };
+    }
+
+    /**
+     * Decrypt an encrypted key for the rest of the browser session.
+     * Throws if the passphrase is wrong.
+     */
+    static async unlock(passphrase, provider = 'gemini') {
+        const record = await ApiKeyStore.getRecord(provider);
+        if (!record || !record.encrypted) {
+            throw new Error('No encrypted API key is stored.');
+        }
+
+        const cryptoKey = await ApiKeyStore.deriveKey(passphrase, ApiKeyStore.fromBase64(record.salt));
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: ApiKeyStore.fromBase64(record.iv) },
+                cryptoKey,
+                ApiKeyStore.fromBase64(record.ciphertext)
+            );
+        } catch (error) {
+            throw new Error('Incorrect passphrase.');
+        }
+
+        const apiKey = new TextDecoder().decode(plaintext);
+        await chrome.storage.session.set({ [ApiKeyStore.sessionKey(provider)]: apiKey });
+        return apiKey;
+    }
+
+    /**
+     * Forget the decrypted key; the encrypted copy stays in storage
+     */
+    static async lock(provider = 'gemini') {
+        await chrome.storage.session.remove(ApiKeyStore.sessionKey(provider));
+    }
+
+    /**
+     * Delete the key from extension storage entirely
+     */
+    static async remove(provider = 'gemini') {
+        await chrome.storage.local.remove(ApiKeyStore.storageKey(provider));
+        await chrome.storage.session.remove(ApiKeyStore.sessionKey(provider));
+    }
+
+    static async getRecord(provider) {
+        const key = ApiKeyStore.storageKey(provider);
+        const result = await chrome.storage.local.get(key);
+        return result[key] || null;
+    }
+
+    static async deriveKey(passphrase, salt) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
@@ -1,6 +1,6 @@
 /**
  * LinkedIn Connection Assistant - Background Service Worker
- * Manages API calls to Google Gemini and extension lifecycle events.
+ * Manages calls to the configured LLM provider and extension lifecycle events.
  */
 
 // Debug logging
@@ -11,40 +11,126 @@ function debugLog(message, data = null) {
     }
 }
 
-let geminiApiKey = null;
+importScripts('messages.js', 'api-key-store.js', 'providers.js', 'request-scheduler.js', 'intents.js', 'languages.js', 'headline-parser.js', 'personas.js', 'settings-schema.js', 'templates.js', 'validators.js', 'history-store.js', 'pipeline-store.js', 'stats-store.js', 'response-cache.js', 'profile-url.js', 'batch-store.js');
 
 /**
- * Loads the Gemini API key from the .env file.
- * This is not a secure practice for production extensions.
- * For development purposes only.
+ * Loads the API key saved from the options page for a provider.
+ * Returns null if no key is stored or an encrypted key has not been unlocked yet.
  */
-async function loadApiKey() {
-    if (geminiApiKey) return geminiApiKey;
-
+async function loadApiKey(provider = 'gemini') {
     try {
-        const response = await fetch(chrome.runtime.getURL('.env'));
-        if (!response.ok) {
-            console.error('Failed to load .env file. Status:', response.status);
-            return null;
+        return await ApiKeyStore.getKey(provider);
+    } catch (error) {
+        console.error('Error loading API key:', error);
+        return null;
+    }
+}
+
+/**
+ * Explains why no API key is available, as a failure response for the popup.
+ */
+async function describeMissingApiKey(provider = 'gemini') {
+    const status = await ApiKeyStore.getStatus(provider);
+    return MessageProtocol.error(status.configured && status.locked ? 'API_KEY_LOCKED' : 'NO_API_KEY');
+}
+
+/**
+ * Loads the provider, model and generation parameters chosen in the options page.
+ */
+async function loadLlmSettings() {
+    const { settings } = await chrome.storage.sync.get('settings');
+    return { ...DEFAULT_LLM_SETTINGS, ...(settings?.llm || {}) };
+}
+
+// Upper bound on drafts requested in one generation
+const MAX_VARIANTS = 5;
+
+/**
+ * Loads how many attempts generation may take to satisfy the message validators.
+ */
+async function loadValidationSettings() {
+    const { settings } = await chrome.storage.sync.get('settings');
+    return { ...DEFAULT_VALIDATION_SETTINGS, ...(settings?.validation || {}) };
+}
+
+/**
+ * Loads the tone, length and auto-generate choices made in the popup.
+ */
+async function loadMessageSettings() {
+    const { settings } = await chrome.storage.sync.get('settings');
+    return SettingsMigrator.messageSettings(settings);
+}
+
+/**
+ * Builds a provider instance for the given LLM settings, loading its API key. Generation calls
+ * to hosted providers go through the RequestScheduler's limits and retries.
+ * @returns {Promise<object>} { provider } on success, a failure response when the provider
+ *   is unknown or a required key is missing.
+ */
+async function resolveProvider(llmSettings) {
+    const entry = PROVIDERS[llmSettings.provider];
+    if (!entry) {
+        return MessageProtocol.error('UNKNOWN_PROVIDER', `Unknown provider "${llmSettings.provider}". Please check the extension options.`);
+    }
+
+    let apiKey = null;
+    if (entry.usesApiKey) {
+        apiKey = await loadApiKey(llmSettings.provider);
+        if (!apiKey && entry.requiresApiKey) {
+            return describeMissingApiKey(llmSettings.provider);
         }
-        const text = await response.text();
-        const match = text.match(/^GEMINI_API_KEY=(.+)$/m);
-        if (match && match[1]) {
-            geminiApiKey = match[1].trim();
-            debugLog('Gemini API Key loaded successfully.');
-            return geminiApiKey;
+    }
+
+    const provider = createProvider(llmSettings, apiKey);
+    if (!RequestScheduler.isMetered(llmSettings.provider)) {
+        return { provider };
+    }
+    return { provider: RequestScheduler.wrap(provider, await RequestScheduler.loadLimits()) };
+}
+
+/**
+ * The failure response for an error thrown by a provider call. Limits hit and retries used up
+ * keep their own code and explanation instead of the provider's raw error.
+ */
+function describeProviderError(error) {
+    if (error instanceof RateLimitError) {
+        return MessageProtocol.error(error.code, error.message, { status: error.status, retryAfterMs: error.retryAfterMs });
+    }
+    return MessageProtocol.error('PROVIDER_ERROR', error.message, { status: error.status ?? null });
+}
+
+/**
+ * Checks provider settings (and API key) by listing the models they can use.
+ * @param {object} data - LLM settings to check, optionally with an apiKey to use instead of the stored one.
+ * @returns {Promise<object>} Validation result with the usable models.
+ */
+async function listProviderModels(data = {}) {
+    const llmSettings = { ...(await loadLlmSettings()), ...(data.llm || {}) };
+
+    try {
+        let provider;
+        if (data.apiKey) {
+            provider = createProvider(llmSettings, data.apiKey);
         } else {
-            console.error('GEMINI_API_KEY not found in .env file.');
-            return null;
+            const resolved = await resolveProvider(llmSettings);
+            if (!resolved.provider) {
+                return resolved;
+            }
+            provider = resolved.provider;
         }
+
+        const models = await provider.listModels();
+        return { success: true, models };
     } catch (error) {
-        console.error('Error loading API key:', error);
-        return null;
+        debugLog('Error listing provider models:', error);
+        return MessageProtocol.error('PROVIDER_ERROR', error.message, { status: error.status ?? null });
     }
 }
 
 /**
  * Enhanced message sending with connection validation and fallback injection
+ * @param {number} tabId - The LinkedIn tab to message.
+ * @param {object} message - A request built with MessageProtocol.create().
  */
 async function sendMessageToTab(tabId, message) {
     try {
@@ -52,12 +138,12 @@ async function sendMessageToTab(tabId, message) {
         const tab = await chrome.tabs.get(tabId);
         if (!tab || !tab.url.includes('linkedin.com')) {
             debugLog('Tab not accessible or not LinkedIn:', tab?.url);
-            return { success: false, error: 'Tab not accessible or not on LinkedIn' };
+            return MessageProtocol.error('TAB_UNAVAILABLE', 'Tab not accessible or not on LinkedIn');
         }
 
         // Check if content script is ready
         try {
-            const pingResponse = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+            const pingResponse = await chrome.tabs.sendMessage(tabId, MessageProtocol.create('ping'));
             if (pingResponse?.ready) {
                 debugLog('Content script ready, sending message');
                 return await chrome.tabs.sendMessage(tabId, message);
@@ -70,7 +156,7 @@ async function sendMessageToTab(tabId, message) {
         try {
             await chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                files: ['content.js']
+                files: ['selector-registry.js', 'industries.js', 'headline-parser.js', 'messages.js', 'profile-url.js', 'content.js']
             });
             
             debugLog('Content script injected, waiting for initialization');
@@ -82,143 +168,624 @@ async function sendMessageToTab(tabId, message) {
             return await chrome.tabs.sendMessage(tabId, message);
         } catch (injectionError) {
             debugLog('Failed to inject content script:', injectionError);
-            return { success: false, error: 'Failed to inject content script. Please refresh the page.' };
+            return MessageProtocol.error('INJECTION_FAILED', 'Failed to inject content script. Please refresh the page.');
         }
     } catch (error) {
         debugLog('Error in sendMessageToTab:', error);
-        return { success: false, error: error.message };
+        return MessageProtocol.error('TAB_UNAVAILABLE', error.message);
     }
 }
 
-// Load the API key when the extension starts.
-chrome.runtime.onStartup.addListener(() => {
-    debugLog('Extension startup');
-    loadApiKey();
-});
+/**
+ * Streaming generation: the popup opens a GENERATE_STREAM_PORT port, sends { action: 'start', version, data }
+ * with generateMessage data and receives { type: 'chunk' } updates followed by one { type: 'done' }
+ * or { type: 'error', code, error }. Sending { action: 'cancel' } or closing the popup aborts the request.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== GENERATE_STREAM_PORT) return;
+
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async (message) => {
+        if (message.action === 'cancel') {
+            controller.abort();
+            return;
+        }
+        if (message.action !== 'start') return;
 
-// Also load it on installation for the first run.
-chrome.runtime.onInstalled.addListener(() => {
-    debugLog('Extension installed/updated');
-    loadApiKey();
+        const problem = MessageProtocol.validate(message, 'generateMessage');
+        if (problem) {
+            safePostMessage(port, { type: 'error', ...problem });
+            return;
+        }
+
+        keepServiceWorkerAlive();
+        try {
+            const result = await handleGenerateMessage(message.data, {
+                onChunk: chunk => safePostMessage(port, { type: 'chunk', ...chunk }),
+                signal: controller.signal
+            });
+            safePostMessage(port, result.success ? { type: 'done', result } : { type: 'error', ...result });
+        } catch (error) {
+            // E.g. storage failing before generation starts; the popup must not wait forever
+            debugLog('Error in streaming generation:', error);
+            safePostMessage(port, { type: 'error', ...MessageProtocol.error('INTERNAL_ERROR', error.message) });
+        }
+    });
 });
 
 /**
- * Listener for messages from other parts of the extension, e.g., the popup.
+ * Post to a port that the popup may already have closed
+ */
+function safePostMessage(port, message) {
+    try {
+        port.postMessage(message);
+    } catch (error) {
+        debugLog('Stream port closed:', error.message);
+    }
+}
+
+/**
+ * Handles the message generation process by calling the configured LLM provider.
+ * @param {object} data - The data from the popup, including profile and user info. The persona
+ *   (personaId, or the active one) supplies whatever context, role, signature, intent, template or
+ *   language is not given. An automatic language is detected from the profile. Drafts generated
+ *   earlier from the same inputs come back from the ResponseCache unless regenerate is set;
+ *   cachedOnly returns NOT_CACHED instead of calling the provider.
+ * @param {object} [streaming] - onChunk({ index, text }) for partial text and an AbortSignal to cancel with.
+ *   Without onChunk the provider's one-shot (multi-candidate) endpoint is used.
+ * @returns {Promise<object>} A promise that resolves with the generation result.
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    debugLog('Message received in background:', request.action);
-    debugLog('Sender info:', {
-        tab: sender.tab?.id,
-        url: sender.tab?.url,
-        frameId: sender.frameId
+async function handleGenerateMessage(data, { onChunk = null, signal = null } = {}) {
+    const { profileData } = data;
+    const persona = await PersonaStore.get(data.personaId);
+    const intent = getIntent(data.intentId || persona.intentId);
+    const llmSettings = await loadLlmSettings();
+    const activity = {
+        type: data.regenerate ? 'messageRegenerated' : 'messageGenerated',
+        kind: 'connection',
+        personaId: persona.id,
+        personaName: persona.name,
+        intentId: intent.id,
+        intentLabel: intent.label,
+        provider: llmSettings.provider,
+        model: llmSettings.model
+    };
+
+    const userContext = data.userContext || persona.userContext;
+    const userRole = data.userRole || persona.userRole;
+    if (!userContext || !userRole) {
+        return recordFailure(MessageProtocol.error('MISSING_CONTEXT'), activity);
+    }
+
+    const variantCount = Math.min(MAX_VARIANTS, Math.max(1, parseInt(data.variantCount, 10) || 1));
+    const template = await TemplateStore.get(data.templateId || persona.templateId);
+    const signature = data.signature ?? persona.signature;
+    const language = LanguageDetector.resolve(data.language || persona.language, profileData);
+    const messageSettings = await loadMessageSettings();
+    const prompt = createPrompt(profileData, { userContext, userRole, signature, template, intent, language, messageSettings });
+    const { maxAttempts } = await loadValidationSettings();
+    const { greeting, lengthMax } = TemplateEngine.buildVariables(profileData, { language, messageSettings });
+    const validationContext = {
+        greeting,
+        bannedPhrases: intent.bannedPhrases,
+        maxLength: lengthMax,
+        signature
+    };
+
+    const cacheKey = ResponseCache.keyFor({
+        profileData,
+        persona: { id: persona.id, userContext, userRole, signature },
+        template: { id: template.id, body: template.body },
+        intentId: intent.id,
+        language: language.id,
+        messageSettings,
+        variantCount,
+        maxAttempts,
+        llmSettings
     });
+    if (!data.regenerate) {
+        const cached = await loadCachedResult(cacheKey);
+        if (cached) {
+            debugLog('Returning cached drafts');
+            return cached;
+        }
+    }
+    if (data.cachedOnly) {
+        return MessageProtocol.error('NOT_CACHED');
+    }
 
-    if (request.action === 'generateGeminiMessage') {
-        handleGenerateMessage(request.data)
-            .then(sendResponse)
-            .catch(error => {
-                debugLog('Error in handleGenerateMessage:', error);
-                sendResponse({ success: false, error: error.message });
-            });
-        return true; // Indicates an async response.
+    const resolved = await resolveProvider(llmSettings);
+    if (!resolved.provider) {
+        return recordFailure(resolved, activity);
     }
-    
-    return true; // Keep message channel open
-});
+    activity.model = resolved.provider.settings.model;
+
+    try {
+        debugLog(`Calling ${llmSettings.provider} provider (${resolved.provider.settings.model})...`);
+
+        let variants;
+        if (onChunk) {
+            variants = await Promise.all(Array.from({ length: variantCount }, (_, index) =>
+                generateValidMessage(resolved.provider, prompt, validationContext, maxAttempts, {
+                    onText: text => onChunk({ index, text }),
+                    signal
+                })
+            ));
+        } else {
+            const firstDrafts = await resolved.provider.generateMany(prompt, variantCount);
+            variants = await Promise.all(firstDrafts.map(firstDraft =>
+                generateValidMessage(resolved.provider, prompt, validationContext, maxAttempts, { firstDraft })
+            ));
+        }
+
+        debugLog(`${variants.length} variant(s) generated`);
+        await recordHistory(profileData, variants, { template, intent, persona, language, llmSettings: resolved.provider.settings });
+        await recordActivity({
+            ...activity,
+            promptTokens: variants.reduce((sum, variant) => sum + variant.usage.promptTokens, 0),
+            outputTokens: variants.reduce((sum, variant) => sum + variant.usage.outputTokens, 0)
+        });
+        const result = {
+            success: true,
+            message: variants[0].message,
+            validation: variants[0].validation,
+            attempts: variants[0].attempts,
+            variants: variants.map(({ message, validation, attempts }) => ({ message, validation, attempts })),
+            templateId: template.id,
+            intentId: intent.id,
+            personaId: persona.id,
+            personaName: persona.name,
+            language: language.id
+        };
+        await cacheResult(cacheKey, result);
+        return result;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            debugLog('Generation cancelled');
+            return MessageProtocol.error('CANCELLED', undefined, { cancelled: true });
+        }
+        debugLog('Error calling LLM provider:', error);
+        return recordFailure(describeProviderError(error), activity);
+    }
+}
 
 /**
- * Handles the message generation process by calling the Gemini API.
- * @param {object} data - The data from the popup, including profile and user info.
- * @returns {Promise<object>} A promise that resolves with the generation result.
+ * Drafts a reply to a LinkedIn conversation using the active persona's context and role.
+ * @param {object} data - { conversation } as read by the content script from the messaging page,
+ *   and regenerate when the user asked for another draft.
+ * @returns {Promise<object>} { success, message, personaId } or { success: false, error }.
  */
-async function handleGenerateMessage(data) {
-    const apiKey = await loadApiKey();
-    if (!apiKey) {
-        return { success: false, error: 'API Key not loaded. Please check your .env file and reload the extension.' };
+async function handleGenerateReply(data) {
+    const { conversation } = data;
+    if (!conversation?.messages?.length) {
+        return MessageProtocol.error('EMPTY_CONVERSATION', 'The conversation is empty.');
     }
 
-    const { profileData, userContext, userRole } = data;
-    const prompt = createPrompt(profileData);
+    const persona = await PersonaStore.getActive();
+    const llmSettings = await loadLlmSettings();
+    const activity = {
+        type: data.regenerate ? 'messageRegenerated' : 'messageGenerated',
+        kind: 'reply',
+        personaId: persona.id,
+        personaName: persona.name,
+        provider: llmSettings.provider,
+        model: llmSettings.model
+    };
+
+    const resolved = await resolveProvider(llmSettings);
+    if (!resolved.provider) {
+        return recordFailure(resolved, activity);
+    }
+    activity.model = resolved.provider.settings.model;
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
+    const prompt = createReplyPrompt(conversation, { userContext: persona.userContext, userRole: persona.userRole });
 
     try {
-        debugLog('Calling Gemini API...');
-        
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{ text: prompt }]
-                }],
-                generationConfig: {
-                    temperature: 0.9,
-                    topK: 1,
-                    topP: 0.95,
-                    maxOutputTokens: 100, // LinkedIn limit is 300 chars, this gives breathing room.
-                    stopSequences: [],
-                },
-                safetySettings: [
-                    { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                    { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                    { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                ]
-            }),
+        debugLog(`Drafting reply with ${llmSettings.provider} provider (${resolved.provider.settings.model})...`);
+        const result = await resolved.provider.generate(prompt);
+        await recordActivity({
+            ...activity,
+            promptTokens: result.usage?.promptTokens || 0,
+            outputTokens: result.usage?.outputTokens || 0
         });
+        return { success: true, message: normalizeMessage(result.text), personaId: persona.id };
+    } catch (error) {
+        debugLog('Error calling LLM provider:', error);
+        return recordFailure(describeProviderError(error), activity);
+    }
+}
+
+// Only the most recent messages are sent to the model
+const REPLY_CONTEXT_MESSAGES = 20;
+
+/**
+ * Creates the prompt for drafting a reply in a messaging thread
+ */
+function createReplyPrompt(conversation, { userContext = '', userRole = '' } = {}) {
+    const messages = conversation.messages.slice(-REPLY_CONTEXT_MESSAGES);
+    const participant = conversation.participantName || 'the other person';
+    const transcript = messages
+        .map(message => `[${message.time || 'time unknown'}] ${message.fromMe ? 'Me' : message.sender}: ${message.text}`)
+        .join('\n');
+    const lastFromMe = messages[messages.length - 1].fromMe;
+
+    return `
+You are drafting my next message in a LinkedIn conversation with ${participant}${conversation.participantHeadline ? ` (${conversation.participantHeadline})` : ''}.
+
+About me: ${userRole || 'a professional'}${userContext ? `. ${userContext}` : ''}
+
+Conversation so far, oldest first:
+${transcript}
+
+Write ONE message from me that follows ALL rules:
+${lastFromMe
+        ? '• I sent the last message and have not had a reply. Write a short, friendly follow-up that adds something new instead of repeating myself.'
+        : `• Reply directly to ${participant}'s latest message and answer any question they asked.`}
+• Stay consistent with what I have already said; do not invent facts about me beyond my background above.
+• Match the tone and length of the conversation; keep it under 600 characters.
+• Plain, natural English; no flattery, buzzwords or emojis.
+• Do not include a subject line, signature or placeholder text.
 
-        if (!response.ok) {
-            const errorBody = await response.json();
-            console.error('Gemini API request failed:', errorBody);
-            throw new Error(`Google Gemini API error: ${errorBody.error?.message || response.statusText}`);
+Return ONLY the message text.
+`;
+}
+
+/**
+ * Generates a message and re-prompts with the broken rules until every validator passes.
+ * @param {object} provider - The LLM provider to call.
+ * @param {string} prompt - The rendered prompt.
+ * @param {object} context - Validation context (greeting, bannedPhrases, maxLength, signature).
+ * @param {number} maxAttempts - Upper bound on provider calls.
+ * @param {object} [options] - firstDraft: an already generated first attempt, e.g. one of several candidates;
+ *   onText and signal: stream each attempt's text as it arrives.
+ * @returns {Promise<object>} The passing message, or the attempt with the fewest failures, with the
+ *   token usage of every attempt.
+ */
+async function generateValidMessage(provider, prompt, context, maxAttempts, { firstDraft = null, onText = null, signal = null } = {}) {
+    let attemptPrompt = prompt;
+    let best = null;
+    const usage = { promptTokens: 0, outputTokens: 0 };
+
+    for (let attempt = 1; attempt <= Math.max(1, maxAttempts); attempt++) {
+        let result;
+        if (attempt === 1 && firstDraft) {
+            result = firstDraft;
+        } else if (onText) {
+            result = await provider.stream(attemptPrompt, { onText, signal });
+        } else {
+            result = await provider.generate(attemptPrompt);
         }
+        usage.promptTokens += result.usage?.promptTokens || 0;
+        usage.outputTokens += result.usage?.outputTokens || 0;
+        const message = normalizeMessage(result.text);
+        const validation = validateMessage(message, { ...context, finishReason: result.finishReason });
+        const failures = validation.filter(rule => !rule.passed);
 
-        const responseData = await response.json();
-        
-        if (responseData.candidates && responseData.candidates.length > 0) {
-            const message = responseData.candidates[0].content.parts[0].text;
-            debugLog('Message generated successfully');
-            return { success: true, message: message.trim() };
-        } else if (responseData.promptFeedback && responseData.promptFeedback.blockReason) {
-            console.error('Prompt was blocked by Gemini API:', responseData.promptFeedback);
-            return { success: false, error: `Message generation failed because the prompt was blocked. Reason: ${responseData.promptFeedback.blockReason}` };
-        } 
-        else {
-            console.error('No candidates returned from Gemini API:', responseData);
-            return { success: false, error: 'Message generation failed. The API returned an empty response.' };
+        if (!best || failures.length < best.failures.length) {
+            best = { message, validation, failures };
         }
+        best.attempts = attempt;
+
+        if (failures.length === 0) {
+            break;
+        }
+
+        debugLog(`Attempt ${attempt} failed validation:`, failures.map(failure => failure.id));
+        attemptPrompt = buildRetryPrompt(prompt, message, failures);
+    }
+
+    return { ...best, usage };
+}
+
+/**
+ * Saves generated messages to the local history when the user has opted in.
+ * History failures never fail the generation itself.
+ */
+async function recordHistory(profileData, variants, { template, intent, persona, language, llmSettings }) {
+    try {
+        if (!await HistoryStore.isEnabled()) return;
+
+        await HistoryStore.add(variants.map(variant => ({
+            profileUrl: profileData.profileUrl || '',
+            name: profileData.name || '',
+            headline: profileData.headline || '',
+            company: profileData.company || '',
+            templateId: template.id,
+            templateName: template.name,
+            intentId: intent.id,
+            intentLabel: intent.label,
+            personaId: persona.id,
+            personaName: persona.name,
+            language: language.id,
+            provider: llmSettings.provider,
+            model: llmSettings.model,
+            message: variant.message
+        })));
+    } catch (error) {
+        debugLog('Error recording history:', error);
+    }
+}
+
+/**
+ * A generation result from the ResponseCache, marked cached with the time it was generated, or null.
+ * Cache failures never fail the generation itself.
+ */
+async function loadCachedResult(cacheKey) {
+    try {
+        const entry = await ResponseCache.get(cacheKey);
+        return entry ? { ...entry.result, cached: true, cachedAt: entry.cachedAt } : null;
+    } catch (error) {
+        debugLog('Error reading the response cache:', error);
+        return null;
+    }
+}
+
+async function cacheResult(cacheKey, result) {
+    try {
+        await ResponseCache.set(cacheKey, result);
     } catch (error) {
-        debugLog('Error calling Gemini API:', error);
-        return { success: false, error: error.message };
+        debugLog('Error writing the response cache:', error);
     }
 }
 
 /**
- * Creates a detailed prompt for the Gemini API.
+ * Counts the activity in the usage statistics. The running total of generated messages lives in
+ * chrome.storage.sync; the detailed log in StatsStore. Statistics failures never fail the request.
+ * @param {object} activity - A StatsStore event, without its timestamp.
+ */
+async function recordActivity(activity) {
+    try {
+        if (activity.type === 'messageGenerated' || activity.type === 'messageRegenerated') {
+            const { statistics = {} } = await chrome.storage.sync.get('statistics');
+            statistics.messagesGenerated = (statistics.messagesGenerated || 0) + 1;
+            statistics.lastMessageGenerated = new Date().toISOString();
+            await chrome.storage.sync.set({ statistics });
+        }
+        await StatsStore.record(activity);
+    } catch (error) {
+        debugLog('Error recording activity:', error);
+    }
+}
+
+/**
+ * Records a failed generation and passes the error response through
+ */
+async function recordFailure(response, activity) {
+    await recordActivity({ ...activity, type: 'generationFailed', code: response.code });
+    return response;
+}
+
+/**
+ * Creates the prompt for the LLM by rendering a prompt template.
+ * Templates that do not place {intentRules}, {toneInstruction}, {lengthMax}, {signature} or
+ * {languageInstruction} themselves get those rules appended.
  * @param {object} profileData - Data scraped from the LinkedIn profile.
+ * @param {object} options - The persona's context, role and signature, the template to render,
+ *   the outreach intent, the language to write in and the tone and length settings.
  * @returns {string} The constructed prompt.
  */
-function createPrompt(profileData) {
-    const firstName = (profileData.name || 'there').split(' ')[0];
-    return `
-Write ONE LinkedIn connection message that follows ALL rules:
-
-• Must be 295-300 characters total (hard cap). Count spaces & punctuation.
-• Start with "Hi ${firstName}," using their first name.
-• Mention ONE specific fact about their work, company, or field (headline: ${profileData.headline}; company: ${profileData.company}; industry: ${profileData.industry}).
-• Introduce yourself briefly: you are a computer-science graduate and full-stack developer (phrase it naturally, no tech buzzword list).
-• State you are currently exploring opportunities and open to hearing about relevant roles.
-• Offer to share your resume if helpful.
-• Use plain, respectful English – no slang, hype, buzzwords, or job-begging phrases (e.g., don't say "open to work").
-• Keep the tone clean, casual, raw, and real – avoid flattery or compliments like "impressed by your work".
-• End with a brief close like "Let me know.", "Would be glad to connect.", or "Happy to connect if that works for you." Pick any ONE.
-• Aim for natural variety; do not repeat exact sentences each time.
-
-Return ONLY the single message text (no extra words).
-`;
+function createPrompt(profileData, {
+    userContext = '',
+    userRole = '',
+    signature = '',
+    template = BUILT_IN_TEMPLATES[0],
+    intent = getIntent(DEFAULT_INTENT_ID),
+    language = getLanguage(DEFAULT_LANGUAGE_ID),
+    messageSettings = DEFAULT_MESSAGE_SETTINGS
+} = {}) {
+    const variables = TemplateEngine.buildVariables(profileData, { userContext, userRole, signature, intent, language, messageSettings });
+    let prompt = TemplateEngine.render(template.body, variables);
+
+    if (!template.body.includes('{intentRules}')) {
+        prompt += `\nPurpose of the message (${intent.label}):\n${variables.intentRules}\n` +
+            `Never use these phrases: ${variables.bannedPhrases}.\n` +
+            `Close with one of: ${variables.closingLines}.\n`;
+    }
+    if (!template.body.includes('{toneInstruction}')) {
+        prompt += `Tone: ${variables.toneInstruction}\n`;
+    }
+    if (!template.body.includes('{lengthMax}')) {
+        prompt += `Length: ${variables.lengthMin}-${variables.lengthMax} characters, never more than ${variables.lengthMax}.\n`;
+    }
+    // Templates written for English greet with "Hi {firstName},"; the language rule overrides that
+    if (language.id !== DEFAULT_LANGUAGE_ID && !template.body.includes('{languageInstruction}')) {
+        prompt += `Language: ${variables.languageInstruction} Start with exactly "${variables.greeting}" instead of any greeting given above.\n`;
+    }
+    if (signature && !template.body.includes('{signature}')) {
+        prompt += `End with this signature on its own line, exactly as written: ${signature}\n`;
+    }
+
+    return prompt;
+}
+
+// How long a queued profile may take to load, and to render before it can be read
+const BATCH_TAB_LOAD_TIMEOUT_MS = 30000;
+const BATCH_RENDER_WAIT_MS = 3000;
+const BATCH_READ_ATTEMPTS = 3;
+const BATCH_NOTIFICATION_ID = 'batch-done';
+
+// Failures that would repeat for every profile pause the batch instead
+const BATCH_PAUSE_CODES = [...QUOTA_ERROR_CODES, 'MISSING_CONTEXT', 'NO_API_KEY', 'API_KEY_LOCKED', 'UNKNOWN_PROVIDER'];
+
+// One profile at a time; a second alarm or start request while drafting does nothing
+let batchItemInProgress = false;
+
+/**
+ * Start working through the batch queue, drafting the first queued profile right away.
+ * The rest follow one per BATCH_ALARM tick, at the pace set on the batch page.
+ */
+async function startBatch() {
+    // Profiles added while running wait for their tick, so the pace holds
+    const run = await BatchStore.getRun();
+    if (run.running) {
+        return { success: true, run };
+    }
+
+    await BatchStore.setRun({ running: true, pausedReason: '' });
+    processBatchItem();
+    return { success: true, run: await BatchStore.getRun() };
+}
+
+async function stopBatch(pausedReason = '') {
+    await chrome.alarms.clear(BATCH_ALARM);
+    return { success: true, run: await BatchStore.setRun({ running: false, nextAt: null, pausedReason }) };
+}
+
+/**
+ * Draft the next queued profile: open it in an inactive tab, read it with the content script,
+ * close the tab and generate a message with the active persona. Limits hit and setup problems
+ * pause the batch with the profile still queued; any other failure is kept on the profile.
+ */
+async function processBatchItem() {
+    if (batchItemInProgress) return;
+    batchItemInProgress = true;
+    keepServiceWorkerAlive();
+
+    try {
+        if (!(await BatchStore.getRun()).running) return;
+
+        // Nothing else is drafting, so a profile still marked as drafting was cut off
+        await BatchStore.requeueUnfinished();
+        const item = await BatchStore.next();
+        if (!item) {
+            await finishBatch();
+            return;
+        }
+
+        // Booked before drafting, so the queue carries on if the service worker is stopped midway
+        await scheduleBatchAlarm();
+        await BatchStore.update(item.profileUrl, { status: 'working', error: '' });
+        debugLog('Drafting queued profile:', item.profileUrl);
+
+        const result = await draftBatchProfile(item.profileUrl);
+        if (BATCH_PAUSE_CODES.includes(result.code)) {
+            await BatchStore.update(item.profileUrl, { status: 'queued' });
+            await stopBatch(MessageProtocol.describeError(result));
+            return;
+        }
+
+        const { profileData = {} } = result;
+        await BatchStore.update(item.profileUrl, result.success ? {
+            status: 'drafted',
+            name: profileData.name || '',
+            headline: profileData.headline || '',
+            company: profileData.company || '',
+            message: result.message,
+            failedChecks: (result.validation || []).filter(rule => !rule.passed).map(rule => rule.label),
+            personaId: result.personaId,
+            intentId: result.intentId
+        } : {
+            status: 'failed',
+            error: MessageProtocol.describeError(result, 'Could not draft a message for this profile.')
+        });
+
+        if (!await BatchStore.next()) {
+            await finishBatch();
+        }
+    } catch (error) {
+        // E.g. the profile was removed from the queue while it was being drafted
+        debugLog('Error processing the batch queue:', error);
+    } finally {
+        batchItemInProgress = false;
+    }
+}
+
+/**
+ * Open a queued profile in an inactive tab, read it and draft a message for it
+ * @returns {Promise<object>} The generation result with the profileData read, or a failure response.
+ */
+async function draftBatchProfile(profileUrl) {
+    let profile;
+    let tab = null;
+    try {
+        tab = await chrome.tabs.create({ url: profileUrl, active: false });
+        await waitForTabLoad(tab.id);
+        profile = await readBatchProfile(tab.id);
+    } catch (error) {
+        debugLog('Error opening queued profile:', error);
+        return MessageProtocol.error('TAB_UNAVAILABLE', error.message);
+    } finally {
+        if (tab) {
+            chrome.tabs.remove(tab.id).catch(error => debugLog('Error closing batch tab:', error.message));
+        }
+    }
+
+    if (!profile.success) {
+        return profile;
+    }
+    const result = await handleGenerateMessage({ profileData: profile.profileData });
+    return { ...result, profileData: profile.profileData };
+}
+
+/**
+ * Resolves once the tab has finished loading
+ */
+function waitForTabLoad(tabId) {
+    return new Promise((resolve, reject) => {
+        const finish = (error) => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(listener);
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+        const listener = (updatedTabId, changeInfo) => {
+            if (updatedTabId === tabId && changeInfo.status === 'complete') finish();
+        };
+        const timer = setTimeout(() => finish(new Error('The profile took too long to load.')), BATCH_TAB_LOAD_TIMEOUT_MS);
+
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.get(tabId).then(tab => {
+            if (tab.status === 'complete') finish();
+        }, finish);
+    });
+}
+
+/**
+ * Ask the content script for the profile, giving LinkedIn time to render it first
+ */
+async function readBatchProfile(tabId) {
+    let response;
+    for (let attempt = 1; attempt <= BATCH_READ_ATTEMPTS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, BATCH_RENDER_WAIT_MS));
+        response = await sendMessageToTab(tabId, MessageProtocol.create('getProfileData'));
+        if (response?.success) {
+            return response;
+        }
+        debugLog(`Queued profile not readable yet (attempt ${attempt}):`, response?.code);
+    }
+    return response || MessageProtocol.error('EXTRACTION_FAILED');
+}
+
+/**
+ * Wake up for the next profile after the pace chosen on the batch page
+ */
+async function scheduleBatchAlarm() {
+    const { paceSeconds } = await BatchStore.loadSettings();
+    const nextAt = Date.now() + paceSeconds * 1000;
+    chrome.alarms.create(BATCH_ALARM, { when: nextAt });
+    await BatchStore.setRun({ nextAt });
+}
+
+/**
+ * Stop once the queue is empty and say how many drafts wait for review
+ */
+async function finishBatch() {
+    await stopBatch();
+    const drafted = (await BatchStore.getAll()).filter(item => item.status === 'drafted').length;
+    if (drafted > 0) {
+        chrome.notifications.create(BATCH_NOTIFICATION_ID, {
+            type: 'basic',
+            iconUrl: 'icon128.png',
+            title: 'Batch drafts ready',
+            message: `${drafted} draft(s) are ready for review.`,
+            priority: 1
+        });
+    }
 }
 
 // Service Worker Lifecycle Management
@@ -257,6 +824,22 @@ chrome.runtime.onSuspend.addListener(() => {
 // Enhanced BackgroundManager with improved error handling
 class BackgroundManager {
     constructor() {
+        this.dispatcher = new MessageDispatcher('background', {
+            generateMessage: data => handleGenerateMessage(data),
+            generateReply: data => handleGenerateReply(data),
+            getSettings: async () => ({ success: true, data: await this.getSettings() }),
+            saveSettings: async (data) => {
+                await this.saveSettings(data);
+                return { success: true };
+            },
+            listModels: data => listProviderModels(data),
+            logActivity: async (data) => {
+                await this.logActivity(data);
+                return { success: true };
+            },
+            startBatch: () => startBatch(),
+            stopBatch: () => stopBatch()
+        });
         this.setupEventListeners();
     }
 
@@ -271,18 +854,14 @@ class BackgroundManager {
             this.handleStartup();
         });
 
-        // Handle messages from content scripts and popup
+        // The one listener for requests from content scripts and extension pages
         chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            debugLog('Message received in background:', request?.action);
+
             // Start keep-alive when extension is actively used
             keepServiceWorkerAlive();
-            
-            this.handleMessage(request, sender, sendResponse);
-            return true; // Keep message channel open for async responses
-        });
 
-        // Handle extension icon click (fallback if popup doesn't open)
-        chrome.action.onClicked.addListener((tab) => {
-            this.handleIconClick(tab);
+            return this.dispatcher.dispatch(request, sender, sendResponse);
         });
 
         // Handle tab updates to manage extension state
@@ -291,6 +870,26 @@ class BackgroundManager {
                 this.handleTabUpdate(tabId, changeInfo, tab);
             });
         }
+
+        // Follow-up reminders for the outreach pipeline
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === FOLLOW_UP_ALARM) {
+                this.handleFollowUpAlarm();
+            } else if (alarm.name === BATCH_ALARM) {
+                processBatchItem();
+            }
+        });
+
+        chrome.notifications.onClicked.addListener((notificationId) => {
+            this.handleNotificationClick(notificationId);
+        });
+
+        // Reschedule whenever a contact or its next-action date changes
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[PIPELINE_STORAGE_KEY]) {
+                this.scheduleFollowUpAlarm();
+            }
+        });
     }
 
     /**
@@ -304,17 +903,18 @@ class BackgroundManager {
                 // Set default settings
                 await this.setDefaultSettings();
                 
-                // Open welcome/setup page
-                chrome.tabs.create({
-                    url: chrome.runtime.getURL('popup.html')
-                });
+                // Open the options page so the user can add an API key
+                chrome.runtime.openOptionsPage();
                 
             } else if (details.reason === 'update') {
                 debugLog('LinkedIn Connection Assistant updated');
                 
-                // Handle any necessary migration or updates
+                // Bring settings saved by the previous version up to the current schema
                 await this.handleUpdate(details.previousVersion);
             }
+
+            // Alarms do not survive an update or reinstall
+            await this.scheduleFollowUpAlarm();
         } catch (error) {
             debugLog('Error during installation:', error);
         }
@@ -329,74 +929,15 @@ class BackgroundManager {
             
             // Verify settings integrity
             await this.verifySettings();
-            
-        } catch (error) {
-            debugLog('Error during startup:', error);
-        }
-    }
 
-    /**
-     * Handle messages from content scripts and popup
-     */
-    async handleMessage(request, sender, sendResponse) {
-        try {
-            debugLog('BackgroundManager handling message:', request.action);
-            
-            switch (request.action) {
-                case 'getSettings':
-                    const settings = await this.getSettings();
-                    sendResponse({ success: true, data: settings });
-                    break;
-
-                case 'saveSettings':
-                    await this.saveSettings(request.data);
-                    sendResponse({ success: true });
-                    break;
-
-                case 'generateMessage':
-                    const message = await this.generateMessage(request.profileData, request.userContext);
-                    sendResponse({ success: true, message });
-                    break;
-
-                case 'logActivity':
-                    await this.logActivity(request.data);
-                    sendResponse({ success: true });
-                    break;
-
-                case 'generateGeminiMessage':
-                    // handled by top-level listener; ignore here
-                    break;
-
-                default:
-                    debugLog('Unknown action in BackgroundManager:', request.action);
-                    sendResponse({ success: false, error: 'Unknown action' });
-            }
-        } catch (error) {
-            debugLog('Error handling message:', error);
-            sendResponse({ success: false, error: error.message });
-        }
-    }
-
-    /**
-     * Handle extension icon click
-     */
-    async handleIconClick(tab) {
-        try {
-            if (tab.url && tab.url.includes('linkedin.com')) {
-                // If on LinkedIn, try to communicate with content script
-                const result = await sendMessageToTab(tab.id, { action: 'showGenerateButton' });
-                if (!result.success) {
-                    debugLog('Content script communication failed, reloading tab');
-                    chrome.tabs.reload(tab.id);
-                }
-            } else {
-                // If not on LinkedIn, redirect to LinkedIn
-                chrome.tabs.update(tab.id, { 
-                    url: 'https://www.linkedin.com' 
-                });
+            // Alarms may be dropped across browser restarts
+            await this.scheduleFollowUpAlarm();
+            if ((await BatchStore.getRun()).running) {
+                await scheduleBatchAlarm();
             }
+            
         } catch (error) {
-            debugLog('Error handling icon click:', error);
+            debugLog('Error during startup:', error);
         }
     }
 
@@ -426,18 +967,82 @@ class BackgroundManager {
     }
 
     /**
-     * Set default settings for new installations
+     * Point the follow-up alarm at the earliest pending next-action date.
+     * Dates already in the past fire on the next alarm tick.
+     */
+    async scheduleFollowUpAlarm() {
+        try {
+            const contacts = await PipelineStore.getAll();
+            const when = PipelineStore.nextReminderTime(contacts);
+
+            if (when === null) {
+                await chrome.alarms.clear(FOLLOW_UP_ALARM);
+                return;
+            }
+
+            const existing = await chrome.alarms.get(FOLLOW_UP_ALARM);
+            if (existing && existing.scheduledTime === when) return;
+
+            chrome.alarms.create(FOLLOW_UP_ALARM, { when: Math.max(when, Date.now() + 1000) });
+            debugLog('Follow-up alarm scheduled for', new Date(when).toISOString());
+        } catch (error) {
+            debugLog('Error scheduling follow-up alarm:', error);
+        }
+    }
+
+    /**
+     * Flag contacts whose next action is due and notify the user about each of them
+     */
+    async handleFollowUpAlarm() {
+        try {
+            const dueContacts = await PipelineStore.markFollowUpDue();
+            debugLog(`${dueContacts.length} follow-up(s) due`);
+
+            for (const contact of dueContacts) {
+                chrome.notifications.create(`follow-up:${contact.profileUrl}`, {
+                    type: 'basic',
+                    iconUrl: 'icon128.png',
+                    title: `Follow up with ${contact.name || 'a contact'}`,
+                    message: contact.nextAction || PIPELINE_STATUSES['follow-up'].nextAction,
+                    contextMessage: contact.headline || '',
+                    priority: 1
+                });
+            }
+        } catch (error) {
+            debugLog('Error handling follow-up alarm:', error);
+        }
+
+        await this.scheduleFollowUpAlarm();
+    }
+
+    /**
+     * Open the pipeline page when a follow-up reminder is clicked, the batch page for batch drafts
+     */
+    async handleNotificationClick(notificationId) {
+        const page = notificationId === BATCH_NOTIFICATION_ID ? 'batch.html'
+            : notificationId.startsWith('follow-up:') ? 'pipeline.html' : null;
+        if (!page) return;
+
+        chrome.notifications.clear(notificationId);
+        await chrome.tabs.create({ url: chrome.runtime.getURL(page) });
+    }
+
+    /**
+     * Set default settings for new installations. Settings synced from another
+     * browser are kept; only what is missing gets a default.
      */
     async setDefaultSettings() {
+        const stored = await chrome.storage.sync.get();
+        const personas = await PersonaStore.getAll();
         const defaultSettings = {
-            userContext: '',
-            userRole: '',
+            [PERSONAS_STORAGE_KEY]: personas,
+            [ACTIVE_PERSONA_STORAGE_KEY]: (await PersonaStore.getActive(personas)).id,
             settings: {
-                messageLength: 'medium',
-                tone: 'professional',
-                autoGenerate: false
+                ...DEFAULT_MESSAGE_SETTINGS,
+                ...(stored.settings || {}),
+                schemaVersion: Math.max(stored.settings?.schemaVersion || 0, SETTINGS_SCHEMA_VERSION)
             },
-            statistics: {
+            statistics: stored.statistics || {
                 messagesGenerated: 0,
                 extensionInstalled: new Date().toISOString()
             }
@@ -448,41 +1053,27 @@ class BackgroundManager {
     }
 
     /**
-     * Handle extension updates
+     * Handle extension updates by running the settings migrations in order
      */
     async handleUpdate(previousVersion) {
-        // Handle any necessary migrations between versions
         debugLog(`Updated from version ${previousVersion}`);
         
-        // Example migration logic
-        const currentSettings = await chrome.storage.sync.get();
-        
-        // Add any new settings fields that might be missing
-        if (!currentSettings.statistics) {
-            currentSettings.statistics = {
-                messagesGenerated: 0,
-                extensionUpdated: new Date().toISOString()
-            };
-            await chrome.storage.sync.set(currentSettings);
+        const { from, to } = await SettingsMigrator.migrate();
+        if (from !== to) {
+            debugLog(`Settings migrated from schema ${from} to ${to}`);
         }
     }
 
     /**
-     * Verify settings integrity
+     * Verify settings integrity. Finishes migrations an interrupted update left
+     * undone, without touching the user's context and role.
      */
     async verifySettings() {
         try {
-            const settings = await chrome.storage.sync.get();
-            
-            // Check if required settings exist
-            if (!settings.settings) {
-                await this.setDefaultSettings();
-            }
-            
-            debugLog('Settings verified');
+            const { from, to } = await SettingsMigrator.migrate();
+            debugLog(from === to ? 'Settings verified' : `Settings migrated from schema ${from} to ${to}`);
         } catch (error) {
             debugLog('Error verifying settings:', error);
-            await this.setDefaultSettings();
         }
     }
 
@@ -503,32 +1094,21 @@ class BackgroundManager {
     }
 
     /**
-     * Generate message (could be enhanced with AI API in the future)
-     */
-    async generateMessage(profileData, userContext) {
-        // This is a placeholder for potential AI integration
-        // For now, the message generation is handled in content script
-        return "Message generation handled by content script";
-    }
-
-    /**
-     * Log activity for analytics (optional)
+     * Log what the user did with a message (copied, inserted) for the usage statistics
      */
     async logActivity(activityData) {
-        try {
-            const currentStats = await chrome.storage.sync.get(['statistics']);
-            const stats = currentStats.statistics || {};
-            
-            // Update statistics
-            if (activityData.type === 'messageGenerated') {
-                stats.messagesGenerated = (stats.messagesGenerated || 0) + 1;
-                stats.lastMessageGenerated = new Date().toISOString();
-            }
-            
-            await chrome.storage.sync.set({ statistics: stats });
-        } catch (error) {
-            debugLog('Error logging activity:', error);
+        const activity = { ...activityData };
+
+        // Label by the current names, as generation events are
+        const persona = (await PersonaStore.getAll()).find(existing => existing.id === activity.personaId);
+        if (persona) {
+            activity.personaName = persona.name;
         }
+        if (INTENTS[activity.intentId]) {
+            activity.intentLabel = INTENTS[activity.intentId].label;
+        }
+
+        await recordActivity(activity);
     }
 }
 
@@ -0,0 +1,151 @@
+/**
+ * LinkedIn Connection Assistant - Batch Queue Store
+ * Profiles queued for drafting in the background, keyed by canonical profile URL, in the order
+ * they were added. The background service worker works through the queued ones, one profile per
+ * BATCH_ALARM tick; the batch page reviews the drafts. Shared by the popup, the batch page and
+ * the service worker. Requires profile-url.js to be loaded first.
+ */
+
+const BATCH_STORAGE_KEY = 'batchQueue';
+const BATCH_RUN_STORAGE_KEY = 'batchRun';
+const BATCH_ALARM = 'batch-queue';
+
+const BATCH_STATUSES = {
+    queued: { label: 'Queued' },
+    working: { label: 'Drafting' },
+    drafted: { label: 'Ready for review' },
+    approved: { label: 'Approved' },
+    failed: { label: 'Failed' }
+};
+
+// Seconds between opening one profile and the next. Chrome fires alarms at most every 30 seconds.
+const DEFAULT_BATCH_SETTINGS = {
+    paceSeconds: 60
+};
+const MIN_BATCH_PACE_SECONDS = 30;
+
+// Largest queue accepted, so a pasted list cannot run for days
+const BATCH_LIMIT = 100;
+
+class BatchStore {
+    /**
+     * All queued profiles, in the order they were added
+     */
+    static async getAll() {
+        const result = await chrome.storage.local.get(BATCH_STORAGE_KEY);
+        return result[BATCH_STORAGE_KEY] || [];
+    }
+
+    static async save(items) {
+        await chrome.storage.local.set({ [BATCH_STORAGE_KEY]: items });
+    }
+
+    /**
+     * Canonical profile URLs found in pasted text, without duplicates. Anything that is not a
+     * linkedin.com/in/ link, or whose profile name cannot be decoded, is ignored.
+     */
+    static parseProfileUrls(text = '') {
+        const urls = [...text.matchAll(/linkedin\.com\/in\/[^/?#\s"'<>]+/gi)]
+            .map(([link]) => canonicalProfileUrl(link))
+            .filter(Boolean);
+        return [...new Set(urls)];
+    }
+
+    /**
+     * Queue profiles that are not in the queue yet
+     * @param {Array<string>} profileUrls - Canonical profile URLs.
+     * @returns {Promise<object>} { added, skipped } counts; skipped were queued already or over BATCH_LIMIT.
+     */
+    static async add(profileUrls) {
+        const items = await BatchStore.getAll();
+        const known = new Set(items.map(item => item.profileUrl));
+        const now = new Date().toISOString();
+        let added = 0;
+
+        for (const profileUrl of profileUrls) {
+            if (known.has(profileUrl) || items.length >= BATCH_LIMIT) continue;
+            known.add(profileUrl);
+            items.push({ profileUrl, status: 'queued', name: '', headline: '', company: '', message: '', error: '', addedAt: now, updatedAt: now });
+            added++;
+        }
+
+        await BatchStore.save(items);
+        return { added, skipped: profileUrls.length - added };
+    }
+
+    /**
+     * Merge changes into a queued profile
+     */
+    static async update(profileUrl, changes) {
+        const items = await BatchStore.getAll();
+        const index = items.findIndex(item => item.profileUrl === profileUrl);
+        if (index === -1) {
+            throw new Error('Profile not found in the batch queue.');
+        }
+
+        items[index] = { ...items[index], ...changes, updatedAt: new Date().toISOString() };
+        await BatchStore.save(items);
+        return items[index];
+    }
+
+    static async remove(profileUrl) {
+        const items = await BatchStore.getAll();
+        await BatchStore.save(items.filter(item => item.profileUrl !== profileUrl));
+    }
+
+    /**
+     * Remove approved profiles, which are in the pipeline by now
+     */
+    static async clearApproved() {
+        const items = await BatchStore.getAll();
+        await BatchStore.save(items.filter(item => item.status !== 'approved'));
+    }
+
+    /**
+     * The next profile to draft, or null when nothing is queued
+     */
+    static async next() {
+        const items = await BatchStore.getAll();
+        return items.find(item => item.status === 'queued') || null;
+    }
+
+    /**
+     * Put profiles left half-done, e.g. by a service worker that was stopped, back in the queue
+     */
+    static async requeueUnfinished() {
+        const items = await BatchStore.getAll();
+        if (!items.some(item => item.status === 'working')) return;
+        await BatchStore.save(items.map(item => (item.status === 'working' ? { ...item, status: 'queued' } : item)));
+    }
+
+    /**
+     * Whether the service worker is working through the queue, when it opens the next profile and
+     * why it stopped: { running, nextAt, pausedReason }
+     */
+    static async getRun() {
+        const result = await chrome.storage.local.get(BATCH_RUN_STORAGE_KEY);
+        return { running: false, nextAt: null, pausedReason: '', ...(result[BATCH_RUN_STORAGE_KEY] || {}) };
+    }
+
+    static async setRun(changes) {
+        const run = { ...(await BatchStore.getRun()), ...changes };
+        await chrome.storage.local.set({ [BATCH_RUN_STORAGE_KEY]: run });
+        return run;
+    }
+
+    /**
+     * The pace chosen on the batch page, never faster than Chrome's alarms allow
+     */
+    static async loadSettings() {
+        const { settings } = await chrome.storage.sync.get('settings');
+        const batch = { ...DEFAULT_BATCH_SETTINGS, ...(settings?.batch || {}) };
+        return { ...batch, paceSeconds: Math.max(MIN_BATCH_PACE_SECONDS, batch.paceSeconds) };
+    }
+
+    static async saveSettings(changes) {
+        const { settings = {} } = await chrome.storage.sync.get('settings');
+        settings.batch = { ...DEFAULT_BATCH_SETTINGS, ...(settings.batch || {}), ...changes };
+        await chrome.storage.sync.set({ settings });
+        return settings.batch;
+    }
+}
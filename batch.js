@@ -0,0 +1,346 @@
+/**
+ * LinkedIn Connection Assistant - Batch Manager
+ * Queues profiles for background drafting, sets the pace and reviews the drafts:
+ * approve (into the outreach pipeline), edit or discard each one
+ */
+
+// Debug logging
+const DEBUG = true;
+function debugLog(message, data = null) {
+    if (DEBUG) {
+        console.log(`[LinkedIn Assistant Batch] ${message}`, data || '');
+    }
+}
+
+class BatchManager {
+    constructor() {
+        this.items = [];
+        this.run = { running: false, nextAt: null, pausedReason: '' };
+        this.initializeElements();
+        this.attachEventListeners();
+        this.loadSettings();
+        this.loadQueue();
+    }
+
+    initializeElements() {
+        this.profileUrlsInput = document.getElementById('profileUrlsInput');
+        this.addProfilesButton = document.getElementById('addProfilesButton');
+        this.paceInput = document.getElementById('paceInput');
+        this.startBatchButton = document.getElementById('startBatchButton');
+        this.pauseBatchButton = document.getElementById('pauseBatchButton');
+        this.clearApprovedButton = document.getElementById('clearApprovedButton');
+        this.batchSummary = document.getElementById('batchSummary');
+        this.batchRunStatus = document.getElementById('batchRunStatus');
+        this.batchList = document.getElementById('batchList');
+        this.statusMessage = document.getElementById('statusMessage');
+    }
+
+    attachEventListeners() {
+        this.addProfilesButton.addEventListener('click', () => this.handleAddProfiles());
+        this.paceInput.addEventListener('change', () => this.handlePaceChange());
+        this.startBatchButton.addEventListener('click', () => this.handleStart());
+        this.pauseBatchButton.addEventListener('click', () => this.handlePause());
+        this.clearApprovedButton.addEventListener('click', () => this.handleClearApproved());
+
+        // Follow the background worker as it drafts, and profiles added from the popup
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && (changes[BATCH_STORAGE_KEY] || changes[BATCH_RUN_STORAGE_KEY])) {
+                this.loadQueue();
+            }
+        });
+    }
+
+    async loadSettings() {
+        try {
+            const { paceSeconds } = await BatchStore.loadSettings();
+            this.paceInput.value = paceSeconds;
+        } catch (error) {
+            debugLog('Error loading batch settings:', error);
+        }
+    }
+
+    async loadQueue() {
+        try {
+            this.items = await BatchStore.getAll();
+            this.run = await BatchStore.getRun();
+            this.render();
+        } catch (error) {
+            debugLog('Error loading the batch queue:', error);
+            this.showStatus('Error loading the batch queue', 'error');
+        }
+    }
+
+    /**
+     * Send a request to the service worker; a failure response comes back if it cannot be reached
+     */
+    async sendMessageToBackground(action, data) {
+        try {
+            return await chrome.runtime.sendMessage(MessageProtocol.create(action, data));
+        } catch (error) {
+            debugLog('Background script communication error:', error);
+            return MessageProtocol.error('NO_RECEIVER');
+        }
+    }
+
+    render() {
+        const counts = Object.keys(BATCH_STATUSES)
+            .map(id => [BATCH_STATUSES[id].label, this.items.filter(item => item.status === id).length])
+            .filter(([, count]) => count > 0)
+            .map(([label, count]) => `${label}: ${count}`);
+        this.batchSummary.textContent = `${this.items.length} profile(s)${counts.length ? ` · ${counts.join(' · ')}` : ''}`;
+        this.renderRun();
+
+        // Keep focus in a draft that is being edited when a storage change re-renders the list
+        if (this.batchList.contains(document.activeElement)) return;
+
+        this.batchList.innerHTML = '';
+        if (this.items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'form-hint';
+            empty.textContent = 'No profiles queued yet.';
+            this.batchList.appendChild(empty);
+            return;
+        }
+
+        for (const item of this.items) {
+            this.batchList.appendChild(this.renderItem(item));
+        }
+    }
+
+    renderRun() {
+        const { running, nextAt, pausedReason } = this.run;
+        const queued = this.items.some(item => item.status === 'queued' || item.status === 'working');
+
+        this.startBatchButton.style.display = running ? 'none' : 'flex';
+        this.startBatchButton.disabled = !queued;
+        this.pauseBatchButton.style.display = running ? 'flex' : 'none';
+
+        if (running) {
+            this.batchRunStatus.textContent = nextAt
+                ? `Drafting. The next profile opens at ${new Date(nextAt).toLocaleTimeString()}.`
+                : 'Drafting.';
+        } else if (pausedReason) {
+            this.batchRunStatus.textContent = `Paused: ${pausedReason}`;
+        } else {
+            this.batchRunStatus.textContent = queued ? 'Click Start to draft the queued profiles.' : '';
+        }
+    }
+
+    renderItem(item) {
+        const card = document.createElement('div');
+        card.className = `history-entry batch-${item.status}`;
+
+        const header = document.createElement('div');
+        header.className = 'history-entry-header';
+
+        const name = document.createElement('a');
+        name.className = 'history-entry-name';
+        name.textContent = item.name || item.profileUrl;
+        name.href = item.profileUrl;
+        name.target = '_blank';
+        name.rel = 'noopener';
+
+        const status = document.createElement('span');
+        status.className = 'history-entry-meta';
+        status.textContent = BATCH_STATUSES[item.status]?.label || item.status;
+
+        header.append(name, status);
+        card.appendChild(header);
+
+        const details = [item.headline, item.company].filter(Boolean).join(' · ');
+        if (details) {
+            const meta = document.createElement('div');
+            meta.className = 'history-entry-meta';
+            meta.textContent = details;
+            card.appendChild(meta);
+        }
+
+        if (item.status === 'failed') {
+            const error = document.createElement('p');
+            error.className = 'form-hint batch-error';
+            error.textContent = item.error;
+            card.appendChild(error);
+        }
+
+        if (item.status === 'drafted') {
+            const draft = document.createElement('textarea');
+            draft.className = 'form-input';
+            draft.rows = 4;
+            draft.value = item.message;
+            draft.addEventListener('change', () => this.handleEdit(item, draft.value));
+            card.appendChild(draft);
+
+            if (item.failedChecks?.length) {
+                const checks = document.createElement('p');
+                checks.className = 'form-hint batch-error';
+                checks.textContent = `Checks still failing: ${item.failedChecks.join(', ')}`;
+                card.appendChild(checks);
+            }
+        } else if (item.status === 'approved') {
+            const message = document.createElement('p');
+            message.className = 'history-entry-message';
+            message.textContent = item.message;
+            card.appendChild(message);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+        if (item.status === 'drafted') {
+            actions.appendChild(this.button('Approve', 'copy-button', () => this.handleApprove(item, card.querySelector('textarea').value)));
+        }
+        if (item.status === 'failed') {
+            actions.appendChild(this.button('Retry', 'regenerate-button', () => this.handleRetry(item)));
+        }
+        if (item.status !== 'working') {
+            const label = item.status === 'drafted' ? 'Discard' : 'Remove';
+            actions.appendChild(this.button(label, 'regenerate-button danger-button', () => this.handleRemove(item)));
+        }
+        card.appendChild(actions);
+        return card;
+    }
+
+    button(text, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async handleAddProfiles() {
+        try {
+            const profileUrls = BatchStore.parseProfileUrls(this.profileUrlsInput.value);
+            if (profileUrls.length === 0) {
+                this.showStatus('No LinkedIn profile links found. Links look like https://www.linkedin.com/in/jane-doe/.', 'error');
+                return;
+            }
+
+            const { added, skipped } = await BatchStore.add(profileUrls);
+            this.profileUrlsInput.value = '';
+            this.showStatus(`${added} profile(s) added to the queue${skipped ? `, ${skipped} skipped (already queued or over the ${BATCH_LIMIT}-profile limit)` : ''}.`, added ? 'success' : 'warning');
+            await this.loadQueue();
+        } catch (error) {
+            debugLog('Error adding profiles:', error);
+            this.showStatus(`Could not add profiles: ${error.message}`, 'error');
+        }
+    }
+
+    async handlePaceChange() {
+        const paceSeconds = parseInt(this.paceInput.value, 10);
+        if (Number.isNaN(paceSeconds) || paceSeconds < MIN_BATCH_PACE_SECONDS) {
+            this.showStatus(`The pace must be at least ${MIN_BATCH_PACE_SECONDS} seconds.`, 'error');
+            this.paceInput.value = Math.max(MIN_BATCH_PACE_SECONDS, paceSeconds || 0);
+            return;
+        }
+
+        try {
+            await BatchStore.saveSettings({ paceSeconds });
+            this.showStatus(`Profiles open ${paceSeconds} seconds apart.`, 'success');
+        } catch (error) {
+            debugLog('Error saving the pace:', error);
+            this.showStatus('Error saving the pace', 'error');
+        }
+    }
+
+    async handleStart() {
+        const response = await this.sendMessageToBackground('startBatch');
+        if (!response?.success) {
+            this.showStatus(MessageProtocol.describeError(response, 'Could not start drafting.'), 'error');
+            return;
+        }
+        await this.loadQueue();
+    }
+
+    async handlePause() {
+        const response = await this.sendMessageToBackground('stopBatch');
+        if (!response?.success) {
+            this.showStatus(MessageProtocol.describeError(response, 'Could not pause drafting.'), 'error');
+            return;
+        }
+        this.showStatus('Paused. The profile being drafted, if any, is finished first.', 'info');
+        await this.loadQueue();
+    }
+
+    async handleEdit(item, message) {
+        try {
+            await BatchStore.update(item.profileUrl, { message });
+        } catch (error) {
+            debugLog('Error saving the draft:', error);
+            this.showStatus(`Error saving the draft: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Track the contact in the outreach pipeline with the (edited) draft
+     */
+    async handleApprove(item, message) {
+        try {
+            await PipelineStore.track(item, message.trim());
+            await BatchStore.update(item.profileUrl, { status: 'approved', message: message.trim() });
+            this.showStatus(`${item.name || 'Contact'} is in the pipeline as drafted.`, 'success');
+        } catch (error) {
+            debugLog('Error approving the draft:', error);
+            this.showStatus(`Could not approve the draft: ${error.message}`, 'error');
+        }
+        document.activeElement.blur();
+        await this.loadQueue();
+    }
+
+    async handleRetry(item) {
+        try {
+            await BatchStore.update(item.profileUrl, { status: 'queued', error: '' });
+            await this.loadQueue();
+        } catch (error) {
+            debugLog('Error requeueing the profile:', error);
+            this.showStatus('Error requeueing the profile', 'error');
+        }
+    }
+
+    async handleRemove(item) {
+        try {
+            await BatchStore.remove(item.profileUrl);
+            document.activeElement.blur();
+            await this.loadQueue();
+        } catch (error) {
+            debugLog('Error removing the profile:', error);
+            this.showStatus('Error removing the profile', 'error');
+        }
+    }
+
+    async handleClearApproved() {
+        try {
+            await BatchStore.clearApproved();
+            await this.loadQueue();
+        } catch (error) {
+            debugLog('Error clearing approved profiles:', error);
+            this.showStatus('Error clearing approved profiles', 'error');
+        }
+    }
+
+    showStatus(message, type = 'info') {
+        this.statusMessage.textContent = message;
+        this.statusMessage.className = `status-message status-${type}`;
+        this.statusMessage.style.display = 'block';
+
+        debugLog(`Status (${type}):`, message);
+
+        // Auto-hide success messages
+        if (type === 'success') {
+            setTimeout(() => {
+                this.statusMessage.style.display = 'none';
+            }, 3000);
+        }
+    }
+}
+
+// Initialize batch page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    debugLog('Batch DOM loaded, initializing...');
+
+    try {
+        window.batchManager = new BatchManager();
+    } catch (error) {
+        debugLog('Error initializing batch manager:', error);
+    }
+});
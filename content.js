@@ -1,6 +1,7 @@
 /**
  * LinkedIn Connection Assistant - Content Script
- * Handles profile analysis for message generation in popup
+ * Handles profile analysis for message generation in popup, and reads and
+ * replies to conversations on LinkedIn messaging pages
  */
 
 // Debug logging
@@ -15,10 +16,72 @@ function debugLog(message, data = null) {
 let isContentScriptReady = false;
 let currentUrl = window.location.href;
 
+// LinkedIn rejects connection notes longer than this
+const NOTE_CHARACTER_LIMIT = 300;
+
+// How much of each profile section is extracted for the prompt
+const PROFILE_SECTION_LIMITS = {
+    positions: 5,
+    schools: 3,
+    skills: 15,
+    certifications: 5,
+    volunteering: 3,
+    activity: 3,
+    activityLength: 300
+};
+
+const INVITE_DIALOG_SELECTOR = '[data-test-modal-id="send-invite-modal"], .send-invite, div[role="dialog"]';
+const NOTE_TEXTAREA_SELECTOR = 'textarea[name="message"], textarea#custom-message';
+const ADD_NOTE_BUTTON_SELECTOR = 'button[aria-label="Add a note"]';
+
+// Styles for the control added to LinkedIn's invitation dialog; popup styles.css is not injected into the page
+const NOTE_CONTROL_STYLES = `
+.linkedin-assistant-note-control {
+    display: flex !important;
+    align-items: center !important;
+    gap: 10px !important;
+    padding: 8px 24px !important;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
+    font-size: 13px !important;
+}
+.linkedin-assistant-note-button {
+    background: linear-gradient(135deg, #28a745 0%, #20c997 100%) !important;
+    color: white !important;
+    border: none !important;
+    border-radius: 16px !important;
+    padding: 6px 14px !important;
+    font-weight: 600 !important;
+    cursor: pointer !important;
+}
+.linkedin-assistant-note-button:disabled {
+    opacity: 0.6 !important;
+    cursor: wait !important;
+}
+.linkedin-assistant-note-count {
+    color: #666 !important;
+    font-variant-numeric: tabular-nums !important;
+}
+.linkedin-assistant-note-count.over-limit {
+    color: #dc3545 !important;
+    font-weight: 600 !important;
+}
+.linkedin-assistant-note-status {
+    color: #666 !important;
+    font-size: 12px !important;
+}
+`;
+
 class LinkedInConnectionAssistant {
     constructor() {
         this.settings = {};
+        this.pendingNote = null;
+        this.registry = SelectorRegistry.merge(null);
+        this.industryTaxonomy = DEFAULT_INDUSTRY_TAXONOMY;
+        this.extractionReport = { fields: {} };
         this.loadSettings();
+        this.loadSelectorRegistry();
+        this.loadIndustryTaxonomy();
+        this.watchInvitationDialog();
     }
 
     /**
@@ -26,15 +89,35 @@ class LinkedInConnectionAssistant {
      */
     getProfileDataForMessage() {
         if (!this.isProfilePage()) {
-            return { success: false, error: 'Not a LinkedIn profile page' };
+            return MessageProtocol.error('NOT_PROFILE_PAGE', 'Not a LinkedIn profile page');
         }
 
         try {
             const profileData = this.extractProfileData();
-            return { success: true, profileData };
+            return { success: true, profileData, report: this.getExtractionReport() };
         } catch (error) {
             console.error('Error extracting profile data:', error);
-            return { success: false, error: error.message };
+            return MessageProtocol.error('EXTRACTION_FAILED', error.message);
+        }
+    }
+
+    /**
+     * Get the open messaging thread for reply drafting
+     */
+    getConversationForReply() {
+        if (!this.isMessagingPage()) {
+            return MessageProtocol.error('NOT_MESSAGING_PAGE', 'Not a LinkedIn messaging page');
+        }
+
+        try {
+            const conversation = this.extractConversation();
+            if (conversation.messages.length === 0) {
+                return MessageProtocol.error('EMPTY_CONVERSATION');
+            }
+            return { success: true, conversation };
+        } catch (error) {
+            console.error('Error extracting conversation:', error);
+            return MessageProtocol.error('EXTRACTION_FAILED', error.message);
         }
     }
 
@@ -43,7 +126,7 @@ class LinkedInConnectionAssistant {
      */
     async loadSettings() {
         try {
-            const result = await chrome.storage.sync.get(['userContext', 'userRole', 'settings']);
+            const result = await chrome.storage.sync.get(['userContext', 'userRole', 'settings', 'templateId', 'intentId']);
             this.settings = result;
         } catch (error) {
             console.error('Error loading settings:', error);
@@ -57,157 +140,742 @@ class LinkedInConnectionAssistant {
         const url = window.location.href;
         const profilePattern = /linkedin\.com\/in\/[\w-]+\/?(\?.*)?$/;
         return profilePattern.test(url) && 
-               (document.querySelector('h1.text-heading-xlarge') || 
+               !!(document.querySelector('h1.text-heading-xlarge') || 
                 document.querySelector('.pv-text-details__left-panel h1') ||
                 document.querySelector('.ph5 h1'));
     }
 
     /**
-     * Extract profile data using multiple fallback selectors
+     * Detect if current page is LinkedIn messaging
+     */
+    isMessagingPage() {
+        return /linkedin\.com\/messaging\//.test(window.location.href);
+    }
+
+    /**
+     * Extract profile data using the selector registry's strategies
      */
     extractProfileData() {
+        this.extractionReport = { fields: {} };
         const data = {
+            profileUrl: this.getCanonicalProfileUrl(),
             name: this.extractName(),
             headline: this.extractHeadline(),
             company: this.extractCompany(),
             location: this.extractLocation(),
             about: this.extractAbout(),
-            experience: this.extractExperience(),
-            industry: this.extractIndustry()
+            positions: this.extractPositions(),
+            schools: this.extractSchools(),
+            skills: this.extractSkills(),
+            certifications: this.extractCertifications(),
+            volunteering: this.extractVolunteering(),
+            activity: this.extractActivity()
         };
+        this.applyHeadlineRole(data);
+        data.industries = this.classifyIndustries(data);
+        data.industry = data.industries[0]?.id || DEFAULT_INDUSTRY_ID;
 
         debugLog('Extracted profile data:', data);
         return data;
     }
 
+    /**
+     * Add the title, former employers and seniority read from the headline, and take the
+     * current employer from it when no company selector matched
+     */
+    applyHeadlineRole(data) {
+        const role = HeadlineParser.parse(data.headline);
+        data.title = role.title || data.positions[0]?.title || '';
+        data.formerEmployers = role.formerEmployers;
+        data.seniority = role.seniority || HeadlineParser.seniorityOf(data.title);
+
+        if (!data.company && role.employer) {
+            data.company = role.employer;
+            this.extractionReport.fields.company = { ...this.extractionReport.fields.company, matched: true, strategy: 'heuristic: headline' };
+        }
+        return data;
+    }
+
+    /**
+     * Which strategy found each field during the last extraction, or that none did
+     */
+    getExtractionReport() {
+        const fields = Object.keys(this.registry.fields)
+            .map(field => this.extractionReport.fields[field])
+            .filter(Boolean);
+        return {
+            registryVersion: this.registry.version,
+            registrySource: this.registry.source,
+            matched: fields.filter(field => field.matched).length,
+            total: fields.length,
+            fields
+        };
+    }
+
+    /**
+     * Profile URL without query string, hash or sub-page, e.g. https://www.linkedin.com/in/jane-doe/
+     */
+    getCanonicalProfileUrl() {
+        return canonicalProfileUrl(window.location.href) || window.location.href;
+    }
+
     extractName() {
-        const nameSelectors = [
-            'h1.text-heading-xlarge',
-            '.pv-text-details__left-panel h1',
-            '.pv-top-card--list-bullet h1',
-            '.ph5 h1',
-            'h1.break-words'
-        ];
-
-        for (const selector of nameSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                return element.textContent.trim();
+        return this.resolveField('name');
+    }
+
+    extractHeadline() {
+        return this.resolveField('headline');
+    }
+
+    extractCompany() {
+        return this.resolveField('company');
+    }
+
+    extractLocation() {
+        return this.resolveField('location');
+    }
+
+    /**
+     * The full About text, with LinkedIn's "…see more" truncation expanded
+     */
+    extractAbout() {
+        return this.resolveField('about');
+    }
+
+    /**
+     * Positions, most recent first: { title, company, dates, location, description }.
+     * Several roles at one company are listed as separate positions of that company.
+     */
+    extractPositions() {
+        const section = this.findSection('experienceSection');
+        if (!section) {
+            return this.extractLegacyPositions();
+        }
+
+        const positions = [];
+        for (const item of this.sectionItems(section)) {
+            const roles = Array.from(item.querySelectorAll('li.pvs-list__paged-list-item, li.artdeco-list__item'))
+                .filter(role => role.querySelector('.t-bold'));
+
+            if (roles.length > 0) {
+                // Grouped entry: the item's own title is the company, nested items are the roles
+                const company = this.visibleText(item.querySelector('.t-bold'));
+                for (const role of roles) {
+                    const fields = this.readListItem(role);
+                    positions.push({
+                        title: fields.title,
+                        company,
+                        dates: fields.caption,
+                        location: fields.meta,
+                        description: fields.description
+                    });
+                }
+            } else {
+                const fields = this.readListItem(item);
+                positions.push({
+                    title: fields.title,
+                    company: fields.subtitle,
+                    dates: fields.caption,
+                    location: fields.meta,
+                    description: fields.description
+                });
             }
         }
-        return 'there';
+
+        return positions.slice(0, PROFILE_SECTION_LIMITS.positions);
     }
 
-    extractHeadline() {
-        const headlineSelectors = [
-            '.text-body-medium.break-words',
-            '.pv-text-details__left-panel .text-body-medium',
-            '.pv-top-card .pv-top-card__headline',
-            '.ph5 .text-body-medium'
-        ];
-
-        for (const selector of headlineSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                return element.textContent.trim();
+    /**
+     * Positions from the pre-2021 profile layout
+     */
+    extractLegacyPositions() {
+        const items = document.querySelectorAll('.experience-section .pv-position-entity, [data-field="experience"] .pv-position-entity');
+        return Array.from(items).slice(0, PROFILE_SECTION_LIMITS.positions).map(item => ({
+            title: this.visibleText(item.querySelector('.pv-entity__summary-info h3')),
+            company: this.visibleText(item.querySelector('.pv-entity__secondary-title')),
+            dates: this.visibleText(item.querySelector('.pv-entity__date-range span:nth-child(2)')),
+            location: this.visibleText(item.querySelector('.pv-entity__location span:nth-child(2)')),
+            description: this.visibleText(item.querySelector('.pv-entity__description'))
+        }));
+    }
+
+    /**
+     * Schools: { school, degree, dates }
+     */
+    extractSchools() {
+        const section = this.findSection('educationSection');
+        if (!section) {
+            return Array.from(document.querySelectorAll('.education-section .pv-education-entity'))
+                .slice(0, PROFILE_SECTION_LIMITS.schools)
+                .map(item => ({
+                    school: this.visibleText(item.querySelector('.pv-entity__school-name')),
+                    degree: Array.from(item.querySelectorAll('.pv-entity__comma-item')).map(el => this.visibleText(el)).join(', '),
+                    dates: this.visibleText(item.querySelector('.pv-entity__dates span:nth-child(2)'))
+                }));
+        }
+
+        return this.sectionItems(section).slice(0, PROFILE_SECTION_LIMITS.schools).map(item => {
+            const fields = this.readListItem(item);
+            return { school: fields.title, degree: fields.subtitle, dates: fields.caption };
+        });
+    }
+
+    /**
+     * Skill names as listed on the profile
+     */
+    extractSkills() {
+        const section = this.findSection('skillsSection');
+        const names = section
+            ? this.sectionItems(section).map(item => this.readListItem(item).title)
+            : Array.from(document.querySelectorAll('.pv-skill-category-entity__name-text')).map(el => this.visibleText(el));
+
+        return [...new Set(names.filter(Boolean))].slice(0, PROFILE_SECTION_LIMITS.skills);
+    }
+
+    /**
+     * Licenses and certifications: { name, issuer, dates }
+     */
+    extractCertifications() {
+        const section = this.findSection('certificationsSection');
+        if (!section) return [];
+
+        return this.sectionItems(section).slice(0, PROFILE_SECTION_LIMITS.certifications).map(item => {
+            const fields = this.readListItem(item);
+            return { name: fields.title, issuer: fields.subtitle, dates: fields.caption };
+        });
+    }
+
+    /**
+     * Volunteer roles: { role, organization, dates }
+     */
+    extractVolunteering() {
+        const section = this.findSection('volunteeringSection');
+        if (!section) return [];
+
+        return this.sectionItems(section).slice(0, PROFILE_SECTION_LIMITS.volunteering).map(item => {
+            const fields = this.readListItem(item);
+            return { role: fields.title, organization: fields.subtitle, dates: fields.caption };
+        });
+    }
+
+    /**
+     * Text of the latest posts and reposts shown in the Activity section
+     */
+    extractActivity() {
+        const section = this.findSection('activitySection');
+        if (!section) return [];
+
+        const posts = section.querySelectorAll('.update-components-text, .feed-shared-update-v2__description, .feed-shared-inline-show-more-text');
+        const snippets = Array.from(posts)
+            .map(post => this.visibleText(post))
+            .filter(Boolean)
+            .map(text => text.length > PROFILE_SECTION_LIMITS.activityLength
+                ? `${text.substring(0, PROFILE_SECTION_LIMITS.activityLength).trim()}…`
+                : text);
+
+        return [...new Set(snippets)].slice(0, PROFILE_SECTION_LIMITS.activity);
+    }
+
+    /**
+     * Try a field's registry strategies in order and record which one matched.
+     * Text fields resolve to a string ('' when nothing matched), section fields to an element or null.
+     */
+    resolveField(field) {
+        const spec = this.registry.fields[field];
+        const strategies = spec?.strategies || [];
+
+        for (let index = 0; index < strategies.length; index++) {
+            let result = null;
+            try {
+                result = this.applyStrategy(strategies[index], spec.section);
+            } catch (error) {
+                debugLog(`Strategy ${index + 1} for ${field} threw:`, error.message);
+            }
+
+            if (result) {
+                this.recordExtraction(field, spec, strategies[index]);
+                return result;
             }
         }
-        return '';
+
+        debugLog(`WARNING: no selector strategy matched for ${field}`);
+        this.recordExtraction(field, spec, null);
+        return spec?.section ? null : '';
     }
 
-    extractCompany() {
-        const companySelectors = [
-            '.pv-text-details__left-panel .pv-entity__secondary-title',
-            '.pv-top-card .pv-entity__secondary-title',
-            '.ph5 .pv-entity__secondary-title',
-            '.experience-section .pv-entity__summary-info .pv-entity__secondary-title',
-            '[data-field="experience"] .pv-entity__summary-info .pv-entity__secondary-title'
-        ];
-
-        for (const selector of companySelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                return element.textContent.trim();
+    applyStrategy(strategy, wantsSection) {
+        switch (strategy.type) {
+            case 'css': {
+                const element = document.querySelector(strategy.selector);
+                if (!element) return null;
+                return wantsSection ? (element.closest('section') || element) : this.visibleText(element);
+            }
+            case 'aria': {
+                const value = document.querySelector(strategy.selector)?.getAttribute(strategy.attribute || 'aria-label');
+                const match = value && new RegExp(strategy.pattern || '(.+)').exec(value);
+                return match ? (match[1] || match[0]).trim() : null;
             }
+            case 'anchor':
+                return this.withinSection(document.getElementById(strategy.id)?.closest('section'), strategy.selector);
+            case 'text':
+                return this.withinSection(this.findSectionByHeading(strategy.anchorText), strategy.selector);
+            case 'heuristic':
+                return this.runHeuristic(strategy.name);
+            default:
+                return null;
         }
-        return '';
     }
 
-    extractLocation() {
-        const locationSelectors = [
-            '.text-body-small.inline.t-black--light',
-            '.pv-text-details__left-panel .text-body-small',
-            '.pv-top-card .pv-top-card__location',
-            '.ph5 .text-body-small'
-        ];
-
-        for (const selector of locationSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                return element.textContent.trim();
+    withinSection(section, selector) {
+        if (!section) return null;
+        return selector ? this.visibleText(section.querySelector(selector)) : section;
+    }
+
+    /**
+     * The profile <section> whose heading reads the given text, e.g. "Experience"
+     */
+    findSectionByHeading(anchorText) {
+        const wanted = anchorText.trim().toLowerCase();
+        const heading = Array.from(document.querySelectorAll('section h2'))
+            .find(element => this.visibleText(element).toLowerCase() === wanted);
+        return heading?.closest('section') || null;
+    }
+
+    /**
+     * Structural fallbacks that do not depend on LinkedIn's class names
+     */
+    runHeuristic(name) {
+        const heading = document.querySelector('main h1');
+        const topCard = heading?.closest('section');
+
+        switch (name) {
+            case 'mainHeading':
+                return this.visibleText(heading);
+            case 'lineAfterName':
+                // The first line of text below the name in the top card
+                return this.topCardLines(heading, topCard)[0] || '';
+            case 'topCardLocation':
+                return this.topCardLines(heading, topCard)
+                    .find(line => line.includes(',') && line.length < 80) || '';
+            case 'currentPositionCompany':
+                return this.extractPositions()[0]?.company || '';
+            default:
+                debugLog('Unknown heuristic:', name);
+                return null;
+        }
+    }
+
+    /**
+     * Text of the leaf elements that follow the name in the top card, skipping
+     * connection and follower counts and the contact info link
+     */
+    topCardLines(heading, topCard) {
+        if (!heading || !topCard) return [];
+
+        return Array.from(topCard.querySelectorAll('div, span'))
+            .filter(element => element.children.length === 0 &&
+                heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING &&
+                !/connections?|followers?|contact info/i.test(element.parentElement.textContent))
+            .map(element => this.visibleText(element))
+            .filter(text => text && text !== this.visibleText(heading));
+    }
+
+    recordExtraction(field, spec, strategy) {
+        this.extractionReport.fields[field] = {
+            field,
+            label: spec?.label || field,
+            matched: !!strategy,
+            strategy: strategy ? SelectorRegistry.describe(strategy) : null
+        };
+    }
+
+    /**
+     * Use an imported selector registry once it is loaded, and follow later imports
+     */
+    async loadSelectorRegistry() {
+        try {
+            this.registry = await SelectorRegistry.load();
+            debugLog(`Selector registry v${this.registry.version} (${this.registry.source}) loaded`);
+        } catch (error) {
+            console.error('Error loading selector registry:', error);
+        }
+    }
+
+    /**
+     * Use the user's edited industry categories once they are loaded, and follow later edits
+     */
+    async loadIndustryTaxonomy() {
+        try {
+            this.industryTaxonomy = await IndustryClassifier.load();
+        } catch (error) {
+            console.error('Error loading industry categories:', error);
+        }
+    }
+
+    /**
+     * The <section> element for a registry section field, e.g. experienceSection
+     */
+    findSection(field) {
+        return this.resolveField(field);
+    }
+
+    /**
+     * Top-level entries of a profile section, skipping entries nested inside another entry
+     */
+    sectionItems(section) {
+        const items = section.querySelectorAll('li.artdeco-list__item, li.pvs-list__paged-list-item');
+        return Array.from(items).filter(item => !item.parentElement.closest('li.artdeco-list__item, li.pvs-list__paged-list-item'));
+    }
+
+    /**
+     * Read the standard fields of a profile list entry: bold title, subtitle, light captions
+     * (dates, then location) and an optional description
+     */
+    readListItem(item) {
+        const ownElements = (selector) => Array.from(item.querySelectorAll(selector))
+            .filter(element => element.closest('li') === item);
+        const subtitle = ownElements('.t-14.t-normal:not(.t-black--light)')[0];
+        const captions = ownElements('.t-14.t-normal.t-black--light, .pvs-entity__caption-wrapper');
+
+        return {
+            title: this.visibleText(item.querySelector('.t-bold')),
+            // "Acme · Full-time" → "Acme", "Jan 2020 - Present · 4 yrs" → "Jan 2020 - Present"
+            subtitle: this.visibleText(subtitle).split(' · ')[0],
+            caption: this.visibleText(captions[0]).split(' · ')[0],
+            meta: this.visibleText(captions[1]),
+            description: this.visibleText(item.querySelector('.inline-show-more-text, .pvs-list__outer-container .t-14.t-normal.t-black'))
+        };
+    }
+
+    /**
+     * LinkedIn renders text twice: once for screen readers and once in an aria-hidden span.
+     * Prefer the aria-hidden copies so the text is not duplicated.
+     */
+    visibleText(element) {
+        if (!element) return '';
+
+        const copies = element.matches('span[aria-hidden="true"]')
+            ? [element]
+            : Array.from(element.querySelectorAll('span[aria-hidden="true"]'));
+        const text = copies.length > 0
+            ? copies.filter(copy => !copy.parentElement.closest('span[aria-hidden="true"]')).map(copy => copy.textContent).join(' ')
+            : element.textContent;
+
+        return text.replace(/…\s*see more$/i, '').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+    }
+
+    /**
+     * Read the visible conversation: who the other participant is and each message
+     * with its sender and time, oldest first
+     */
+    extractConversation() {
+        const participantLink = document.querySelector('.msg-thread__link-to-profile, .msg-entity-lockup__entity-link');
+        const conversation = {
+            threadUrl: window.location.href.split('?')[0],
+            participantName: this.firstText([
+                '.msg-entity-lockup__entity-title',
+                '.msg-thread__link-to-profile h2',
+                '#thread-detail-jump-target'
+            ]),
+            participantHeadline: this.firstText([
+                '.msg-entity-lockup__entity-info',
+                '.msg-thread__link-to-profile + .t-12'
+            ]),
+            participantProfileUrl: participantLink?.href?.split('?')[0] || '',
+            messages: []
+        };
+
+        let sender = '';
+        let time = '';
+        let day = '';
+        const events = document.querySelectorAll('.msg-s-message-list__event');
+
+        for (const event of events) {
+            const dayHeading = event.querySelector('.msg-s-message-list__time-heading');
+            if (dayHeading) {
+                day = dayHeading.textContent.trim();
             }
+
+            const item = event.querySelector('.msg-s-event-listitem');
+            const body = event.querySelector('.msg-s-event-listitem__body');
+            if (!item || !body || !body.textContent.trim()) continue;
+
+            // Consecutive messages from one sender share a single name/time header
+            const name = event.querySelector('.msg-s-message-group__name');
+            const timestamp = event.querySelector('.msg-s-message-group__timestamp');
+            if (name) sender = name.textContent.trim();
+            if (timestamp) time = timestamp.textContent.trim();
+
+            const fromMe = !item.classList.contains('msg-s-event-listitem--other');
+            conversation.messages.push({
+                sender: fromMe ? 'Me' : (sender || conversation.participantName || 'Them'),
+                fromMe,
+                time: [day, time].filter(Boolean).join(' '),
+                text: body.textContent.trim().replace(/\s+\n/g, '\n')
+            });
         }
-        return '';
+
+        debugLog(`Extracted conversation with ${conversation.messages.length} message(s)`);
+        return conversation;
     }
 
-    extractAbout() {
-        const aboutSelectors = [
-            '.pv-shared-text-with-see-more-text .break-words',
-            '.pv-about__summary-text .break-words',
-            '[data-field="summary"] .break-words',
-            '.about-section .pv-shared-text-with-see-more-text'
-        ];
-
-        for (const selector of aboutSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                return element.textContent.trim().substring(0, 200) + '...';
+    /**
+     * Put text into the message composer of the open thread, replacing any draft.
+     * insertText goes through the editor's own input handling so LinkedIn enables the Send button.
+     */
+    insertIntoComposer(text) {
+        const composer = document.querySelector('.msg-form__contenteditable[contenteditable="true"]');
+        if (!composer) {
+            return MessageProtocol.error('COMPOSER_NOT_FOUND');
+        }
+
+        composer.focus();
+        const selection = window.getSelection();
+        const range = document.createRange();
+        range.selectNodeContents(composer);
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        if (!document.execCommand('insertText', false, text)) {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            composer.replaceChildren(paragraph);
+            composer.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+        }
+
+        debugLog('Reply inserted into composer');
+        return { success: true };
+    }
+
+    /**
+     * Add the "Insert AI note" control whenever LinkedIn's invitation dialog is open
+     */
+    watchInvitationDialog() {
+        let scheduled = false;
+        const dialogObserver = new MutationObserver(() => {
+            if (scheduled) return;
+            scheduled = true;
+            requestAnimationFrame(() => {
+                scheduled = false;
+                const dialog = this.findInvitationDialog();
+                if (dialog) {
+                    this.enhanceInvitationDialog(dialog);
+                }
+            });
+        });
+        dialogObserver.observe(document.documentElement, { childList: true, subtree: true });
+    }
+
+    /**
+     * The open Connect dialog, before or after "Add a note" was clicked
+     */
+    findInvitationDialog() {
+        if (!this.isProfilePage()) return null;
+
+        for (const dialog of document.querySelectorAll(INVITE_DIALOG_SELECTOR)) {
+            if (dialog.querySelector(`${NOTE_TEXTAREA_SELECTOR}, ${ADD_NOTE_BUTTON_SELECTOR}`)) {
+                return dialog;
             }
         }
-        return '';
+        return null;
     }
 
-    extractExperience() {
-        const experienceSelectors = [
-            '.experience-section .pv-entity__summary-info',
-            '[data-field="experience"] .pv-entity__summary-info',
-            '.pvs-list__item--experience .pvs-entity__summary-info'
-        ];
+    enhanceInvitationDialog(dialog) {
+        if (!document.getElementById('linkedin-assistant-note-styles')) {
+            const style = document.createElement('style');
+            style.id = 'linkedin-assistant-note-styles';
+            style.textContent = NOTE_CONTROL_STYLES;
+            document.head.appendChild(style);
+        }
+
+        let control = dialog.querySelector('.linkedin-assistant-note-control');
+        if (!control) {
+            control = document.createElement('div');
+            control.className = 'linkedin-assistant-note-control';
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'linkedin-assistant-note-button';
+            button.textContent = '✨ Insert AI note';
+            button.addEventListener('click', () => this.handleInsertNote(dialog, control));
+
+            const count = document.createElement('span');
+            count.className = 'linkedin-assistant-note-count';
+
+            const status = document.createElement('span');
+            status.className = 'linkedin-assistant-note-status';
+
+            control.append(button, count, status);
 
-        for (const selector of experienceSelectors) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-                return Array.from(elements).slice(0, 2).map(el => el.textContent.trim()).join('; ');
+            const actionBar = dialog.querySelector('.artdeco-modal__actionbar');
+            if (actionBar) {
+                actionBar.parentElement.insertBefore(control, actionBar);
+            } else {
+                dialog.appendChild(control);
             }
+            debugLog('Insert AI note control added to invitation dialog');
         }
-        return '';
+
+        // The textarea only appears after "Add a note", so bind the counter whenever it shows up
+        const textarea = dialog.querySelector(NOTE_TEXTAREA_SELECTOR);
+        if (textarea && !textarea.dataset.linkedinAssistantCounter) {
+            textarea.dataset.linkedinAssistantCounter = 'true';
+            textarea.addEventListener('input', () => this.updateNoteCount(control, textarea.value));
+        }
+        this.updateNoteCount(control, textarea ? textarea.value : '');
     }
 
-    extractIndustry() {
-        const headline = this.extractHeadline();
-        const about = this.extractAbout();
-        const company = this.extractCompany();
-        
-        const text = `${headline} ${about} ${company}`.toLowerCase();
-        
-        // Industry keyword detection
-        const industries = {
-            'tech': ['software', 'developer', 'engineer', 'tech', 'programming', 'coding', 'javascript', 'python', 'react', 'node'],
-            'marketing': ['marketing', 'digital', 'social media', 'seo', 'content', 'brand', 'advertising'],
-            'sales': ['sales', 'business development', 'account', 'revenue', 'client', 'customer'],
-            'finance': ['finance', 'financial', 'investment', 'banking', 'accounting', 'analyst'],
-            'healthcare': ['healthcare', 'medical', 'doctor', 'nurse', 'physician', 'hospital', 'clinic'],
-            'education': ['education', 'teacher', 'professor', 'academic', 'university', 'school'],
-            'consulting': ['consulting', 'consultant', 'advisory', 'strategy', 'management']
-        };
+    updateNoteCount(control, text) {
+        const count = control.querySelector('.linkedin-assistant-note-count');
+        count.textContent = `${text.length}/${NOTE_CHARACTER_LIMIT}`;
+        count.classList.toggle('over-limit', text.length > NOTE_CHARACTER_LIMIT);
+    }
 
-        for (const [industry, keywords] of Object.entries(industries)) {
-            if (keywords.some(keyword => text.includes(keyword))) {
-                return industry;
+    /**
+     * Open the note box if needed, get a message for this profile and put it in the note
+     */
+    async handleInsertNote(dialog, control) {
+        const button = control.querySelector('.linkedin-assistant-note-button');
+        const status = control.querySelector('.linkedin-assistant-note-status');
+        button.disabled = true;
+        status.textContent = '';
+
+        try {
+            let textarea = dialog.querySelector(NOTE_TEXTAREA_SELECTOR);
+            if (!textarea) {
+                dialog.querySelector(ADD_NOTE_BUTTON_SELECTOR)?.click();
+                textarea = await this.waitForElement(NOTE_TEXTAREA_SELECTOR, 3000);
+            }
+            if (!textarea) {
+                throw new Error('Could not open the note box.');
             }
+
+            status.textContent = 'Writing note...';
+            const message = await this.getNoteForCurrentProfile();
+            this.fillTextarea(textarea, message);
+            await this.recordNoteInserted(this.pendingNote);
+
+            // LinkedIn may re-render the dialog when the note box opens
+            const currentControl = this.findInvitationDialog()?.querySelector('.linkedin-assistant-note-control') || control;
+            this.updateNoteCount(currentControl, textarea.value);
+            currentControl.querySelector('.linkedin-assistant-note-status').textContent =
+                message.length > NOTE_CHARACTER_LIMIT ? 'Too long for LinkedIn; shorten it before sending.' : '';
+        } catch (error) {
+            debugLog('Error inserting note:', error);
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
         }
-        
-        return 'professional';
+    }
+
+    /**
+     * The message selected in the popup for this profile, or a freshly generated one
+     */
+    async getNoteForCurrentProfile() {
+        const profileUrl = this.getCanonicalProfileUrl();
+        if (this.pendingNote && this.pendingNote.profileUrl === profileUrl) {
+            return this.pendingNote.message;
+        }
+
+        // The service worker writes it as the active persona
+        const response = await chrome.runtime.sendMessage(MessageProtocol.create('generateMessage', {
+            profileData: this.extractProfileData(),
+            variantCount: 1
+        }));
+        if (!response?.success) {
+            throw new Error(MessageProtocol.describeError(response, 'Could not generate a note.'));
+        }
+
+        this.pendingNote = { profileUrl, message: response.message, personaId: response.personaId, intentId: response.intentId, regenerations: 0 };
+        return response.message;
+    }
+
+    /**
+     * Count the note as accepted in the usage statistics; failures to record are only logged
+     */
+    async recordNoteInserted({ personaId = null, intentId = null, regenerations = 0 }) {
+        try {
+            await chrome.runtime.sendMessage(MessageProtocol.create('logActivity', {
+                type: 'messageInserted',
+                kind: 'connection',
+                personaId,
+                intentId,
+                regenerations
+            }));
+        } catch (error) {
+            debugLog('Could not record the inserted note:', error.message);
+        }
+    }
+
+    /**
+     * Set a textarea's value the way typing would, so LinkedIn's framework sees the change
+     */
+    fillTextarea(textarea, text) {
+        const valueSetter = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set;
+        textarea.focus();
+        valueSetter.call(textarea, text);
+        textarea.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+        textarea.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    waitForElement(selector, timeout) {
+        return new Promise(resolve => {
+            const existing = document.querySelector(selector);
+            if (existing) {
+                resolve(existing);
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                elementObserver.disconnect();
+                resolve(null);
+            }, timeout);
+            const elementObserver = new MutationObserver(() => {
+                const element = document.querySelector(selector);
+                if (element) {
+                    clearTimeout(timer);
+                    elementObserver.disconnect();
+                    resolve(element);
+                }
+            });
+            elementObserver.observe(document.documentElement, { childList: true, subtree: true });
+        });
+    }
+
+    firstText(selectors) {
+        for (const selector of selectors) {
+            const element = document.querySelector(selector);
+            if (element && element.textContent.trim()) {
+                return element.textContent.trim();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Best-scoring industry category id, or the generic one when nothing matched
+     */
+    extractIndustry() {
+        return this.classifyIndustries()[0]?.id || DEFAULT_INDUSTRY_ID;
+    }
+
+    /**
+     * Industry categories ranked by weighted keyword matches across the profile
+     * @param {object} [profile] - already extracted profile data; extracted from the page when omitted
+     * @returns {Array<{id: string, label: string, score: number, confidence: number}>}
+     */
+    classifyIndustries(profile = null) {
+        const headline = profile ? profile.headline : this.extractHeadline();
+        const about = profile ? profile.about : this.extractAbout();
+        const company = profile ? profile.company : this.extractCompany();
+        const positions = profile ? profile.positions : this.extractPositions();
+        const skills = profile ? profile.skills : this.extractSkills();
+
+        const experience = positions.length > 0
+            ? positions.map(position => [position.title, position.company, position.description].filter(Boolean).join('\n')).join('\n')
+            : company;
+
+        return IndustryClassifier.classify({ headline, experience, skills: skills.join('\n'), about }, this.industryTaxonomy);
     }
 }
 
@@ -242,45 +910,54 @@ function handleUrlChange() {
     }
 }
 
+// Pick up selector registries imported and industry categories edited on the options page
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SELECTOR_REGISTRY_STORAGE_KEY] && window.linkedinAssistant) {
+        window.linkedinAssistant.loadSelectorRegistry();
+    }
+    if (area === 'local' && changes[INDUSTRY_TAXONOMY_STORAGE_KEY] && window.linkedinAssistant) {
+        window.linkedinAssistant.loadIndustryTaxonomy();
+    }
+});
+
 // Monitor URL changes for LinkedIn SPA
 const observer = new MutationObserver(handleUrlChange);
 
-// Message listener with ping handling and robust error handling
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    debugLog('Message received:', request.action);
-
-    // Handle ping messages from background script
-    if (request.action === 'ping') {
-        sendResponse({ ready: isContentScriptReady });
-        return true;
+// Requests from the popup and service worker, answered according to messages.js
+const messageDispatcher = new MessageDispatcher('content', {
+    ping: async () => ({ success: true, ready: isContentScriptReady }),
+    getProfileData: async () => {
+        const result = window.linkedinAssistant.getProfileDataForMessage();
+        debugLog('Profile data request result:', result.success);
+        return result;
+    },
+    getConversation: async () => {
+        const result = window.linkedinAssistant.getConversationForReply();
+        debugLog('Conversation request result:', result.success);
+        return result;
+    },
+    setPendingNote: async ({ profileUrl, message, personaId, intentId, regenerations }) => {
+        // The popup shares the selected message so "Insert AI note" can use it without generating again
+        window.linkedinAssistant.pendingNote = { profileUrl, message, personaId, intentId, regenerations };
+        return { success: true };
+    },
+    insertReply: async ({ text }) => window.linkedinAssistant.insertIntoComposer(text),
+    settingsUpdated: async (data) => {
+        window.linkedinAssistant.settings = data;
+        return { success: true };
     }
+});
 
-    // Ensure content script is ready
-    if (!isContentScriptReady) {
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    debugLog('Message received:', request?.action);
+
+    // Ensure content script is ready before answering anything but a ping
+    if (request?.action !== 'ping' && !isContentScriptReady) {
         debugLog('Content script not ready, initializing...');
         initializeContentScript();
     }
 
-    // Handle other messages
-    if (!window.linkedinAssistant) {
-        debugLog('Assistant not initialized');
-        sendResponse({ success: false, error: 'Assistant not initialized' });
-        return true;
-    }
-
-    if (request.action === 'getProfileData') {
-        const result = window.linkedinAssistant.getProfileDataForMessage();
-        debugLog('Profile data request result:', result.success);
-        sendResponse(result);
-    } else if (request.action === 'settingsUpdated') {
-        window.linkedinAssistant.settings = request.data;
-        sendResponse({ success: true });
-    } else {
-        debugLog('Unknown action:', request.action);
-        sendResponse({ success: false, error: 'Unknown action' });
-    }
-    
-    return true; // Keep message channel open for async response
+    return messageDispatcher.dispatch(request, sender, sendResponse);
 });
 
 // Initialize when DOM is ready
@@ -0,0 +1,132 @@
+/**
+ * LinkedIn Connection Assistant - Headline Parser
+ * Reads the current title, current employer, former employers and seniority out of a
+ * free-form headline such as "Senior PM at Stripe | ex-Google, ex-Meta".
+ * Shared by the content script (parsing) and the prompt templates (seniority wording).
+ */
+
+// Seniority levels, with how the message should address someone at that level
+const SENIORITY_LEVELS = {
+    ic: {
+        label: 'individual contributor',
+        tone: 'Talk peer to peer about the craft and their day-to-day work.'
+    },
+    manager: {
+        label: 'manager',
+        tone: 'Be practical and relate to leading a team.'
+    },
+    director: {
+        label: 'director',
+        tone: 'Be concise and focus on outcomes in the area they own.'
+    },
+    executive: {
+        label: 'executive',
+        tone: 'Be very brief and respectful of their time; say why it matters to their organization.'
+    },
+    founder: {
+        label: 'founder',
+        tone: 'Be direct and relate to building their company.'
+    },
+    student: {
+        label: 'student',
+        tone: 'Be friendly and encouraging; do not assume they hire or buy.'
+    }
+};
+
+// Checked in order against the current title; a title matching none of them is an individual contributor
+const SENIORITY_RULES = [
+    { level: 'founder', pattern: /\b(?:co-?founder|founder|owner)\b/i },
+    { level: 'executive', pattern: /\b(?:ceo|cto|cfo|coo|cmo|cio|cpo|chief|president|vp|svp|evp|executive director|managing director|general manager|partner)\b/i },
+    { level: 'director', pattern: /\b(?:director|head of)\b/i },
+    // Product, project and account managers usually manage work, not people
+    { level: 'manager', pattern: /\b(?:(?<!\b(?:product|program|project|account|community|office|social media)\s)manager|supervisor|team lead|tech lead)\b/i },
+    { level: 'student', pattern: /\b(?:student|intern|undergraduate|mba candidate|phd candidate)\b/i }
+];
+
+// Splits a headline into its segments: "Title at Company | Topics • More"
+const HEADLINE_SEPARATOR = /\s*(?:\||•|·|;|\s[-–—]\s)\s*/;
+
+// "ex-Google", "Former PM at Meta", "previously @ Stripe"
+const FORMER_EMPLOYER_PATTERN = /^(?:ex(?:-|\s+)|former(?:ly)?\s+|previously\s+|prev\.?\s+)(.+)$/i;
+
+// "Senior PM at Stripe", "Designer @Figma"
+const ROLE_AT_PATTERN = /^(.+?)(?:\s+at\s+|\s*@\s*)(.+)$/i;
+
+// "Founder of Acme", "CEO, Acme"
+const ROLE_OF_PATTERN = /^(.*\b(?:co-?founder|founder|owner|ceo|cto|coo|cfo|president))(?:\s+of\s+|\s*,\s*)(.+)$/i;
+
+// A headline segment without "at" is only taken as the title when it is this short
+const TITLE_WORD_LIMIT = 6;
+
+class HeadlineParser {
+    /**
+     * @param {string} headline
+     * @returns {{title: string, employer: string, formerEmployers: string[], seniority: string}}
+     *   seniority is a key of SENIORITY_LEVELS, or '' when the headline names no role.
+     */
+    static parse(headline = '') {
+        const formerEmployers = [];
+        const current = [];
+
+        for (const segment of (headline || '').split(HEADLINE_SEPARATOR).filter(Boolean)) {
+            // "Senior PM at Stripe, ex-Google" holds the current role and a former employer
+            for (const part of segment.split(/\s*,\s*(?=(?:ex[-\s]|former|previously|prev\b))/i)) {
+                const former = part.match(FORMER_EMPLOYER_PATTERN);
+                if (former) {
+                    formerEmployers.push(...HeadlineParser.splitEmployers(former[1]));
+                } else {
+                    current.push(part.trim());
+                }
+            }
+        }
+
+        const { title, employer } = HeadlineParser.findRole(current);
+        return {
+            title,
+            employer,
+            formerEmployers: [...new Set(formerEmployers)],
+            seniority: HeadlineParser.seniorityOf(title)
+        };
+    }
+
+    /**
+     * The first segment that names a role, preferring "Title at Employer"
+     */
+    static findRole(segments) {
+        for (const pattern of [ROLE_AT_PATTERN, ROLE_OF_PATTERN]) {
+            for (const segment of segments) {
+                const match = segment.match(pattern);
+                if (match) {
+                    return { title: match[1].trim(), employer: HeadlineParser.cleanEmployer(match[2]) };
+                }
+            }
+        }
+
+        const [first = ''] = segments;
+        const isShort = first.split(/\s+/).length <= TITLE_WORD_LIMIT;
+        return { title: isShort ? first : '', employer: '' };
+    }
+
+    /**
+     * Former employers listed together: "Google, Meta", "Google / Meta", "Google and Meta".
+     * A former role keeps only its employer: "PM at Meta" → "Meta".
+     */
+    static splitEmployers(text) {
+        return text.split(/\s*[,/]\s*|\s+and\s+/i)
+            .map(part => part.replace(/^ex(?:-|\s+)/i, ''))
+            .map(part => HeadlineParser.cleanEmployer(part.match(ROLE_AT_PATTERN)?.[2] || part))
+            .filter(Boolean);
+    }
+
+    /**
+     * Drop what follows the employer name, e.g. "Stripe, building payments" → "Stripe"
+     */
+    static cleanEmployer(text) {
+        return text.split(/\s*,\s*/)[0].replace(/[\s.!]+$/, '').trim();
+    }
+
+    static seniorityOf(title) {
+        if (!title) return '';
+        return SENIORITY_RULES.find(rule => rule.pattern.test(title))?.level || 'ic';
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * LinkedIn Connection Assistant - Message History Store
+ * Opt-in record of generated messages in chrome.storage.local.
+ * Written by the background service worker, read by the history page.
+ */
+
+const HISTORY_STORAGE_KEY = 'messageHistory';
+const HISTORY_LIMIT = 1000;
+
+const HISTORY_CSV_COLUMNS = [
+    'createdAt', 'name', 'headline', 'company', 'profileUrl',
+    'persona', 'language', 'intent', 'template', 'provider', 'model', 'message'
+];
+
+// Spreadsheets run a cell starting with one of these as a formula. Names, headlines and
+// messages come from profiles other people write, so such cells are exported as text.
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class HistoryStore {
+    /**
+     * History is off until the user turns it on in the options page
+     */
+    static async isEnabled() {
+        const { settings } = await chrome.storage.sync.get('settings');
+        return !!settings?.history?.enabled;
+    }
+
+    /**
+     * All entries, newest first
+     */
+    static async getAll() {
+        const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+        return result[HISTORY_STORAGE_KEY] || [];
+    }
+
+    /**
+     * Add entries, dropping the oldest once the limit is reached
+     * @param {Array<object>} entries - Entries without id or createdAt.
+     * @returns {Promise<Array<object>>} The stored entries.
+     */
+    static async add(entries) {
+        const createdAt = new Date().toISOString();
+        const stored = entries.map((entry, index) => ({
+            id: `${Date.now().toString(36)}-${index}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt,
+            ...entry
+        }));
+
+        const history = await HistoryStore.getAll();
+        const updated = [...stored, ...history].slice(0, HISTORY_LIMIT);
+        await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: updated });
+        return stored;
+    }
+
+    static async remove(ids) {
+        const idSet = new Set(ids);
+        const history = await HistoryStore.getAll();
+        await chrome.storage.local.set({
+            [HISTORY_STORAGE_KEY]: history.filter(entry => !idSet.has(entry.id))
+        });
+    }
+
+    static async clear() {
+        await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+    }
+
+    /**
+     * Case-insensitive search across name, headline, company and message,
+     * optionally narrowed to one persona, intent or template
+     */
+    static filter(entries, { query = '', personaId = '', intentId = '', templateId = '' } = {}) {
+        const needle = query.trim().toLowerCase();
+        return entries.filter(entry => {
+            if (personaId && entry.personaId !== personaId) return false;
+            if (intentId && entry.intentId !== intentId) return false;
+            if (templateId && entry.templateId !== templateId) return false;
+            if (!needle) return true;
+            return [entry.name, entry.headline, entry.company, entry.message]
+                .some(field => (field || '').toLowerCase().includes(needle));
+        });
+    }
+
+    static toJson(entries) {
+        return JSON.stringify(entries, null, 2);
+    }
+
+    static toCsv(entries) {
+        const escape = (value) => {
+            let text = value === undefined || value === null ? '' : String(value);
+            if (CSV_FORMULA_PREFIX.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = entries.map(entry => HISTORY_CSV_COLUMNS.map(column => {
+            if (column === 'persona') return escape(entry.personaName || entry.personaId);
+            if (column === 'intent') return escape(entry.intentLabel || entry.intentId);
+            if (column === 'template') return escape(entry.templateName || entry.templateId);
+            return escape(entry[column]);
+        }).join(','));
+
+        return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * LinkedIn Connection Assistant - History Manager
+ * Lists, searches, exports and deletes locally stored generated messages
+ */
+
+// Debug logging
+const DEBUG = true;
+function debugLog(message, data = null) {
+    if (DEBUG) {
+        console.log(`[LinkedIn Assistant History] ${message}`, data || '');
+    }
+}
+
+class HistoryManager {
+    constructor() {
+        this.entries = [];
+        this.initializeElements();
+        this.attachEventListeners();
+        this.loadHistory();
+    }
+
+    initializeElements() {
+        this.searchInput = document.getElementById('searchInput');
+        this.personaFilter = document.getElementById('personaFilter');
+        this.intentFilter = document.getElementById('intentFilter');
+        this.templateFilter = document.getElementById('templateFilter');
+        this.historySummary = document.getElementById('historySummary');
+        this.exportCsvButton = document.getElementById('exportCsvButton');
+        this.exportJsonButton = document.getElementById('exportJsonButton');
+        this.clearHistoryButton = document.getElementById('clearHistoryButton');
+        this.historyList = document.getElementById('historyList');
+        this.optionsLink = document.getElementById('optionsLink');
+        this.statusMessage = document.getElementById('statusMessage');
+    }
+
+    attachEventListeners() {
+        this.searchInput.addEventListener('input', () => this.render());
+        this.personaFilter.addEventListener('change', () => this.render());
+        this.intentFilter.addEventListener('change', () => this.render());
+        this.templateFilter.addEventListener('change', () => this.render());
+        this.exportCsvButton.addEventListener('click', () => this.handleExport('csv'));
+        this.exportJsonButton.addEventListener('click', () => this.handleExport('json'));
+        this.clearHistoryButton.addEventListener('click', () => this.handleClear());
+        this.optionsLink.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+        // Pick up messages generated while the page is open
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[HISTORY_STORAGE_KEY]) {
+                this.loadHistory();
+            }
+        });
+    }
+
+    async loadHistory() {
+        try {
+            this.entries = await HistoryStore.getAll();
+            this.populateFilters();
+            this.render();
+
+            if (!await HistoryStore.isEnabled()) {
+                this.showStatus('History is turned off. Turn it on in the extension options to record new messages.', 'info');
+            }
+        } catch (error) {
+            debugLog('Error loading history:', error);
+            this.showStatus('Error loading history', 'error');
+        }
+    }
+
+    /**
+     * Offer every persona, intent and template that appears in the history, keeping the current choice
+     */
+    populateFilters() {
+        const personas = new Map();
+        const intents = new Map(Object.entries(INTENTS).map(([id, intent]) => [id, intent.label]));
+        const templates = new Map();
+        for (const entry of this.entries) {
+            if (entry.personaId) {
+                personas.set(entry.personaId, entry.personaName || entry.personaId);
+            }
+            if (entry.intentId && !intents.has(entry.intentId)) {
+                intents.set(entry.intentId, entry.intentLabel || entry.intentId);
+            }
+            if (entry.templateId) {
+                templates.set(entry.templateId, entry.templateName || entry.templateId);
+            }
+        }
+
+        this.fillSelect(this.personaFilter, 'All personas', personas);
+        this.fillSelect(this.intentFilter, 'All intents', intents);
+        this.fillSelect(this.templateFilter, 'All templates', templates);
+    }
+
+    fillSelect(select, allLabel, options) {
+        const selected = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(allLabel, ''));
+        for (const [value, label] of options) {
+            select.appendChild(new Option(label, value));
+        }
+        select.value = options.has(selected) ? selected : '';
+    }
+
+    filteredEntries() {
+        return HistoryStore.filter(this.entries, {
+            query: this.searchInput.value,
+            personaId: this.personaFilter.value,
+            intentId: this.intentFilter.value,
+            templateId: this.templateFilter.value
+        });
+    }
+
+    render() {
+        const entries = this.filteredEntries();
+        this.historySummary.textContent = entries.length === this.entries.length
+            ? `${this.entries.length} message(s)`
+            : `${entries.length} of ${this.entries.length} message(s)`;
+
+        this.historyList.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'form-hint';
+            empty.textContent = this.entries.length === 0 ? 'No messages recorded yet.' : 'No messages match these filters.';
+            this.historyList.appendChild(empty);
+            return;
+        }
+
+        for (const entry of entries) {
+            this.historyList.appendChild(this.renderEntry(entry));
+        }
+    }
+
+    renderEntry(entry) {
+        const card = document.createElement('div');
+        card.className = 'history-entry';
+
+        const header = document.createElement('div');
+        header.className = 'history-entry-header';
+
+        const name = document.createElement(entry.profileUrl ? 'a' : 'span');
+        name.className = 'history-entry-name';
+        name.textContent = entry.name || 'Unknown profile';
+        if (entry.profileUrl) {
+            name.href = entry.profileUrl;
+            name.target = '_blank';
+            name.rel = 'noopener';
+        }
+
+        const date = document.createElement('span');
+        date.className = 'history-entry-meta';
+        date.textContent = new Date(entry.createdAt).toLocaleString();
+
+        header.append(name, date);
+
+        const meta = document.createElement('div');
+        meta.className = 'history-entry-meta';
+        meta.textContent = [
+            entry.headline,
+            entry.personaName,
+            entry.intentLabel || entry.intentId,
+            entry.templateName || entry.templateId,
+            entry.model
+        ].filter(Boolean).join(' · ');
+
+        const message = document.createElement('p');
+        message.className = 'history-entry-message';
+        message.textContent = entry.message;
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'copy-button';
+        copyButton.textContent = 'Copy';
+        copyButton.addEventListener('click', () => this.handleCopy(entry, copyButton));
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'regenerate-button danger-button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => this.handleDelete(entry));
+
+        actions.append(copyButton, deleteButton);
+        card.append(header, meta, message, actions);
+        return card;
+    }
+
+    async handleCopy(entry, button) {
+        try {
+            await navigator.clipboard.writeText(entry.message);
+            button.textContent = 'Copied!';
+            setTimeout(() => {
+                button.textContent = 'Copy';
+            }, 2000);
+        } catch (error) {
+            debugLog('Error copying message:', error);
+            this.showStatus('Failed to copy message', 'error');
+        }
+    }
+
+    async handleDelete(entry) {
+        try {
+            await HistoryStore.remove([entry.id]);
+            this.entries = this.entries.filter(existing => existing.id !== entry.id);
+            this.render();
+        } catch (error) {
+            debugLog('Error deleting history entry:', error);
+            this.showStatus('Error deleting message', 'error');
+        }
+    }
+
+    async handleClear() {
+        if (!confirm('Delete all stored messages? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await HistoryStore.clear();
+            this.entries = [];
+            this.populateFilters();
+            this.render();
+            this.showStatus('History cleared.', 'success');
+        } catch (error) {
+            debugLog('Error clearing history:', error);
+            this.showStatus('Error clearing history', 'error');
+        }
+    }
+
+    /**
+     * Download the entries that match the current filters
+     */
+    handleExport(format) {
+        const entries = this.filteredEntries();
+        if (entries.length === 0) {
+            this.showStatus('Nothing to export.', 'warning');
+            return;
+        }
+
+        const content = format === 'csv' ? HistoryStore.toCsv(entries) : HistoryStore.toJson(entries);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        const url = URL.createObjectURL(new Blob([content], { type }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `linkedin-messages-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        this.showStatus(`Exported ${entries.length} message(s).`, 'success');
+    }
+
+    showStatus(message, type = 'info') {
+        this.statusMessage.textContent = message;
+        this.statusMessage.className = `status-message status-${type}`;
+        this.statusMessage.style.display = 'block';
+
+        debugLog(`Status (${type}):`, message);
+
+        // Auto-hide success messages
+        if (type === 'success') {
+            setTimeout(() => {
+                this.statusMessage.style.display = 'none';
+            }, 3000);
+        }
+    }
+}
+
+// Initialize history page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    debugLog('History DOM loaded, initializing...');
+
+    try {
+        window.historyManager = new HistoryManager();
+    } catch (error) {
+        debugLog('Error initializing history manager:', error);
+    }
+});
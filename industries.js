@@ -0,0 +1,243 @@
+/**
+ * LinkedIn Connection Assistant - Industry Classifier
+ * Scores a profile against every category of a weighted keyword taxonomy and ranks them.
+ * Shared by the content script (classification) and the options page (taxonomy editor).
+ *
+ * A taxonomy maps category ids to { label, keywords }, where keywords maps a word or phrase
+ * to its weight. Keywords match whole words only, case-insensitively, with an optional plural "s".
+ */
+
+const INDUSTRY_TAXONOMY_STORAGE_KEY = 'industryTaxonomy';
+
+// Reported when no category has any evidence
+const DEFAULT_INDUSTRY_ID = 'professional';
+
+// How much a keyword match counts in each part of the profile
+const INDUSTRY_SOURCE_WEIGHTS = {
+    headline: 3,
+    experience: 2,
+    skills: 1.5,
+    about: 1
+};
+
+// Repeats of one keyword in one source stop adding to the score after this many
+const INDUSTRY_MATCH_CAP = 3;
+
+// A ranking whose scores add up to less than this is reported with proportionally lower confidence
+const INDUSTRY_EVIDENCE_SCORE = 10;
+
+// Categories below this confidence are left out of the ranking
+const INDUSTRY_MIN_CONFIDENCE = 0.1;
+const INDUSTRY_RANKING_LIMIT = 3;
+
+const DEFAULT_INDUSTRY_TAXONOMY = {
+    tech: {
+        label: 'Technology',
+        keywords: {
+            software: 2, 'software engineer': 3, developer: 3, engineer: 1, engineering: 1, programming: 2,
+            coding: 2, javascript: 2, typescript: 2, python: 2, java: 2, rust: 2, react: 1, 'node.js': 2,
+            'distributed systems': 3, cloud: 1, 'machine learning': 2, 'data scientist': 3, saas: 2, tech: 1
+        }
+    },
+    devtools: {
+        label: 'Developer Tools',
+        keywords: {
+            'developer tools': 4, devtools: 4, 'developer experience': 3, 'developer relations': 3, devrel: 3,
+            devops: 2, 'ci/cd': 2, sdk: 2, api: 1, 'open source': 2, 'platform engineering': 2, observability: 2
+        }
+    },
+    marketing: {
+        label: 'Marketing',
+        keywords: {
+            marketing: 3, 'growth marketing': 3, 'digital marketing': 3, 'content marketing': 3, 'content strategy': 2,
+            'social media': 2, seo: 3, brand: 2, branding: 2, advertising: 2, 'demand generation': 3, copywriting: 2
+        }
+    },
+    sales: {
+        label: 'Sales',
+        keywords: {
+            sales: 3, 'account executive': 3, 'account manager': 3, 'business development': 3, 'sales development': 3,
+            'customer success': 2, revenue: 1, quota: 2, partnerships: 1
+        }
+    },
+    finance: {
+        label: 'Finance',
+        keywords: {
+            finance: 2, financial: 2, 'financial analyst': 3, accountant: 3, accounting: 3, cpa: 3, audit: 2,
+            investment: 2, 'investment banking': 3, banking: 2, 'private equity': 3, 'venture capital': 3, analyst: 1
+        }
+    },
+    fintech: {
+        label: 'Fintech',
+        keywords: {
+            fintech: 4, payments: 2, neobank: 3, 'digital banking': 3, crypto: 2, blockchain: 2, defi: 3,
+            insurtech: 3, regtech: 3, lending: 1
+        }
+    },
+    healthcare: {
+        label: 'Healthcare',
+        keywords: {
+            healthcare: 3, 'health care': 3, medical: 2, doctor: 3, nurse: 3, physician: 3, hospital: 2, clinic: 2,
+            clinical: 1, patient: 1, 'digital health': 3
+        }
+    },
+    biotech: {
+        label: 'Biotech',
+        keywords: {
+            biotech: 4, biotechnology: 4, 'life sciences': 3, pharma: 3, pharmaceutical: 3, 'drug discovery': 3,
+            'clinical trials': 3, genomics: 3, bioinformatics: 3, 'molecular biology': 3
+        }
+    },
+    education: {
+        label: 'Education',
+        keywords: {
+            education: 3, teacher: 3, professor: 3, lecturer: 3, academic: 2, university: 1, school: 1,
+            curriculum: 2, edtech: 3
+        }
+    },
+    consulting: {
+        label: 'Consulting',
+        keywords: {
+            consulting: 3, consultant: 3, 'management consulting': 4, advisory: 2, strategy: 1
+        }
+    },
+    government: {
+        label: 'Government',
+        keywords: {
+            government: 4, 'public sector': 4, 'public policy': 3, 'civil service': 4, ministry: 3, federal: 2,
+            municipal: 2, legislative: 3, policy: 1
+        }
+    }
+};
+
+class IndustryClassifier {
+    /**
+     * The taxonomy in effect: the user's edited copy, or the built-in one
+     */
+    static async load() {
+        const result = await chrome.storage.local.get(INDUSTRY_TAXONOMY_STORAGE_KEY);
+        return result[INDUSTRY_TAXONOMY_STORAGE_KEY] || DEFAULT_INDUSTRY_TAXONOMY;
+    }
+
+    /**
+     * Add or replace one category. The first edit copies the built-in taxonomy into storage.
+     * @param {object} category - { id?, label, keywords }, id is derived from the label when missing.
+     * @returns {Promise<object>} The saved category, with its id.
+     */
+    static async save({ id = null, label, keywords }) {
+        const current = await IndustryClassifier.load();
+        const category = {
+            id: id || IndustryClassifier.slugify(label || '') || `custom-${Date.now().toString(36)}`,
+            label: (label || '').trim(),
+            keywords
+        };
+        if (!id && current[category.id]) {
+            throw new Error(`A category named "${current[category.id].label}" already exists.`);
+        }
+        const taxonomy = { ...current, [category.id]: { label: category.label, keywords } };
+
+        IndustryClassifier.validate(taxonomy);
+        await chrome.storage.local.set({ [INDUSTRY_TAXONOMY_STORAGE_KEY]: taxonomy });
+        return category;
+    }
+
+    static async remove(id) {
+        const taxonomy = { ...(await IndustryClassifier.load()) };
+        delete taxonomy[id];
+        await chrome.storage.local.set({ [INDUSTRY_TAXONOMY_STORAGE_KEY]: taxonomy });
+    }
+
+    static async reset() {
+        await chrome.storage.local.remove(INDUSTRY_TAXONOMY_STORAGE_KEY);
+    }
+
+    /**
+     * Throws an Error describing the first problem found
+     */
+    static validate(taxonomy) {
+        for (const [id, category] of Object.entries(taxonomy)) {
+            if (!/^[a-z0-9][a-z0-9-]*$/.test(id) || id === DEFAULT_INDUSTRY_ID) {
+                throw new Error(`"${id}" cannot be used as a category id.`);
+            }
+            if (typeof category?.label !== 'string' || !category.label.trim()) {
+                throw new Error(`Category "${id}" needs a label.`);
+            }
+            const keywords = Object.entries(category.keywords || {});
+            if (keywords.length === 0) {
+                throw new Error(`Category "${category.label}" needs at least one keyword.`);
+            }
+            for (const [keyword, weight] of keywords) {
+                if (!keyword.trim() || !Number.isFinite(weight) || weight <= 0) {
+                    throw new Error(`Category "${category.label}": keyword "${keyword}" needs a positive weight.`);
+                }
+            }
+        }
+    }
+
+    static slugify(label = '') {
+        return label.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Parse the editor's "keyword: weight" lines; a line without a weight counts 1
+     * @returns {object} keyword → weight
+     */
+    static parseKeywords(text) {
+        const keywords = {};
+        for (const line of text.split('\n')) {
+            const match = line.match(/^\s*(.+?)\s*(?::\s*([^:]*?))?\s*$/);
+            if (!match || !match[1]) continue;
+
+            const weight = match[2] === undefined || match[2] === '' ? 1 : Number(match[2]);
+            if (!Number.isFinite(weight) || weight <= 0) {
+                throw new Error(`"${line.trim()}": the weight must be a positive number.`);
+            }
+            keywords[match[1].toLowerCase()] = weight;
+        }
+        return keywords;
+    }
+
+    static formatKeywords(keywords = {}) {
+        return Object.entries(keywords).map(([keyword, weight]) => `${keyword}: ${weight}`).join('\n');
+    }
+
+    /**
+     * Whole-word pattern for a keyword; whitespace inside a phrase matches any run of whitespace
+     */
+    static keywordPattern(keyword) {
+        const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const plural = /\p{L}$/u.test(keyword.trim()) ? 's?' : '';
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}${plural}(?![\\p{L}\\p{N}])`, 'giu');
+    }
+
+    /**
+     * Score every category against the profile text
+     * @param {object} sources - text per part of the profile: { headline, experience, skills, about }
+     * @param {object} [taxonomy]
+     * @returns {Array<{id: string, label: string, score: number, confidence: number}>}
+     *   Best match first; empty when nothing matched.
+     */
+    static classify(sources, taxonomy = DEFAULT_INDUSTRY_TAXONOMY) {
+        const scored = [];
+        for (const [id, category] of Object.entries(taxonomy)) {
+            let score = 0;
+            for (const [keyword, weight] of Object.entries(category.keywords || {})) {
+                const pattern = IndustryClassifier.keywordPattern(keyword);
+                for (const [source, sourceWeight] of Object.entries(INDUSTRY_SOURCE_WEIGHTS)) {
+                    const matches = (sources[source] || '').match(pattern)?.length || 0;
+                    score += weight * sourceWeight * Math.min(matches, INDUSTRY_MATCH_CAP);
+                }
+            }
+            if (score > 0) {
+                scored.push({ id, label: category.label, score });
+            }
+        }
+
+        const total = Math.max(scored.reduce((sum, entry) => sum + entry.score, 0), INDUSTRY_EVIDENCE_SCORE);
+        return scored
+            .map(entry => ({ ...entry, confidence: Math.round(entry.score / total * 100) / 100 }))
+            .filter(entry => entry.confidence >= INDUSTRY_MIN_CONFIDENCE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, INDUSTRY_RANKING_LIMIT);
+    }
+}
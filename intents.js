@@ -0,0 +1,84 @@
+/**
+ * LinkedIn Connection Assistant - Outreach Intents
+ * Why the sender is reaching out. Each intent supplies the goal rules given to the
+ * model, the closing lines it may pick from, and phrases it must never use.
+ * Shared by the popup (intent selector) and the background service worker.
+ */
+
+const DEFAULT_INTENT_ID = 'job-seeking';
+
+const INTENTS = {
+    'job-seeking': {
+        label: 'Job seeking',
+        goal: 'mention you are exploring new roles',
+        rules: [
+            'State you are currently exploring opportunities and open to hearing about relevant roles.',
+            'Offer to share your resume if helpful.'
+        ],
+        closings: ['Let me know.', 'Would be glad to connect.', 'Happy to connect if that works for you.'],
+        bannedPhrases: ['open to work', 'looking for a job', 'please hire me', 'any openings']
+    },
+    recruiting: {
+        label: 'Recruiting a candidate',
+        goal: 'mention a role on your team that fits their background',
+        rules: [
+            'Say you are hiring and name the kind of role in one short phrase, based on your own context.',
+            'Explain in one clause why their background looks like a fit.',
+            'Make it low-pressure: invite them to hear more, do not assume they are looking.'
+        ],
+        closings: ['Open to a quick chat?', 'Happy to share details if useful.', 'Would be great to connect.'],
+        bannedPhrases: ['rockstar', 'ninja', 'unicorn', 'perfect candidate', 'dream job', 'amazing opportunity']
+    },
+    sales: {
+        label: 'Pitching a product',
+        goal: 'hint at a problem your product solves for people in their role',
+        rules: [
+            'Name ONE problem common to their role or company that your product addresses, based on your own context.',
+            'Do not describe features or pricing; this is a first touch, not a pitch deck.',
+            'Ask to connect, not for a meeting or demo.'
+        ],
+        closings: ['Would be glad to connect.', 'Happy to connect if that works for you.', 'Curious to hear your take.'],
+        bannedPhrases: ['game-changer', 'revolutionary', 'quick call', '15 minutes', 'demo', 'synergy', 'limited time']
+    },
+    alumni: {
+        label: 'Reconnecting with an alumnus',
+        goal: 'mention the school or employer you share',
+        rules: [
+            'Mention the school or past employer you have in common, taken from your own context.',
+            'Keep it warm and peer-to-peer; refer to what they have done since.',
+            'Do not ask for a favour in the first message.'
+        ],
+        closings: ['Would be great to reconnect.', 'Good to be in touch again.', 'Let me know.'],
+        bannedPhrases: ['do me a favor', 'refer me', 'long time no see']
+    },
+    'event-follow-up': {
+        label: 'Following up after an event',
+        goal: 'reference the event where you met or both attended',
+        rules: [
+            'Reference the event you both attended, taken from your own context.',
+            'Recall ONE topic from the event or their role that is worth continuing.',
+            'Suggest staying in touch; keep it brief.'
+        ],
+        closings: ['Good to stay in touch.', 'Would be glad to connect.', 'Hope to cross paths again.'],
+        bannedPhrases: ['as per our conversation', 'circling back', 'touching base']
+    },
+    advice: {
+        label: 'Asking for advice',
+        goal: 'ask one specific question about their path',
+        rules: [
+            'Ask ONE specific, easy-to-answer question about their career path or field.',
+            'Say briefly why their experience is relevant to your question.',
+            'Make it clear there is no obligation to reply at length.'
+        ],
+        closings: ['Any pointers would be appreciated.', 'Thanks for considering it.', 'Would be glad to connect.'],
+        bannedPhrases: ['pick your brain', 'coffee chat', 'mentor me', 'hop on a call']
+    }
+};
+
+/**
+ * Look up an intent by id, falling back to the default intent
+ */
+function getIntent(intentId) {
+    const id = INTENTS[intentId] ? intentId : DEFAULT_INTENT_ID;
+    return { id, ...INTENTS[id] };
+}
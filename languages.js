@@ -0,0 +1,204 @@
+/**
+ * LinkedIn Connection Assistant - Message Languages
+ * The languages messages can be written in, with the localized greeting, closing lines and
+ * length guidance for each, and detection of a profile's language from its text and location.
+ * Shared by the popup (language selector) and the background service worker (generation).
+ */
+
+// Persona and popup value meaning "write in the profile's language"
+const AUTO_LANGUAGE_ID = 'auto';
+const DEFAULT_LANGUAGE_ID = 'en';
+
+// A profile location naming a place where a language is spoken counts as this many word matches
+const LANGUAGE_LOCATION_WEIGHT = 3;
+
+// Text with at least this many kana is Japanese, whatever else it contains
+const JAPANESE_KANA_THRESHOLD = 5;
+
+/**
+ * greeting(firstName, lastName) returns the exact opener from the first and last word of the name; both may be empty.
+ * closings maps an intent id to closing lines; intents not listed keep their English closings.
+ * lengthScale adjusts the message length ranges for scripts that say more per character.
+ * words and places are the evidence LanguageDetector looks for.
+ */
+const LANGUAGES = {
+    en: {
+        label: 'English',
+        instruction: 'Write in plain, natural English.',
+        greeting: firstName => `Hi ${firstName || 'there'},`,
+        lengthScale: 1,
+        closings: {},
+        words: ['the', 'and', 'with', 'for', 'of', 'to', 'my', 'our', 'we', 'is', 'are', 'you', 'at', 'this', 'that', 'helping', 'building'],
+        places: []
+    },
+    de: {
+        label: 'German',
+        instruction: 'Write in German. Address them formally with "Sie" unless the tone is friendly or casual, then use "du".',
+        greeting: firstName => firstName ? `Hallo ${firstName},` : 'Hallo,',
+        lengthScale: 1,
+        closings: {
+            'job-seeking': ['Ich würde mich über eine Vernetzung freuen.', 'Ich freue mich auf den Austausch.', 'Viele Grüße.'],
+            recruiting: ['Gerne erzähle ich mehr dazu.', 'Ich würde mich über eine Vernetzung freuen.', 'Ich freue mich auf den Austausch.'],
+            sales: ['Ich würde mich über eine Vernetzung freuen.', 'Ich bin gespannt auf den Austausch.', 'Viele Grüße.'],
+            alumni: ['Schön, wieder in Kontakt zu kommen.', 'Ich würde mich freuen, wieder voneinander zu hören.', 'Viele Grüße.'],
+            'event-follow-up': ['Gerne bleibe ich in Kontakt.', 'Ich würde mich über eine Vernetzung freuen.', 'Bis zum nächsten Mal.'],
+            advice: ['Für jeden Hinweis wäre ich dankbar.', 'Vielen Dank vorab.', 'Ich würde mich über eine Vernetzung freuen.']
+        },
+        words: ['und', 'der', 'die', 'das', 'mit', 'für', 'ich', 'wir', 'bei', 'ist', 'sind', 'nicht', 'auch', 'von', 'zu', 'im', 'eine', 'den', 'dem'],
+        places: [
+            'germany', 'deutschland', 'austria', 'österreich', 'switzerland', 'schweiz', 'berlin', 'munich', 'münchen',
+            'hamburg', 'frankfurt', 'cologne', 'köln', 'stuttgart', 'düsseldorf', 'vienna', 'wien', 'zurich', 'zürich', 'graz', 'bern', 'basel'
+        ]
+    },
+    es: {
+        label: 'Spanish',
+        instruction: 'Write in neutral Latin American Spanish, addressing them as "tú" unless the tone is professional, then "usted".',
+        greeting: firstName => firstName ? `Hola ${firstName},` : 'Hola,',
+        lengthScale: 1,
+        closings: {
+            'job-seeking': ['Quedo a disposición.', 'Me encantaría conectar.', 'Con gusto conectamos si te parece bien.'],
+            recruiting: ['¿Te interesaría una breve conversación?', 'Con gusto te comparto más detalles.', 'Sería genial conectar.'],
+            sales: ['Me encantaría conectar.', 'Me interesa conocer tu opinión.', 'Con gusto conectamos si te parece bien.'],
+            alumni: ['Sería genial volver a estar en contacto.', 'Qué gusto reconectar.', 'Quedo a disposición.'],
+            'event-follow-up': ['Sigamos en contacto.', 'Me encantaría conectar.', 'Espero que volvamos a coincidir.'],
+            advice: ['Cualquier consejo será bienvenido.', 'Gracias de antemano.', 'Me encantaría conectar.']
+        },
+        words: ['y', 'el', 'los', 'las', 'con', 'para', 'que', 'por', 'una', 'mi', 'es', 'del', 'al', 'soy', 'como', 'más', 'experiencia'],
+        places: [
+            'mexico', 'méxico', 'argentina', 'colombia', 'chile', 'peru', 'perú', 'uruguay', 'ecuador', 'venezuela', 'bolivia',
+            'paraguay', 'costa rica', 'panama', 'panamá', 'guatemala', 'spain', 'españa', 'madrid', 'barcelona', 'bogotá', 'bogota',
+            'buenos aires', 'santiago', 'lima', 'monterrey', 'guadalajara', 'medellín', 'medellin'
+        ]
+    },
+    pt: {
+        label: 'Portuguese',
+        instruction: 'Write in Brazilian Portuguese, addressing them as "você".',
+        greeting: firstName => firstName ? `Olá ${firstName},` : 'Olá,',
+        lengthScale: 1,
+        closings: {
+            'job-seeking': ['Fico à disposição.', 'Seria ótimo nos conectarmos.', 'Fico feliz em conectar, se fizer sentido para você.'],
+            recruiting: ['Topa uma conversa rápida?', 'Posso compartilhar mais detalhes, se quiser.', 'Seria ótimo nos conectarmos.'],
+            sales: ['Seria ótimo nos conectarmos.', 'Gostaria de ouvir sua opinião.', 'Fico à disposição.'],
+            alumni: ['Seria ótimo retomar o contato.', 'Bom estar em contato de novo.', 'Fico à disposição.'],
+            'event-follow-up': ['Vamos manter contato.', 'Seria ótimo nos conectarmos.', 'Espero nos encontrarmos de novo.'],
+            advice: ['Qualquer dica será bem-vinda.', 'Agradeço desde já.', 'Seria ótimo nos conectarmos.']
+        },
+        words: ['e', 'o', 'os', 'com', 'para', 'que', 'uma', 'um', 'meu', 'minha', 'é', 'do', 'da', 'dos', 'das', 'na', 'no', 'sou', 'não', 'em'],
+        places: [
+            'brazil', 'brasil', 'portugal', 'são paulo', 'sao paulo', 'rio de janeiro', 'belo horizonte', 'curitiba',
+            'porto alegre', 'brasília', 'brasilia', 'recife', 'lisbon', 'lisboa', 'porto'
+        ]
+    },
+    fr: {
+        label: 'French',
+        instruction: 'Write in French, addressing them as "vous".',
+        greeting: firstName => firstName ? `Bonjour ${firstName},` : 'Bonjour,',
+        lengthScale: 1,
+        closings: {
+            'job-seeking': ['Au plaisir d\'échanger.', 'Ce serait un plaisir de se connecter.', 'N\'hésitez pas à me faire signe.'],
+            recruiting: ['Un court échange vous tenterait-il ?', 'Je peux vous en dire plus si cela vous intéresse.', 'Au plaisir d\'échanger.'],
+            sales: ['Ce serait un plaisir de se connecter.', 'Votre avis m\'intéresse.', 'Au plaisir d\'échanger.'],
+            alumni: ['Au plaisir de reprendre contact.', 'Au plaisir d\'échanger à nouveau.', 'Bien à vous.'],
+            'event-follow-up': ['Restons en contact.', 'Au plaisir de vous recroiser.', 'Ce serait un plaisir de se connecter.'],
+            advice: ['Tout conseil serait le bienvenu.', 'Merci d\'avance.', 'Au plaisir d\'échanger.']
+        },
+        words: ['et', 'le', 'les', 'avec', 'pour', 'des', 'du', 'une', 'je', 'nous', 'est', 'sont', 'dans', 'sur', 'au', 'aux', 'chez'],
+        places: [
+            'france', 'paris', 'lyon', 'marseille', 'toulouse', 'bordeaux', 'lille', 'nantes', 'geneva', 'genève',
+            'lausanne', 'montreal', 'montréal', 'quebec', 'québec', 'belgique', 'bruxelles'
+        ]
+    },
+    ja: {
+        label: 'Japanese',
+        instruction: 'Write in natural business Japanese (です/ます form). Each Japanese character, including punctuation, counts as one character.',
+        // Addressed by family name, which names written in Japanese put first and romanized ones usually last
+        greeting: (firstName, lastName) => {
+            if (!firstName) return 'はじめまして。';
+            const writtenInJapanese = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(firstName);
+            return `${writtenInJapanese ? firstName : lastName || firstName}様`;
+        },
+        // Japanese says in one character what English needs several for; notes of the English length read as long-winded
+        lengthScale: 0.5,
+        closings: {
+            'job-seeking': ['どうぞよろしくお願いいたします。', 'つながっていただけると嬉しいです。', 'お気軽にご連絡ください。'],
+            recruiting: ['少しお話しできれば幸いです。', 'ご興味があれば詳細をお伝えします。', 'どうぞよろしくお願いいたします。'],
+            sales: ['つながっていただけると嬉しいです。', 'ご意見をお聞かせいただければ幸いです。', 'どうぞよろしくお願いいたします。'],
+            alumni: ['また交流できれば嬉しいです。', '今後ともよろしくお願いいたします。', 'お気軽にご連絡ください。'],
+            'event-follow-up': ['今後ともよろしくお願いいたします。', 'またどこかでお会いできれば幸いです。', 'つながっていただけると嬉しいです。'],
+            advice: ['アドバイスをいただけると大変ありがたいです。', 'どうぞよろしくお願いいたします。', 'つながっていただけると嬉しいです。']
+        },
+        words: [],
+        places: [
+            'japan', '日本', 'tokyo', '東京', 'osaka', '大阪', 'kyoto', '京都', 'yokohama', '横浜', 'nagoya', '名古屋',
+            'fukuoka', '福岡', 'sapporo', '札幌'
+        ]
+    }
+};
+
+/**
+ * Look up a language by id, falling back to the default language
+ */
+function getLanguage(languageId) {
+    const id = LANGUAGES[languageId] ? languageId : DEFAULT_LANGUAGE_ID;
+    return { id, ...LANGUAGES[id] };
+}
+
+class LanguageDetector {
+    /**
+     * Guess the language a profile is written in
+     * @param {object} profileData - Extracted profile; the headline, About, positions, skills
+     *   and recent posts are read as text, the location as a hint.
+     * @returns {{language: string, confidence: number}} language is a key of LANGUAGES;
+     *   confidence is 0 when there was no evidence and the default was used.
+     */
+    static detect(profileData = {}) {
+        const text = LanguageDetector.profileText(profileData);
+
+        const kana = text.match(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu)?.length || 0;
+        if (kana >= JAPANESE_KANA_THRESHOLD) {
+            return { language: 'ja', confidence: 1 };
+        }
+
+        const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+        const location = (profileData.location || '').toLowerCase();
+        const scores = Object.entries(LANGUAGES).map(([id, language]) => {
+            const vocabulary = new Set(language.words);
+            let score = words.filter(word => vocabulary.has(word)).length;
+            if (language.places.some(place => LanguageDetector.placePattern(place).test(location))) {
+                score += LANGUAGE_LOCATION_WEIGHT;
+            }
+            return { id, score };
+        }).sort((a, b) => b.score - a.score);
+
+        const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+        if (total === 0) {
+            return { language: DEFAULT_LANGUAGE_ID, confidence: 0 };
+        }
+        return { language: scores[0].id, confidence: Math.round(scores[0].score / total * 100) / 100 };
+    }
+
+    /**
+     * The language to write in: the chosen one, or the profile's when the choice is automatic
+     */
+    static resolve(languageId, profileData) {
+        const id = !languageId || languageId === AUTO_LANGUAGE_ID ? LanguageDetector.detect(profileData).language : languageId;
+        return getLanguage(id);
+    }
+
+    static profileText(profileData) {
+        return [
+            profileData.headline,
+            profileData.about,
+            ...(profileData.positions || []).flatMap(position => [position.title, position.description]),
+            ...(profileData.skills || []),
+            ...(profileData.activity || [])
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Whole-word pattern for a place name, so "Lima" does not match "Limassol"
+     */
+    static placePattern(place) {
+        return new RegExp(`(?<![\\p{L}\\p{N}])${place.replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'u');
+    }
+}
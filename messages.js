@@ -0,0 +1,259 @@
+/**
+ * LinkedIn Connection Assistant - Message Protocol
+ * The messages the popup, content script and service worker exchange: which context handles
+ * each action, the shape of its data, and the error codes responses can carry.
+ * Shared by every context; each receiving context answers through one MessageDispatcher.
+ *
+ * Requests are { action, version, data }. Responses are { success: true, ... } or
+ * { success: false, code, error }, where code is a key of MESSAGE_ERRORS.
+ */
+
+// Bump when a request or response changes shape, so mismatched contexts fail loudly instead of guessing
+const PROTOCOL_VERSION = 1;
+
+// Port the popup opens for streamed generation; its 'start' message carries generateMessage data
+const GENERATE_STREAM_PORT = 'generate-stream';
+
+/**
+ * Every action, the context that handles it, and its data fields: { type, required }.
+ * Types are 'string', 'number', 'boolean', 'object' and 'array'. Actions marked open accept any fields.
+ */
+const MESSAGE_SCHEMAS = {
+    // Handled by the service worker
+    generateMessage: {
+        target: 'background',
+        data: {
+            profileData: { type: 'object', required: true },
+            // Context, role, signature, template, intent and language default to the persona's (the active one without personaId)
+            personaId: { type: 'string' },
+            userContext: { type: 'string' },
+            userRole: { type: 'string' },
+            signature: { type: 'string' },
+            language: { type: 'string' },
+            templateId: { type: 'string' },
+            intentId: { type: 'string' },
+            variantCount: { type: 'number' },
+            // Recorded as a regeneration in the usage statistics; also skips the response cache
+            regenerate: { type: 'boolean' },
+            // Only look in the response cache, never call the provider
+            cachedOnly: { type: 'boolean' }
+        }
+    },
+    generateReply: {
+        target: 'background',
+        data: {
+            conversation: { type: 'object', required: true },
+            regenerate: { type: 'boolean' }
+        }
+    },
+    getSettings: { target: 'background', data: {} },
+    // Work through the batch queue in BatchStore, or pause it
+    startBatch: { target: 'background', data: {} },
+    stopBatch: { target: 'background', data: {} },
+    saveSettings: { target: 'background', open: true, data: {} },
+    listModels: {
+        target: 'background',
+        data: {
+            llm: { type: 'object' },
+            apiKey: { type: 'string' }
+        }
+    },
+    // What the user did with a message, for the usage statistics; type is a key of ACTIVITY_TYPES
+    logActivity: {
+        target: 'background',
+        data: {
+            type: { type: 'string', required: true },
+            kind: { type: 'string' },
+            personaId: { type: 'string' },
+            intentId: { type: 'string' },
+            regenerations: { type: 'number' }
+        }
+    },
+
+    // Handled by the content script in a LinkedIn tab
+    ping: { target: 'content', data: {} },
+    getProfileData: { target: 'content', data: {} },
+    getConversation: { target: 'content', data: {} },
+    setPendingNote: {
+        target: 'content',
+        data: {
+            profileUrl: { type: 'string', required: true },
+            message: { type: 'string', required: true },
+            // Reported with the insert in the usage statistics
+            personaId: { type: 'string' },
+            intentId: { type: 'string' },
+            regenerations: { type: 'number' }
+        }
+    },
+    insertReply: {
+        target: 'content',
+        data: {
+            text: { type: 'string', required: true }
+        }
+    },
+    settingsUpdated: { target: 'content', open: true, data: {} }
+};
+
+// Stable error codes, with the text shown when a response does not carry a more specific one
+const MESSAGE_ERRORS = {
+    UNKNOWN_ACTION: 'The extension received a request it does not understand. Reload the extension.',
+    INVALID_PAYLOAD: 'The request was missing required information.',
+    VERSION_MISMATCH: 'The extension was updated. Refresh the LinkedIn page and reopen the popup.',
+    NO_RECEIVER: 'Could not reach the extension background. Reload the extension and reopen this popup.',
+    TAB_UNAVAILABLE: 'Could not access the LinkedIn tab. Make sure it is still open.',
+    INJECTION_FAILED: 'Could not connect to the LinkedIn page. Please refresh the page and try again.',
+    NOT_PROFILE_PAGE: 'Open a LinkedIn profile page and wait for it to finish loading.',
+    NOT_MESSAGING_PAGE: 'Open a LinkedIn conversation to draft a reply.',
+    EMPTY_CONVERSATION: 'Open a conversation to draft a reply.',
+    MISSING_CONTEXT: 'Add your context and role in the extension popup first.',
+    EXTRACTION_FAILED: 'Could not read this page. LinkedIn may have changed its layout.',
+    COMPOSER_NOT_FOUND: 'Could not find the message box. Open the conversation first.',
+    NO_API_KEY: 'No API key configured. Open the extension options to add an API key for the selected provider.',
+    API_KEY_LOCKED: 'Your API key is encrypted and locked. Open the extension options and unlock it with your passphrase.',
+    UNKNOWN_PROVIDER: 'Unknown provider. Please check the extension options.',
+    PROVIDER_ERROR: 'The AI provider returned an error.',
+    RATE_LIMITED: 'Too many requests. Wait a minute and try again.',
+    DAILY_LIMIT_REACHED: 'The daily limit of API calls is used up. Raise it in the extension options or try again tomorrow.',
+    PROVIDER_BUSY: 'The AI provider is overloaded right now. Try again in a few minutes.',
+    CANCELLED: 'Generation cancelled.',
+    NOT_CACHED: 'No cached message for this profile yet.',
+    INTERNAL_ERROR: 'An unexpected error occurred.'
+};
+
+// Limits being hit rather than something going wrong; the popup shows them as warnings
+const QUOTA_ERROR_CODES = ['RATE_LIMITED', 'DAILY_LIMIT_REACHED'];
+
+class MessageProtocol {
+    /**
+     * Build a request for an action
+     */
+    static create(action, data = {}) {
+        return { action, version: PROTOCOL_VERSION, data };
+    }
+
+    /**
+     * A failure response. Extra fields (e.g. an HTTP status) are passed through.
+     */
+    static error(code, message = MESSAGE_ERRORS[code], extra = {}) {
+        return { success: false, code, error: message || MESSAGE_ERRORS.INTERNAL_ERROR, ...extra };
+    }
+
+    /**
+     * Check a request against its schema
+     * @param {object} request - { action, version, data }
+     * @param {string} [action] - validate the data against this action instead, e.g. for port messages
+     * @returns {object|null} A failure response, or null when the request is valid.
+     */
+    static validate(request, action = request?.action) {
+        const schema = MESSAGE_SCHEMAS[action];
+        if (!schema) {
+            return MessageProtocol.error('UNKNOWN_ACTION', `Unknown action "${action}".`);
+        }
+        if (request.version !== PROTOCOL_VERSION) {
+            return MessageProtocol.error('VERSION_MISMATCH', undefined, { expected: PROTOCOL_VERSION, received: request.version ?? null });
+        }
+
+        const data = request.data ?? {};
+        if (MessageProtocol.typeOf(data) !== 'object') {
+            return MessageProtocol.error('INVALID_PAYLOAD', `${action}: data must be an object.`);
+        }
+
+        for (const [field, spec] of Object.entries(schema.data)) {
+            if (data[field] === undefined || data[field] === null) {
+                if (spec.required) {
+                    return MessageProtocol.error('INVALID_PAYLOAD', `${action}: ${field} is required.`);
+                }
+                continue;
+            }
+            if (MessageProtocol.typeOf(data[field]) !== spec.type) {
+                return MessageProtocol.error('INVALID_PAYLOAD', `${action}: ${field} must be of type ${spec.type}.`);
+            }
+        }
+
+        if (!schema.open) {
+            const unexpected = Object.keys(data).find(field => !(field in schema.data));
+            if (unexpected) {
+                return MessageProtocol.error('INVALID_PAYLOAD', `${action}: unexpected field ${unexpected}.`);
+            }
+        }
+
+        return null;
+    }
+
+    static typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        return value === null ? 'null' : typeof value;
+    }
+
+    /**
+     * The actions a context handles
+     */
+    static actionsFor(target) {
+        return Object.keys(MESSAGE_SCHEMAS).filter(action => MESSAGE_SCHEMAS[action].target === target);
+    }
+
+    /**
+     * Text to show the user for a failed (or missing) response
+     */
+    static describeError(response, fallback = MESSAGE_ERRORS.INTERNAL_ERROR) {
+        if (!response) {
+            return MESSAGE_ERRORS.NO_RECEIVER;
+        }
+
+        if (response.code === 'PROVIDER_ERROR') {
+            if (response.status === 401 || response.status === 403) {
+                return `${response.error} Check the API key in the extension options.`;
+            }
+            if (response.status === 429) {
+                return `${response.error} The provider is limiting requests; wait a minute and try again.`;
+            }
+        }
+
+        return response.error || MESSAGE_ERRORS[response.code] || fallback;
+    }
+}
+
+/**
+ * Answers the requests addressed to one context. Every action the schema assigns to the
+ * context must have a handler; requests for other contexts are left to them.
+ */
+class MessageDispatcher {
+    /**
+     * @param {string} target - 'background' or 'content'
+     * @param {object} handlers - action → async (data, sender) => response
+     */
+    constructor(target, handlers) {
+        const expected = MessageProtocol.actionsFor(target);
+        const missing = expected.filter(action => typeof handlers[action] !== 'function');
+        const unknown = Object.keys(handlers).filter(action => !expected.includes(action));
+        if (missing.length || unknown.length) {
+            throw new Error(`${target} message handlers do not match the protocol (missing: ${missing.join(', ') || 'none'}, unknown: ${unknown.join(', ') || 'none'})`);
+        }
+
+        this.target = target;
+        this.handlers = handlers;
+    }
+
+    /**
+     * chrome.runtime.onMessage listener. Returns true only when it will answer,
+     * so requests for another context never hold the channel open.
+     */
+    dispatch(request, sender, sendResponse) {
+        const schema = MESSAGE_SCHEMAS[request?.action];
+        if (schema && schema.target !== this.target) {
+            return false;
+        }
+
+        const problem = MessageProtocol.validate(request);
+        if (problem) {
+            sendResponse(problem);
+            return false;
+        }
+
+        Promise.resolve()
+            .then(() => this.handlers[request.action](request.data ?? {}, sender))
+            .then(response => sendResponse(response ?? { success: true }))
+            .catch(error => sendResponse(MessageProtocol.error('INTERNAL_ERROR', error.message)));
+        return true;
+    }
+}
@@ -0,0 +1,631 @@
+/**
+ * LinkedIn Connection Assistant - Options Manager
+ * Handles provider selection and API key entry, verification, encryption, rotation and revocation,
+ * message check and history settings, the profile selector registry and the industry categories
+ */
+
+// Debug logging
+const DEBUG = true;
+function debugLog(message, data = null) {
+    if (DEBUG) {
+        console.log(`[LinkedIn Assistant Options] ${message}`, data || '');
+    }
+}
+
+class OptionsManager {
+    constructor() {
+        this.initializeElements();
+        this.populateProviders();
+        this.attachEventListeners();
+        this.loadProviderSettings();
+    }
+
+    initializeElements() {
+        this.providerForm = document.getElementById('providerForm');
+        this.providerSelect = document.getElementById('providerSelect');
+        this.endpointGroup = document.getElementById('endpointGroup');
+        this.endpointInput = document.getElementById('endpointInput');
+        this.endpointHint = document.getElementById('endpointHint');
+        this.modelInput = document.getElementById('modelInput');
+        this.modelOptions = document.getElementById('modelOptions');
+        this.loadModelsButton = document.getElementById('loadModelsButton');
+        this.temperatureInput = document.getElementById('temperatureInput');
+        this.topPInput = document.getElementById('topPInput');
+        this.topKInput = document.getElementById('topKInput');
+        this.maxTokensInput = document.getElementById('maxTokensInput');
+        this.validationForm = document.getElementById('validationForm');
+        this.maxAttemptsInput = document.getElementById('maxAttemptsInput');
+        this.rateLimitForm = document.getElementById('rateLimitForm');
+        this.perMinuteInput = document.getElementById('perMinuteInput');
+        this.perDayInput = document.getElementById('perDayInput');
+        this.quotaUsage = document.getElementById('quotaUsage');
+        this.historyForm = document.getElementById('historyForm');
+        this.historyEnabledInput = document.getElementById('historyEnabledInput');
+        this.selectorStatus = document.getElementById('selectorStatus');
+        this.selectorFileInput = document.getElementById('selectorFileInput');
+        this.importSelectorsButton = document.getElementById('importSelectorsButton');
+        this.exportSelectorsButton = document.getElementById('exportSelectorsButton');
+        this.resetSelectorsButton = document.getElementById('resetSelectorsButton');
+        this.industryForm = document.getElementById('industryForm');
+        this.industrySelect = document.getElementById('industrySelect');
+        this.industryLabelInput = document.getElementById('industryLabelInput');
+        this.industryKeywordsInput = document.getElementById('industryKeywordsInput');
+        this.deleteIndustryButton = document.getElementById('deleteIndustryButton');
+        this.resetIndustriesButton = document.getElementById('resetIndustriesButton');
+        this.apiKeySection = document.getElementById('apiKeySection');
+        this.apiKeyTitle = document.getElementById('apiKeyTitle');
+        this.keyStatus = document.getElementById('keyStatus');
+        this.apiKeyForm = document.getElementById('apiKeyForm');
+        this.apiKeyInput = document.getElementById('apiKeyInput');
+        this.passphraseInput = document.getElementById('passphraseInput');
+        this.passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+        this.saveKeyButton = document.getElementById('saveKeyButton');
+        this.unlockForm = document.getElementById('unlockForm');
+        this.unlockPassphraseInput = document.getElementById('unlockPassphraseInput');
+        this.keyActions = document.getElementById('keyActions');
+        this.testKeyButton = document.getElementById('testKeyButton');
+        this.lockKeyButton = document.getElementById('lockKeyButton');
+        this.removeKeyButton = document.getElementById('removeKeyButton');
+        this.modelList = document.getElementById('modelList');
+        this.statusMessage = document.getElementById('statusMessage');
+        this.buttonText = this.saveKeyButton.querySelector('.button-text');
+        this.buttonLoader = this.saveKeyButton.querySelector('.button-loader');
+    }
+
+    populateProviders() {
+        for (const [id, entry] of Object.entries(PROVIDERS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = entry.providerClass.label;
+            this.providerSelect.appendChild(option);
+        }
+    }
+
+    attachEventListeners() {
+        this.providerForm.addEventListener('submit', (e) => this.handleSaveProvider(e));
+        this.providerSelect.addEventListener('change', () => this.handleProviderChange());
+        this.loadModelsButton.addEventListener('click', () => this.handleLoadModels());
+        this.validationForm.addEventListener('submit', (e) => this.handleSaveValidation(e));
+        this.rateLimitForm.addEventListener('submit', (e) => this.handleSaveRateLimits(e));
+        this.historyForm.addEventListener('submit', (e) => this.handleSaveHistory(e));
+        this.importSelectorsButton.addEventListener('click', () => this.selectorFileInput.click());
+        this.selectorFileInput.addEventListener('change', () => this.handleImportSelectors());
+        this.exportSelectorsButton.addEventListener('click', () => this.handleExportSelectors());
+        this.resetSelectorsButton.addEventListener('click', () => this.handleResetSelectors());
+        this.industrySelect.addEventListener('change', () => this.showIndustry());
+        this.industryForm.addEventListener('submit', (e) => this.handleSaveIndustry(e));
+        this.deleteIndustryButton.addEventListener('click', () => this.handleDeleteIndustry());
+        this.resetIndustriesButton.addEventListener('click', () => this.handleResetIndustries());
+        this.apiKeyForm.addEventListener('submit', (e) => this.handleSaveKey(e));
+        this.unlockForm.addEventListener('submit', (e) => this.handleUnlock(e));
+        this.testKeyButton.addEventListener('click', () => this.handleTestKey());
+        this.lockKeyButton.addEventListener('click', () => this.handleLock());
+        this.removeKeyButton.addEventListener('click', () => this.handleRemoveKey());
+    }
+
+    currentProvider() {
+        return this.providerSelect.value;
+    }
+
+    /**
+     * LLM settings as currently entered in the provider form
+     */
+    readProviderForm() {
+        return {
+            provider: this.currentProvider(),
+            endpoint: this.endpointInput.value.trim(),
+            model: this.modelInput.value.trim(),
+            temperature: parseFloat(this.temperatureInput.value),
+            topP: parseFloat(this.topPInput.value),
+            topK: parseInt(this.topKInput.value, 10),
+            maxOutputTokens: parseInt(this.maxTokensInput.value, 10)
+        };
+    }
+
+    async loadProviderSettings() {
+        try {
+            const { settings } = await chrome.storage.sync.get('settings');
+            const llm = { ...DEFAULT_LLM_SETTINGS, ...(settings?.llm || {}) };
+            const validation = { ...DEFAULT_VALIDATION_SETTINGS, ...(settings?.validation || {}) };
+
+            this.providerSelect.value = PROVIDERS[llm.provider] ? llm.provider : DEFAULT_LLM_SETTINGS.provider;
+            this.endpointInput.value = llm.endpoint;
+            this.modelInput.value = llm.model;
+            this.temperatureInput.value = llm.temperature;
+            this.topPInput.value = llm.topP;
+            this.topKInput.value = llm.topK;
+            this.maxTokensInput.value = llm.maxOutputTokens;
+            this.maxAttemptsInput.value = validation.maxAttempts;
+            const rateLimit = { ...DEFAULT_RATE_LIMIT_SETTINGS, ...(settings?.rateLimit || {}) };
+            this.perMinuteInput.value = rateLimit.perMinute;
+            this.perDayInput.value = rateLimit.perDay;
+            await this.showQuotaUsage(rateLimit);
+            this.historyEnabledInput.checked = !!settings?.history?.enabled;
+
+            this.updateProviderFields();
+        } catch (error) {
+            debugLog('Error loading provider settings:', error);
+            this.showStatus('Error loading provider settings', 'error');
+        }
+
+        await this.refreshSelectorStatus();
+        await this.loadIndustries();
+        await this.refreshKeyStatus();
+    }
+
+    updateProviderFields() {
+        const entry = PROVIDERS[this.currentProvider()];
+        const providerClass = entry.providerClass;
+
+        this.endpointGroup.style.display = providerClass.defaultEndpoint ? 'flex' : 'none';
+        this.endpointInput.placeholder = providerClass.defaultEndpoint;
+        this.endpointHint.textContent = `Leave empty to use ${providerClass.defaultEndpoint}`;
+        this.modelInput.placeholder = providerClass.defaultModel;
+        this.modelOptions.innerHTML = '';
+
+        this.apiKeySection.style.display = entry.usesApiKey ? 'block' : 'none';
+        this.apiKeyTitle.textContent = entry.requiresApiKey
+            ? `${providerClass.label} API Key`
+            : `${providerClass.label} API Key (optional)`;
+    }
+
+    async handleProviderChange() {
+        // Model names are provider specific, so start from the new provider's default
+        this.modelInput.value = '';
+        this.endpointInput.value = '';
+        this.modelList.style.display = 'none';
+        this.updateProviderFields();
+        await this.refreshKeyStatus();
+    }
+
+    async handleSaveProvider(event) {
+        event.preventDefault();
+
+        const llm = this.readProviderForm();
+        if ([llm.temperature, llm.topP, llm.topK, llm.maxOutputTokens].some(Number.isNaN)) {
+            this.showStatus('Please enter valid generation parameters.', 'error');
+            return;
+        }
+
+        try {
+            // Must run first: permission prompts need the click's user gesture
+            const granted = await this.requestEndpointPermission(llm);
+            if (!granted) {
+                this.showStatus('The extension needs permission to reach this endpoint.', 'error');
+                return;
+            }
+
+            const { settings } = await chrome.storage.sync.get('settings');
+            await chrome.storage.sync.set({ settings: { ...(settings || {}), llm } });
+            this.showStatus('Provider settings saved.', 'success');
+        } catch (error) {
+            debugLog('Error saving provider settings:', error);
+            this.showStatus(`Error saving provider settings: ${error.message}`, 'error');
+        }
+    }
+
+    async handleSaveValidation(event) {
+        event.preventDefault();
+
+        const maxAttempts = parseInt(this.maxAttemptsInput.value, 10);
+        if (Number.isNaN(maxAttempts) || maxAttempts < 1 || maxAttempts > 5) {
+            this.showStatus('Maximum attempts must be between 1 and 5.', 'error');
+            return;
+        }
+
+        try {
+            const { settings } = await chrome.storage.sync.get('settings');
+            await chrome.storage.sync.set({ settings: { ...(settings || {}), validation: { maxAttempts } } });
+            this.showStatus('Message check settings saved.', 'success');
+        } catch (error) {
+            debugLog('Error saving message check settings:', error);
+            this.showStatus('Error saving message check settings.', 'error');
+        }
+    }
+
+    async handleSaveRateLimits(event) {
+        event.preventDefault();
+
+        const rateLimit = {
+            perMinute: parseInt(this.perMinuteInput.value, 10),
+            perDay: parseInt(this.perDayInput.value, 10)
+        };
+        if (Object.values(rateLimit).some(limit => Number.isNaN(limit) || limit < 0)) {
+            this.showStatus('Rate limits must be 0 or more.', 'error');
+            return;
+        }
+
+        try {
+            const { settings } = await chrome.storage.sync.get('settings');
+            await chrome.storage.sync.set({ settings: { ...(settings || {}), rateLimit } });
+            await this.showQuotaUsage(rateLimit);
+            this.showStatus('Rate limits saved.', 'success');
+        } catch (error) {
+            debugLog('Error saving rate limits:', error);
+            this.showStatus('Error saving rate limits.', 'error');
+        }
+    }
+
+    async showQuotaUsage(limits) {
+        const { today, lastMinute } = await RequestScheduler.usage(limits);
+        this.quotaUsage.textContent = `Used so far: ${today} call(s) today, ${lastMinute} in the last minute.`;
+    }
+
+    async handleSaveHistory(event) {
+        event.preventDefault();
+
+        const enabled = this.historyEnabledInput.checked;
+        try {
+            const { settings } = await chrome.storage.sync.get('settings');
+            await chrome.storage.sync.set({ settings: { ...(settings || {}), history: { enabled } } });
+            this.showStatus(enabled ? 'Message history turned on.' : 'Message history turned off.', 'success');
+        } catch (error) {
+            debugLog('Error saving history setting:', error);
+            this.showStatus('Error saving history setting.', 'error');
+        }
+    }
+
+    async refreshSelectorStatus() {
+        try {
+            const registry = await SelectorRegistry.load();
+            const fieldCount = Object.keys(registry.fields).length;
+            this.selectorStatus.textContent = registry.source === 'imported'
+                ? `Imported selectors, version ${registry.version} (${fieldCount} fields, imported ${new Date(registry.importedAt).toLocaleString()}).`
+                : `Built-in selectors, version ${registry.version} (${fieldCount} fields).`;
+            this.selectorStatus.className = 'key-status key-status-ready';
+            this.resetSelectorsButton.disabled = registry.source !== 'imported';
+        } catch (error) {
+            debugLog('Error loading selector registry:', error);
+            this.selectorStatus.textContent = 'Could not load the selector registry.';
+            this.selectorStatus.className = 'key-status key-status-missing';
+        }
+    }
+
+    async handleImportSelectors() {
+        const [file] = this.selectorFileInput.files;
+        this.selectorFileInput.value = '';
+        if (!file) return;
+
+        try {
+            const registry = await SelectorRegistry.import(await file.text());
+            this.showStatus(`Selector registry version ${registry.version} imported.`, 'success');
+        } catch (error) {
+            debugLog('Error importing selector registry:', error);
+            this.showStatus(`Import failed: ${error.message}`, 'error');
+        }
+        await this.refreshSelectorStatus();
+    }
+
+    /**
+     * Download the registry in effect, as a starting point for edits
+     */
+    async handleExportSelectors() {
+        const { version, fields } = await SelectorRegistry.load();
+        const url = URL.createObjectURL(new Blob([JSON.stringify({ version, fields }, null, 2)], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `linkedin-assistant-selectors-v${version}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async handleResetSelectors() {
+        try {
+            await SelectorRegistry.reset();
+            this.showStatus('Using the built-in selectors again.', 'success');
+        } catch (error) {
+            debugLog('Error resetting selector registry:', error);
+            this.showStatus('Error resetting selectors.', 'error');
+        }
+        await this.refreshSelectorStatus();
+    }
+
+    /**
+     * Fill the category list and show the selected (or first) category
+     */
+    async loadIndustries(selectedId = this.industrySelect.value) {
+        try {
+            this.industryTaxonomy = await IndustryClassifier.load();
+        } catch (error) {
+            debugLog('Error loading industry categories:', error);
+            this.showStatus('Error loading industry categories', 'error');
+            return;
+        }
+
+        this.industrySelect.innerHTML = '';
+        for (const [id, category] of Object.entries(this.industryTaxonomy)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = category.label;
+            this.industrySelect.appendChild(option);
+        }
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = '+ New category';
+        this.industrySelect.appendChild(newOption);
+
+        this.industrySelect.value = selectedId in this.industryTaxonomy ? selectedId : this.industrySelect.options[0].value;
+        this.resetIndustriesButton.disabled = this.industryTaxonomy === DEFAULT_INDUSTRY_TAXONOMY;
+        this.showIndustry();
+    }
+
+    showIndustry() {
+        const category = this.industryTaxonomy[this.industrySelect.value];
+        this.industryLabelInput.value = category?.label || '';
+        this.industryKeywordsInput.value = IndustryClassifier.formatKeywords(category?.keywords);
+        this.deleteIndustryButton.disabled = !category;
+    }
+
+    async handleSaveIndustry(e) {
+        e.preventDefault();
+
+        try {
+            const saved = await IndustryClassifier.save({
+                id: this.industrySelect.value || null,
+                label: this.industryLabelInput.value,
+                keywords: IndustryClassifier.parseKeywords(this.industryKeywordsInput.value)
+            });
+            await this.loadIndustries(saved.id);
+            this.showStatus(`Category "${saved.label}" saved.`, 'success');
+        } catch (error) {
+            debugLog('Error saving industry category:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    async handleDeleteIndustry() {
+        const id = this.industrySelect.value;
+        const category = this.industryTaxonomy[id];
+        if (!category || !confirm(`Delete category "${category.label}"?`)) {
+            return;
+        }
+
+        try {
+            await IndustryClassifier.remove(id);
+            await this.loadIndustries();
+            this.showStatus('Category deleted.', 'success');
+        } catch (error) {
+            debugLog('Error deleting industry category:', error);
+            this.showStatus('Error deleting category.', 'error');
+        }
+    }
+
+    async handleResetIndustries() {
+        if (!confirm('Replace all industry categories with the built-in ones?')) {
+            return;
+        }
+
+        try {
+            await IndustryClassifier.reset();
+            await this.loadIndustries();
+            this.showStatus('Using the built-in industry categories again.', 'success');
+        } catch (error) {
+            debugLog('Error resetting industry categories:', error);
+            this.showStatus('Error resetting industry categories.', 'error');
+        }
+    }
+
+    /**
+     * Ask for host access to custom or local endpoints not covered by the manifest
+     */
+    async requestEndpointPermission(llm) {
+        const providerClass = PROVIDERS[llm.provider].providerClass;
+        const endpoint = llm.endpoint || providerClass.defaultEndpoint;
+        if (!endpoint) {
+            return true;
+        }
+
+        try {
+            const url = new URL(endpoint);
+            return await chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+        } catch (error) {
+            debugLog('Endpoint permission request failed:', error);
+            return false;
+        }
+    }
+
+    async handleLoadModels() {
+        const result = await this.validateKey();
+        if (result && result.success) {
+            this.modelOptions.innerHTML = '';
+            for (const model of result.models) {
+                const option = document.createElement('option');
+                option.value = model.name;
+                option.label = model.displayName;
+                this.modelOptions.appendChild(option);
+            }
+            this.renderModels(result.models);
+        } else {
+            this.showStatus(MessageProtocol.describeError(result, 'Could not load models for this provider.'), 'error');
+        }
+    }
+
+    async refreshKeyStatus() {
+        if (!PROVIDERS[this.currentProvider()].usesApiKey) {
+            return;
+        }
+
+        try {
+            const status = await ApiKeyStore.getStatus(this.currentProvider());
+
+            if (!status.configured) {
+                this.keyStatus.textContent = 'No API key stored. Add one below to start generating messages.';
+                this.keyStatus.className = 'key-status key-status-missing';
+            } else if (status.locked) {
+                this.keyStatus.textContent = 'An encrypted API key is stored but locked. Enter your passphrase to unlock it.';
+                this.keyStatus.className = 'key-status key-status-locked';
+            } else {
+                const savedOn = status.updatedAt ? new Date(status.updatedAt).toLocaleString() : 'unknown date';
+                const kind = status.encrypted ? 'Encrypted API key (unlocked)' : 'API key';
+                this.keyStatus.textContent = `${kind} stored on ${savedOn}.`;
+                this.keyStatus.className = 'key-status key-status-ready';
+            }
+
+            this.unlockForm.style.display = status.locked ? 'flex' : 'none';
+            this.keyActions.style.display = status.configured ? 'flex' : 'none';
+            this.testKeyButton.disabled = status.locked;
+            this.lockKeyButton.style.display = status.encrypted && !status.locked ? 'flex' : 'none';
+            this.buttonText.textContent = status.configured ? 'Verify & Replace Key' : 'Verify & Save Key';
+        } catch (error) {
+            debugLog('Error reading key status:', error);
+            this.showStatus('Could not read the stored API key.', 'error');
+        }
+    }
+
+    async handleSaveKey(event) {
+        event.preventDefault();
+
+        const apiKey = this.apiKeyInput.value.trim();
+        const passphrase = this.passphraseInput.value;
+
+        if (!apiKey) {
+            this.showStatus('Please enter an API key.', 'error');
+            return;
+        }
+
+        if (passphrase !== this.passphraseConfirmInput.value) {
+            this.showStatus('Passphrases do not match.', 'error');
+            return;
+        }
+
+        try {
+            this.setLoading(true);
+
+            // Only keep keys the API actually accepts
+            const result = await this.validateKey(apiKey);
+            if (!result || !result.success) {
+                this.showStatus(MessageProtocol.describeError(result, 'The API key could not be verified.'), 'error');
+                return;
+            }
+
+            await ApiKeyStore.save(apiKey, passphrase, this.currentProvider());
+
+            this.apiKeyInput.value = '';
+            this.passphraseInput.value = '';
+            this.passphraseConfirmInput.value = '';
+            this.renderModels(result.models);
+            this.showStatus(passphrase ? 'API key verified and saved (encrypted).' : 'API key verified and saved.', 'success');
+        } catch (error) {
+            debugLog('Error saving API key:', error);
+            this.showStatus(`Error saving API key: ${error.message}`, 'error');
+        } finally {
+            this.setLoading(false);
+            await this.refreshKeyStatus();
+        }
+    }
+
+    async handleUnlock(event) {
+        event.preventDefault();
+
+        try {
+            await ApiKeyStore.unlock(this.unlockPassphraseInput.value, this.currentProvider());
+            this.unlockPassphraseInput.value = '';
+            this.showStatus('API key unlocked for this browser session.', 'success');
+        } catch (error) {
+            debugLog('Error unlocking API key:', error);
+            this.showStatus(error.message, 'error');
+        } finally {
+            await this.refreshKeyStatus();
+        }
+    }
+
+    async handleTestKey() {
+        const result = await this.validateKey();
+        if (result && result.success) {
+            this.renderModels(result.models);
+            this.showStatus('Stored API key is valid.', 'success');
+        } else {
+            this.modelList.style.display = 'none';
+            this.showStatus(MessageProtocol.describeError(result, 'The stored API key could not be verified.'), 'error');
+        }
+    }
+
+    async handleLock() {
+        await ApiKeyStore.lock(this.currentProvider());
+        this.showStatus('API key locked. Unlock it again to generate messages.', 'info');
+        await this.refreshKeyStatus();
+    }
+
+    async handleRemoveKey() {
+        if (!confirm('Remove the stored API key from this browser?')) {
+            return;
+        }
+
+        try {
+            await ApiKeyStore.remove(this.currentProvider());
+            this.modelList.style.display = 'none';
+            this.showStatus('API key removed. To revoke it everywhere, also delete it in your provider\'s console.', 'info');
+        } catch (error) {
+            debugLog('Error removing API key:', error);
+            this.showStatus('Error removing API key.', 'error');
+        } finally {
+            await this.refreshKeyStatus();
+        }
+    }
+
+    /**
+     * Ask the background worker to check the provider settings with a key (or the stored key)
+     */
+    async validateKey(apiKey = null) {
+        try {
+            return await chrome.runtime.sendMessage(MessageProtocol.create('listModels',
+                apiKey ? { llm: this.readProviderForm(), apiKey } : { llm: this.readProviderForm() }));
+        } catch (error) {
+            debugLog('Background script communication error:', error);
+            return MessageProtocol.error('NO_RECEIVER');
+        }
+    }
+
+    renderModels(models = []) {
+        this.modelList.innerHTML = '';
+
+        const title = document.createElement('p');
+        title.className = 'form-label';
+        title.textContent = models.length
+            ? `Models available to this key (${models.length}):`
+            : 'No models that support text generation were found.';
+        this.modelList.appendChild(title);
+
+        const list = document.createElement('ul');
+        for (const model of models) {
+            const item = document.createElement('li');
+            item.textContent = `${model.displayName} (${model.name})`;
+            list.appendChild(item);
+        }
+        this.modelList.appendChild(list);
+        this.modelList.style.display = 'block';
+    }
+
+    setLoading(loading) {
+        this.buttonText.style.display = loading ? 'none' : 'inline';
+        this.buttonLoader.style.display = loading ? 'inline' : 'none';
+        this.saveKeyButton.disabled = loading;
+    }
+
+    showStatus(message, type = 'info') {
+        this.statusMessage.textContent = message;
+        this.statusMessage.className = `status-message status-${type}`;
+        this.statusMessage.style.display = 'block';
+
+        debugLog(`Status (${type}):`, message);
+
+        // Auto-hide success messages
+        if (type === 'success') {
+            setTimeout(() => {
+                this.statusMessage.style.display = 'none';
+            }, 3000);
+        }
+    }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    debugLog('Options DOM loaded, initializing...');
+
+    try {
+        window.optionsManager = new OptionsManager();
+    } catch (error) {
+        debugLog('Error initializing options manager:', error);
+    }
+});
@@ -0,0 +1,122 @@
+/**
+ * LinkedIn Connection Assistant - Sender Personas
+ * Named sender profiles (e.g. recruiting, personal networking, events), each with its own
+ * context, role, default intent, template and language, and signature line, kept in chrome.storage.sync.
+ * Shared by the popup (switching and editing) and the background service worker (generation).
+ * Requires languages.js to be loaded first.
+ */
+
+const PERSONAS_STORAGE_KEY = 'personas';
+const ACTIVE_PERSONA_STORAGE_KEY = 'activePersonaId';
+const DEFAULT_PERSONA_ID = 'default';
+
+class PersonaStore {
+    /**
+     * The persona built from the single context and role stored before personas existed.
+     * intentId and templateId are null when the defaults apply; the language follows each profile.
+     */
+    static fromLegacy(stored = {}) {
+        return {
+            id: DEFAULT_PERSONA_ID,
+            name: 'Default',
+            userContext: stored.userContext || '',
+            userRole: stored.userRole || '',
+            intentId: stored.intentId || null,
+            templateId: stored.templateId || null,
+            language: AUTO_LANGUAGE_ID,
+            signature: ''
+        };
+    }
+
+    /**
+     * All personas in the order they were created. Settings not yet migrated read as one default persona.
+     */
+    static async getAll() {
+        const stored = await chrome.storage.sync.get([PERSONAS_STORAGE_KEY, 'userContext', 'userRole', 'intentId', 'templateId']);
+        const personas = stored[PERSONAS_STORAGE_KEY];
+        return personas?.length ? personas : [PersonaStore.fromLegacy(stored)];
+    }
+
+    /**
+     * A persona by id, or the active one when the id is missing or unknown
+     */
+    static async get(id) {
+        const personas = await PersonaStore.getAll();
+        return personas.find(persona => persona.id === id) || PersonaStore.getActive(personas);
+    }
+
+    static async getActive(personas = null) {
+        const all = personas || await PersonaStore.getAll();
+        const { [ACTIVE_PERSONA_STORAGE_KEY]: activeId } = await chrome.storage.sync.get(ACTIVE_PERSONA_STORAGE_KEY);
+        return all.find(persona => persona.id === activeId) || all[0];
+    }
+
+    static async setActive(id) {
+        await chrome.storage.sync.set({ [ACTIVE_PERSONA_STORAGE_KEY]: id });
+    }
+
+    /**
+     * Create or update a persona
+     * @returns {Promise<object>} The saved persona.
+     */
+    static async save({
+        id = null,
+        name,
+        userContext = '',
+        userRole = '',
+        intentId = null,
+        templateId = null,
+        language = AUTO_LANGUAGE_ID,
+        signature = ''
+    }) {
+        const personas = await PersonaStore.getAll();
+        const persona = {
+            id: id || `persona-${Date.now().toString(36)}`,
+            name: (name || '').trim() || 'Untitled persona',
+            userContext: userContext.trim(),
+            userRole: userRole.trim(),
+            intentId,
+            templateId,
+            language,
+            signature: signature.trim()
+        };
+
+        const index = personas.findIndex(existing => existing.id === persona.id);
+        if (index >= 0) {
+            personas[index] = persona;
+        } else {
+            personas.push(persona);
+        }
+
+        await chrome.storage.sync.set({ [PERSONAS_STORAGE_KEY]: personas });
+        return persona;
+    }
+
+    /**
+     * Merge changes into a stored persona, e.g. a new default intent
+     */
+    static async update(id, changes) {
+        const persona = (await PersonaStore.getAll()).find(existing => existing.id === id);
+        if (!persona) {
+            throw new Error('That persona no longer exists.');
+        }
+        return PersonaStore.save({ ...persona, ...changes, id });
+    }
+
+    /**
+     * Delete a persona. The last one cannot be deleted; if the active one goes, the first remaining takes over.
+     */
+    static async remove(id) {
+        const personas = await PersonaStore.getAll();
+        const remaining = personas.filter(persona => persona.id !== id);
+        if (remaining.length === 0) {
+            throw new Error('At least one persona is needed.');
+        }
+
+        const active = await PersonaStore.getActive(personas);
+        await chrome.storage.sync.set({
+            [PERSONAS_STORAGE_KEY]: remaining,
+            [ACTIVE_PERSONA_STORAGE_KEY]: active.id === id ? remaining[0].id : active.id
+        });
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * LinkedIn Connection Assistant - Outreach Pipeline Store
+ * Tracks each contact through drafted → sent → accepted → replied, keyed by profile URL.
+ * Shared by the popup (adding contacts), the pipeline page and the background
+ * service worker, which schedules follow-up reminders from nextActionAt.
+ */
+
+const PIPELINE_STORAGE_KEY = 'pipelineContacts';
+const FOLLOW_UP_ALARM = 'pipeline-follow-up';
+
+// followUpDays: how long after entering the status the next action falls due (null = no reminder)
+const PIPELINE_STATUSES = {
+    drafted: { label: 'Drafted', nextAction: 'Send the connection request', followUpDays: 1 },
+    sent: { label: 'Sent', nextAction: 'Check whether they accepted', followUpDays: 7 },
+    accepted: { label: 'Accepted', nextAction: 'Send a first message', followUpDays: 2 },
+    replied: { label: 'Replied', nextAction: '', followUpDays: null },
+    'follow-up': { label: 'Follow-up due', nextAction: 'Follow up', followUpDays: null }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PipelineStore {
+    /**
+     * All contacts keyed by profile URL
+     */
+    static async getAll() {
+        const result = await chrome.storage.local.get(PIPELINE_STORAGE_KEY);
+        return result[PIPELINE_STORAGE_KEY] || {};
+    }
+
+    /**
+     * Contacts as a list, soonest next action first; contacts without one go last
+     */
+    static async list() {
+        const contacts = Object.values(await PipelineStore.getAll());
+        return contacts.sort((a, b) => {
+            if (!a.nextActionAt) return b.nextActionAt ? 1 : b.updatedAt.localeCompare(a.updatedAt);
+            if (!b.nextActionAt) return -1;
+            return a.nextActionAt.localeCompare(b.nextActionAt);
+        });
+    }
+
+    static async get(profileUrl) {
+        const contacts = await PipelineStore.getAll();
+        return contacts[profileUrl] || null;
+    }
+
+    /**
+     * Add a contact from extracted profile data, or refresh an existing one.
+     * New contacts start as drafted; existing contacts keep their status.
+     * @param {object} profileData - Data from content.js; must include profileUrl.
+     * @param {string} message - The message drafted for this contact.
+     * @returns {Promise<object>} The stored contact.
+     */
+    static async track(profileData, message = '') {
+        if (!profileData?.profileUrl) {
+            throw new Error('This profile has no URL to track it by.');
+        }
+
+        const contacts = await PipelineStore.getAll();
+        const existing = contacts[profileData.profileUrl];
+        const now = new Date();
+
+        const contact = {
+            ...(existing || PipelineStore.statusFields('drafted', now)),
+            profileUrl: profileData.profileUrl,
+            name: profileData.name || existing?.name || '',
+            headline: profileData.headline || existing?.headline || '',
+            company: profileData.company || existing?.company || '',
+            lastMessage: message || existing?.lastMessage || '',
+            notes: existing?.notes || '',
+            createdAt: existing?.createdAt || now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+
+        contacts[contact.profileUrl] = contact;
+        await chrome.storage.local.set({ [PIPELINE_STORAGE_KEY]: contacts });
+        return contact;
+    }
+
+    /**
+     * Merge changes into a stored contact
+     */
+    static async update(profileUrl, changes) {
+        const contacts = await PipelineStore.getAll();
+        if (!contacts[profileUrl]) {
+            throw new Error('Contact not found in the pipeline.');
+        }
+
+        contacts[profileUrl] = { ...contacts[profileUrl], ...changes, updatedAt: new Date().toISOString() };
+        await chrome.storage.local.set({ [PIPELINE_STORAGE_KEY]: contacts });
+        return contacts[profileUrl];
+    }
+
+    /**
+     * Move a contact to a new status and schedule its next action from the status defaults
+     */
+    static async setStatus(profileUrl, status) {
+        if (!PIPELINE_STATUSES[status]) {
+            throw new Error(`Unknown pipeline status "${status}".`);
+        }
+        return PipelineStore.update(profileUrl, PipelineStore.statusFields(status, new Date()));
+    }
+
+    /**
+     * Set or clear the next-action date. A new date re-arms the reminder.
+     * @param {string|null} nextActionAt - ISO timestamp, or null for no reminder.
+     */
+    static async setNextAction(profileUrl, nextActionAt, nextAction) {
+        const changes = { nextActionAt, remindedAt: null };
+        if (nextAction !== undefined) {
+            changes.nextAction = nextAction;
+        }
+        return PipelineStore.update(profileUrl, changes);
+    }
+
+    static async remove(profileUrl) {
+        const contacts = await PipelineStore.getAll();
+        delete contacts[profileUrl];
+        await chrome.storage.local.set({ [PIPELINE_STORAGE_KEY]: contacts });
+    }
+
+    static statusFields(status, from) {
+        const { nextAction, followUpDays } = PIPELINE_STATUSES[status];
+        return {
+            status,
+            statusChangedAt: from.toISOString(),
+            nextAction,
+            nextActionAt: followUpDays === null ? null : new Date(from.getTime() + followUpDays * DAY_MS).toISOString(),
+            remindedAt: null
+        };
+    }
+
+    /**
+     * Contacts whose next action is due and who have not been reminded yet
+     */
+    static dueContacts(contacts, now = Date.now()) {
+        return Object.values(contacts).filter(contact =>
+            contact.nextActionAt && !contact.remindedAt && Date.parse(contact.nextActionAt) <= now
+        );
+    }
+
+    /**
+     * Earliest pending reminder time in ms, or null when nothing is scheduled
+     */
+    static nextReminderTime(contacts) {
+        const times = Object.values(contacts)
+            .filter(contact => contact.nextActionAt && !contact.remindedAt)
+            .map(contact => Date.parse(contact.nextActionAt));
+        return times.length ? Math.min(...times) : null;
+    }
+
+    /**
+     * Flag due contacts as follow-up due and remember that they were reminded
+     * @returns {Promise<Array<object>>} The contacts that were flagged.
+     */
+    static async markFollowUpDue(now = Date.now()) {
+        const contacts = await PipelineStore.getAll();
+        const due = PipelineStore.dueContacts(contacts, now);
+        if (due.length === 0) return [];
+
+        const remindedAt = new Date(now).toISOString();
+        for (const contact of due) {
+            contacts[contact.profileUrl] = {
+                ...contact,
+                status: 'follow-up',
+                previousStatus: contact.status === 'follow-up' ? contact.previousStatus : contact.status,
+                remindedAt,
+                updatedAt: remindedAt
+            };
+        }
+
+        await chrome.storage.local.set({ [PIPELINE_STORAGE_KEY]: contacts });
+        return due.map(contact => contacts[contact.profileUrl]);
+    }
+}
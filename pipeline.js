@@ -0,0 +1,276 @@
+/**
+ * LinkedIn Connection Assistant - Pipeline Manager
+ * Lists tracked contacts and lets the user move them through the outreach statuses
+ */
+
+// Debug logging
+const DEBUG = true;
+function debugLog(message, data = null) {
+    if (DEBUG) {
+        console.log(`[LinkedIn Assistant Pipeline] ${message}`, data || '');
+    }
+}
+
+class PipelineManager {
+    constructor() {
+        this.contacts = [];
+        this.initializeElements();
+        this.populateStatuses();
+        this.attachEventListeners();
+        this.loadContacts();
+    }
+
+    initializeElements() {
+        this.searchInput = document.getElementById('searchInput');
+        this.statusFilter = document.getElementById('statusFilter');
+        this.pipelineSummary = document.getElementById('pipelineSummary');
+        this.contactList = document.getElementById('contactList');
+        this.statusMessage = document.getElementById('statusMessage');
+    }
+
+    populateStatuses() {
+        for (const [id, status] of Object.entries(PIPELINE_STATUSES)) {
+            this.statusFilter.appendChild(new Option(status.label, id));
+        }
+    }
+
+    attachEventListeners() {
+        this.searchInput.addEventListener('input', () => this.render());
+        this.statusFilter.addEventListener('change', () => this.render());
+
+        // Reflect reminders fired by the background worker and contacts tracked from the popup
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[PIPELINE_STORAGE_KEY]) {
+                this.loadContacts();
+            }
+        });
+    }
+
+    async loadContacts() {
+        try {
+            this.contacts = await PipelineStore.list();
+            this.render();
+        } catch (error) {
+            debugLog('Error loading contacts:', error);
+            this.showStatus('Error loading contacts', 'error');
+        }
+    }
+
+    filteredContacts() {
+        const status = this.statusFilter.value;
+        const needle = this.searchInput.value.trim().toLowerCase();
+        return this.contacts.filter(contact => {
+            if (status && contact.status !== status) return false;
+            if (!needle) return true;
+            return [contact.name, contact.headline, contact.company, contact.notes]
+                .some(field => (field || '').toLowerCase().includes(needle));
+        });
+    }
+
+    render() {
+        const counts = Object.keys(PIPELINE_STATUSES)
+            .map(id => [PIPELINE_STATUSES[id].label, this.contacts.filter(contact => contact.status === id).length])
+            .filter(([, count]) => count > 0)
+            .map(([label, count]) => `${label}: ${count}`);
+        this.pipelineSummary.textContent = `${this.contacts.length} contact(s)${counts.length ? ` · ${counts.join(' · ')}` : ''}`;
+
+        // Keep focus in a field that is being edited when a storage change re-renders the list
+        if (this.contactList.contains(document.activeElement)) return;
+
+        const contacts = this.filteredContacts();
+        this.contactList.innerHTML = '';
+        if (contacts.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'form-hint';
+            empty.textContent = this.contacts.length === 0 ? 'No contacts tracked yet.' : 'No contacts match these filters.';
+            this.contactList.appendChild(empty);
+            return;
+        }
+
+        for (const contact of contacts) {
+            this.contactList.appendChild(this.renderContact(contact));
+        }
+    }
+
+    renderContact(contact) {
+        const card = document.createElement('div');
+        card.className = 'history-entry';
+        if (contact.nextActionAt && Date.parse(contact.nextActionAt) <= Date.now()) {
+            card.classList.add('pipeline-due');
+        }
+
+        const header = document.createElement('div');
+        header.className = 'history-entry-header';
+
+        const name = document.createElement('a');
+        name.className = 'history-entry-name';
+        name.textContent = contact.name || contact.profileUrl;
+        name.href = contact.profileUrl;
+        name.target = '_blank';
+        name.rel = 'noopener';
+
+        const added = document.createElement('span');
+        added.className = 'history-entry-meta';
+        added.textContent = `Added ${new Date(contact.createdAt).toLocaleDateString()}`;
+
+        header.append(name, added);
+
+        const meta = document.createElement('div');
+        meta.className = 'history-entry-meta';
+        meta.textContent = [contact.headline, contact.company].filter(Boolean).join(' · ');
+
+        const fields = document.createElement('div');
+        fields.className = 'pipeline-fields';
+
+        const statusSelect = document.createElement('select');
+        statusSelect.className = 'form-input';
+        for (const [id, status] of Object.entries(PIPELINE_STATUSES)) {
+            statusSelect.appendChild(new Option(status.label, id));
+        }
+        statusSelect.value = contact.status;
+        statusSelect.addEventListener('change', () => this.handleStatusChange(contact, statusSelect.value));
+
+        const nextActionInput = document.createElement('input');
+        nextActionInput.type = 'text';
+        nextActionInput.className = 'form-input';
+        nextActionInput.placeholder = 'Next action';
+        nextActionInput.value = contact.nextAction || '';
+        nextActionInput.addEventListener('change', () => this.handleUpdate(contact, { nextAction: nextActionInput.value.trim() }));
+
+        const dateInput = document.createElement('input');
+        dateInput.type = 'date';
+        dateInput.className = 'form-input';
+        dateInput.value = this.toDateInputValue(contact.nextActionAt);
+        dateInput.addEventListener('change', () => this.handleDateChange(contact, dateInput.value));
+
+        fields.append(
+            this.labelled('Status', statusSelect),
+            this.labelled('Next action', nextActionInput),
+            this.labelled('Due', dateInput)
+        );
+
+        const notes = document.createElement('textarea');
+        notes.className = 'form-input';
+        notes.rows = 2;
+        notes.placeholder = 'Notes';
+        notes.value = contact.notes || '';
+        notes.addEventListener('change', () => this.handleUpdate(contact, { notes: notes.value }));
+
+        card.append(header, meta, fields, notes);
+
+        if (contact.lastMessage) {
+            const message = document.createElement('p');
+            message.className = 'history-entry-message';
+            message.textContent = contact.lastMessage;
+            card.appendChild(message);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'regenerate-button danger-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => this.handleRemove(contact));
+
+        actions.appendChild(removeButton);
+        card.appendChild(actions);
+        return card;
+    }
+
+    labelled(text, input) {
+        const label = document.createElement('label');
+        label.className = 'form-group';
+        const title = document.createElement('span');
+        title.className = 'form-label';
+        title.textContent = text;
+        label.append(title, input);
+        return label;
+    }
+
+    /**
+     * yyyy-mm-dd in local time, as expected by <input type="date">
+     */
+    toDateInputValue(iso) {
+        if (!iso) return '';
+        const date = new Date(iso);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    async handleStatusChange(contact, status) {
+        try {
+            await PipelineStore.setStatus(contact.profileUrl, status);
+            this.showStatus(`${contact.name || 'Contact'} moved to ${PIPELINE_STATUSES[status].label}.`, 'success');
+        } catch (error) {
+            debugLog('Error changing status:', error);
+            this.showStatus(`Error changing status: ${error.message}`, 'error');
+        }
+        document.activeElement.blur();
+        await this.loadContacts();
+    }
+
+    /**
+     * Reminders fire at 9:00 local time on the chosen day; an empty date turns the reminder off
+     */
+    async handleDateChange(contact, value) {
+        try {
+            const nextActionAt = value ? new Date(`${value}T09:00`).toISOString() : null;
+            await PipelineStore.setNextAction(contact.profileUrl, nextActionAt);
+        } catch (error) {
+            debugLog('Error setting next-action date:', error);
+            this.showStatus(`Error setting date: ${error.message}`, 'error');
+        }
+    }
+
+    async handleUpdate(contact, changes) {
+        try {
+            await PipelineStore.update(contact.profileUrl, changes);
+        } catch (error) {
+            debugLog('Error updating contact:', error);
+            this.showStatus(`Error updating contact: ${error.message}`, 'error');
+        }
+    }
+
+    async handleRemove(contact) {
+        if (!confirm(`Remove ${contact.name || 'this contact'} from the pipeline?`)) {
+            return;
+        }
+
+        try {
+            await PipelineStore.remove(contact.profileUrl);
+            document.activeElement.blur();
+            await this.loadContacts();
+        } catch (error) {
+            debugLog('Error removing contact:', error);
+            this.showStatus('Error removing contact', 'error');
+        }
+    }
+
+    showStatus(message, type = 'info') {
+        this.statusMessage.textContent = message;
+        this.statusMessage.className = `status-message status-${type}`;
+        this.statusMessage.style.display = 'block';
+
+        debugLog(`Status (${type}):`, message);
+
+        // Auto-hide success messages
+        if (type === 'success') {
+            setTimeout(() => {
+                this.statusMessage.style.display = 'none';
+            }, 3000);
+        }
+    }
+}
+
+// Initialize pipeline page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    debugLog('Pipeline DOM loaded, initializing...');
+
+    try {
+        window.pipelineManager = new PipelineManager();
+    } catch (error) {
+        debugLog('Error initializing pipeline manager:', error);
+    }
+});
@@ -11,6 +11,31 @@ function debugLog(message, data = null) {
     }
 }
 
+// Used to preview templates when the active tab is not a LinkedIn profile
+const SAMPLE_PROFILE = {
+    name: 'Alex Morgan',
+    headline: 'Product Manager at Acme Analytics | ex-Northwind',
+    title: 'Product Manager',
+    company: 'Acme Analytics',
+    formerEmployers: ['Northwind'],
+    seniority: 'ic',
+    location: 'Austin, Texas',
+    about: 'I help data teams turn dashboards into decisions.',
+    positions: [
+        { title: 'Product Manager', company: 'Acme Analytics', dates: 'Mar 2021 - Present', location: 'Austin, Texas', description: 'Leads the self-serve reporting product.' },
+        { title: 'Business Analyst', company: 'Northwind', dates: 'Jun 2017 - Feb 2021', location: '', description: '' }
+    ],
+    schools: [{ school: 'University of Texas at Austin', degree: 'BBA, Management Information Systems', dates: '2013 - 2017' }],
+    skills: ['Product Management', 'SQL', 'Data Visualization'],
+    certifications: [],
+    volunteering: [],
+    activity: ['We just shipped scheduled reports, the most requested feature of the year.'],
+    industry: 'tech'
+};
+
+// Value of the persona dropdown entry that starts a new persona
+const NEW_PERSONA_OPTION = '__new__';
+
 class PopupManager {
     constructor() {
         this.initializeElements();
@@ -20,20 +45,65 @@ class PopupManager {
 
     initializeElements() {
         this.settingsForm = document.getElementById('settingsForm');
+        this.personaSelect = document.getElementById('personaSelect');
+        this.personaNameInput = document.getElementById('personaName');
+        this.deletePersonaButton = document.getElementById('deletePersonaButton');
+        this.signatureInput = document.getElementById('signatureInput');
+        this.personas = [];
         this.userContextTextarea = document.getElementById('userContext');
         this.userRoleTextarea = document.getElementById('userRole');
         this.messagePreviewTextarea = document.getElementById('messagePreview');
         this.saveButton = document.getElementById('saveButton');
         this.generateButton = document.getElementById('generateButton');
+        this.cancelButton = document.getElementById('cancelButton');
         this.copyButton = document.getElementById('copyButton');
         this.regenerateButton = document.getElementById('regenerateButton');
+        this.trackButton = document.getElementById('trackButton');
+        this.insertButton = document.getElementById('insertButton');
+        this.trackText = this.trackButton.querySelector('.track-text');
         this.messageActions = document.getElementById('messageActions');
+        this.validationList = document.getElementById('validationList');
+        this.cachedBadge = document.getElementById('cachedBadge');
+        this.extractionReport = document.getElementById('extractionReport');
+        this.extractionSummary = document.getElementById('extractionSummary');
+        this.extractionList = document.getElementById('extractionList');
+        this.variantCountSelect = document.getElementById('variantCountSelect');
+        this.toneSelect = document.getElementById('toneSelect');
+        this.lengthSelect = document.getElementById('lengthSelect');
+        this.autoGenerateInput = document.getElementById('autoGenerateInput');
+        this.variantList = document.getElementById('variantList');
+        this.quotaMeter = document.getElementById('quotaMeter');
+        this.quotaFill = document.getElementById('quotaFill');
+        this.quotaText = document.getElementById('quotaText');
+        this.variants = [];
+        this.profileData = null;
+        this.pageType = null;
+        // What the drafts on show were generated for, credited with the copy or insert in the usage statistics
+        this.generation = null;
+        this.regenerations = 0;
         this.statusMessage = document.getElementById('statusMessage');
         this.buttonText = this.saveButton.querySelector('.button-text');
         this.buttonLoader = this.saveButton.querySelector('.button-loader');
         this.generateText = this.generateButton.querySelector('.generate-text');
         this.generateLoader = this.generateButton.querySelector('.generate-loader');
         this.copyText = this.copyButton.querySelector('.copy-text');
+        this.optionsLink = document.getElementById('optionsLink');
+        this.historyLink = document.getElementById('historyLink');
+        this.pipelineLink = document.getElementById('pipelineLink');
+        this.statsLink = document.getElementById('statsLink');
+        this.batchLink = document.getElementById('batchLink');
+        this.queueButton = document.getElementById('queueButton');
+        this.queueText = this.queueButton.querySelector('.queue-text');
+        this.intentSelect = document.getElementById('intentSelect');
+        this.languageSelect = document.getElementById('languageSelect');
+        this.languageHint = document.getElementById('languageHint');
+        this.templateSelect = document.getElementById('templateSelect');
+        this.templateNameInput = document.getElementById('templateName');
+        this.templateBodyTextarea = document.getElementById('templateBody');
+        this.templatePreviewButton = document.getElementById('templatePreviewButton');
+        this.templateSaveButton = document.getElementById('templateSaveButton');
+        this.templateDeleteButton = document.getElementById('templateDeleteButton');
+        this.templatePreview = document.getElementById('templatePreview');
         
         // Validate critical elements
         if (!this.messagePreviewTextarea) {
@@ -47,7 +117,35 @@ class PopupManager {
         this.settingsForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
         this.generateButton.addEventListener('click', () => this.handleGenerateMessage());
         this.copyButton.addEventListener('click', () => this.handleCopyMessage());
+        this.cancelButton.addEventListener('click', () => this.handleCancelGeneration());
         this.regenerateButton.addEventListener('click', () => this.handleRegenerateMessage());
+        this.trackButton.addEventListener('click', () => this.handleTrackContact());
+        this.insertButton.addEventListener('click', () => this.handleInsertReply());
+        this.optionsLink.addEventListener('click', () => chrome.runtime.openOptionsPage());
+        this.historyLink.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('history.html') }));
+        this.pipelineLink.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('pipeline.html') }));
+        this.statsLink.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('stats.html') }));
+        this.batchLink.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('batch.html') }));
+        this.queueButton.addEventListener('click', () => this.handleQueueProfile());
+        this.personaSelect.addEventListener('change', () => this.handlePersonaSelect());
+        this.deletePersonaButton.addEventListener('click', () => this.handlePersonaDelete());
+        this.intentSelect.addEventListener('change', () => this.updateCurrentPersona({ intentId: this.intentSelect.value }));
+        this.languageSelect.addEventListener('change', () => this.updateCurrentPersona({ language: this.languageSelect.value }));
+        this.variantCountSelect.addEventListener('change', () => chrome.storage.sync.set({ variantCount: parseInt(this.variantCountSelect.value, 10) }));
+
+        // Every API call the service worker makes moves the quota meter
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[API_CALL_LOG_STORAGE_KEY]) {
+                this.updateQuotaMeter();
+            }
+        });
+        this.toneSelect.addEventListener('change', () => this.saveMessageSetting('tone', this.toneSelect.value));
+        this.lengthSelect.addEventListener('change', () => this.saveMessageSetting('messageLength', this.lengthSelect.value));
+        this.autoGenerateInput.addEventListener('change', () => this.saveMessageSetting('autoGenerate', this.autoGenerateInput.checked));
+        this.templateSelect.addEventListener('change', () => this.handleTemplateSelect());
+        this.templatePreviewButton.addEventListener('click', () => this.handleTemplatePreview());
+        this.templateSaveButton.addEventListener('click', () => this.handleTemplateSave());
+        this.templateDeleteButton.addEventListener('click', () => this.handleTemplateDelete());
         
         // Auto-update UI when user types
         this.userContextTextarea.addEventListener('input', () => this.debounce(this.updateUI.bind(this), 500)());
@@ -56,83 +154,244 @@ class PopupManager {
 
     async loadSettings() {
         try {
-            const result = await chrome.storage.sync.get(['userContext', 'userRole', 'settings']);
+            const result = await chrome.storage.sync.get(['settings', 'variantCount']);
             
-            if (result.userContext) {
-                this.userContextTextarea.value = result.userContext;
-            }
+            this.variantCountSelect.value = String(result.variantCount || 1);
+            const messageSettings = this.loadMessageSettings(result.settings);
             
-            if (result.userRole) {
-                this.userRoleTextarea.value = result.userRole;
-            }
+            await this.loadPersonas();
+            await this.updateQuotaMeter(result.settings);
             
             // Update UI state
             await this.updateUI();
             
+            // Auto-generate also shows cached drafts first; without it only cached drafts are shown
+            if (this.pageType === 'profile' && !this.generateButton.disabled) {
+                await (messageSettings.autoGenerate ? this.handleGenerateMessage() : this.showCachedMessage());
+            }
+            
         } catch (error) {
             debugLog('Error loading settings:', error);
             this.showStatus('Error loading settings', 'error');
         }
     }
 
+    /**
+     * Fill the persona dropdown and show the given persona, or the active one
+     */
+    async loadPersonas(selectedId = null) {
+        try {
+            this.personas = await PersonaStore.getAll();
+            const persona = this.personas.find(existing => existing.id === selectedId) || await PersonaStore.getActive(this.personas);
+            
+            this.personaSelect.innerHTML = '';
+            for (const existing of this.personas) {
+                this.personaSelect.appendChild(new Option(existing.name, existing.id));
+            }
+            this.personaSelect.appendChild(new Option('+ New persona', NEW_PERSONA_OPTION));
+            
+            this.personaSelect.value = persona.id;
+            await this.showPersona(persona);
+        } catch (error) {
+            debugLog('Error loading personas:', error);
+            this.showStatus('Error loading personas', 'error');
+        }
+    }
+
+    /**
+     * Show a persona's fields along with its default intent and template
+     */
+    async showPersona(persona) {
+        this.personaNameInput.value = persona.name;
+        this.userContextTextarea.value = persona.userContext;
+        this.userRoleTextarea.value = persona.userRole;
+        this.signatureInput.value = persona.signature || '';
+        this.deletePersonaButton.disabled = this.personas.length <= 1;
+        
+        this.loadIntents(persona.intentId);
+        this.loadLanguages(persona.language);
+        await this.loadTemplates(persona.templateId);
+    }
+
+    /**
+     * The saved persona being edited, or null while a new one has not been saved yet
+     */
+    currentPersonaId() {
+        return this.personaSelect.value === NEW_PERSONA_OPTION ? null : this.personaSelect.value;
+    }
+
+    async handlePersonaSelect() {
+        const personaId = this.currentPersonaId();
+        
+        if (personaId) {
+            await PersonaStore.setActive(personaId);
+            await this.showPersona(this.personas.find(persona => persona.id === personaId));
+        } else {
+            // The new persona starts empty but keeps the intent and template in view
+            this.personaNameInput.value = '';
+            this.userContextTextarea.value = '';
+            this.userRoleTextarea.value = '';
+            this.signatureInput.value = '';
+            this.deletePersonaButton.disabled = true;
+            this.personaNameInput.focus();
+        }
+        
+        await this.updateUI();
+    }
+
+    async handlePersonaDelete() {
+        const personaId = this.currentPersonaId();
+        const persona = this.personas.find(existing => existing.id === personaId);
+        if (!persona || !confirm(`Delete persona "${persona.name}"?`)) {
+            return;
+        }
+        
+        try {
+            await PersonaStore.remove(persona.id);
+            await this.loadPersonas();
+            await this.updateUI();
+            this.showStatus('Persona deleted.', 'success');
+        } catch (error) {
+            debugLog('Error deleting persona:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Store a changed default (intent or template) on the persona being edited.
+     * A new persona gets its defaults when it is first saved.
+     */
+    async updateCurrentPersona(changes) {
+        const personaId = this.currentPersonaId();
+        if (!personaId) return;
+        
+        try {
+            const saved = await PersonaStore.update(personaId, changes);
+            this.personas = this.personas.map(persona => persona.id === saved.id ? saved : persona);
+        } catch (error) {
+            debugLog('Error updating persona:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Fill the tone and length choices and show the stored message settings
+     */
+    loadMessageSettings(settings) {
+        const messageSettings = SettingsMigrator.messageSettings(settings);
+        
+        this.toneSelect.innerHTML = '';
+        for (const [id, tone] of Object.entries(MESSAGE_TONES)) {
+            this.toneSelect.appendChild(new Option(tone.label, id));
+        }
+        this.lengthSelect.innerHTML = '';
+        for (const [id, length] of Object.entries(MESSAGE_LENGTHS)) {
+            this.lengthSelect.appendChild(new Option(`${length.label} (up to ${length.max} characters)`, id));
+        }
+        
+        this.toneSelect.value = messageSettings.tone;
+        this.lengthSelect.value = messageSettings.messageLength;
+        this.autoGenerateInput.checked = messageSettings.autoGenerate;
+        return messageSettings;
+    }
+
+    /**
+     * Store one tone, length or auto-generate choice alongside the other settings
+     */
+    async saveMessageSetting(key, value) {
+        try {
+            const { settings } = await chrome.storage.sync.get('settings');
+            await chrome.storage.sync.set({ settings: { ...(settings || {}), [key]: value } });
+        } catch (error) {
+            debugLog('Error saving message setting:', error);
+            this.showStatus('Error saving settings', 'error');
+        }
+    }
+
     async updateUI() {
         const userContext = this.userContextTextarea.value.trim();
         const userRole = this.userRoleTextarea.value.trim();
         
-        // Check if we're on a LinkedIn profile page
-        const isLinkedInProfile = await this.checkCurrentTab();
+        // Profiles get connection messages, messaging threads get reply drafts
+        this.pageType = await this.getCurrentPageType();
+        const isMessaging = this.pageType === 'messaging';
+        this.generateText.textContent = isMessaging ? 'Draft Reply' : 'Generate Message';
+        this.insertButton.style.display = isMessaging ? 'flex' : 'none';
+        this.trackButton.style.display = isMessaging ? 'none' : 'flex';
+        this.queueButton.style.display = this.pageType === 'profile' ? 'flex' : 'none';
         
         // Enable generate button if settings are filled and we're on LinkedIn
-        const canGenerate = userContext && userRole && isLinkedInProfile;
+        const canGenerate = userContext && userRole && this.pageType;
         this.generateButton.disabled = !canGenerate;
         
         if (!userContext || !userRole) {
             this.messagePreviewTextarea.value = 'Please fill in your professional context and role above...';
             this.messageActions.style.display = 'none';
-        } else if (!isLinkedInProfile) {
-            this.messagePreviewTextarea.value = 'Navigate to a LinkedIn profile page to generate personalized messages...';
+        } else if (!this.pageType) {
+            this.messagePreviewTextarea.value = 'Navigate to a LinkedIn profile page to generate personalized messages, or open a LinkedIn conversation to draft a reply...';
             this.messageActions.style.display = 'none';
+        } else if (isMessaging) {
+            this.messagePreviewTextarea.value = 'Click "Draft Reply" to write a reply to the open LinkedIn conversation...';
         } else {
             this.messagePreviewTextarea.value = 'Click "Generate Message" to create a personalized LinkedIn connection message...';
         }
     }
 
     async checkCurrentTab() {
+        return (await this.getCurrentPageType()) === 'profile';
+    }
+
+    /**
+     * 'profile', 'messaging' or null for any other page
+     */
+    async getCurrentPageType() {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             if (tab && tab.url) {
-                return /linkedin\.com\/in\/[\w-]+\/?(\?.*)?$/.test(tab.url);
+                if (/linkedin\.com\/in\/[\w-]+\/?(\?.*)?$/.test(tab.url)) return 'profile';
+                if (/linkedin\.com\/messaging\//.test(tab.url)) return 'messaging';
             }
         } catch (error) {
             debugLog('Error checking current tab:', error);
         }
-        return false;
+        return null;
     }
 
     /**
-     * Enhanced message sending with error handling
+     * Send a request to the service worker; a failure response comes back if it cannot be reached
      */
-    async sendMessageToBackground(message) {
+    async sendMessageToBackground(action, data) {
         try {
-            const response = await chrome.runtime.sendMessage(message);
-            return response;
+            return await chrome.runtime.sendMessage(MessageProtocol.create(action, data));
         } catch (error) {
             debugLog('Background script communication error:', error);
-            
-            if (error.message.includes('Receiving end does not exist')) {
-                this.showStatus('Extension needs to be reloaded. Please refresh this popup.', 'error');
-            } else {
-                this.showStatus('Communication error with extension background.', 'error');
-            }
-            return null;
+            return MessageProtocol.error('NO_RECEIVER');
         }
     }
 
-    async handleGenerateMessage() {
+    /**
+     * @param {object} [options] - regenerate: the user asked for new drafts of the same message.
+     */
+    async handleGenerateMessage({ regenerate = false } = {}) {
+        if (this.pageType === 'messaging') {
+            return this.handleDraftReply({ regenerate });
+        }
+
         try {
             this.setGenerateLoading(true);
+            this.cancelRequested = false;
             this.messageActions.style.display = 'none';
+            this.validationList.style.display = 'none';
+            this.trackText.textContent = 'Track';
             this.messagePreviewTextarea.value = '';
+            this.showCachedBadge();
+            
+            // Pinned drafts survive regeneration; only the rest are replaced
+            const pinnedVariants = this.variants.filter(variant => variant.pinned);
+            // A copy, so streamed drafts added to this.variants do not shift the pinned count
+            this.variants = [...pinnedVariants];
+            this.renderVariants();
+            const variantCount = Math.max(1, parseInt(this.variantCountSelect.value, 10) - pinnedVariants.length);
 
             // 1. Get user input from the popup
             const userContext = this.userContextTextarea.value.trim();
@@ -141,6 +400,13 @@ class PopupManager {
                 this.showStatus('Please fill in your context and role.', 'error');
                 return;
             }
+            
+            // Each message records the persona it was written as, so a new one must exist first
+            const personaId = this.currentPersonaId();
+            if (!personaId) {
+                this.showStatus('Save the new persona before generating.', 'error');
+                return;
+            }
 
             // 2. Get profile data from the active tab's content script
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -149,84 +415,39 @@ class PopupManager {
                 return;
             }
 
-            let profileResponse;
-            try {
-                profileResponse = await chrome.tabs.sendMessage(tab.id, { action: 'getProfileData' });
-            } catch (msgError) {
-                debugLog('Content script communication error:', msgError);
-                
-                // Fallback: try injecting content script if it doesn't exist on the page
-                if (msgError?.message?.includes('Receiving end does not exist')) {
-                    try {
-                        debugLog('Attempting content script injection...');
-                        await chrome.scripting.executeScript({
-                            target: { tabId: tab.id },
-                            files: ['content.js']
-                        });
-                        
-                        // Wait for initialization
-                        await new Promise(resolve => setTimeout(resolve, 2000));
-                        
-                        // Retry after injection
-                        profileResponse = await chrome.tabs.sendMessage(tab.id, { action: 'getProfileData' });
-                        debugLog('Profile data retrieved after injection');
-                    } catch (injectErr) {
-                        debugLog('Injection failed:', injectErr);
-                        throw new Error('Connection failed even after injecting content script. Please refresh the LinkedIn page.');
-                    }
-                } else {
-                    throw msgError;
-                }
-            }
+            const profileResponse = await this.fetchProfileData(tab);
             
             if (!profileResponse || !profileResponse.success) {
-                this.showStatus(profileResponse?.error || 'Could not get profile data. Please ensure you are on a LinkedIn profile page and refresh.', 'error');
+                this.showStatus(MessageProtocol.describeError(profileResponse, 'Could not get profile data. Please ensure you are on a LinkedIn profile page and refresh.'), 'error');
                 return;
             }
+            this.profileData = profileResponse.profileData;
+            this.renderExtractionReport(profileResponse.report);
 
-            // 3. Send all data to the background script to call Gemini API
-            const geminiResponse = await this.sendMessageToBackground({
-                action: 'generateGeminiMessage',
-                data: {
-                    profileData: profileResponse.profileData,
-                    userContext,
-                    userRole
-                }
-            });
+            // 3. Send all data to the background script to call the LLM, streaming the text as it arrives
+            const geminiResponse = await this.requestGeneration(
+                this.generationRequest(profileResponse.profileData, { variantCount, regenerate }),
+                pinnedVariants
+            );
 
             // 4. Handle the response from the Gemini API
             if (geminiResponse && geminiResponse.success) {
                 debugLog('Gemini response received:', geminiResponse);
-                debugLog('Message content:', geminiResponse.message);
-                debugLog('Message length:', geminiResponse.message?.length);
-                
-                // Ensure textarea exists and set the message
-                if (this.messagePreviewTextarea) {
-                    this.messagePreviewTextarea.value = geminiResponse.message;
-                    debugLog('Textarea value set to:', this.messagePreviewTextarea.value);
-                    
-                    // Force DOM update
-                    this.messagePreviewTextarea.dispatchEvent(new Event('input'));
-                    
-                    // Double-check it stuck
-                    setTimeout(() => {
-                        debugLog('Textarea value after 100ms:', this.messagePreviewTextarea.value);
-                        if (!this.messagePreviewTextarea.value || this.messagePreviewTextarea.value === '') {
-                            debugLog('Textarea was cleared! Re-setting...');
-                            this.messagePreviewTextarea.value = geminiResponse.message;
-                        }
-                    }, 100);
-                } else {
-                    debugLog('ERROR: messagePreviewTextarea is null!');
-                }
-                
-                this.messageActions.style.display = 'flex';
-                this.showStatus('Message generated successfully!', 'success');
-                debugLog('Message generated and displayed');
+                this.showGeneratedDrafts(geminiResponse, pinnedVariants, regenerate);
+            } else if (QUOTA_ERROR_CODES.includes(geminiResponse?.code)) {
+                // Nothing went wrong; the user only has to wait or raise a limit
+                this.variants = [...pinnedVariants];
+                this.renderVariants();
+                this.messagePreviewTextarea.value = '';
+                this.showStatus(geminiResponse.error, 'warning');
+            } else if (geminiResponse?.cancelled) {
+                this.variants = [...pinnedVariants];
+                this.renderVariants();
+                this.messagePreviewTextarea.value = '';
+                this.showStatus('Generation cancelled.', 'info');
             } else {
                 debugLog('Gemini response failed:', geminiResponse);
-                const errorMsg = geminiResponse?.error || 'Failed to generate message from API.';
-                this.showStatus(errorMsg, 'error');
+                this.showStatus(MessageProtocol.describeError(geminiResponse, 'Failed to generate message from API.'), 'error');
                 this.messagePreviewTextarea.value = 'Sorry, an error occurred. Please try again or check the extension logs.';
             }
 
@@ -244,22 +465,551 @@ class PopupManager {
         }
     }
 
+    /**
+     * generateMessage data for a profile with the persona, template, intent and language chosen in the popup
+     * @param {object} options - variantCount, and regenerate or cachedOnly.
+     */
+    generationRequest(profileData, options) {
+        return {
+            profileData,
+            personaId: this.currentPersonaId(),
+            userContext: this.userContextTextarea.value.trim(),
+            userRole: this.userRoleTextarea.value.trim(),
+            signature: this.signatureInput.value.trim(),
+            language: this.languageSelect.value,
+            templateId: this.templateSelect.value,
+            intentId: this.intentSelect.value,
+            ...options
+        };
+    }
+
+    /**
+     * Show new drafts after the pinned ones and select the first, labelled when they came from the cache
+     */
+    showGeneratedDrafts(response, pinnedVariants, regenerate) {
+        const freshVariants = (response.variants || [{
+            message: response.message,
+            validation: response.validation,
+            attempts: response.attempts
+        }]).map(variant => ({ ...variant, pinned: false }));
+
+        this.trackGeneration(regenerate, {
+            kind: 'connection',
+            personaId: response.personaId,
+            intentId: response.intentId
+        });
+        this.variants = [...pinnedVariants, ...freshVariants];
+        this.renderVariants();
+        this.selectVariant(pinnedVariants.length);
+        this.messageActions.style.display = 'flex';
+        this.showDetectedLanguage(response.language);
+        this.showCachedBadge(response);
+
+        const failedVariant = freshVariants.find(variant => (variant.validation || []).some(rule => !rule.passed));
+        if (response.cached) {
+            this.showStatus('Showing the drafts generated earlier for this profile. Click Regenerate for new ones.', 'info');
+        } else if (failedVariant) {
+            this.showStatus(`Some checks still failed after ${failedVariant.attempts} attempt(s). Review the message before sending.`, 'warning');
+        } else {
+            this.showStatus(freshVariants.length > 1 ? `${freshVariants.length} drafts generated!` : 'Message generated successfully!', 'success');
+        }
+        debugLog('Message generated and displayed');
+    }
+
+    /**
+     * Label drafts that came from the response cache with when they were generated
+     */
+    showCachedBadge(response = {}) {
+        this.cachedBadge.style.display = response.cached ? 'inline-block' : 'none';
+        this.cachedBadge.title = response.cached ? `Generated ${new Date(response.cachedAt).toLocaleString()}` : '';
+    }
+
+    /**
+     * Show the drafts cached for the profile in the active tab, if any, without calling the provider
+     */
+    async showCachedMessage() {
+        try {
+            if (!this.currentPersonaId()) return;
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab?.id) return;
+
+            const profileResponse = await this.fetchProfileData(tab);
+            if (!profileResponse?.success) return;
+
+            const response = await this.sendMessageToBackground('generateMessage', this.generationRequest(profileResponse.profileData, {
+                variantCount: parseInt(this.variantCountSelect.value, 10),
+                cachedOnly: true
+            }));
+            if (!response?.success) return;
+
+            this.profileData = profileResponse.profileData;
+            this.renderExtractionReport(profileResponse.report);
+            this.showGeneratedDrafts(response, [], false);
+        } catch (error) {
+            debugLog('No cached drafts shown:', error);
+        }
+    }
+
+    /**
+     * Generate over a streaming port so text appears as it is written.
+     * Falls back to the one-shot sendMessage request if the port cannot be used.
+     */
+    async requestGeneration(data, pinnedVariants) {
+        try {
+            return await this.streamGeneration(data, pinnedVariants);
+        } catch (error) {
+            debugLog('Streaming unavailable, falling back to one-shot request:', error);
+            return await this.sendMessageToBackground('generateMessage', data);
+        }
+    }
+
+    streamGeneration(data, pinnedVariants) {
+        return new Promise((resolve, reject) => {
+            const port = chrome.runtime.connect({ name: GENERATE_STREAM_PORT });
+            let received = false;
+            this.activePort = port;
+            this.cancelButton.style.display = 'flex';
+            
+            port.onMessage.addListener((message) => {
+                received = true;
+                if (message.type === 'chunk') {
+                    this.showStreamingText(pinnedVariants.length + message.index, message.text);
+                    return;
+                }
+                
+                this.activePort = null;
+                port.disconnect();
+                resolve(message.type === 'done' ? message.result : { success: false, ...message });
+            });
+            
+            port.onDisconnect.addListener(() => {
+                if (this.activePort !== port) return;
+                this.activePort = null;
+                
+                if (this.cancelRequested) {
+                    resolve({ success: false, cancelled: true });
+                } else if (!received) {
+                    reject(new Error('Stream port closed before responding'));
+                } else {
+                    resolve({ success: false, error: 'Lost connection to the extension background during generation.' });
+                }
+            });
+            
+            port.postMessage(MessageProtocol.create('start', data));
+        });
+    }
+
+    /**
+     * Show partial text for a draft while it is being written
+     */
+    showStreamingText(variantIndex, text) {
+        while (this.variants.length <= variantIndex) {
+            this.variants.push({ message: '', validation: [], pinned: false });
+        }
+        this.variants[variantIndex].message = text;
+        
+        if (variantIndex === this.variants.findIndex(variant => !variant.pinned)) {
+            this.messagePreviewTextarea.value = text;
+        }
+        this.renderVariants();
+    }
+
+    handleCancelGeneration() {
+        if (!this.activePort) return;
+        
+        this.cancelRequested = true;
+        this.activePort.postMessage({ action: 'cancel' });
+        debugLog('Cancel requested');
+    }
+
+    /**
+     * Get profile data from the tab's content script, injecting it if needed
+     */
+    async fetchProfileData(tab) {
+        return this.requestFromContentScript(tab, 'getProfileData');
+    }
+
+    /**
+     * Send a request to the tab's content script, injecting it first if the page predates the extension
+     */
+    async requestFromContentScript(tab, action, data) {
+        const message = MessageProtocol.create(action, data);
+        try {
+            return await chrome.tabs.sendMessage(tab.id, message);
+        } catch (msgError) {
+            debugLog('Content script communication error:', msgError);
+            
+            // Fallback: try injecting content script if it doesn't exist on the page
+            if (!msgError?.message?.includes('Receiving end does not exist')) {
+                throw msgError;
+            }
+
+            try {
+                debugLog('Attempting content script injection...');
+                await chrome.scripting.executeScript({
+                    target: { tabId: tab.id },
+                    files: ['selector-registry.js', 'industries.js', 'headline-parser.js', 'messages.js', 'profile-url.js', 'content.js']
+                });
+                
+                // Wait for initialization
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                
+                // Retry after injection
+                const response = await chrome.tabs.sendMessage(tab.id, message);
+                debugLog(`${action} succeeded after injection`);
+                return response;
+            } catch (injectErr) {
+                debugLog('Injection failed:', injectErr);
+                throw new Error('Connection failed even after injecting content script. Please refresh the LinkedIn page.');
+            }
+        }
+    }
+
+    /**
+     * Fill the intent dropdown and select the given intent
+     */
+    loadIntents(selectedId = DEFAULT_INTENT_ID) {
+        this.intentSelect.innerHTML = '';
+        
+        for (const [id, intent] of Object.entries(INTENTS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = intent.label;
+            this.intentSelect.appendChild(option);
+        }
+        
+        this.intentSelect.value = getIntent(selectedId).id;
+    }
+
+    /**
+     * Fill the language dropdown and select the given language, or automatic detection
+     */
+    loadLanguages(selectedId = AUTO_LANGUAGE_ID) {
+        this.languageSelect.innerHTML = '';
+        this.languageSelect.appendChild(new Option('Same as the profile (detected)', AUTO_LANGUAGE_ID));
+        for (const [id, language] of Object.entries(LANGUAGES)) {
+            this.languageSelect.appendChild(new Option(language.label, id));
+        }
+        
+        this.languageSelect.value = LANGUAGES[selectedId] ? selectedId : AUTO_LANGUAGE_ID;
+        this.languageHint.style.display = 'none';
+    }
+
+    /**
+     * Say which language was detected when it was chosen automatically
+     */
+    showDetectedLanguage(languageId) {
+        const detected = this.languageSelect.value === AUTO_LANGUAGE_ID && LANGUAGES[languageId];
+        this.languageHint.textContent = detected ? `Detected from the profile: ${detected.label}` : '';
+        this.languageHint.style.display = detected ? 'block' : 'none';
+    }
+
+    /**
+     * Fill the template dropdown and select the given template
+     */
+    async loadTemplates(selectedId = DEFAULT_TEMPLATE_ID) {
+        try {
+            this.templates = await TemplateStore.getAll();
+            this.templateSelect.innerHTML = '';
+            
+            for (const template of this.templates) {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.builtIn ? `${template.name} (built-in)` : template.name;
+                this.templateSelect.appendChild(option);
+            }
+            
+            const exists = this.templates.some(template => template.id === selectedId);
+            this.templateSelect.value = exists ? selectedId : DEFAULT_TEMPLATE_ID;
+            this.showTemplate(this.currentTemplate());
+        } catch (error) {
+            debugLog('Error loading templates:', error);
+            this.showStatus('Error loading prompt templates', 'error');
+        }
+    }
+
+    currentTemplate() {
+        return this.templates.find(template => template.id === this.templateSelect.value) || BUILT_IN_TEMPLATES[0];
+    }
+
+    showTemplate(template) {
+        this.templateNameInput.value = template.name;
+        this.templateBodyTextarea.value = template.body.trim();
+        this.templateDeleteButton.disabled = !!template.builtIn;
+        this.templateSaveButton.textContent = template.builtIn ? 'Save as Copy' : 'Save';
+        this.templatePreview.style.display = 'none';
+    }
+
+    async handleTemplateSelect() {
+        this.showTemplate(this.currentTemplate());
+        await this.updateCurrentPersona({ templateId: this.templateSelect.value });
+    }
+
+    async handleTemplateSave() {
+        const current = this.currentTemplate();
+        const body = this.templateBodyTextarea.value;
+        if (!body.trim()) {
+            this.showStatus('Template text cannot be empty.', 'error');
+            return;
+        }
+        
+        try {
+            // Built-in templates are read-only, so edits to them become a new template
+            const name = current.builtIn && this.templateNameInput.value.trim() === current.name
+                ? `${current.name} (copy)`
+                : this.templateNameInput.value;
+            const saved = await TemplateStore.save({
+                id: current.builtIn ? null : current.id,
+                name,
+                body
+            });
+            
+            await this.updateCurrentPersona({ templateId: saved.id });
+            await this.loadTemplates(saved.id);
+            this.showStatus('Template saved.', 'success');
+        } catch (error) {
+            debugLog('Error saving template:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    async handleTemplateDelete() {
+        const current = this.currentTemplate();
+        if (current.builtIn || !confirm(`Delete template "${current.name}"?`)) {
+            return;
+        }
+        
+        try {
+            await TemplateStore.remove(current.id);
+            await this.updateCurrentPersona({ templateId: DEFAULT_TEMPLATE_ID });
+            await this.loadTemplates(DEFAULT_TEMPLATE_ID);
+            this.showStatus('Template deleted.', 'success');
+        } catch (error) {
+            debugLog('Error deleting template:', error);
+            this.showStatus('Error deleting template.', 'error');
+        }
+    }
+
+    /**
+     * Render the template being edited against the current profile (or sample data)
+     */
+    async handleTemplatePreview() {
+        let profileData = SAMPLE_PROFILE;
+        
+        if (await this.checkCurrentTab()) {
+            try {
+                const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+                const profileResponse = await this.fetchProfileData(tab);
+                if (profileResponse?.success) {
+                    profileData = profileResponse.profileData;
+                }
+            } catch (error) {
+                debugLog('Preview is using sample profile data:', error);
+            }
+        }
+        
+        const variables = TemplateEngine.buildVariables(profileData, {
+            userContext: this.userContextTextarea.value.trim(),
+            userRole: this.userRoleTextarea.value.trim(),
+            signature: this.signatureInput.value.trim(),
+            intent: getIntent(this.intentSelect.value),
+            language: LanguageDetector.resolve(this.languageSelect.value, profileData),
+            messageSettings: {
+                tone: this.toneSelect.value,
+                messageLength: this.lengthSelect.value
+            }
+        });
+        
+        this.templatePreview.textContent = TemplateEngine.render(this.templateBodyTextarea.value, variables).trim();
+        this.templatePreview.style.display = 'block';
+    }
+
+    /**
+     * Show a draft in the message box and mark its card as selected
+     */
+    selectVariant(index) {
+        const variant = this.variants[index];
+        if (!variant) return;
+        
+        this.selectedVariantIndex = index;
+        debugLog('Message content:', variant.message);
+        debugLog('Message length:', variant.message?.length);
+        
+        // Ensure textarea exists and set the message
+        if (this.messagePreviewTextarea) {
+            this.messagePreviewTextarea.value = variant.message;
+            
+            // Force DOM update
+            this.messagePreviewTextarea.dispatchEvent(new Event('input'));
+            
+            // Double-check it stuck
+            setTimeout(() => {
+                if (!this.messagePreviewTextarea.value || this.messagePreviewTextarea.value === '') {
+                    debugLog('Textarea was cleared! Re-setting...');
+                    this.messagePreviewTextarea.value = variant.message;
+                }
+            }, 100);
+        } else {
+            debugLog('ERROR: messagePreviewTextarea is null!');
+        }
+        
+        this.renderValidation(variant.validation);
+        this.variantList.querySelectorAll('.variant-card').forEach((card, cardIndex) => {
+            card.classList.toggle('selected', cardIndex === index);
+        });
+        this.shareSelectedNote(variant.message);
+    }
+
+    /**
+     * Hand the selected message to the page so the "Insert AI note" control in LinkedIn's
+     * Connect dialog uses it instead of generating a new one
+     */
+    async shareSelectedNote(message) {
+        if (!this.profileData?.profileUrl) return;
+
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            await chrome.tabs.sendMessage(tab.id, MessageProtocol.create('setPendingNote', {
+                profileUrl: this.profileData.profileUrl,
+                message,
+                personaId: this.generation?.personaId,
+                intentId: this.generation?.intentId,
+                regenerations: this.generation?.regenerations
+            }));
+        } catch (error) {
+            debugLog('Could not share the selected message with the page:', error.message);
+        }
+    }
+
+    /**
+     * Render one selectable card per draft, each with its own count, pin and copy controls
+     */
+    renderVariants() {
+        this.variantList.innerHTML = '';
+        
+        this.variants.forEach((variant, index) => {
+            const card = document.createElement('div');
+            card.className = 'variant-card';
+            card.classList.toggle('pinned', !!variant.pinned);
+            card.classList.toggle('selected', index === this.selectedVariantIndex);
+            card.addEventListener('click', () => this.selectVariant(index));
+            
+            const header = document.createElement('div');
+            header.className = 'variant-header';
+            
+            const title = document.createElement('span');
+            title.className = 'variant-title';
+            title.textContent = `Draft ${index + 1}`;
+            
+            const count = document.createElement('span');
+            count.className = 'variant-count';
+            count.classList.toggle('over-limit', noteLength(variant.message) > LINKEDIN_NOTE_LIMIT);
+            count.textContent = `${noteLength(variant.message)}/${LINKEDIN_NOTE_LIMIT}`;
+            
+            const pinButton = document.createElement('button');
+            pinButton.type = 'button';
+            pinButton.className = 'variant-button';
+            pinButton.textContent = variant.pinned ? '📌 Pinned' : '📌 Pin';
+            pinButton.title = 'Keep this draft when regenerating';
+            pinButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                variant.pinned = !variant.pinned;
+                this.renderVariants();
+            });
+            
+            const copyButton = document.createElement('button');
+            copyButton.type = 'button';
+            copyButton.className = 'variant-button';
+            copyButton.textContent = '📋 Copy';
+            copyButton.addEventListener('click', async (event) => {
+                event.stopPropagation();
+                await this.copyToClipboard(variant.message, copyButton);
+            });
+            
+            const text = document.createElement('p');
+            text.className = 'variant-text';
+            text.textContent = variant.message;
+            
+            header.append(title, count, pinButton, copyButton);
+            card.append(header, text);
+            this.variantList.appendChild(card);
+        });
+        
+        // A single draft is already shown in the message box
+        this.variantList.style.display = this.variants.length > 1 ? 'flex' : 'none';
+    }
+
+    /**
+     * Show which message checks passed
+     */
+    renderValidation(validation = []) {
+        this.validationList.innerHTML = '';
+        
+        for (const rule of validation) {
+            const item = document.createElement('li');
+            item.className = rule.passed ? 'validation-passed' : 'validation-failed';
+            item.textContent = `${rule.passed ? '✓' : '✗'} ${rule.label}`;
+            if (!rule.passed) {
+                item.title = rule.detail;
+            }
+            this.validationList.appendChild(item);
+        }
+        
+        this.validationList.style.display = validation.length ? 'flex' : 'none';
+    }
+
+    /**
+     * Show which selector strategy found each profile field, so broken selectors are noticed
+     */
+    renderExtractionReport(report) {
+        this.extractionList.innerHTML = '';
+        if (!report) {
+            this.extractionReport.style.display = 'none';
+            return;
+        }
+
+        this.extractionSummary.textContent =
+            `Profile extraction: ${report.matched}/${report.total} found (selectors v${report.registryVersion}, ${report.registrySource})`;
+
+        for (const field of report.fields) {
+            const item = document.createElement('li');
+            item.className = field.matched ? 'validation-passed' : 'validation-failed';
+            item.textContent = `${field.matched ? '✓' : '✗'} ${field.label}`;
+
+            const strategy = document.createElement('span');
+            strategy.className = 'extraction-strategy';
+            strategy.textContent = field.matched ? field.strategy : 'no strategy matched';
+            item.appendChild(strategy);
+
+            this.extractionList.appendChild(item);
+        }
+
+        this.extractionReport.style.display = 'block';
+    }
+
     async handleCopyMessage() {
+        await this.copyToClipboard(this.messagePreviewTextarea.value, this.copyButton, this.copyText);
+    }
+
+    /**
+     * Copy text and briefly show "Copied!" on the button that was clicked
+     */
+    async copyToClipboard(text, button, label = button) {
         try {
-            const message = this.messagePreviewTextarea.value;
-            await navigator.clipboard.writeText(message);
+            await navigator.clipboard.writeText(text);
             
             // Show success feedback
-            const originalText = this.copyText.textContent;
-            this.copyText.textContent = 'Copied!';
-            this.copyButton.style.backgroundColor = '#28a745';
+            const originalText = label.textContent;
+            label.textContent = 'Copied!';
+            button.style.backgroundColor = '#28a745';
             
             setTimeout(() => {
-                this.copyText.textContent = originalText;
-                this.copyButton.style.backgroundColor = '';
+                label.textContent = originalText;
+                button.style.backgroundColor = '';
             }, 2000);
             
             debugLog('Message copied to clipboard');
+            await this.recordOutcome('messageCopied');
             
         } catch (error) {
             debugLog('Error copying message:', error);
@@ -267,9 +1017,169 @@ class PopupManager {
         }
     }
 
+    /**
+     * Add the profile to the outreach pipeline with the selected message as its draft
+     */
+    async handleTrackContact() {
+        try {
+            const contact = await PipelineStore.track(this.profileData, this.messagePreviewTextarea.value.trim());
+            this.trackText.textContent = 'Tracked';
+            this.showStatus(`${contact.name || 'Contact'} is in the pipeline as ${PIPELINE_STATUSES[contact.status].label.toLowerCase()}.`, 'success');
+        } catch (error) {
+            debugLog('Error tracking contact:', error);
+            this.showStatus(`Could not track contact: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Queue the profile in the active tab for batch drafting and start working through the queue
+     */
+    async handleQueueProfile() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const [profileUrl] = BatchStore.parseProfileUrls(tab?.url || '');
+            if (!profileUrl) {
+                this.showStatus('Open a LinkedIn profile to add it to the batch.', 'error');
+                return;
+            }
+
+            const { added } = await BatchStore.add([profileUrl]);
+            if (!added) {
+                this.showStatus('This profile is already in the batch queue.', 'info');
+                return;
+            }
+
+            const response = await this.sendMessageToBackground('startBatch');
+            const queued = (await BatchStore.getAll()).filter(item => item.status === 'queued' || item.status === 'working').length;
+            this.queueText.textContent = 'Queued';
+            this.showStatus(response?.success
+                ? `Added to the batch; ${queued} profile(s) waiting. Review the drafts on the Batch page.`
+                : MessageProtocol.describeError(response, 'Added to the batch, but drafting could not start.'), response?.success ? 'success' : 'warning');
+        } catch (error) {
+            debugLog('Error queueing profile:', error);
+            this.showStatus(`Could not add the profile to the batch: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Read the open conversation and ask the background worker for a reply draft
+     */
+    async handleDraftReply({ regenerate = false } = {}) {
+        try {
+            this.setGenerateLoading(true);
+            this.messageActions.style.display = 'none';
+            this.validationList.style.display = 'none';
+            this.variants = [];
+            this.renderVariants();
+            this.renderExtractionReport(null);
+            this.messagePreviewTextarea.value = '';
+
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab || !tab.id) {
+                this.showStatus('Could not access the current tab.', 'error');
+                return;
+            }
+
+            const conversationResponse = await this.requestFromContentScript(tab, 'getConversation');
+            if (!conversationResponse || !conversationResponse.success) {
+                this.showStatus(MessageProtocol.describeError(conversationResponse, 'Could not read the conversation. Please refresh the LinkedIn page.'), 'error');
+                return;
+            }
+
+            const replyResponse = await this.sendMessageToBackground('generateReply', {
+                conversation: conversationResponse.conversation,
+                regenerate
+            });
+
+            if (replyResponse && replyResponse.success) {
+                this.trackGeneration(regenerate, { kind: 'reply', personaId: replyResponse.personaId });
+                this.messagePreviewTextarea.value = replyResponse.message;
+                this.messageActions.style.display = 'flex';
+                this.showStatus('Reply drafted!', 'success');
+            } else {
+                this.showStatus(MessageProtocol.describeError(replyResponse, 'Failed to draft a reply.'), 'error');
+            }
+        } catch (error) {
+            debugLog('Error in handleDraftReply:', error);
+            this.showStatus(`An unexpected error occurred: ${error.message}`, 'error');
+        } finally {
+            this.setGenerateLoading(false);
+        }
+    }
+
+    /**
+     * Put the drafted reply into the conversation's message box
+     */
+    async handleInsertReply() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const response = await this.requestFromContentScript(tab, 'insertReply', {
+                text: this.messagePreviewTextarea.value.trim()
+            });
+
+            if (response?.success) {
+                this.showStatus('Reply inserted. Review it in LinkedIn before sending.', 'success');
+                await this.recordOutcome('messageInserted');
+            } else {
+                this.showStatus(MessageProtocol.describeError(response, 'Could not insert the reply.'), 'error');
+            }
+        } catch (error) {
+            debugLog('Error inserting reply:', error);
+            this.showStatus(`Could not insert the reply: ${error.message}`, 'error');
+        }
+    }
+
     async handleRegenerateMessage() {
         debugLog('Regenerating message...');
-        await this.handleGenerateMessage();
+        await this.handleGenerateMessage({ regenerate: true });
+    }
+
+    /**
+     * Show the API calls used today and this minute against the limits set in the options page.
+     * Hidden for local providers and when both limits are off.
+     */
+    async updateQuotaMeter(settings = null) {
+        try {
+            const stored = settings || (await chrome.storage.sync.get('settings')).settings;
+            const limits = { ...DEFAULT_RATE_LIMIT_SETTINGS, ...(stored?.rateLimit || {}) };
+            if (!RequestScheduler.isMetered(stored?.llm?.provider) || (!limits.perDay && !limits.perMinute)) {
+                this.quotaMeter.style.display = 'none';
+                return;
+            }
+
+            const { today, lastMinute, perDay, perMinute } = await RequestScheduler.usage(limits);
+            const parts = [];
+            if (perDay) parts.push(`${today} of ${perDay} API calls today`);
+            if (perMinute) parts.push(`${lastMinute} of ${perMinute} this minute`);
+            this.quotaText.textContent = parts.join(' · ');
+
+            const used = perDay ? today / perDay : lastMinute / perMinute;
+            this.quotaFill.style.width = `${Math.min(1, used) * 100}%`;
+            this.quotaFill.classList.toggle('quota-low', used >= 0.8 && used < 1);
+            this.quotaFill.classList.toggle('quota-out', used >= 1);
+            this.quotaMeter.style.display = 'block';
+        } catch (error) {
+            debugLog('Error updating quota meter:', error);
+        }
+    }
+
+    /**
+     * Remember what the new drafts were generated for, counting regenerations in a row
+     */
+    trackGeneration(regenerate, details) {
+        this.regenerations = regenerate ? this.regenerations + 1 : 0;
+        this.generation = { ...details, regenerations: this.regenerations, outcomeRecorded: false };
+    }
+
+    /**
+     * Report the first copy or insert of the current drafts for the usage statistics
+     */
+    async recordOutcome(type) {
+        if (!this.generation || this.generation.outcomeRecorded) return;
+        this.generation.outcomeRecorded = true;
+
+        const { outcomeRecorded, ...details } = this.generation;
+        await this.sendMessageToBackground('logActivity', { type, ...details });
     }
 
     setGenerateLoading(loading) {
@@ -280,6 +1190,7 @@ class PopupManager {
         } else {
             this.generateText.style.display = 'inline';
             this.generateLoader.style.display = 'none';
+            this.cancelButton.style.display = 'none';
             // Only update UI if no message is currently displayed
             if (!this.messagePreviewTextarea.value || 
                 this.messagePreviewTextarea.value.includes('Click "Generate Message"') ||
@@ -308,13 +1219,19 @@ class PopupManager {
                 return;
             }
             
-            const settings = {
+            // Saving makes the persona the active one, for generation from the LinkedIn page too
+            const persona = await PersonaStore.save({
+                id: this.currentPersonaId(),
+                name: this.personaNameInput.value,
                 userContext,
                 userRole,
-                timestamp: new Date().toISOString()
-            };
-
-            await chrome.storage.sync.set(settings);
+                intentId: this.intentSelect.value,
+                templateId: this.templateSelect.value,
+                language: this.languageSelect.value,
+                signature: this.signatureInput.value
+            });
+            await PersonaStore.setActive(persona.id);
+            await this.loadPersonas(persona.id);
             
             this.showStatus('Settings saved successfully! 🎉', 'success');
             await this.updateUI();
@@ -325,10 +1242,7 @@ class PopupManager {
                 if (tab && tab.url && tab.url.includes('linkedin.com')) {
                     // Try to notify content script of settings update
                     try {
-                        await chrome.tabs.sendMessage(tab.id, {
-                            action: 'settingsUpdated',
-                            data: settings
-                        });
+                        await chrome.tabs.sendMessage(tab.id, MessageProtocol.create('settingsUpdated', persona));
                         debugLog('Settings update sent to content script');
                     } catch (contentError) {
                         debugLog('Could not notify content script of settings update:', contentError);
@@ -405,14 +1319,4 @@ document.addEventListener('DOMContentLoaded', () => {
             statusEl.style.display = 'block';
         }
     }
-});
-
-// Handle extension icon click
-chrome.action?.onClicked?.addListener(() => {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        const activeTab = tabs[0];
-        if (activeTab.url && activeTab.url.includes('linkedin.com')) {
-            chrome.tabs.sendMessage(activeTab.id, { action: 'showGenerateButton' });
-        }
-    });
 }); 
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * LinkedIn Connection Assistant - Profile URLs
+ * The canonical form of a LinkedIn profile URL, which the pipeline, the batch queue and pending
+ * notes are keyed on. Shared by the content script, the popup, the batch page and the service worker.
+ */
+
+/**
+ * Profile URL without query string, hash or sub-page, e.g. https://www.linkedin.com/in/jane-doe/
+ * @param {string} url - Any URL or text containing a linkedin.com/in/ link.
+ * @returns {string|null} null when there is no profile link, or its name cannot be decoded.
+ */
+function canonicalProfileUrl(url = '') {
+    const match = url.match(/linkedin\.com\/in\/([^/?#\s"'<>]+)/i);
+    if (!match) {
+        return null;
+    }
+
+    try {
+        return `https://www.linkedin.com/in/${decodeURIComponent(match[1]).toLowerCase()}/`;
+    } catch (error) {
+        // A malformed percent-escape, e.g. "jane%E0%A4"
+        return null;
+    }
+}
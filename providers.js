@@ -0,0 +1,580 @@
+/**
+ * LinkedIn Connection Assistant - LLM Providers
+ * Common interface over the text-generation backends the extension can talk to.
+ * Every provider returns { text, finishReason, usage } from generate() and stream(),
+ * and an array of those from generateMany(). Providers with a native candidate count make
+ * that one request in requestCandidates(), so RequestScheduler.wrap() can meter it.
+ */
+
+const DEFAULT_LLM_SETTINGS = {
+    provider: 'gemini',
+    model: 'gemini-1.5-flash-latest',
+    endpoint: '',
+    temperature: 0.9,
+    topP: 0.95,
+    topK: 1,
+    maxOutputTokens: 256
+};
+
+/**
+ * Error raised by providers; status is the HTTP status when there is one, and retryAfterMs
+ * how long the API asked to wait before trying again
+ */
+class ProviderError extends Error {
+    constructor(message, { status = null, code = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.code = code;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * The wait an error response asks for, in milliseconds: a Retry-After header (seconds or an
+ * HTTP date), or the retryDelay ("37s") Gemini puts in its error details. null when there is none.
+ */
+function parseRetryAfter(response, errorBody = {}) {
+    const header = response.headers?.get('Retry-After');
+    if (header) {
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    const retryDelay = (errorBody.error?.details || []).find(detail => detail.retryDelay)?.retryDelay;
+    const seconds = parseFloat(retryDelay);
+    return Number.isNaN(seconds) ? null : seconds * 1000;
+}
+
+class LLMProvider {
+    constructor(settings, apiKey = null) {
+        this.settings = { ...DEFAULT_LLM_SETTINGS, ...settings };
+        if (!settings?.model) {
+            this.settings.model = this.constructor.defaultModel;
+        }
+        this.apiKey = apiKey;
+    }
+
+    get endpoint() {
+        return (this.settings.endpoint || this.constructor.defaultEndpoint || '').replace(/\/+$/, '');
+    }
+
+    /**
+     * Generate a completion for a single prompt
+     * @returns {Promise<{text: string, finishReason: string, usage: object}>}
+     */
+    async generate(prompt) {
+        throw new Error(`${this.constructor.name} does not implement generate()`);
+    }
+
+    /**
+     * Generate several independent completions for the same prompt.
+     * Providers without a native candidate count make parallel calls.
+     * @returns {Promise<Array<{text: string, finishReason: string, usage: object}>>}
+     */
+    async generateMany(prompt, count) {
+        return Promise.all(Array.from({ length: count }, () => this.generate(prompt)));
+    }
+
+    /**
+     * Generate a completion, reporting the text produced so far as it arrives.
+     * Providers without a streaming endpoint report the whole text once.
+     * @param {string} prompt - The prompt to complete.
+     * @param {object} options - onText(textSoFar) callback and an AbortSignal to cancel with.
+     * @returns {Promise<{text: string, finishReason: string, usage: object}>}
+     */
+    async stream(prompt, { onText = () => {}, signal = null } = {}) {
+        const result = await this.generate(prompt);
+        onText(result.text);
+        return result;
+    }
+
+    /**
+     * List the models this provider can use for text generation
+     * @returns {Promise<Array<{name: string, displayName: string}>>}
+     */
+    async listModels() {
+        return [];
+    }
+
+    async sendRequest(url, options = {}) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new ProviderError(`Could not reach ${this.constructor.label}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const errorBody = await response.json().catch(() => ({}));
+            const detail = errorBody.error?.message || errorBody.error || response.statusText;
+            throw new ProviderError(`${this.constructor.label} API error: ${detail}`, {
+                status: response.status,
+                retryAfterMs: parseRetryAfter(response, errorBody)
+            });
+        }
+
+        return response;
+    }
+
+    async requestJson(url, options = {}) {
+        const response = await this.sendRequest(url, options);
+        return response.json();
+    }
+
+    /**
+     * Yield the non-empty lines of a streamed response body (SSE or NDJSON)
+     */
+    async *readLines(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (line.trim()) yield line.trim();
+            }
+        }
+
+        if (buffer.trim()) yield buffer.trim();
+    }
+}
+
+class GeminiProvider extends LLMProvider {
+    static label = 'Google Gemini';
+    static defaultEndpoint = 'https://generativelanguage.googleapis.com/v1beta';
+    static defaultModel = 'gemini-1.5-flash-latest';
+
+    async generate(prompt) {
+        const [result] = await this.requestCandidates(prompt, 1);
+        return result;
+    }
+
+    async generateMany(prompt, count) {
+        const results = await this.requestCandidates(prompt, count);
+
+        // Some models return fewer candidates than requested; top up with single calls
+        const missing = count - results.length;
+        if (missing > 0) {
+            results.push(...await super.generateMany(prompt, missing));
+        }
+        return results;
+    }
+
+    async stream(prompt, { onText = () => {}, signal = null } = {}) {
+        const url = `${this.endpoint}/models/${this.settings.model}:streamGenerateContent?alt=sse&key=${encodeURIComponent(this.apiKey)}`;
+        const response = await this.sendRequest(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(this.buildRequestBody(prompt, 1)),
+            signal
+        });
+
+        let text = '';
+        let finishReason = 'stop';
+        let usage = { promptTokens: 0, outputTokens: 0 };
+
+        for await (const line of this.readLines(response)) {
+            if (!line.startsWith('data:')) continue;
+            const chunk = JSON.parse(line.slice(5));
+
+            if (chunk.promptFeedback?.blockReason) {
+                throw new ProviderError(`Message generation failed because the prompt was blocked. Reason: ${chunk.promptFeedback.blockReason}`, { code: 'blocked' });
+            }
+
+            const candidate = chunk.candidates?.[0];
+            if (candidate) {
+                text += (candidate.content?.parts || []).map(part => part.text || '').join('');
+                if (candidate.finishReason) {
+                    finishReason = GeminiProvider.normalizeFinishReason(candidate.finishReason);
+                }
+                onText(text);
+            }
+
+            if (chunk.usageMetadata) {
+                usage = {
+                    promptTokens: chunk.usageMetadata.promptTokenCount || 0,
+                    outputTokens: chunk.usageMetadata.candidatesTokenCount || 0
+                };
+            }
+        }
+
+        return { text, finishReason, usage };
+    }
+
+    buildRequestBody(prompt, count) {
+        return {
+            contents: [{
+                parts: [{ text: prompt }]
+            }],
+            generationConfig: {
+                temperature: this.settings.temperature,
+                topK: this.settings.topK,
+                topP: this.settings.topP,
+                maxOutputTokens: this.settings.maxOutputTokens,
+                candidateCount: count,
+                stopSequences: [],
+            },
+            safetySettings: [
+                { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+                { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+                { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+                { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+            ]
+        };
+    }
+
+    async requestCandidates(prompt, count) {
+        const url = `${this.endpoint}/models/${this.settings.model}:generateContent?key=${encodeURIComponent(this.apiKey)}`;
+        const responseData = await this.requestJson(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(this.buildRequestBody(prompt, count)),
+        });
+
+        const usage = {
+            promptTokens: responseData.usageMetadata?.promptTokenCount || 0,
+            outputTokens: responseData.usageMetadata?.candidatesTokenCount || 0
+        };
+
+        if (responseData.candidates && responseData.candidates.length > 0) {
+            // Token usage is reported for the whole request, so attribute it to the first candidate
+            return responseData.candidates.map((candidate, index) => ({
+                text: (candidate.content?.parts || []).map(part => part.text || '').join(''),
+                finishReason: GeminiProvider.normalizeFinishReason(candidate.finishReason),
+                usage: index === 0 ? usage : { promptTokens: 0, outputTokens: 0 }
+            }));
+        } else if (responseData.promptFeedback && responseData.promptFeedback.blockReason) {
+            console.error('Prompt was blocked by Gemini API:', responseData.promptFeedback);
+            throw new ProviderError(`Message generation failed because the prompt was blocked. Reason: ${responseData.promptFeedback.blockReason}`, { code: 'blocked' });
+        }
+
+        console.error('No candidates returned from Gemini API:', responseData);
+        throw new ProviderError('Message generation failed. The API returned an empty response.', { code: 'empty' });
+    }
+
+    async listModels() {
+        const data = await this.requestJson(`${this.endpoint}/models?pageSize=1000&key=${encodeURIComponent(this.apiKey)}`);
+        return (data.models || [])
+            .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+            .map(model => ({
+                name: model.name.replace(/^models\//, ''),
+                displayName: model.displayName || model.name
+            }));
+    }
+
+    static normalizeFinishReason(reason) {
+        switch (reason) {
+            case 'STOP': return 'stop';
+            case 'MAX_TOKENS': return 'length';
+            case 'SAFETY':
+            case 'RECITATION': return 'safety';
+            default: return reason ? 'other' : 'stop';
+        }
+    }
+}
+
+/**
+ * Any server implementing the OpenAI chat completions API
+ * (OpenAI, Azure-style proxies, LM Studio, vLLM, OpenRouter, ...)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    static label = 'OpenAI-compatible';
+    static defaultEndpoint = 'https://api.openai.com/v1';
+    static defaultModel = 'gpt-4o-mini';
+
+    get headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async generate(prompt) {
+        const [result] = await this.requestCandidates(prompt, 1);
+        return result;
+    }
+
+    async generateMany(prompt, count) {
+        const results = await this.requestCandidates(prompt, count);
+
+        // Servers that ignore "n" return a single choice; top up with single calls
+        if (results.length < count) {
+            results.push(...await super.generateMany(prompt, count - results.length));
+        }
+        return results;
+    }
+
+    async stream(prompt, { onText = () => {}, signal = null } = {}) {
+        const response = await this.sendRequest(`${this.endpoint}/chat/completions`, {
+            method: 'POST',
+            headers: this.headers,
+            body: JSON.stringify({
+                ...this.buildRequestBody(prompt),
+                stream: true,
+                stream_options: { include_usage: true }
+            }),
+            signal
+        });
+
+        let text = '';
+        let finishReason = 'stop';
+        let usage = { promptTokens: 0, outputTokens: 0 };
+
+        for await (const line of this.readLines(response)) {
+            if (!line.startsWith('data:')) continue;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') break;
+
+            const chunk = JSON.parse(payload);
+            const choice = chunk.choices?.[0];
+            if (choice?.delta?.content) {
+                text += choice.delta.content;
+                onText(text);
+            }
+            if (choice?.finish_reason) {
+                finishReason = OpenAICompatibleProvider.normalizeFinishReason(choice.finish_reason);
+            }
+            if (chunk.usage) {
+                usage = {
+                    promptTokens: chunk.usage.prompt_tokens || 0,
+                    outputTokens: chunk.usage.completion_tokens || 0
+                };
+            }
+        }
+
+        return { text, finishReason, usage };
+    }
+
+    buildRequestBody(prompt) {
+        return {
+            model: this.settings.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: this.settings.temperature,
+            top_p: this.settings.topP,
+            max_tokens: this.settings.maxOutputTokens
+        };
+    }
+
+    async requestCandidates(prompt, count) {
+        const body = this.buildRequestBody(prompt);
+        if (count > 1) {
+            body.n = count;
+        }
+
+        const responseData = await this.requestJson(`${this.endpoint}/chat/completions`, {
+            method: 'POST',
+            headers: this.headers,
+            body: JSON.stringify(body)
+        });
+
+        const choices = (responseData.choices || []).filter(choice => choice.message);
+        if (choices.length === 0) {
+            throw new ProviderError('Message generation failed. The API returned an empty response.', { code: 'empty' });
+        }
+
+        const usage = {
+            promptTokens: responseData.usage?.prompt_tokens || 0,
+            outputTokens: responseData.usage?.completion_tokens || 0
+        };
+
+        return choices.map((choice, index) => ({
+            text: choice.message.content || '',
+            finishReason: OpenAICompatibleProvider.normalizeFinishReason(choice.finish_reason),
+            usage: index === 0 ? usage : { promptTokens: 0, outputTokens: 0 }
+        }));
+    }
+
+    async listModels() {
+        const data = await this.requestJson(`${this.endpoint}/models`, { headers: this.headers });
+        return (data.data || []).map(model => ({ name: model.id, displayName: model.id }));
+    }
+
+    static normalizeFinishReason(reason) {
+        switch (reason) {
+            case 'length': return 'length';
+            case 'content_filter': return 'safety';
+            default: return 'stop';
+        }
+    }
+}
+
+/**
+ * A local Ollama-style HTTP server
+ */
+class OllamaProvider extends LLMProvider {
+    static label = 'Ollama (local)';
+    static defaultEndpoint = 'http://localhost:11434';
+    static defaultModel = 'llama3.1';
+
+    async generate(prompt) {
+        const responseData = await this.requestJson(`${this.endpoint}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.buildRequestBody(prompt, false))
+        });
+
+        return OllamaProvider.toResult(responseData.response || '', responseData);
+    }
+
+    async stream(prompt, { onText = () => {}, signal = null } = {}) {
+        const response = await this.sendRequest(`${this.endpoint}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.buildRequestBody(prompt, true)),
+            signal
+        });
+
+        // Ollama streams one JSON object per line; the last one has done: true and the counts
+        let text = '';
+        let last = {};
+        for await (const line of this.readLines(response)) {
+            last = JSON.parse(line);
+            if (last.response) {
+                text += last.response;
+                onText(text);
+            }
+        }
+
+        return OllamaProvider.toResult(text, last);
+    }
+
+    buildRequestBody(prompt, stream) {
+        return {
+            model: this.settings.model,
+            prompt,
+            stream,
+            options: {
+                temperature: this.settings.temperature,
+                top_p: this.settings.topP,
+                top_k: this.settings.topK,
+                num_predict: this.settings.maxOutputTokens
+            }
+        };
+    }
+
+    static toResult(text, responseData) {
+        return {
+            text,
+            finishReason: responseData.done_reason === 'length' ? 'length' : 'stop',
+            usage: {
+                promptTokens: responseData.prompt_eval_count || 0,
+                outputTokens: responseData.eval_count || 0
+            }
+        };
+    }
+
+    async listModels() {
+        const data = await this.requestJson(`${this.endpoint}/api/tags`);
+        return (data.models || []).map(model => ({ name: model.name, displayName: model.name }));
+    }
+}
+
+/**
+ * Offline provider that returns the same sequence of messages for the same prompts.
+ * Used for development and tests; makes no network calls.
+ */
+class MockProvider extends LLMProvider {
+    static label = 'Mock (offline)';
+    static defaultEndpoint = '';
+    static defaultModel = 'mock-1';
+    static STREAM_DELAY_MS = 15;
+
+    constructor(settings, apiKey = null) {
+        super(settings, apiKey);
+        this.calls = 0;
+    }
+
+    async generate(prompt) {
+        const [result] = await this.generateMany(prompt, 1);
+        return result;
+    }
+
+    async generateMany(prompt, count) {
+        const start = MockProvider.hash(`${prompt}|${this.settings.model}`);
+        return Array.from({ length: count }, () => this.mockResult(prompt, start + this.calls++));
+    }
+
+    async stream(prompt, { onText = () => {}, signal = null } = {}) {
+        const result = await this.generate(prompt);
+        const words = result.text.split(' ');
+
+        for (let i = 1; i <= words.length; i++) {
+            if (signal?.aborted) {
+                throw new DOMException('Generation cancelled', 'AbortError');
+            }
+            await new Promise(resolve => setTimeout(resolve, MockProvider.STREAM_DELAY_MS));
+            onText(words.slice(0, i).join(' '));
+        }
+
+        return result;
+    }
+
+    mockResult(prompt, seed) {
+        // The last greeting asked for wins, as an appended language rule overrides the template's
+        const greeting = [...prompt.matchAll(/Start with (?:exactly )?"([^"]+)"/g)].pop()?.[1]
+            || prompt.match(/"(Hi [^",]+,)"/)?.[1] || 'Hi there,';
+        const signature = prompt.match(/signature on its own line, exactly as written: (.+)$/m)?.[1];
+        const text = `${greeting} ${MockProvider.BODIES[seed % MockProvider.BODIES.length]}${signature ? `\n${signature}` : ''}`;
+
+        return {
+            text,
+            finishReason: 'stop',
+            usage: {
+                promptTokens: Math.ceil(prompt.length / 4),
+                outputTokens: Math.ceil(text.length / 4)
+            }
+        };
+    }
+
+    async listModels() {
+        return [{ name: 'mock-1', displayName: 'Mock model' }];
+    }
+
+    static hash(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+        }
+        return hash;
+    }
+
+    static BODIES = [
+        'I came across your profile while looking at teams in your field and your recent work stood out. I am building my network with people who care about doing good work. Would be glad to connect.',
+        'your background lines up closely with what I am working on right now, and I would like to learn how you approach it. I am connecting with a few people in the space. Let me know.',
+        'I noticed we work in overlapping areas and thought it would be good to be in touch. I enjoy swapping notes with people doing similar work. Happy to connect if that works for you.'
+    ];
+}
+
+const PROVIDERS = {
+    gemini: { providerClass: GeminiProvider, usesApiKey: true, requiresApiKey: true },
+    openai: { providerClass: OpenAICompatibleProvider, usesApiKey: true, requiresApiKey: false },
+    ollama: { providerClass: OllamaProvider, usesApiKey: false, requiresApiKey: false },
+    mock: { providerClass: MockProvider, usesApiKey: false, requiresApiKey: false }
+};
+
+/**
+ * Build the provider instance described by the LLM settings
+ */
+function createProvider(settings, apiKey = null) {
+    const entry = PROVIDERS[settings?.provider] || PROVIDERS[DEFAULT_LLM_SETTINGS.provider];
+    return new entry.providerClass(settings, apiKey);
+}
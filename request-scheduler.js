@@ -0,0 +1,223 @@
+/**
+ * LinkedIn Connection Assistant - Request Scheduler
+ * Puts every call to a hosted model API through per-minute and per-day limits, and retries
+ * rate-limited or overloaded responses with exponential backoff, honoring Retry-After.
+ * Calls are logged in chrome.storage.local so the limits hold across service worker restarts.
+ * Used by the service worker to make calls and by the popup and options page to show the quota.
+ */
+
+const API_CALL_LOG_STORAGE_KEY = 'apiCallLog';
+
+// 0 turns a limit off
+const DEFAULT_RATE_LIMIT_SETTINGS = {
+    perMinute: 10,
+    perDay: 200
+};
+
+// Local and offline providers have no quota to protect
+const UNMETERED_PROVIDERS = ['ollama', 'mock'];
+
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+// A call waits this long at most for room under the per-minute limit before it is refused
+const MAX_QUEUE_WAIT_MS = 20000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * A call refused by the scheduler or still rate-limited after every retry.
+ * code is a MESSAGE_ERRORS key; retryAfterMs says when trying again makes sense.
+ */
+class RateLimitError extends Error {
+    constructor(message, { code, status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.code = code;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class RequestScheduler {
+    // Reservations run one at a time, so parallel drafts cannot all take the last free slot
+    static reservations = Promise.resolve();
+
+    static isMetered(provider) {
+        return !UNMETERED_PROVIDERS.includes(provider);
+    }
+
+    /**
+     * The limits chosen in the options page, with defaults for anything missing
+     */
+    static async loadLimits() {
+        const { settings } = await chrome.storage.sync.get('settings');
+        return { ...DEFAULT_RATE_LIMIT_SETTINGS, ...(settings?.rateLimit || {}) };
+    }
+
+    /**
+     * Timestamps of the calls made since local midnight or within the last minute, oldest first
+     */
+    static async loadCalls(now = Date.now()) {
+        const { [API_CALL_LOG_STORAGE_KEY]: calls = [] } = await chrome.storage.local.get(API_CALL_LOG_STORAGE_KEY);
+        const since = Math.min(RequestScheduler.startOfDay(now), now - MINUTE_MS);
+        return calls.filter(time => time > since);
+    }
+
+    static startOfDay(now) {
+        const midnight = new Date(now);
+        midnight.setHours(0, 0, 0, 0);
+        return midnight.getTime();
+    }
+
+    /**
+     * Calls made this minute and today against the limits, for the quota meter
+     */
+    static async usage(limits = null, now = Date.now()) {
+        const { perMinute, perDay } = limits || await RequestScheduler.loadLimits();
+        const calls = await RequestScheduler.loadCalls(now);
+        return {
+            perMinute,
+            perDay,
+            lastMinute: calls.filter(time => time > now - MINUTE_MS).length,
+            today: calls.filter(time => time >= RequestScheduler.startOfDay(now)).length
+        };
+    }
+
+    /**
+     * Take a slot under both limits and log the call
+     * @returns {Promise<number>} How long to wait before calling, 0 when a slot is free now.
+     * @throws {RateLimitError} When the daily limit is used up or the wait would be too long.
+     */
+    static reserve(limits) {
+        const reservation = RequestScheduler.reservations.then(async () => {
+            const now = Date.now();
+            const calls = await RequestScheduler.loadCalls(now);
+
+            const today = calls.filter(time => time >= RequestScheduler.startOfDay(now));
+            if (limits.perDay > 0 && today.length >= limits.perDay) {
+                const midnight = new Date(RequestScheduler.startOfDay(now));
+                midnight.setDate(midnight.getDate() + 1);
+                throw new RateLimitError(
+                    `You have used all ${limits.perDay} API calls allowed today. Raise the daily limit in the extension options or try again tomorrow.`,
+                    { code: 'DAILY_LIMIT_REACHED', retryAfterMs: midnight.getTime() - now }
+                );
+            }
+
+            // Reserved calls may lie in the future; the slot frees a minute after the call it waits for
+            let startAt = now;
+            const recent = calls.filter(time => time > now - MINUTE_MS);
+            if (limits.perMinute > 0 && recent.length >= limits.perMinute) {
+                startAt = recent[recent.length - limits.perMinute] + MINUTE_MS;
+            }
+            const wait = startAt - now;
+            if (wait > MAX_QUEUE_WAIT_MS) {
+                throw new RateLimitError(
+                    `You have reached the limit of ${limits.perMinute} API calls per minute. Try again in ${Math.ceil(wait / 1000)} seconds.`,
+                    { code: 'RATE_LIMITED', retryAfterMs: wait }
+                );
+            }
+
+            await chrome.storage.local.set({ [API_CALL_LOG_STORAGE_KEY]: [...calls, startAt] });
+            return wait;
+        });
+
+        // A refused reservation must not block the ones after it
+        RequestScheduler.reservations = reservation.catch(() => {});
+        return reservation;
+    }
+
+    /**
+     * How long to wait before retrying a failed call: the provider's Retry-After when it sent one,
+     * otherwise exponential backoff with jitter. null when the error is not worth retrying.
+     */
+    static retryDelay(error, attempt) {
+        if (!RETRY_STATUSES.includes(error?.status)) {
+            return null;
+        }
+        if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+            return error.retryAfterMs;
+        }
+        const backoff = BACKOFF_BASE_MS * 2 ** (attempt - 1);
+        return Math.min(backoff + Math.random() * backoff / 2, BACKOFF_MAX_MS);
+    }
+
+    /**
+     * Run a provider call within the limits, retrying rate-limited and overloaded responses
+     * @param {Function} call - Makes one provider call; run again for each retry.
+     * @param {object} options - limits, and an AbortSignal that also cancels waiting.
+     */
+    static async run(call, { limits, signal = null } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            const wait = await RequestScheduler.reserve(limits);
+            if (wait > 0) {
+                debugLog(`Waiting ${Math.ceil(wait / 1000)}s for the per-minute limit`);
+                await RequestScheduler.sleep(wait, signal);
+            }
+
+            try {
+                return await call();
+            } catch (error) {
+                const delay = RequestScheduler.retryDelay(error, attempt);
+                if (delay === null) {
+                    throw error;
+                }
+                // A provider asking for a longer pause than the backoff cap is not waited for
+                if (attempt > MAX_RETRIES || delay > BACKOFF_MAX_MS) {
+                    throw RequestScheduler.describe(error);
+                }
+
+                debugLog(`HTTP ${error.status}, retrying in ${Math.ceil(delay / 1000)}s (retry ${attempt} of ${MAX_RETRIES})`);
+                await RequestScheduler.sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * The error shown once retries are used up, instead of the provider's raw message
+     */
+    static describe(error) {
+        if (error.status === 429) {
+            return new RateLimitError(
+                'The AI provider is limiting requests (HTTP 429), usually because the free-tier quota is used up. Wait a minute, or lower the limits in the extension options.',
+                { code: 'RATE_LIMITED', status: 429, retryAfterMs: error.retryAfterMs ?? null }
+            );
+        }
+        return new RateLimitError(
+            `The AI provider is overloaded or unavailable (HTTP ${error.status}). Try again in a few minutes.`,
+            { code: 'PROVIDER_BUSY', status: error.status, retryAfterMs: error.retryAfterMs ?? null }
+        );
+    }
+
+    static sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Generation cancelled', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Generation cancelled', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * A provider whose API requests go through the scheduler one by one: generate, stream and
+     * requestCandidates. generateMany is the provider's own, run on the wrapper, so the single
+     * calls that top up missing candidates are metered too.
+     * Everything else, such as settings and listModels, is the provider's own.
+     */
+    static wrap(provider, limits) {
+        const scheduled = Object.create(provider);
+        scheduled.generate = prompt => RequestScheduler.run(() => provider.generate(prompt), { limits });
+        if (provider.requestCandidates) {
+            scheduled.requestCandidates = (prompt, count) => RequestScheduler.run(() => provider.requestCandidates(prompt, count), { limits });
+        }
+        scheduled.stream = (prompt, options = {}) => RequestScheduler.run(() => provider.stream(prompt, options), { limits, signal: options.signal });
+        return scheduled;
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * LinkedIn Connection Assistant - Response Cache
+ * Generated messages in chrome.storage.local, keyed by a hash of everything that shaped them: the
+ * profile, the persona, the template and the model settings. Reopening the popup on a profile shows
+ * the cached drafts instead of calling the provider again; regenerating always bypasses the cache.
+ * Used by the background service worker.
+ */
+
+const RESPONSE_CACHE_STORAGE_KEY = 'responseCache';
+
+// Cached drafts older than this are generated again
+const RESPONSE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Entries kept; the least recently used are dropped first
+const RESPONSE_CACHE_LIMIT = 50;
+
+class ResponseCache {
+    /**
+     * Hash of the generation inputs, as hex. The content script already reports profileData.profileUrl
+     * in canonical form.
+     * @param {object} inputs - { profileData, persona, template, llmSettings, ... }; any JSON value.
+     */
+    static keyFor(inputs) {
+        return ResponseCache.hash(ResponseCache.stableStringify(inputs));
+    }
+
+    /**
+     * 53-bit string hash (cyrb53); collisions are negligible at the cache's size
+     */
+    static hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let index = 0; index < text.length; index++) {
+            const code = text.charCodeAt(index);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    /**
+     * JSON with object keys sorted, so equal inputs always hash the same
+     */
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ResponseCache.stableStringify(item ?? null)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${ResponseCache.stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+
+    static async getAll() {
+        const result = await chrome.storage.local.get(RESPONSE_CACHE_STORAGE_KEY);
+        return result[RESPONSE_CACHE_STORAGE_KEY] || {};
+    }
+
+    /**
+     * The cached entry for a key, { result, cachedAt, usedAt }, or null when missing or expired
+     */
+    static async get(key, now = Date.now()) {
+        const entries = await ResponseCache.getAll();
+        const entry = entries[key];
+        if (!entry) {
+            return null;
+        }
+        if (now - new Date(entry.cachedAt).getTime() > RESPONSE_CACHE_TTL_MS) {
+            delete entries[key];
+            await chrome.storage.local.set({ [RESPONSE_CACHE_STORAGE_KEY]: entries });
+            return null;
+        }
+
+        entry.usedAt = new Date(now).toISOString();
+        await chrome.storage.local.set({ [RESPONSE_CACHE_STORAGE_KEY]: entries });
+        return entry;
+    }
+
+    /**
+     * Store a generation result, replacing any earlier one for the key. Expired entries are
+     * dropped and, past the limit, the least recently used.
+     */
+    static async set(key, result, now = Date.now()) {
+        const timestamp = new Date(now).toISOString();
+        const entries = await ResponseCache.getAll();
+        entries[key] = { result, cachedAt: timestamp, usedAt: timestamp };
+
+        const kept = Object.entries(entries)
+            .filter(([, entry]) => now - new Date(entry.cachedAt).getTime() <= RESPONSE_CACHE_TTL_MS)
+            .sort(([, a], [, b]) => b.usedAt.localeCompare(a.usedAt))
+            .slice(0, RESPONSE_CACHE_LIMIT);
+        await chrome.storage.local.set({ [RESPONSE_CACHE_STORAGE_KEY]: Object.fromEntries(kept) });
+    }
+
+    static async clear() {
+        await chrome.storage.local.remove(RESPONSE_CACHE_STORAGE_KEY);
+    }
+}
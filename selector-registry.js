@@ -0,0 +1,230 @@
+/**
+ * LinkedIn Connection Assistant - Selector Registry
+ * Where each profile field is found in LinkedIn's DOM, as prioritized strategies.
+ * The content script tries a field's strategies in order and reports which one matched.
+ * Shared by the content script (extraction) and the options page (JSON import).
+ *
+ * Strategy types:
+ *   css        { selector }                       text of the first matching element
+ *   aria       { selector, attribute, pattern }   attribute value, first capture group of pattern
+ *   anchor     { id, selector? }                  the <section> holding the anchor div with this id,
+ *                                                 or the text of selector inside it
+ *   text       { anchorText, selector? }          the <section> whose heading reads anchorText,
+ *                                                 or the text of selector inside it
+ *   heuristic  { name }                           a structural heuristic implemented in content.js
+ */
+
+const SELECTOR_REGISTRY_STORAGE_KEY = 'selectorRegistry';
+const SELECTOR_STRATEGY_TYPES = ['css', 'aria', 'anchor', 'text', 'heuristic'];
+
+// Bump version whenever the built-in strategies change, so stale imported registries are ignored
+const DEFAULT_SELECTOR_REGISTRY = {
+    version: 1,
+    fields: {
+        name: {
+            label: 'Name',
+            strategies: [
+                { type: 'css', selector: 'h1.text-heading-xlarge' },
+                { type: 'css', selector: '.pv-text-details__left-panel h1' },
+                { type: 'css', selector: '.pv-top-card--list-bullet h1' },
+                { type: 'css', selector: '.ph5 h1' },
+                { type: 'css', selector: 'h1.break-words' },
+                { type: 'heuristic', name: 'mainHeading' }
+            ]
+        },
+        headline: {
+            label: 'Headline',
+            strategies: [
+                { type: 'css', selector: '.text-body-medium.break-words' },
+                { type: 'css', selector: '.pv-text-details__left-panel .text-body-medium' },
+                { type: 'css', selector: '.pv-top-card .pv-top-card__headline' },
+                { type: 'css', selector: '.ph5 .text-body-medium' },
+                { type: 'heuristic', name: 'lineAfterName' }
+            ]
+        },
+        company: {
+            label: 'Company',
+            strategies: [
+                { type: 'aria', selector: 'button[aria-label^="Current company"]', attribute: 'aria-label', pattern: '^Current company:\\s*(.+?)\\.?\\s*(?:Click|$)' },
+                { type: 'css', selector: '.pv-text-details__left-panel .pv-entity__secondary-title' },
+                { type: 'css', selector: '.pv-top-card .pv-entity__secondary-title' },
+                { type: 'css', selector: '.ph5 .pv-entity__secondary-title' },
+                { type: 'css', selector: '.experience-section .pv-entity__summary-info .pv-entity__secondary-title' },
+                { type: 'heuristic', name: 'currentPositionCompany' }
+            ]
+        },
+        location: {
+            label: 'Location',
+            strategies: [
+                { type: 'css', selector: '.text-body-small.inline.t-black--light' },
+                { type: 'css', selector: '.pv-text-details__left-panel .text-body-small' },
+                { type: 'css', selector: '.pv-top-card .pv-top-card__location' },
+                { type: 'heuristic', name: 'topCardLocation' }
+            ]
+        },
+        about: {
+            label: 'About',
+            strategies: [
+                { type: 'anchor', id: 'about', selector: '.inline-show-more-text, .pv-shared-text-with-see-more' },
+                { type: 'text', anchorText: 'About', selector: '.inline-show-more-text, .pv-shared-text-with-see-more' },
+                { type: 'css', selector: '.pv-shared-text-with-see-more-text .break-words' },
+                { type: 'css', selector: '.pv-about__summary-text .break-words' },
+                { type: 'css', selector: '[data-field="summary"] .break-words' }
+            ]
+        },
+        experienceSection: {
+            label: 'Experience section',
+            section: true,
+            strategies: [
+                { type: 'anchor', id: 'experience' },
+                { type: 'text', anchorText: 'Experience' }
+            ]
+        },
+        educationSection: {
+            label: 'Education section',
+            section: true,
+            strategies: [
+                { type: 'anchor', id: 'education' },
+                { type: 'text', anchorText: 'Education' }
+            ]
+        },
+        skillsSection: {
+            label: 'Skills section',
+            section: true,
+            strategies: [
+                { type: 'anchor', id: 'skills' },
+                { type: 'text', anchorText: 'Skills' }
+            ]
+        },
+        certificationsSection: {
+            label: 'Certifications section',
+            section: true,
+            strategies: [
+                { type: 'anchor', id: 'licenses_and_certifications' },
+                { type: 'text', anchorText: 'Licenses & certifications' }
+            ]
+        },
+        volunteeringSection: {
+            label: 'Volunteering section',
+            section: true,
+            strategies: [
+                { type: 'anchor', id: 'volunteering_experience' },
+                { type: 'text', anchorText: 'Volunteering' }
+            ]
+        },
+        activitySection: {
+            label: 'Activity section',
+            section: true,
+            strategies: [
+                { type: 'anchor', id: 'content_collections' },
+                { type: 'text', anchorText: 'Activity' }
+            ]
+        }
+    }
+};
+
+class SelectorRegistry {
+    /**
+     * The registry in effect: an imported registry's fields override the built-in ones,
+     * unless the extension now ships a newer built-in version
+     * @returns {Promise<{version: number, source: string, fields: object}>}
+     */
+    static async load() {
+        const result = await chrome.storage.local.get(SELECTOR_REGISTRY_STORAGE_KEY);
+        return SelectorRegistry.merge(result[SELECTOR_REGISTRY_STORAGE_KEY]);
+    }
+
+    static merge(imported) {
+        if (!imported || imported.version < DEFAULT_SELECTOR_REGISTRY.version) {
+            return { ...DEFAULT_SELECTOR_REGISTRY, source: 'built-in' };
+        }
+        return {
+            version: imported.version,
+            source: 'imported',
+            importedAt: imported.importedAt,
+            fields: { ...DEFAULT_SELECTOR_REGISTRY.fields, ...imported.fields }
+        };
+    }
+
+    /**
+     * Parse, validate and store a registry exported as JSON
+     * @param {string} json - File contents.
+     * @returns {Promise<object>} The registry now in effect.
+     */
+    static async import(json) {
+        let registry;
+        try {
+            registry = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON: ${error.message}`);
+        }
+
+        SelectorRegistry.validate(registry);
+        if (registry.version < DEFAULT_SELECTOR_REGISTRY.version) {
+            throw new Error(`Registry version ${registry.version} is older than the built-in version ${DEFAULT_SELECTOR_REGISTRY.version}.`);
+        }
+
+        const stored = { version: registry.version, fields: registry.fields, importedAt: new Date().toISOString() };
+        await chrome.storage.local.set({ [SELECTOR_REGISTRY_STORAGE_KEY]: stored });
+        return SelectorRegistry.merge(stored);
+    }
+
+    /**
+     * Throws an Error describing the first problem found
+     */
+    static validate(registry) {
+        if (!registry || typeof registry !== 'object') {
+            throw new Error('The registry must be a JSON object.');
+        }
+        if (!Number.isInteger(registry.version)) {
+            throw new Error('The registry needs an integer "version".');
+        }
+        if (!registry.fields || typeof registry.fields !== 'object') {
+            throw new Error('The registry needs a "fields" object.');
+        }
+
+        for (const [field, spec] of Object.entries(registry.fields)) {
+            if (!Array.isArray(spec?.strategies) || spec.strategies.length === 0) {
+                throw new Error(`Field "${field}" needs a non-empty "strategies" list.`);
+            }
+            spec.strategies.forEach((strategy, index) => {
+                const where = `Field "${field}", strategy ${index + 1}`;
+                if (!SELECTOR_STRATEGY_TYPES.includes(strategy?.type)) {
+                    throw new Error(`${where}: type must be one of ${SELECTOR_STRATEGY_TYPES.join(', ')}.`);
+                }
+                const required = { css: 'selector', aria: 'selector', anchor: 'id', text: 'anchorText', heuristic: 'name' }[strategy.type];
+                if (typeof strategy[required] !== 'string' || !strategy[required]) {
+                    throw new Error(`${where}: "${required}" is required.`);
+                }
+                if (strategy.type === 'aria') {
+                    try {
+                        new RegExp(strategy.pattern || '(.+)');
+                    } catch (error) {
+                        throw new Error(`${where}: invalid pattern (${error.message}).`);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Drop the imported registry and go back to the built-in one
+     */
+    static async reset() {
+        await chrome.storage.local.remove(SELECTOR_REGISTRY_STORAGE_KEY);
+    }
+
+    /**
+     * Short description of a strategy for health reports, e.g. "css: h1.text-heading-xlarge"
+     */
+    static describe(strategy) {
+        const detail = {
+            css: strategy.selector,
+            aria: `${strategy.selector} [${strategy.attribute}]`,
+            anchor: `#${strategy.id}${strategy.selector ? ` ${strategy.selector}` : ''}`,
+            text: `"${strategy.anchorText}"${strategy.selector ? ` ${strategy.selector}` : ''}`,
+            heuristic: strategy.name
+        }[strategy.type];
+        return `${strategy.type}: ${detail}`;
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * LinkedIn Connection Assistant - Settings Schema
+ * Defaults for the synced settings, the tone and length choices for generated messages, and the
+ * ordered migrations that bring settings saved by an older version up to the current schema.
+ * Shared by the service worker (install, update, generation) and the popup (message controls).
+ * Requires personas.js to be loaded first.
+ */
+
+// Bump together with a new entry at the end of SETTINGS_MIGRATIONS
+const SETTINGS_SCHEMA_VERSION = 2;
+
+const MESSAGE_TONES = {
+    professional: {
+        label: 'Professional',
+        instruction: 'Keep the tone professional and courteous without sounding stiff.'
+    },
+    friendly: {
+        label: 'Friendly',
+        instruction: 'Keep the tone warm and friendly, as if writing to a colleague you would like to know.'
+    },
+    casual: {
+        label: 'Casual',
+        instruction: 'Keep the tone clean, casual, raw, and real, as if talking in person.'
+    },
+    direct: {
+        label: 'Direct',
+        instruction: 'Be direct and get to the point right after the greeting.'
+    }
+};
+
+// Character ranges asked of the model; the validators enforce max
+const MESSAGE_LENGTHS = {
+    short: { label: 'Short', min: 100, max: 150 },
+    medium: { label: 'Medium', min: 170, max: 220 },
+    long: { label: 'Long', min: 280, max: 300 }
+};
+
+const DEFAULT_MESSAGE_SETTINGS = {
+    tone: 'professional',
+    messageLength: 'long',
+    autoGenerate: false
+};
+
+/**
+ * Upgrade steps, oldest first. Each receives everything in chrome.storage.sync (with the
+ * changes of earlier steps applied) and returns the keys to change. A step runs only for
+ * settings whose schemaVersion is below its version, so it never runs twice.
+ */
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Tone, length and auto-generate defaults; statistics for older installs',
+        migrate(stored) {
+            const settings = stored.settings || {};
+            return {
+                settings: {
+                    ...settings,
+                    tone: MESSAGE_TONES[settings.tone] ? settings.tone : DEFAULT_MESSAGE_SETTINGS.tone,
+                    // Never shown in the UI before, so a stored value is only the old install default ('medium')
+                    messageLength: DEFAULT_MESSAGE_SETTINGS.messageLength,
+                    autoGenerate: DEFAULT_MESSAGE_SETTINGS.autoGenerate
+                },
+                statistics: stored.statistics || {
+                    messagesGenerated: 0,
+                    extensionUpdated: new Date().toISOString()
+                }
+            };
+        }
+    },
+    {
+        version: 2,
+        // The old keys stay in place, so going back to an older version keeps working
+        description: 'Single context, role, intent and template become the default persona',
+        migrate(stored) {
+            if (stored[PERSONAS_STORAGE_KEY]?.length) {
+                return {};
+            }
+            return {
+                [PERSONAS_STORAGE_KEY]: [PersonaStore.fromLegacy(stored)],
+                [ACTIVE_PERSONA_STORAGE_KEY]: DEFAULT_PERSONA_ID
+            };
+        }
+    }
+];
+
+class SettingsMigrator {
+    /**
+     * Run the migrations the stored settings have not had yet and record the new schema version
+     * @returns {Promise<{from: number, to: number}>}
+     */
+    static async migrate() {
+        const stored = await chrome.storage.sync.get();
+        const from = stored.settings?.schemaVersion || 0;
+        const pending = SETTINGS_MIGRATIONS.filter(step => step.version > from);
+        if (pending.length === 0) {
+            return { from, to: from };
+        }
+
+        // Steps build on each other in memory and are written together, so a failed step leaves storage untouched
+        const changes = {};
+        let current = stored;
+        for (const step of pending) {
+            const stepChanges = step.migrate(current);
+            Object.assign(changes, stepChanges);
+            current = { ...current, ...stepChanges };
+        }
+
+        const to = pending[pending.length - 1].version;
+        changes.settings = { ...(current.settings || {}), schemaVersion: to };
+        await chrome.storage.sync.set(changes);
+        return { from, to };
+    }
+
+    /**
+     * Tone, length and auto-generate as stored, with defaults for anything missing or unknown
+     */
+    static messageSettings(settings = {}) {
+        return {
+            tone: MESSAGE_TONES[settings?.tone] ? settings.tone : DEFAULT_MESSAGE_SETTINGS.tone,
+            messageLength: MESSAGE_LENGTHS[settings?.messageLength] ? settings.messageLength : DEFAULT_MESSAGE_SETTINGS.messageLength,
+            autoGenerate: typeof settings?.autoGenerate === 'boolean' ? settings.autoGenerate : DEFAULT_MESSAGE_SETTINGS.autoGenerate
+        };
+    }
+}
@@ -296,6 +296,36 @@ function New-ExtensionPackage {
         "manifest.json",
         "popup.html",
         "popup.js",
+        "options.html",
+        "options.js",
+        "api-key-store.js",
+        "providers.js",
+        "request-scheduler.js",
+        "response-cache.js",
+        "intents.js",
+        "languages.js",
+        "templates.js",
+        "validators.js",
+        "messages.js",
+        "selector-registry.js",
+        "industries.js",
+        "headline-parser.js",
+        "personas.js",
+        "settings-schema.js",
+        "history-store.js",
+        "history.html",
+        "history.js",
+        "pipeline-store.js",
+        "pipeline.html",
+        "pipeline.js",
+        "stats-store.js",
+        "stats.html",
+        "stats.js",
+        "profile-url.js",
+        "batch-store.js",
+        "batch.html",
+        "batch.js",
+        "icon128.png",
         "content.js",
         "background.js",
         "styles.css",
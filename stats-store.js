@@ -0,0 +1,157 @@
+/**
+ * LinkedIn Connection Assistant - Usage Statistics Store
+ * A log of generations, regenerations, copies, inserts and failures with the token usage each
+ * provider reported, in chrome.storage.local. Events carry no profile data.
+ * Written by the background service worker, summarized by the statistics page.
+ */
+
+const STATS_STORAGE_KEY = 'activityLog';
+const ACTIVITY_LIMIT = 3000;
+
+const ACTIVITY_TYPES = {
+    messageGenerated: { label: 'Generated' },
+    messageRegenerated: { label: 'Regenerated' },
+    messageCopied: { label: 'Copied' },
+    messageInserted: { label: 'Inserted' },
+    generationFailed: { label: 'Failed' }
+};
+
+// A copy or insert is the user accepting a draft
+const OUTCOME_TYPES = ['messageCopied', 'messageInserted'];
+
+// Local and offline providers cost nothing
+const FREE_PROVIDERS = ['ollama', 'mock'];
+
+/**
+ * Published list prices in USD per million tokens, matched by model name prefix (most specific first).
+ * Models not listed here, e.g. behind a self-hosted OpenAI-compatible endpoint, are left out of the estimate.
+ */
+const MODEL_PRICES = [
+    { prefix: 'gemini-1.5-flash-8b', input: 0.0375, output: 0.15 },
+    { prefix: 'gemini-1.5-flash', input: 0.075, output: 0.30 },
+    { prefix: 'gemini-1.5-pro', input: 1.25, output: 5.00 },
+    { prefix: 'gemini-2.0-flash-lite', input: 0.075, output: 0.30 },
+    { prefix: 'gemini-2.0-flash', input: 0.10, output: 0.40 },
+    { prefix: 'gpt-4o-mini', input: 0.15, output: 0.60 },
+    { prefix: 'gpt-4o', input: 2.50, output: 10.00 },
+    { prefix: 'gpt-4.1-nano', input: 0.10, output: 0.40 },
+    { prefix: 'gpt-4.1-mini', input: 0.40, output: 1.60 },
+    { prefix: 'gpt-4.1', input: 2.00, output: 8.00 },
+    { prefix: 'gpt-3.5-turbo', input: 0.50, output: 1.50 }
+];
+
+class StatsStore {
+    /**
+     * All events, oldest first
+     */
+    static async getAll() {
+        const result = await chrome.storage.local.get(STATS_STORAGE_KEY);
+        return result[STATS_STORAGE_KEY] || [];
+    }
+
+    /**
+     * Append an event, dropping the oldest once the limit is reached
+     * @param {object} event - { type, kind, personaId, personaName, intentId, provider, model,
+     *   promptTokens, outputTokens, regenerations, code }; unknown types are ignored.
+     * @returns {Promise<object|null>} The stored event.
+     */
+    static async record(event) {
+        if (!ACTIVITY_TYPES[event.type]) {
+            return null;
+        }
+
+        const stored = { at: new Date().toISOString(), ...event };
+        const log = await StatsStore.getAll();
+        await chrome.storage.local.set({ [STATS_STORAGE_KEY]: [...log, stored].slice(-ACTIVITY_LIMIT) });
+        return stored;
+    }
+
+    static async clear() {
+        await chrome.storage.local.remove(STATS_STORAGE_KEY);
+    }
+
+    /**
+     * The local calendar day of a timestamp, as YYYY-MM-DD
+     */
+    static dayOf(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * List price for a model, { input, output } in USD per million tokens, or null when unknown
+     */
+    static priceFor(provider, model = '') {
+        if (FREE_PROVIDERS.includes(provider)) {
+            return { input: 0, output: 0 };
+        }
+        const name = model.replace(/^models\//, '');
+        return MODEL_PRICES.find(price => name.startsWith(price.prefix)) || null;
+    }
+
+    /**
+     * Totals, tokens, estimated cost, activity per day, persona and intent, and how often the first
+     * draft was accepted compared with one written after regenerating
+     * @param {Array<object>} events - Events as stored.
+     * @param {object} [options] - since: ignore events before this Date.
+     */
+    static summarize(events, { since = null } = {}) {
+        const inPeriod = since ? events.filter(event => new Date(event.at) >= since) : events;
+        const emptyCounts = () => Object.fromEntries(Object.keys(ACTIVITY_TYPES).map(type => [type, 0]));
+        const summary = {
+            totals: emptyCounts(),
+            tokens: { prompt: 0, output: 0 },
+            cost: { usd: 0, unpricedTokens: 0 },
+            byDay: new Map(),
+            byPersona: new Map(),
+            byIntent: new Map(),
+            acceptance: { firstDraft: 0, afterRegenerating: 0 }
+        };
+
+        // Groups are labelled by the latest name recorded, e.g. after a persona was renamed
+        const countIn = (groups, key, label, type) => {
+            if (!groups.has(key)) {
+                groups.set(key, { key, label: key, counts: emptyCounts() });
+            }
+            const group = groups.get(key);
+            group.label = label || group.label;
+            group.counts[type]++;
+        };
+
+        for (const event of inPeriod) {
+            if (!ACTIVITY_TYPES[event.type]) continue;
+
+            summary.totals[event.type]++;
+            countIn(summary.byDay, StatsStore.dayOf(event.at), null, event.type);
+            if (event.personaId) {
+                countIn(summary.byPersona, event.personaId, event.personaName, event.type);
+            }
+            if (event.intentId) {
+                countIn(summary.byIntent, event.intentId, event.intentLabel, event.type);
+            }
+
+            const promptTokens = event.promptTokens || 0;
+            const outputTokens = event.outputTokens || 0;
+            summary.tokens.prompt += promptTokens;
+            summary.tokens.output += outputTokens;
+            const price = StatsStore.priceFor(event.provider, event.model);
+            if (price) {
+                summary.cost.usd += (promptTokens * price.input + outputTokens * price.output) / 1e6;
+            } else {
+                summary.cost.unpricedTokens += promptTokens + outputTokens;
+            }
+
+            if (OUTCOME_TYPES.includes(event.type)) {
+                summary.acceptance[event.regenerations > 0 ? 'afterRegenerating' : 'firstDraft']++;
+            }
+        }
+
+        const accepted = summary.acceptance.firstDraft + summary.acceptance.afterRegenerating;
+        summary.acceptance.firstDraftRate = accepted ? summary.acceptance.firstDraft / accepted : null;
+        summary.byDay = [...summary.byDay.values()].sort((a, b) => a.key.localeCompare(b.key));
+        summary.byPersona = [...summary.byPersona.values()];
+        summary.byIntent = [...summary.byIntent.values()];
+        return summary;
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * LinkedIn Connection Assistant - Statistics Manager
+ * Charts recorded activity per day, persona and intent, with token usage, estimated API cost
+ * and how often first drafts are used
+ */
+
+// Debug logging
+const DEBUG = true;
+function debugLog(message, data = null) {
+    if (DEBUG) {
+        console.log(`[LinkedIn Assistant Statistics] ${message}`, data || '');
+    }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StatsManager {
+    constructor() {
+        this.events = [];
+        this.initializeElements();
+        this.attachEventListeners();
+        this.loadStats();
+    }
+
+    initializeElements() {
+        this.periodSelect = document.getElementById('periodSelect');
+        this.resetStatsButton = document.getElementById('resetStatsButton');
+        this.statsSummary = document.getElementById('statsSummary');
+        this.statsTotals = document.getElementById('statsTotals');
+        this.acceptanceChart = document.getElementById('acceptanceChart');
+        this.statsLegend = document.getElementById('statsLegend');
+        this.dayChart = document.getElementById('dayChart');
+        this.personaChart = document.getElementById('personaChart');
+        this.intentChart = document.getElementById('intentChart');
+        this.statusMessage = document.getElementById('statusMessage');
+    }
+
+    attachEventListeners() {
+        this.periodSelect.addEventListener('change', () => this.render());
+        this.resetStatsButton.addEventListener('click', () => this.handleReset());
+
+        // Pick up activity recorded while the page is open
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[STATS_STORAGE_KEY]) {
+                this.loadStats();
+            }
+        });
+    }
+
+    async loadStats() {
+        try {
+            this.events = await StatsStore.getAll();
+            this.render();
+        } catch (error) {
+            debugLog('Error loading statistics:', error);
+            this.showStatus('Error loading statistics', 'error');
+        }
+    }
+
+    /**
+     * Start of the chosen period, at local midnight, or null for everything recorded
+     */
+    periodStart() {
+        const days = parseInt(this.periodSelect.value, 10);
+        if (!days) return null;
+
+        const start = new Date(Date.now() - (days - 1) * DAY_MS);
+        start.setHours(0, 0, 0, 0);
+        return start;
+    }
+
+    render() {
+        const since = this.periodStart();
+        const summary = StatsStore.summarize(this.events, { since });
+        const activityCount = Object.values(summary.totals).reduce((sum, count) => sum + count, 0);
+
+        this.statsSummary.textContent = activityCount === 0
+            ? 'No activity recorded in this period yet.'
+            : `${activityCount} recorded action(s)${since ? ` since ${since.toLocaleDateString()}` : ''}`;
+
+        this.renderTotals(summary);
+        this.renderAcceptance(summary.acceptance);
+        this.renderLegend();
+        this.renderChart(this.dayChart, this.fillDays(summary.byDay, since), 'No activity yet.');
+        this.renderChart(this.personaChart, summary.byPersona, 'No persona activity yet.');
+        this.renderChart(this.intentChart, summary.byIntent.map(group => ({
+            ...group,
+            label: INTENTS[group.key]?.label || group.label
+        })), 'No connection messages yet.');
+    }
+
+    renderTotals(summary) {
+        const { totals, tokens, cost } = summary;
+        const tiles = [
+            ...Object.entries(ACTIVITY_TYPES).map(([type, { label }]) => [label, totals[type]]),
+            ['Tokens', (tokens.prompt + tokens.output).toLocaleString(), `${tokens.prompt.toLocaleString()} in · ${tokens.output.toLocaleString()} out`],
+            ['Estimated cost', this.formatCost(cost.usd), cost.unpricedTokens ? `${cost.unpricedTokens.toLocaleString()} tokens from unpriced models` : '']
+        ];
+
+        this.statsTotals.innerHTML = '';
+        for (const [label, value, detail] of tiles) {
+            const tile = document.createElement('div');
+            tile.className = 'stats-tile';
+
+            const valueElement = document.createElement('div');
+            valueElement.className = 'stats-tile-value';
+            valueElement.textContent = value;
+
+            const labelElement = document.createElement('div');
+            labelElement.className = 'stats-tile-label';
+            labelElement.textContent = label;
+
+            tile.append(valueElement, labelElement);
+            if (detail) {
+                const detailElement = document.createElement('div');
+                detailElement.className = 'history-entry-meta';
+                detailElement.textContent = detail;
+                tile.appendChild(detailElement);
+            }
+            this.statsTotals.appendChild(tile);
+        }
+    }
+
+    formatCost(usd) {
+        if (usd === 0) return '$0.00';
+        return usd < 0.01 ? '< $0.01' : `$${usd.toFixed(2)}`;
+    }
+
+    renderAcceptance({ firstDraft, afterRegenerating, firstDraftRate }) {
+        this.acceptanceChart.innerHTML = '';
+        if (firstDraftRate === null) {
+            this.acceptanceChart.appendChild(this.emptyHint('No drafts copied or inserted yet.'));
+            return;
+        }
+
+        const rows = [
+            { key: 'firstDraft', label: 'First draft', count: firstDraft },
+            { key: 'afterRegenerating', label: 'After regenerating', count: afterRegenerating }
+        ];
+        const accepted = firstDraft + afterRegenerating;
+        for (const { key, label, count } of rows) {
+            const bar = this.createBar([{ key, count, title: `${count} ${label.toLowerCase()}` }], accepted);
+            this.acceptanceChart.appendChild(this.createRow(label, bar, `${count} (${Math.round(count / accepted * 100)}%)`));
+        }
+    }
+
+    renderLegend() {
+        this.statsLegend.innerHTML = '';
+        for (const [type, { label }] of Object.entries(ACTIVITY_TYPES)) {
+            const item = document.createElement('span');
+            item.className = 'stats-legend-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = `stats-swatch stats-${type}`;
+
+            item.append(swatch, label);
+            this.statsLegend.appendChild(item);
+        }
+    }
+
+    /**
+     * Every day of the period, including those without activity, oldest first
+     */
+    fillDays(byDay, since) {
+        const recorded = new Map(byDay.map(group => [group.key, group]));
+        const first = since || (byDay.length ? new Date(`${byDay[0].key}T00:00:00`) : null);
+        if (!first) return [];
+
+        const days = [];
+        const today = StatsStore.dayOf(Date.now());
+        for (let day = new Date(first); ; day.setDate(day.getDate() + 1)) {
+            const key = StatsStore.dayOf(day);
+            days.push(recorded.get(key) || { key, counts: {} });
+            if (key >= today) break;
+        }
+        return days.map(group => ({ ...group, label: new Date(`${group.key}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) }));
+    }
+
+    /**
+     * One row per group with a bar stacked by activity type, scaled to the busiest group
+     */
+    renderChart(container, groups, emptyText) {
+        container.innerHTML = '';
+        if (groups.length === 0) {
+            container.appendChild(this.emptyHint(emptyText));
+            return;
+        }
+
+        const totalOf = (group) => Object.values(group.counts).reduce((sum, count) => sum + count, 0);
+        const max = Math.max(1, ...groups.map(totalOf));
+        for (const group of groups) {
+            const segments = Object.entries(ACTIVITY_TYPES).map(([type, { label }]) => {
+                const count = group.counts[type] || 0;
+                return { key: type, count, title: `${count} ${label.toLowerCase()}` };
+            });
+            const detail = segments
+                .filter(segment => segment.count > 0)
+                .map(segment => segment.title)
+                .join(' · ');
+            container.appendChild(this.createRow(group.label, this.createBar(segments, max), detail || '–'));
+        }
+    }
+
+    createRow(label, bar, value) {
+        const row = document.createElement('div');
+        row.className = 'stats-row';
+
+        const labelElement = document.createElement('span');
+        labelElement.className = 'stats-row-label';
+        labelElement.textContent = label;
+
+        const valueElement = document.createElement('span');
+        valueElement.className = 'stats-row-value';
+        valueElement.textContent = value;
+
+        row.append(labelElement, bar, valueElement);
+        return row;
+    }
+
+    /**
+     * A bar of { key, count, title } segments, each as wide as its share of max
+     */
+    createBar(segments, max) {
+        const bar = document.createElement('div');
+        bar.className = 'stats-bar';
+        for (const { key, count, title } of segments) {
+            if (count === 0) continue;
+            const segment = document.createElement('span');
+            segment.className = `stats-bar-segment stats-${key}`;
+            segment.style.width = `${count / max * 100}%`;
+            segment.title = title;
+            bar.appendChild(segment);
+        }
+        return bar;
+    }
+
+    emptyHint(text) {
+        const empty = document.createElement('p');
+        empty.className = 'form-hint';
+        empty.textContent = text;
+        return empty;
+    }
+
+    async handleReset() {
+        if (!confirm('Delete all recorded statistics? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await StatsStore.clear();
+            this.events = [];
+            this.render();
+            this.showStatus('Statistics reset.', 'success');
+        } catch (error) {
+            debugLog('Error resetting statistics:', error);
+            this.showStatus('Error resetting statistics', 'error');
+        }
+    }
+
+    showStatus(message, type = 'info') {
+        this.statusMessage.textContent = message;
+        this.statusMessage.className = `status-message status-${type}`;
+        this.statusMessage.style.display = 'block';
+
+        debugLog(`Status (${type}):`, message);
+
+        // Auto-hide success messages
+        if (type === 'success') {
+            setTimeout(() => {
+                this.statusMessage.style.display = 'none';
+            }, 3000);
+        }
+    }
+}
+
+// Initialize statistics page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    debugLog('Statistics DOM loaded, initializing...');
+
+    try {
+        window.statsManager = new StatsManager();
+    } catch (error) {
+        debugLog('Error initializing statistics manager:', error);
+    }
+});
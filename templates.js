@@ -0,0 +1,274 @@
+/**
+ * LinkedIn Connection Assistant - Prompt Templates
+ * Renders prompt templates against profile data and the sender's context.
+ * Shared by the popup (editing and preview) and the background service worker.
+ * Requires intents.js, languages.js, headline-parser.js and settings-schema.js to be loaded first.
+ *
+ * Syntax:
+ *   {firstName}              replaced with the variable's value
+ *   {#company}...{/company}  kept only when the variable has a value
+ *   {^company}...{/company}  kept only when the variable is empty
+ */
+
+const CUSTOM_TEMPLATES_STORAGE_KEY = 'promptTemplates';
+const DEFAULT_TEMPLATE_ID = 'default';
+
+const TEMPLATE_VARIABLES = [
+    'firstName', 'name', 'headline', 'title', 'company', 'formerEmployers', 'location',
+    'seniority', 'seniorityTone', 'industry', 'about', 'experience', 'education', 'skills',
+    'certifications', 'volunteering', 'recentActivity', 'userContext', 'userRole',
+    'intentLabel', 'intentGoal', 'intentRules', 'closingLines', 'bannedPhrases',
+    'tone', 'toneInstruction', 'lengthMin', 'lengthMax', 'signature',
+    'greeting', 'language', 'languageInstruction'
+];
+
+// Longest position description quoted in {experience}
+const DESCRIPTION_LIMIT = 200;
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: DEFAULT_TEMPLATE_ID,
+        name: 'Connection request (default)',
+        builtIn: true,
+        body: `
+Write ONE LinkedIn connection message that follows ALL rules:
+
+• Must be {lengthMin}-{lengthMax} characters total (hard cap). Count spaces & punctuation.
+• Start with exactly "{greeting}".
+• {languageInstruction}
+• Mention ONE specific fact about their work, company, or field (headline: {headline}{#company}; company: {company}{/company}{#industry}; industry: {industry}{/industry}).
+{#about}• Optional extra context from their About section: "{about}"
+{/about}{#experience}• Their recent roles: {experience}
+{/experience}{#education}• Their education: {education}
+{/education}{#skills}• Skills they list: {skills}
+{/skills}{#recentActivity}• What they posted recently: {recentActivity}
+{/recentActivity}• Introduce yourself briefly as: {userRole}{^userRole}a professional in a related field{/userRole} (phrase it naturally, no buzzword list).
+{#userContext}• Draw on this background about yourself if relevant: {userContext}
+{/userContext}{#seniority}• Their seniority: {seniority}. {seniorityTone}
+{/seniority}{intentRules}
+• Use plain, respectful language – no slang, hype or buzzwords. Never use these phrases: {bannedPhrases}.
+• {toneInstruction} Avoid flattery or compliments like "impressed by your work".
+• End with a brief close like {closingLines}. Pick any ONE.
+{#signature}• Then end with this signature on its own line, exactly as written: {signature}
+{/signature}• Aim for natural variety; do not repeat exact sentences each time.
+
+Return ONLY the single message text (no extra words).
+`
+    },
+    {
+        id: 'shared-interest',
+        name: 'Shared interest',
+        builtIn: true,
+        body: `
+Write ONE LinkedIn connection message of at most {lengthMax} characters (count spaces & punctuation).
+
+Recipient: {name}{^name}name not shown{/name}{#headline}, {headline}{/headline}{#company} at {company}{/company}{#location} ({location}){/location}.
+{#formerEmployers}Previously at: {formerEmployers}
+{/formerEmployers}{#seniority}Seniority: {seniority}. {seniorityTone}
+{/seniority}{#experience}Recent experience: {experience}
+{/experience}{#education}Education: {education}
+{/education}{#skills}Skills: {skills}
+{/skills}{#certifications}Certifications: {certifications}
+{/certifications}{#volunteering}Volunteering: {volunteering}
+{/volunteering}{#recentActivity}Recent posts: {recentActivity}
+{/recentActivity}{#about}About them: {about}
+{/about}
+Sender: {userRole}{#userContext}. {userContext}{/userContext}
+
+Rules:
+• Start with exactly "{greeting}".
+• {languageInstruction}
+• Point out ONE concrete overlap between the sender's background and the recipient's work{#industry} in {industry}{/industry}.
+• Purpose of the message ({intentLabel}):
+{intentRules}
+• {toneInstruction}
+• Plain language; no flattery, no buzzwords, no emojis. Never use: {bannedPhrases}.
+• Close with one of: {closingLines}.
+{#signature}• Then end with this signature on its own line, exactly as written: {signature}
+{/signature}
+Return ONLY the message text.
+`
+    },
+    {
+        id: 'brief',
+        name: 'Brief & direct',
+        builtIn: true,
+        body: `
+Write a LinkedIn connection note of at most {lengthMax} characters.
+{languageInstruction} Start with exactly "{greeting}". Say who the sender is ({userRole}) in one short clause, {intentGoal}, and give one reason to connect based on: {headline}{^headline}their profile{/headline}.
+{toneInstruction} No flattery, no buzzwords. Never use: {bannedPhrases}. Return ONLY the note.
+{#signature}End the note with this signature on its own line, exactly as written: {signature}
+{/signature}`
+    }
+];
+
+class TemplateEngine {
+    /**
+     * Render a template body with the given variables
+     * @param {string} body - Template text.
+     * @param {object} variables - Values keyed by variable name.
+     * @returns {string} The rendered text.
+     */
+    static render(body, variables = {}) {
+        // Substitute once, after the sections are resolved, so values are never scanned for
+        // placeholders; profile text containing "{signature}" stays as written
+        return TemplateEngine.resolveSections(body, variables).replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in variables)) return match;
+            return TemplateEngine.hasValue(variables[name]) ? String(variables[name]) : '';
+        });
+    }
+
+    /**
+     * Template text with the sections kept or dropped, placeholders left in place
+     */
+    static resolveSections(body, variables) {
+        return body.replace(
+            /\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g,
+            (match, kind, name, content) => {
+                const hasValue = TemplateEngine.hasValue(variables[name]);
+                const keep = kind === '#' ? hasValue : !hasValue;
+                return keep ? TemplateEngine.resolveSections(content, variables) : '';
+            }
+        );
+    }
+
+    static hasValue(value) {
+        return value !== undefined && value !== null && String(value).trim() !== '';
+    }
+
+    /**
+     * Build template variables from profile data, the sender's persona, the outreach intent,
+     * the language to write in and the tone and length chosen in the popup
+     */
+    static buildVariables(profileData = {}, {
+        userContext = '',
+        userRole = '',
+        signature = '',
+        intent = getIntent(DEFAULT_INTENT_ID),
+        language = getLanguage(DEFAULT_LANGUAGE_ID),
+        messageSettings = DEFAULT_MESSAGE_SETTINGS
+    } = {}) {
+        const name = (profileData.name || '').trim();
+        const nameParts = name.split(/\s+/).filter(Boolean);
+        const seniority = SENIORITY_LEVELS[profileData.seniority];
+        const { tone, messageLength } = SettingsMigrator.messageSettings(messageSettings);
+        const length = MESSAGE_LENGTHS[messageLength];
+        return {
+            firstName: nameParts[0] || '',
+            name,
+            headline: profileData.headline || '',
+            title: profileData.title || '',
+            company: profileData.company || '',
+            formerEmployers: (profileData.formerEmployers || []).join(', '),
+            location: profileData.location || '',
+            seniority: seniority?.label || '',
+            seniorityTone: seniority?.tone || '',
+            industry: profileData.industry || '',
+            about: profileData.about || '',
+            experience: TemplateEngine.formatPositions(profileData.positions) || profileData.experience || '',
+            education: (profileData.schools || [])
+                .map(school => TemplateEngine.join([school.degree, school.school], ' at ') + (school.dates ? ` (${school.dates})` : ''))
+                .join('; '),
+            skills: (profileData.skills || []).join(', '),
+            certifications: (profileData.certifications || [])
+                .map(cert => cert.name + (cert.issuer ? ` (${cert.issuer})` : ''))
+                .join('; '),
+            volunteering: (profileData.volunteering || [])
+                .map(role => TemplateEngine.join([role.role, role.organization], ' at '))
+                .join('; '),
+            recentActivity: (profileData.activity || []).map(post => `"${post}"`).join(' | '),
+            userContext,
+            userRole,
+            signature,
+            intentLabel: intent.label,
+            intentGoal: intent.goal,
+            intentRules: intent.rules.map(rule => `• ${rule}`).join('\n'),
+            closingLines: (language.closings[intent.id] || intent.closings).map(line => `"${line}"`).join(', '),
+            bannedPhrases: intent.bannedPhrases.map(phrase => `"${phrase}"`).join(', '),
+            tone: MESSAGE_TONES[tone].label.toLowerCase(),
+            toneInstruction: MESSAGE_TONES[tone].instruction,
+            lengthMin: Math.round(length.min * language.lengthScale),
+            lengthMax: Math.round(length.max * language.lengthScale),
+            greeting: language.greeting(nameParts[0] || '', nameParts.length > 1 ? nameParts[nameParts.length - 1] : ''),
+            language: language.label,
+            languageInstruction: language.instruction
+        };
+    }
+
+    /**
+     * "Title at Company (dates): description" for each position, most recent first
+     */
+    static formatPositions(positions = []) {
+        return positions.map(position => {
+            let text = TemplateEngine.join([position.title, position.company], ' at ');
+            if (position.dates) text += ` (${position.dates})`;
+            if (position.description) {
+                const description = position.description.length > DESCRIPTION_LIMIT
+                    ? `${position.description.substring(0, DESCRIPTION_LIMIT).trim()}…`
+                    : position.description;
+                text += `: ${description.replace(/\s+/g, ' ')}`;
+            }
+            return text;
+        }).join('; ');
+    }
+
+    /**
+     * Join the non-empty parts with a separator
+     */
+    static join(parts, separator) {
+        return parts.filter(part => TemplateEngine.hasValue(part)).join(separator);
+    }
+}
+
+class TemplateStore {
+    /**
+     * All templates: built-ins first, then the user's saved templates
+     */
+    static async getAll() {
+        const result = await chrome.storage.local.get(CUSTOM_TEMPLATES_STORAGE_KEY);
+        return [...BUILT_IN_TEMPLATES, ...(result[CUSTOM_TEMPLATES_STORAGE_KEY] || [])];
+    }
+
+    /**
+     * Find a template by id, falling back to the default template
+     */
+    static async get(id) {
+        const templates = await TemplateStore.getAll();
+        return templates.find(template => template.id === id) || BUILT_IN_TEMPLATES[0];
+    }
+
+    /**
+     * Create or update a custom template. Built-in templates cannot be overwritten.
+     * @returns {Promise<object>} The saved template.
+     */
+    static async save({ id = null, name, body }) {
+        if (BUILT_IN_TEMPLATES.some(template => template.id === id)) {
+            throw new Error('Built-in templates cannot be modified. Save a copy instead.');
+        }
+
+        const result = await chrome.storage.local.get(CUSTOM_TEMPLATES_STORAGE_KEY);
+        const templates = result[CUSTOM_TEMPLATES_STORAGE_KEY] || [];
+        const template = {
+            id: id || `custom-${Date.now().toString(36)}`,
+            name: name.trim() || 'Untitled template',
+            body,
+            updatedAt: new Date().toISOString()
+        };
+
+        const index = templates.findIndex(existing => existing.id === template.id);
+        if (index >= 0) {
+            templates[index] = template;
+        } else {
+            templates.push(template);
+        }
+
+        await chrome.storage.local.set({ [CUSTOM_TEMPLATES_STORAGE_KEY]: templates });
+        return template;
+    }
+
+    static async remove(id) {
+        const result = await chrome.storage.local.get(CUSTOM_TEMPLATES_STORAGE_KEY);
+        const templates = (result[CUSTOM_TEMPLATES_STORAGE_KEY] || []).filter(template => template.id !== id);
+        await chrome.storage.local.set({ [CUSTOM_TEMPLATES_STORAGE_KEY]: templates });
+    }
+}
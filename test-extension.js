@@ -25,12 +25,13 @@ console.log("\nChecking for extension content script:");
 if (window.linkedinAssistant) {
     console.log("✅ Content script loaded");
     
-    // Manually trigger button creation
+    // Check profile detection and extraction
     try {
-        window.linkedinAssistant.checkProfilePage();
-        console.log("✅ Manually triggered button check");
+        const result = window.linkedinAssistant.getProfileDataForMessage();
+        console.log("Profile detected:", window.linkedinAssistant.isProfilePage() ? "✅ YES" : "❌ NO");
+        console.log(result.success ? "✅ Profile data extracted:" : "❌ Profile extraction failed:", result.profileData || result.error);
     } catch (error) {
-        console.log("❌ Error triggering button:", error);
+        console.log("❌ Error extracting profile data:", error);
     }
 } else {
     console.log("❌ Content script not found");
@@ -40,81 +41,49 @@ if (window.linkedinAssistant) {
     console.log("3. Reload the extension");
 }
 
-// Test 3: Check for Generate Message button
-setTimeout(() => {
-    const button = document.querySelector('.linkedin-assistant-button');
-    console.log("\nGenerate Message button:", button ? "✅ FOUND" : "❌ NOT FOUND");
+// Test 3: Check for the "Insert AI note" control in the Connect dialog
+function checkNoteControl() {
+    const dialog = window.linkedinAssistant?.findInvitationDialog();
+    console.log("\nConnect dialog:", dialog ? "✅ OPEN" : "❌ NOT OPEN");
     
-    if (button) {
-        console.log("Button element:", button);
-        console.log("Button text:", button.textContent);
-        
-        // Test button click
-        console.log("Testing button click...");
-        button.click();
-    } else {
-        console.log("Button not found. Looking for Connect buttons:");
-        const allButtons = document.querySelectorAll('button');
-        const connectButtons = Array.from(allButtons).filter(btn => 
-            btn.textContent && btn.textContent.toLowerCase().includes('connect')
+    if (!dialog) {
+        console.log("Click Connect on the profile, then run: checkNoteControl()");
+        const connectButtons = Array.from(document.querySelectorAll('button')).filter(btn =>
+            btn.textContent && btn.textContent.trim().toLowerCase() === 'connect'
         );
         console.log("Connect buttons found:", connectButtons.length);
-        connectButtons.forEach((btn, i) => {
-            console.log(`${i + 1}:`, btn.textContent.trim());
-        });
-    }
-}, 5000);
-
-// Test 4: Manually create button if needed
-function manuallyCreateButton() {
-    console.log("\n🔧 Manually creating Generate Message button...");
-    
-    // Find a suitable container
-    const h1 = document.querySelector('h1');
-    if (!h1) {
-        console.log("❌ Could not find profile name (h1 element)");
         return;
     }
     
-    // Create button
-    const button = document.createElement('button');
-    button.className = 'linkedin-assistant-button';
-    button.innerHTML = `
-        <span style="margin-right: 6px;">✨</span>
-        <span>Generate Message</span>
-    `;
-    button.style.cssText = `
-        background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
-        color: white;
-        border: none;
-        border-radius: 4px;
-        padding: 8px 16px;
-        font-size: 14px;
-        font-weight: 600;
-        cursor: pointer;
-        margin-top: 12px;
-        display: inline-flex;
-        align-items: center;
-        gap: 6px;
-    `;
-    
-    // Add click handler
-    button.addEventListener('click', () => {
-        console.log("🎉 Generate Message button clicked!");
-        alert("Generate Message button is working!\n\nNext steps:\n1. Configure extension settings\n2. Test message generation");
-    });
+    const control = dialog.querySelector('.linkedin-assistant-note-control');
+    console.log("Insert AI note control:", control ? "✅ FOUND" : "❌ NOT FOUND");
+    if (control) {
+        console.log("Character count:", control.querySelector('.linkedin-assistant-note-count').textContent);
+    }
     
-    // Add to page
-    const container = document.createElement('div');
-    container.appendChild(button);
-    h1.parentElement.appendChild(container);
+    const textarea = dialog.querySelector('textarea[name="message"], textarea#custom-message');
+    console.log("Note textarea:", textarea ? "✅ FOUND" : "➖ Not open yet (click \"Add a note\")");
+}
+
+setTimeout(checkNoteControl, 2000);
+
+// Test 4: Insert a test note without calling the model
+function insertTestNote(text = "Hi there, this is a test note from the LinkedIn Connection Assistant.") {
+    const dialog = window.linkedinAssistant?.findInvitationDialog();
+    const textarea = dialog?.querySelector('textarea[name="message"], textarea#custom-message');
+    if (!textarea) {
+        console.log("❌ Open the Connect dialog and click \"Add a note\" first");
+        return;
+    }
     
-    console.log("✅ Manual button created and added to page");
-    return button;
+    window.linkedinAssistant.fillTextarea(textarea, text);
+    console.log("✅ Test note inserted:", textarea.value.length, "characters");
+    console.log("LinkedIn's Send button enabled:", dialog.querySelector('button[aria-label="Send invitation"], button[aria-label="Send now"]')?.disabled === false ? "✅ YES" : "❓ Check manually");
 }
 
-// Add manual button creation function to window for easy access
-window.createTestButton = manuallyCreateButton;
+// Add helpers to window for easy access
+window.checkNoteControl = checkNoteControl;
+window.insertTestNote = insertTestNote;
 
 console.log("\n📝 Test complete!");
-console.log("If button not found, run: createTestButton()"); 
\ No newline at end of file
+console.log("Open the Connect dialog, then run: checkNoteControl() or insertTestNote()");
@@ -0,0 +1,350 @@
+/**
+ * The service worker against the fake chrome.* APIs: tab messaging with injection
+ * fallback, runtime messages, and settings set up on install, update and startup
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExtensionHarness } = require('./helpers/extension-harness');
+const { CONTENT_SCRIPTS, PROFILE_URL } = require('./helpers/load-content-script');
+
+describe('background service worker', () => {
+    let harness;
+    let background;
+
+    beforeEach(() => {
+        harness = new ExtensionHarness();
+        background = harness.loadBackground();
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    describe('sendMessageToTab', () => {
+        // Copied out of the service worker's realm so deepEqual compares plain objects
+        async function sendMessageToTab(tabId, action) {
+            const message = background.evaluate(`MessageProtocol.create(${JSON.stringify(action)})`);
+            return structuredClone(await background.context.sendMessageToTab(tabId, message));
+        }
+
+        it('pings the content script and forwards the message', async () => {
+            const { tab } = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+
+            const response = await sendMessageToTab(tab.id, 'getProfileData');
+
+            assert.equal(response.success, true);
+            assert.equal(response.profileData.name, 'Jane Doe');
+            assert.deepEqual(harness.chrome.injections, []);
+        });
+
+        it('injects the content script when the ping goes unanswered', async () => {
+            const { tab } = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL, contentScript: 'injectable' });
+
+            const response = await sendMessageToTab(tab.id, 'getProfileData');
+
+            assert.deepEqual(harness.chrome.injections, [{ tabId: tab.id, files: CONTENT_SCRIPTS }]);
+            assert.equal(response.profileData.name, 'Jane Doe');
+        });
+
+        it('reports a failed injection', async () => {
+            const { tab } = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL, contentScript: 'blocked' });
+
+            const response = await sendMessageToTab(tab.id, 'getProfileData');
+
+            assert.deepEqual(response, { success: false, code: 'INJECTION_FAILED', error: 'Failed to inject content script. Please refresh the page.' });
+        });
+
+        it('leaves tabs outside LinkedIn alone', async () => {
+            const tab = harness.chrome.addTab({ url: 'https://example.com/' });
+
+            const response = await sendMessageToTab(tab.id, 'getProfileData');
+
+            assert.deepEqual(response, { success: false, code: 'TAB_UNAVAILABLE', error: 'Tab not accessible or not on LinkedIn' });
+            assert.deepEqual(harness.chrome.injections, []);
+        });
+
+        it('reports tabs that no longer exist', async () => {
+            const response = await sendMessageToTab(99, 'getProfileData');
+
+            assert.deepEqual(response, { success: false, code: 'TAB_UNAVAILABLE', error: 'No tab with id: 99.' });
+        });
+    });
+
+    describe('runtime messages', () => {
+        let page;
+
+        beforeEach(() => {
+            page = harness.chrome.createApi('page', { url: 'chrome-extension://test-page' });
+        });
+
+        function send(action, data = {}, version = background.evaluate('PROTOCOL_VERSION')) {
+            return page.runtime.sendMessage({ action, version, data });
+        }
+
+        it('merges saved settings', async () => {
+            await harness.chrome.storage.sync.set({ userContext: 'Recruiter', userRole: 'Talent partner' });
+
+            const saved = await send('saveSettings', { userRole: 'Head of talent' });
+            const loaded = await send('getSettings');
+
+            assert.deepEqual(saved, { success: true });
+            assert.equal(loaded.data.userContext, 'Recruiter');
+            assert.equal(loaded.data.userRole, 'Head of talent');
+        });
+
+        it('counts generated messages', async () => {
+            await send('logActivity', { type: 'messageGenerated' });
+            await send('logActivity', { type: 'messageGenerated' });
+
+            assert.equal(harness.chrome.storage.sync.data.statistics.messagesGenerated, 2);
+        });
+
+        it('generates drafts without streaming', async () => {
+            await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'mock' } } });
+
+            const response = await send('generateMessage', {
+                profileData: { name: 'Jane Doe', headline: 'Staff Software Engineer', company: 'Globex' },
+                userContext: 'I run a developer tools startup',
+                userRole: 'Founder',
+                variantCount: 2
+            });
+
+            assert.equal(response.success, true);
+            assert.equal(response.variants.length, 2);
+            assert.match(response.message, /^Hi Jane, /);
+        });
+
+        it('rejects unknown actions', async () => {
+            const response = await send('showGenerateButton');
+
+            assert.deepEqual(response, { success: false, code: 'UNKNOWN_ACTION', error: 'Unknown action "showGenerateButton".' });
+        });
+
+        it('rejects requests from another protocol version', async () => {
+            const response = await send('getSettings', {}, 0);
+
+            assert.equal(response.code, 'VERSION_MISMATCH');
+        });
+
+        it('rejects invalid payloads before calling the handler', async () => {
+            const response = await send('generateMessage', { profileData: 'Jane Doe', userContext: 'x', userRole: 'y' });
+
+            assert.deepEqual(response, { success: false, code: 'INVALID_PAYLOAD', error: 'generateMessage: profileData must be of type object.' });
+        });
+
+        it('answers each request exactly once', async () => {
+            const responses = [];
+            page.runtime.sendMessage({ action: 'getSettings', version: background.evaluate('PROTOCOL_VERSION'), data: {} }, response => responses.push(response));
+            await harness.settle();
+
+            assert.equal(responses.length, 1);
+            assert.equal(responses[0].success, true);
+        });
+
+        it('leaves content script actions to the content script', async () => {
+            await assert.rejects(send('getProfileData'), /message port closed/);
+        });
+
+        it('codes provider errors for the popup', async () => {
+            await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'nonexistent' } } });
+
+            const response = await send('generateMessage', { profileData: {}, userContext: 'x', userRole: 'y' });
+
+            assert.equal(response.code, 'UNKNOWN_PROVIDER');
+        });
+    });
+
+    describe('createPrompt', () => {
+        it('asks for the chosen tone and length', () => {
+            const prompt = background.evaluate(`createPrompt({ name: 'Jane Doe' }, {
+                messageSettings: { tone: 'friendly', messageLength: 'short' }
+            })`);
+
+            assert.match(prompt, /Must be 100-150 characters total/);
+            assert.match(prompt, /Keep the tone warm and friendly/);
+        });
+
+        it('appends tone and length rules to templates that do not place them', () => {
+            const prompt = background.evaluate(`createPrompt({ name: 'Jane Doe' }, {
+                template: { body: 'Write to {firstName}. {intentRules}' },
+                messageSettings: { tone: 'direct', messageLength: 'medium' }
+            })`);
+
+            assert.match(prompt, /Tone: Be direct/);
+            assert.match(prompt, /Length: 170-220 characters, never more than 220/);
+        });
+
+        it('keeps placeholders written in the profile text as they are', () => {
+            const prompt = background.evaluate(`createPrompt({ name: 'Jane Doe', headline: 'Templating nerd, {signature} and {#name}sections{/name}' }, {
+                template: { body: 'Write to {firstName}{#headline} ({headline}){/headline}. Sign as {signature}.' },
+                signature: 'Sam'
+            })`);
+
+            assert.match(prompt, /Write to Jane \(Templating nerd, \{signature\} and \{#name\}sections\{\/name\}\)\. Sign as Sam\./);
+        });
+    });
+
+    describe('generate stream port', () => {
+        it('reports an invalid start message on the port', async () => {
+            const page = harness.chrome.createApi('page', { url: 'chrome-extension://test-page' });
+            const port = page.runtime.connect({ name: background.evaluate('GENERATE_STREAM_PORT') });
+            const received = new Promise(resolve => port.onMessage.addListener(resolve));
+
+            port.postMessage({ action: 'start', version: background.evaluate('PROTOCOL_VERSION'), data: { userRole: 'Founder' } });
+
+            const message = await received;
+            assert.equal(message.type, 'error');
+            assert.equal(message.code, 'INVALID_PAYLOAD');
+        });
+
+        it('reports an error thrown during generation on the port', async () => {
+            background.evaluate(`PersonaStore.get = async () => { throw new Error('storage unavailable'); }`);
+            const page = harness.chrome.createApi('page', { url: 'chrome-extension://test-page' });
+            const port = page.runtime.connect({ name: background.evaluate('GENERATE_STREAM_PORT') });
+            const received = new Promise(resolve => port.onMessage.addListener(resolve));
+
+            port.postMessage({
+                action: 'start',
+                version: background.evaluate('PROTOCOL_VERSION'),
+                data: { profileData: {}, userContext: 'x', userRole: 'y' }
+            });
+
+            const message = await received;
+            assert.equal(message.type, 'error');
+            assert.equal(message.code, 'INTERNAL_ERROR');
+            assert.match(message.error, /storage unavailable/);
+        });
+    });
+
+    describe('settings migrations', () => {
+        it('writes default settings and opens the options page on install', async () => {
+            harness.chrome.emit('runtime.onInstalled', { reason: 'install' });
+            await harness.settle();
+
+            const stored = harness.chrome.storage.sync.data;
+            assert.deepEqual(stored.settings, { tone: 'professional', messageLength: 'long', autoGenerate: false, schemaVersion: 2 });
+            assert.equal(stored.statistics.messagesGenerated, 0);
+            assert.deepEqual(stored.personas.map(persona => persona.id), ['default']);
+            assert.equal(stored.activePersonaId, 'default');
+            assert.deepEqual(harness.chrome.openedPages, ['options.html']);
+        });
+
+        it('keeps settings synced from another browser on install', async () => {
+            await harness.chrome.storage.sync.set({ userContext: 'Recruiter', userRole: 'Talent Partner', settings: { tone: 'casual' } });
+
+            harness.chrome.emit('runtime.onInstalled', { reason: 'install' });
+            await harness.settle();
+
+            const stored = harness.chrome.storage.sync.data;
+            assert.equal(stored.userContext, 'Recruiter');
+            assert.equal(stored.userRole, 'Talent Partner');
+            assert.equal(stored.personas[0].userContext, 'Recruiter');
+            assert.equal(stored.settings.tone, 'casual');
+        });
+
+        it('adds statistics missing from older versions on update', async () => {
+            await harness.chrome.storage.sync.set({ userContext: 'Recruiter', settings: { tone: 'casual' } });
+
+            harness.chrome.emit('runtime.onInstalled', { reason: 'update', previousVersion: '1.0.0' });
+            await harness.settle();
+
+            const stored = harness.chrome.storage.sync.data;
+            assert.equal(stored.statistics.messagesGenerated, 0);
+            assert.equal(stored.userContext, 'Recruiter');
+            assert.deepEqual(stored.settings, { tone: 'casual', messageLength: 'long', autoGenerate: false, schemaVersion: 2 });
+            assert.deepEqual(harness.chrome.openedPages, []);
+        });
+
+        it('turns the saved context, role, intent and template into the default persona on update', async () => {
+            await harness.chrome.storage.sync.set({
+                userContext: 'Recruiter',
+                userRole: 'Talent Partner',
+                intentId: 'recruiting',
+                templateId: 'brief',
+                settings: { schemaVersion: 1 }
+            });
+
+            harness.chrome.emit('runtime.onInstalled', { reason: 'update', previousVersion: '1.0.0' });
+            await harness.settle();
+
+            const stored = harness.chrome.storage.sync.data;
+            assert.deepEqual(stored.personas, [{
+                id: 'default',
+                name: 'Default',
+                userContext: 'Recruiter',
+                userRole: 'Talent Partner',
+                intentId: 'recruiting',
+                templateId: 'brief',
+                language: 'auto',
+                signature: ''
+            }]);
+            assert.equal(stored.activePersonaId, 'default');
+            assert.equal(stored.settings.schemaVersion, 2);
+        });
+
+        it('runs each pending migration once, in order', async () => {
+            await harness.chrome.storage.sync.set({ settings: { schemaVersion: 2, tone: 'casual' } });
+            background.evaluate(`
+                SETTINGS_MIGRATIONS.push(
+                    { version: 3, migrate: stored => ({ settings: { ...stored.settings, steps: ['3'] } }) },
+                    { version: 4, migrate: stored => ({ settings: { ...stored.settings, steps: [...stored.settings.steps, '4'] } }) }
+                );
+            `);
+
+            harness.chrome.emit('runtime.onInstalled', { reason: 'update', previousVersion: '2.0.0' });
+            await harness.settle();
+            harness.chrome.emit('runtime.onStartup');
+            await harness.settle();
+
+            assert.deepEqual(harness.chrome.storage.sync.data.settings, { schemaVersion: 4, tone: 'casual', steps: ['3', '4'] });
+        });
+
+        it('leaves storage untouched when a migration fails', async () => {
+            await harness.chrome.storage.sync.set({ settings: { schemaVersion: 2, tone: 'casual' } });
+            background.evaluate(`
+                SETTINGS_MIGRATIONS.push(
+                    { version: 3, migrate: stored => ({ settings: { ...stored.settings, tone: 'direct' } }) },
+                    { version: 4, migrate: () => { throw new Error('broken step'); } }
+                );
+            `);
+
+            harness.chrome.emit('runtime.onInstalled', { reason: 'update', previousVersion: '2.0.0' });
+            await harness.settle();
+
+            assert.deepEqual(harness.chrome.storage.sync.data.settings, { schemaVersion: 2, tone: 'casual' });
+        });
+
+        it('keeps existing statistics on update', async () => {
+            await harness.chrome.storage.sync.set({ statistics: { messagesGenerated: 7 } });
+
+            harness.chrome.emit('runtime.onInstalled', { reason: 'update', previousVersion: '1.0.0' });
+            await harness.settle();
+
+            assert.deepEqual(harness.chrome.storage.sync.data.statistics, { messagesGenerated: 7 });
+        });
+
+        it('restores default settings on startup without losing the user context', async () => {
+            await harness.chrome.storage.sync.set({ userContext: 'Recruiter', userRole: 'Talent Partner' });
+
+            harness.chrome.emit('runtime.onStartup');
+            await harness.settle();
+
+            const stored = harness.chrome.storage.sync.data;
+            assert.equal(stored.settings.messageLength, 'long');
+            assert.equal(stored.settings.schemaVersion, 2);
+            assert.equal(stored.personas[0].userContext, 'Recruiter');
+            assert.equal(stored.userContext, 'Recruiter');
+            assert.equal(stored.userRole, 'Talent Partner');
+        });
+
+        it('leaves settings alone on startup when they are current', async () => {
+            await harness.chrome.storage.sync.set({ settings: { schemaVersion: 2, tone: 'casual' } });
+
+            harness.chrome.emit('runtime.onStartup');
+            await harness.settle();
+
+            assert.deepEqual(harness.chrome.storage.sync.data.settings, { schemaVersion: 2, tone: 'casual' });
+        });
+    });
+});
@@ -0,0 +1,263 @@
+/**
+ * Batch drafting: the queue in batch-store.js, the service worker working through it in
+ * background tabs, and the review page
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeChrome } = require('./helpers/chrome-mock');
+const { ExtensionHarness } = require('./helpers/extension-harness');
+const { loadScripts, PROFILE_URL: JANE_URL } = require('./helpers/load-content-script');
+
+const JOHN_URL = 'https://www.linkedin.com/in/john-smith/';
+const ALEX_URL = 'https://www.linkedin.com/in/alex-morgan/';
+const FIXTURES = {
+    [JANE_URL]: 'profile-new-layout.html',
+    [JOHN_URL]: 'profile-old-layout.html',
+    [ALEX_URL]: 'profile-premium.html'
+};
+
+describe('batch store', () => {
+    let fake, BatchStore, BATCH_LIMIT;
+
+    beforeEach(() => {
+        fake = new FakeChrome();
+        ({ BatchStore, BATCH_LIMIT } = loadScripts(['profile-url.js', 'batch-store.js'], { chrome: fake.createApi('page') }, ['BatchStore', 'BATCH_LIMIT']));
+    });
+
+    it('finds profile links in pasted text and skips malformed ones', () => {
+        const urls = BatchStore.parseProfileUrls([
+            'https://www.linkedin.com/in/Jane-Doe/?trk=people',
+            'linkedin.com/in/john-smith/recent-activity/',
+            'https://www.linkedin.com/company/globex/',
+            'https://www.linkedin.com/in/jane-doe',
+            'linkedin.com/in/jane%E0%A4'
+        ].join('\n'));
+
+        assert.deepEqual([...urls], [JANE_URL, JOHN_URL]);
+    });
+
+    it('skips profiles already queued and stops at the limit', async () => {
+        await BatchStore.add([JANE_URL]);
+        const urls = Array.from({ length: BATCH_LIMIT + 1 }, (_, index) => `https://www.linkedin.com/in/person-${index}/`);
+
+        const result = await BatchStore.add([JANE_URL, ...urls]);
+
+        assert.equal(result.added, BATCH_LIMIT - 1);
+        assert.equal(result.skipped, 3);
+        assert.equal(fake.storage.local.data.batchQueue.length, BATCH_LIMIT);
+    });
+
+    it('keeps the pace within what Chrome alarms allow', async () => {
+        await fake.storage.sync.set({ settings: { batch: { paceSeconds: 5 } } });
+
+        assert.equal((await BatchStore.loadSettings()).paceSeconds, 30);
+    });
+});
+
+describe('batch drafting in the service worker', () => {
+    let harness, page;
+
+    beforeEach(async () => {
+        harness = new ExtensionHarness();
+        await harness.chrome.storage.sync.set({
+            userContext: 'I run a developer tools startup',
+            userRole: 'Founder',
+            settings: { llm: { provider: 'mock' }, batch: { paceSeconds: 90 } }
+        });
+        harness.loadBackground();
+        harness.serveTabs(url => FIXTURES[url]);
+        page = harness.chrome.createApi('page', { url: 'chrome-extension://batch.html' });
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    async function queue(...profileUrls) {
+        const { BatchStore } = loadScripts(['profile-url.js', 'batch-store.js'], { chrome: page }, ['BatchStore']);
+        await BatchStore.add(profileUrls);
+    }
+
+    function send(action) {
+        return page.runtime.sendMessage({ action, version: harness.background.evaluate('PROTOCOL_VERSION'), data: {} });
+    }
+
+    function queued() {
+        return harness.chrome.storage.local.data.batchQueue;
+    }
+
+    it('drafts one profile per tick in background tabs it closes again', async () => {
+        await queue(JANE_URL, JOHN_URL);
+
+        await send('startBatch');
+        await harness.settle();
+
+        assert.deepEqual(queued().map(item => item.status), ['drafted', 'queued']);
+        assert.equal(queued()[0].name, 'Jane Doe');
+        assert.match(queued()[0].message, /^Hi Jane, /);
+        assert.deepEqual(harness.chrome.openedPages, [JANE_URL]);
+        assert.equal(harness.chrome.tabs.size, 0, 'the profile tab was closed');
+
+        const alarm = harness.chrome.alarms.get('batch-queue');
+        assert.ok(Math.abs(alarm.scheduledTime - Date.now() - 90000) < 5000, 'the next profile waits for the pace');
+
+        harness.chrome.emit('alarms.onAlarm', { name: 'batch-queue' });
+        await harness.settle();
+
+        assert.deepEqual(queued().map(item => item.status), ['drafted', 'drafted']);
+        assert.equal(harness.chrome.storage.local.data.batchRun.running, false);
+        assert.equal(harness.chrome.alarms.has('batch-queue'), false);
+        assert.equal(harness.chrome.notifications.get('batch-done').message, '2 draft(s) are ready for review.');
+    });
+
+    it('opens the profiles without switching away from the current tab', async () => {
+        const current = harness.openTab({ fixture: 'profile-new-layout.html', url: 'https://www.linkedin.com/feed/' });
+        await queue(JANE_URL);
+
+        await send('startBatch');
+        await harness.settle();
+
+        assert.equal(harness.chrome.tabs.get(current.tab.id).tab.active, true);
+    });
+
+    it('keeps the error of a profile that could not be read and moves on', async () => {
+        harness.chrome.tabLoader = ({ url, active }) => harness.chrome.addTab({ url, active });
+        await queue(JANE_URL, JOHN_URL);
+
+        await send('startBatch');
+        await harness.settle();
+
+        assert.equal(queued()[0].status, 'failed');
+        assert.match(queued()[0].error, /refresh the page/);
+        assert.equal(harness.chrome.storage.local.data.batchRun.running, true);
+    });
+
+    it('pauses with the profile still queued when every profile would fail', async () => {
+        await harness.chrome.storage.sync.set({ userContext: '' });
+        await queue(JANE_URL);
+
+        await send('startBatch');
+        await harness.settle();
+
+        assert.equal(queued()[0].status, 'queued');
+        const run = harness.chrome.storage.local.data.batchRun;
+        assert.equal(run.running, false);
+        assert.match(run.pausedReason, /context and role/);
+        assert.equal(harness.chrome.alarms.has('batch-queue'), false);
+    });
+
+    it('keeps the pace when profiles are added while drafting', async () => {
+        await queue(JANE_URL, JOHN_URL);
+        await send('startBatch');
+        await harness.settle();
+
+        await queue(ALEX_URL);
+        await send('startBatch');
+        await harness.settle();
+
+        assert.deepEqual(queued().map(item => item.status), ['drafted', 'queued', 'queued']);
+    });
+
+    it('stops opening profiles when paused', async () => {
+        await queue(JANE_URL, JOHN_URL);
+        await send('startBatch');
+        await harness.settle();
+
+        await send('stopBatch');
+        harness.chrome.emit('alarms.onAlarm', { name: 'batch-queue' });
+        await harness.settle();
+
+        assert.deepEqual(queued().map(item => item.status), ['drafted', 'queued']);
+    });
+});
+
+describe('batch page', () => {
+    let harness, batch;
+
+    beforeEach(async () => {
+        harness = new ExtensionHarness();
+        await harness.chrome.storage.local.set({
+            batchQueue: [
+                { profileUrl: JANE_URL, status: 'drafted', name: 'Jane Doe', headline: 'Staff Engineer', company: 'Globex', message: 'Hi Jane, draft', addedAt: '2026-03-02T09:00:00.000Z' },
+                { profileUrl: JOHN_URL, status: 'drafted', name: 'John Smith', headline: '', company: '', message: 'Hi John, draft', addedAt: '2026-03-02T09:00:00.000Z' }
+            ]
+        });
+        batch = await harness.openExtensionPage('batch.html', 'batchManager');
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    function card(index) {
+        return batch.document.querySelectorAll('#batchList .history-entry')[index];
+    }
+
+    function button(element, text) {
+        return [...element.querySelectorAll('button')].find(candidate => candidate.textContent === text);
+    }
+
+    it('approves an edited draft into the pipeline', async () => {
+        card(0).querySelector('textarea').value = 'Hi Jane, edited draft';
+
+        button(card(0), 'Approve').click();
+        await harness.settle();
+
+        const contact = harness.chrome.storage.local.data.pipelineContacts[JANE_URL];
+        assert.equal(contact.status, 'drafted');
+        assert.equal(contact.lastMessage, 'Hi Jane, edited draft');
+        assert.equal(harness.chrome.storage.local.data.batchQueue[0].status, 'approved');
+    });
+
+    it('discards a draft', async () => {
+        button(card(1), 'Discard').click();
+        await harness.settle();
+
+        assert.deepEqual(harness.chrome.storage.local.data.batchQueue.map(item => item.profileUrl), [JANE_URL]);
+        assert.match(batch.document.getElementById('batchSummary').textContent, /^1 profile\(s\)/);
+    });
+
+    it('queues pasted profile links', async () => {
+        batch.document.getElementById('profileUrlsInput').value = `${JANE_URL}\nhttps://www.linkedin.com/in/alex-morgan/?trk=x`;
+
+        await batch.manager.handleAddProfiles();
+
+        const items = harness.chrome.storage.local.data.batchQueue;
+        assert.equal(items.length, 3);
+        assert.equal(items[2].status, 'queued');
+        assert.match(batch.document.getElementById('statusMessage').textContent, /1 profile\(s\) added to the queue, 1 skipped/);
+        assert.equal(batch.document.getElementById('startBatchButton').disabled, false);
+    });
+
+    it('does not take a malformed link for a profile', async () => {
+        batch.document.getElementById('profileUrlsInput').value = 'https://www.linkedin.com/in/jane%E0%A4/';
+
+        await batch.manager.handleAddProfiles();
+
+        assert.equal(harness.chrome.storage.local.data.batchQueue.length, 2);
+        assert.match(batch.document.getElementById('statusMessage').textContent, /No LinkedIn profile links found/);
+    });
+});
+
+describe('adding the current profile from the popup', () => {
+    it('queues the profile in the active tab and starts drafting', async () => {
+        const harness = new ExtensionHarness();
+        await harness.chrome.storage.sync.set({
+            userContext: 'I run a developer tools startup',
+            userRole: 'Founder',
+            settings: { llm: { provider: 'mock' } }
+        });
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: `${JANE_URL}?miniProfileUrn=abc` });
+        harness.serveTabs(url => FIXTURES[url]);
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleQueueProfile();
+        await harness.settle();
+
+        assert.deepEqual(harness.chrome.storage.local.data.batchQueue.map(item => [item.profileUrl, item.status]), [[JANE_URL, 'drafted']]);
+        assert.match(popup.document.getElementById('statusMessage').textContent, /Added to the batch/);
+        harness.close();
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Profile extractors in content.js, run against saved LinkedIn pages in tests/fixtures
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript } = require('./helpers/load-content-script');
+
+describe('content script extractors', () => {
+    let page;
+
+    function load(fixture, url) {
+        page = loadContentScript(fixture, url);
+        return page.assistant;
+    }
+
+    afterEach(() => {
+        page?.close();
+        page = null;
+    });
+
+    describe('new layout', () => {
+        const url = 'https://www.linkedin.com/in/jane-doe/';
+
+        it('recognizes the profile page', () => {
+            assert.equal(load('profile-new-layout.html', url).isProfilePage(), true);
+        });
+
+        it('extracts name, headline and company', () => {
+            const assistant = load('profile-new-layout.html', url);
+            assert.equal(assistant.extractName(), 'Jane Doe');
+            assert.equal(assistant.extractHeadline(), 'Staff Software Engineer at Globex | Distributed systems, Rust and Go');
+            assert.equal(assistant.extractCompany(), 'Globex Corporation');
+        });
+
+        it('classifies the industry', () => {
+            assert.equal(load('profile-new-layout.html', url).extractIndustry(), 'tech');
+        });
+
+        it('reads the title and seniority from the headline', () => {
+            const data = load('profile-new-layout.html', url).extractProfileData();
+            assert.equal(data.title, 'Staff Software Engineer');
+            assert.equal(data.seniority, 'ic');
+        });
+    });
+
+    describe('old layout', () => {
+        const url = 'https://www.linkedin.com/in/john-smith-123/';
+
+        it('recognizes the profile page', () => {
+            assert.equal(load('profile-old-layout.html', url).isProfilePage(), true);
+        });
+
+        it('extracts name, headline and company', () => {
+            const assistant = load('profile-old-layout.html', url);
+            assert.equal(assistant.extractName(), 'John Smith');
+            assert.equal(assistant.extractHeadline(), 'Financial Analyst at Deloitte');
+            assert.equal(assistant.extractCompany(), 'Deloitte');
+        });
+
+        it('classifies the industry', () => {
+            assert.equal(load('profile-old-layout.html', url).extractIndustry(), 'finance');
+        });
+    });
+
+    describe('premium profile', () => {
+        const url = 'https://www.linkedin.com/in/priya-raman/?miniProfileUrn=urn%3Ali%3Afs_miniProfile%3A123';
+
+        it('recognizes the profile page with a query string', () => {
+            assert.equal(load('profile-premium.html', url).isProfilePage(), true);
+        });
+
+        it('ignores the Premium badge and pronouns around the name', () => {
+            assert.equal(load('profile-premium.html', url).extractName(), 'Priya Raman');
+        });
+
+        it('extracts headline and company', () => {
+            const assistant = load('profile-premium.html', url);
+            assert.equal(assistant.extractHeadline(), 'Head of Growth Marketing at Brightwave | Brand & Content Strategy | Speaker');
+            assert.equal(assistant.extractCompany(), 'Brightwave');
+        });
+
+        it('classifies the industry', () => {
+            assert.equal(load('profile-premium.html', url).extractIndustry(), 'marketing');
+        });
+
+        it('reads the seniority from the headline', () => {
+            assert.equal(load('profile-premium.html', url).extractProfileData().seniority, 'director');
+        });
+    });
+
+    describe('missing sections', () => {
+        const url = 'https://www.linkedin.com/in/sam-lee/';
+
+        it('recognizes the profile page', () => {
+            assert.equal(load('profile-missing-sections.html', url).isProfilePage(), true);
+        });
+
+        it('extracts the name', () => {
+            assert.equal(load('profile-missing-sections.html', url).extractName(), 'Sam Lee');
+        });
+
+        it('returns empty strings rather than connection counts or links', () => {
+            const assistant = load('profile-missing-sections.html', url);
+            assert.equal(assistant.extractHeadline(), '');
+            assert.equal(assistant.extractCompany(), '');
+        });
+
+        it('falls back to the generic industry', () => {
+            assert.equal(load('profile-missing-sections.html', url).extractIndustry(), 'professional');
+        });
+
+        it('reports the fields no strategy matched', () => {
+            const assistant = load('profile-missing-sections.html', url);
+            assistant.extractProfileData();
+            const unmatched = assistant.getExtractionReport().fields
+                .filter(field => !field.matched)
+                .map(field => field.field);
+            assert.ok(unmatched.includes('headline'));
+            assert.ok(unmatched.includes('company'));
+            assert.ok(unmatched.includes('experienceSection'));
+        });
+    });
+
+    describe('isProfilePage', () => {
+        it('rejects profile sub-pages', () => {
+            const assistant = load('profile-new-layout.html', 'https://www.linkedin.com/in/jane-doe/recent-activity/all/');
+            assert.equal(assistant.isProfilePage(), false);
+        });
+
+        it('rejects pages outside /in/', () => {
+            assert.equal(load('profile-new-layout.html', 'https://www.linkedin.com/feed/').isProfilePage(), false);
+        });
+
+        it('waits for the top card to render', () => {
+            const assistant = load('profile-new-layout.html', 'https://www.linkedin.com/in/jane-doe/');
+            page.window.document.querySelector('h1').remove();
+            assert.equal(assistant.isProfilePage(), false);
+        });
+
+        it('leaves the name empty when none is found', () => {
+            const assistant = load('profile-new-layout.html', 'https://www.linkedin.com/in/jane-doe/');
+            page.window.document.querySelector('main').remove();
+            assert.equal(assistant.extractName(), '');
+        });
+    });
+});
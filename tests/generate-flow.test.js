@@ -0,0 +1,323 @@
+/**
+ * The popup's generate and settings flows, end to end through the fake chrome.* APIs:
+ * popup → content script in the LinkedIn tab → service worker → LLM provider
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExtensionHarness } = require('./helpers/extension-harness');
+const { CONTENT_SCRIPTS, PROFILE_URL } = require('./helpers/load-content-script');
+const USER_SETTINGS = {
+    userContext: 'I run a developer tools startup',
+    userRole: 'Founder'
+};
+
+describe('popup generate flow', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = new ExtensionHarness();
+        await harness.chrome.storage.sync.set({ ...USER_SETTINGS, settings: { llm: { provider: 'mock' } } });
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    function preview(popup) {
+        return popup.document.getElementById('messagePreview').value;
+    }
+
+    function status(popup) {
+        return popup.document.getElementById('statusMessage').textContent;
+    }
+
+    it('generates a message from the profile in the active tab', async () => {
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+
+        assert.equal(popup.document.getElementById('generateButton').disabled, false);
+        await popup.manager.handleGenerateMessage();
+
+        assert.match(preview(popup), /^Hi Jane, /);
+        assert.equal(status(popup), 'Message generated successfully!');
+        assert.equal(popup.manager.profileData.company, 'Globex Corporation');
+        assert.deepEqual(harness.chrome.injections, []);
+    });
+
+    it('generates every requested draft', async () => {
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        await harness.chrome.storage.sync.set({ variantCount: 3 });
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleGenerateMessage();
+
+        assert.equal(popup.manager.variants.length, 3);
+        assert.equal(status(popup), '3 drafts generated!');
+    });
+
+    it('writes in the language picked in the popup and keeps it for the persona', async () => {
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+        const languageSelect = popup.document.getElementById('languageSelect');
+
+        assert.equal(languageSelect.value, 'auto');
+        await popup.manager.handleGenerateMessage();
+        assert.equal(popup.document.getElementById('languageHint').textContent, 'Detected from the profile: English');
+
+        languageSelect.value = 'de';
+        languageSelect.dispatchEvent(new popup.window.Event('change'));
+        await harness.settle();
+        await popup.manager.handleGenerateMessage();
+
+        assert.match(preview(popup), /^Hallo Jane, /);
+        assert.equal(harness.chrome.storage.sync.data.personas[0].language, 'de');
+    });
+
+    it('holds drafts to the length chosen in the popup', async () => {
+        await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'mock' }, messageLength: 'short', tone: 'friendly' } });
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+
+        assert.equal(popup.document.getElementById('lengthSelect').value, 'short');
+        assert.equal(popup.document.getElementById('toneSelect').value, 'friendly');
+        await popup.manager.handleGenerateMessage();
+
+        const lengthRule = popup.manager.variants[0].validation.find(rule => rule.id === 'length');
+        assert.equal(lengthRule.label, 'At most 150 characters');
+    });
+
+    it('generates on open when auto-generate is on', async () => {
+        await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'mock' }, autoGenerate: true } });
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+
+        const popup = await harness.openPopup();
+        await harness.settle();
+
+        assert.match(preview(popup), /^Hi Jane, /);
+    });
+
+    it('injects the content script into pages opened before the extension was installed', async () => {
+        harness.loadBackground();
+        const { tab } = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL, contentScript: 'injectable' });
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleGenerateMessage();
+
+        assert.deepEqual(harness.chrome.injections, [{ tabId: tab.id, files: CONTENT_SCRIPTS }]);
+        assert.match(preview(popup), /^Hi Jane, /);
+    });
+
+    it('explains when the content script cannot be injected', async () => {
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL, contentScript: 'blocked' });
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleGenerateMessage();
+
+        assert.match(status(popup), /Connection failed even after injecting content script/);
+        assert.equal(popup.manager.variants.length, 0);
+    });
+
+    it('shows the content script error when the profile has not rendered', async () => {
+        harness.loadBackground();
+        const page = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        page.window.document.querySelector('h1').remove();
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleGenerateMessage();
+
+        assert.equal(status(popup), 'Not a LinkedIn profile page');
+    });
+
+    it('disables generation away from LinkedIn profiles and conversations', async () => {
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: 'https://www.linkedin.com/feed/' });
+        const popup = await harness.openPopup();
+
+        assert.equal(popup.manager.pageType, null);
+        assert.equal(popup.document.getElementById('generateButton').disabled, true);
+        assert.match(preview(popup), /^Navigate to a LinkedIn profile page/);
+    });
+
+    it('asks for an API key when the provider needs one', async () => {
+        await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'gemini' } } });
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleGenerateMessage();
+
+        assert.match(status(popup), /^No API key configured/);
+        assert.match(preview(popup), /^Sorry, an error occurred/);
+    });
+
+    it('reports provider API errors', async () => {
+        await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'gemini' } } });
+        const requests = [];
+        const background = harness.loadBackground({
+            fetch: async (url) => {
+                requests.push(url);
+                return new Response(JSON.stringify({ error: { message: 'API key not valid' } }), { status: 400 });
+            }
+        });
+        await background.evaluate('ApiKeyStore.save("test-key")');
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleGenerateMessage();
+
+        assert.equal(requests.length, 1);
+        assert.match(status(popup), /API key not valid/);
+    });
+
+    it('retries a rate-limited provider and then explains the limit', async () => {
+        await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'gemini' } } });
+        const requests = [];
+        const background = harness.loadBackground({
+            fetch: async (url) => {
+                requests.push(url);
+                return new Response(JSON.stringify({ error: { message: 'Quota exceeded' } }), { status: 429, headers: { 'Retry-After': '2' } });
+            }
+        });
+        await background.evaluate('ApiKeyStore.save("test-key")');
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleGenerateMessage();
+        await harness.settle();
+
+        assert.equal(requests.length, 4, 'the first call and three retries');
+        assert.match(status(popup), /limiting requests \(HTTP 429\)/);
+        assert.doesNotMatch(preview(popup), /^Sorry, an error occurred/);
+        assert.match(popup.document.getElementById('quotaText').textContent, /^4 of 200 API calls today · 4 of 10 this minute$/);
+    });
+
+    it('fails cleanly when the service worker is not running', async () => {
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+
+        await popup.manager.handleGenerateMessage();
+
+        assert.match(status(popup), /^Could not reach the extension background/);
+        assert.match(preview(popup), /^Sorry, an error occurred/);
+    });
+});
+
+describe('popup settings save flow', () => {
+    let harness;
+
+    beforeEach(() => {
+        harness = new ExtensionHarness();
+        harness.loadBackground();
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    it('stores the context and role and passes them to the content script', async () => {
+        const page = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+
+        popup.document.getElementById('userContext').value = USER_SETTINGS.userContext;
+        popup.document.getElementById('userRole').value = USER_SETTINGS.userRole;
+        await popup.manager.handleFormSubmit(new popup.window.Event('submit'));
+        await harness.settle();
+
+        const [persona] = harness.chrome.storage.sync.data.personas;
+        assert.equal(persona.userContext, USER_SETTINGS.userContext);
+        assert.equal(persona.userRole, USER_SETTINGS.userRole);
+        assert.equal(harness.chrome.storage.sync.data.activePersonaId, persona.id);
+        assert.equal(page.assistant.settings.userRole, USER_SETTINGS.userRole);
+        assert.equal(popup.document.getElementById('generateButton').disabled, false);
+    });
+
+    it('adds a persona and switches between personas', async () => {
+        await harness.chrome.storage.sync.set(USER_SETTINGS);
+        const popup = await harness.openPopup();
+        const { document, window } = popup;
+        const select = (id, value) => {
+            document.getElementById(id).value = value;
+            document.getElementById(id).dispatchEvent(new window.Event('change'));
+        };
+
+        select('personaSelect', '__new__');
+        await harness.settle();
+        assert.equal(document.getElementById('userContext').value, '');
+
+        document.getElementById('personaName').value = 'Recruiting';
+        document.getElementById('userContext').value = 'Hiring backend engineers';
+        document.getElementById('userRole').value = 'Recruiter';
+        document.getElementById('signatureInput').value = '– Sam';
+        select('intentSelect', 'recruiting');
+        await popup.manager.handleFormSubmit(new window.Event('submit'));
+        await harness.settle();
+
+        const { personas, activePersonaId } = harness.chrome.storage.sync.data;
+        assert.deepEqual(personas.map(persona => persona.name), ['Default', 'Recruiting']);
+        assert.equal(activePersonaId, personas[1].id);
+        assert.equal(personas[1].intentId, 'recruiting');
+        assert.equal(personas[1].signature, '– Sam');
+
+        select('personaSelect', 'default');
+        await harness.settle();
+        assert.equal(document.getElementById('userContext').value, USER_SETTINGS.userContext);
+        assert.equal(document.getElementById('signatureInput').value, '');
+        assert.equal(document.getElementById('intentSelect').value, 'job-seeking');
+        assert.equal(harness.chrome.storage.sync.data.activePersonaId, 'default');
+
+        select('templateSelect', 'brief');
+        await harness.settle();
+        assert.equal(harness.chrome.storage.sync.data.personas[0].templateId, 'brief');
+    });
+
+    it('stores the tone, length and auto-generate choices', async () => {
+        await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'mock' } } });
+        const popup = await harness.openPopup();
+        const { document, window } = popup;
+
+        document.getElementById('toneSelect').value = 'direct';
+        document.getElementById('toneSelect').dispatchEvent(new window.Event('change'));
+        await harness.settle();
+        document.getElementById('lengthSelect').value = 'medium';
+        document.getElementById('lengthSelect').dispatchEvent(new window.Event('change'));
+        await harness.settle();
+        document.getElementById('autoGenerateInput').click();
+        await harness.settle();
+
+        assert.deepEqual(harness.chrome.storage.sync.data.settings, {
+            llm: { provider: 'mock' },
+            tone: 'direct',
+            messageLength: 'medium',
+            autoGenerate: true
+        });
+    });
+
+    it('refuses to save without a role', async () => {
+        const popup = await harness.openPopup();
+
+        popup.document.getElementById('userContext').value = USER_SETTINGS.userContext;
+        await popup.manager.handleFormSubmit(new popup.window.Event('submit'));
+
+        assert.equal(popup.document.getElementById('statusMessage').textContent, 'Please fill in all required fields');
+        assert.equal(harness.chrome.storage.sync.data.personas, undefined);
+    });
+
+    it('still saves when no LinkedIn tab is listening', async () => {
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL, contentScript: 'blocked' });
+        const popup = await harness.openPopup();
+
+        popup.document.getElementById('userContext').value = USER_SETTINGS.userContext;
+        popup.document.getElementById('userRole').value = USER_SETTINGS.userRole;
+        await popup.manager.handleFormSubmit(new popup.window.Event('submit'));
+
+        assert.equal(harness.chrome.storage.sync.data.personas[0].userRole, USER_SETTINGS.userRole);
+        assert.match(popup.document.getElementById('statusMessage').textContent, /^Settings saved successfully/);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * The headline parser in headline-parser.js: title, employers and seniority from free-form headlines
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, loadScripts, PROFILE_URL } = require('./helpers/load-content-script');
+
+describe('headline parser', () => {
+    const { HeadlineParser } = loadScripts(['headline-parser.js'], {}, ['HeadlineParser']);
+
+    // Copy out of the parser's realm so deepEqual compares plain values
+    function parse(headline) {
+        return structuredClone(HeadlineParser.parse(headline));
+    }
+
+    it('splits title, employer and former employers', () => {
+        assert.deepEqual(parse('Senior PM at Stripe | ex-Google'), {
+            title: 'Senior PM',
+            employer: 'Stripe',
+            formerEmployers: ['Google'],
+            seniority: 'ic'
+        });
+    });
+
+    it('finds former employers in every common form', () => {
+        assert.deepEqual(parse('Engineering Manager @Shopify, ex-Amazon, ex-Microsoft').formerEmployers, ['Amazon', 'Microsoft']);
+        assert.deepEqual(parse('Product Manager at Meta | Previously Uber / Lyft').formerEmployers, ['Uber', 'Lyft']);
+        assert.deepEqual(parse('Founder & CEO, Acme Robotics | Former Director at Google').formerEmployers, ['Google']);
+    });
+
+    it('does not mistake words starting with "ex" for former employers', () => {
+        const parsed = parse('Executive Director at Red Cross');
+        assert.equal(parsed.employer, 'Red Cross');
+        assert.deepEqual(parsed.formerEmployers, []);
+    });
+
+    it('reads "Founder of" and "CEO, Company" headlines', () => {
+        assert.equal(parse('Co-founder of Tiny Robots').employer, 'Tiny Robots');
+        assert.equal(parse('Founder & CEO, Acme Robotics | Speaker').employer, 'Acme Robotics');
+    });
+
+    it('normalizes seniority', () => {
+        const seniority = headline => parse(headline).seniority;
+        assert.equal(seniority('Staff Software Engineer at Globex'), 'ic');
+        assert.equal(seniority('Senior Product Manager at Acme'), 'ic');
+        assert.equal(seniority('Engineering Manager at Acme'), 'manager');
+        assert.equal(seniority('Head of Growth Marketing at Brightwave'), 'director');
+        assert.equal(seniority('VP Sales - Acme'), 'executive');
+        assert.equal(seniority('Chief Technology Officer at Acme'), 'executive');
+        assert.equal(seniority('Founder & CEO, Acme'), 'founder');
+        assert.equal(seniority('Computer Science Student at MIT'), 'student');
+    });
+
+    it('leaves the fields empty when the headline names no role', () => {
+        assert.deepEqual(parse(''), { title: '', employer: '', formerEmployers: [], seniority: '' });
+        assert.equal(parse('Helping B2B founders grow revenue with content that converts every day').title, '');
+    });
+});
+
+describe('content script headline role', () => {
+    let page;
+
+    afterEach(() => {
+        page?.close();
+        page = null;
+    });
+
+    it('takes the company from the headline when no company selector matches', () => {
+        page = loadContentScript('profile-new-layout.html', PROFILE_URL);
+        // Neither the top card button nor an Experience section names the company
+        page.window.document.querySelectorAll('button[aria-label^="Current company"], section.pv-profile-card').forEach(el => el.remove());
+
+        const data = page.assistant.extractProfileData();
+        const company = page.assistant.getExtractionReport().fields.find(field => field.field === 'company');
+
+        assert.equal(data.company, 'Globex');
+        assert.equal(company.matched, true);
+        assert.equal(company.strategy, 'heuristic: headline');
+    });
+});
@@ -0,0 +1,497 @@
+/**
+ * In-memory fake of the chrome.* extension APIs the extension uses.
+ *
+ * One FakeChrome holds the shared browser state (storage, tabs, alarms, notifications) and
+ * hands out a chrome object per context: the service worker, extension pages such as the
+ * popup, and the content script of each tab. Messages and ports are routed between those
+ * contexts the way Chrome routes them, including "Receiving end does not exist" when
+ * nothing is listening.
+ */
+
+const EXTENSION_ID = 'fakeextensionid';
+const NO_RECEIVER = 'Could not establish connection. Receiving end does not exist.';
+const PORT_CLOSED = 'The message port closed before a response was received.';
+
+// Messages cross contexts as JSON, like Chrome's extension messaging
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Let other contexts run before a message or event arrives
+function nextTask() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Resolve a promise-returning API call, also supporting the callback form
+ */
+function withCallback(promise, callback) {
+    if (typeof callback !== 'function') return promise;
+    promise.then(result => callback(result), () => callback());
+    return undefined;
+}
+
+class FakeEvent {
+    constructor() {
+        this.listeners = [];
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(existing => existing !== listener);
+    }
+
+    hasListener(listener) {
+        return this.listeners.includes(listener);
+    }
+
+    hasListeners() {
+        return this.listeners.length > 0;
+    }
+
+    dispatch(...args) {
+        return this.listeners.map(listener => listener(...args));
+    }
+}
+
+/**
+ * Timers for the extension's contexts. Timeouts fire on their own, in due order, once the
+ * real event loop is idle, so waits like "give the injected script 1.5s" cost nothing.
+ * Intervals only fire when the test calls tick().
+ */
+class FakeClock {
+    constructor() {
+        this.now = 0;
+        this.nextId = 1;
+        this.timers = new Map();
+
+        this.setTimeout = (callback, delay = 0, ...args) => this.add(callback, delay, args, false);
+        this.setInterval = (callback, delay = 0, ...args) => this.add(callback, delay, args, true);
+        this.clearTimeout = id => this.timers.delete(id);
+        this.clearInterval = id => this.timers.delete(id);
+    }
+
+    add(callback, delay, args, repeat) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback, args, repeat, delay: Math.max(0, delay), due: this.now + Math.max(0, delay) });
+        if (!repeat) {
+            setImmediate(() => this.fireNextTimeout());
+        }
+        return id;
+    }
+
+    fireNextTimeout() {
+        const [id, timer] = [...this.timers].filter(([, entry]) => !entry.repeat)
+            .sort(([, a], [, b]) => a.due - b.due)[0] || [];
+        if (!timer) return;
+
+        this.timers.delete(id);
+        this.now = Math.max(this.now, timer.due);
+        timer.callback(...timer.args);
+    }
+
+    /**
+     * Advance time, running every timeout and interval that falls due
+     */
+    tick(ms) {
+        const end = this.now + ms;
+        for (;;) {
+            const [id, timer] = [...this.timers].filter(([, entry]) => entry.due <= end)
+                .sort(([, a], [, b]) => a.due - b.due)[0] || [];
+            if (!timer) break;
+
+            this.now = timer.due;
+            if (timer.repeat) {
+                timer.due += timer.delay || 1;
+            } else {
+                this.timers.delete(id);
+            }
+            timer.callback(...timer.args);
+        }
+        this.now = end;
+    }
+
+    pendingIntervals() {
+        return [...this.timers.values()].filter(timer => timer.repeat).length;
+    }
+
+    reset() {
+        this.timers.clear();
+    }
+}
+
+class FakeStorageArea {
+    constructor(areaName, hub) {
+        this.areaName = areaName;
+        this.hub = hub;
+        this.data = {};
+    }
+
+    async get(keys = null) {
+        if (keys === null || keys === undefined) {
+            return clone(this.data);
+        }
+
+        const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+        const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+        const result = {};
+        for (const name of names) {
+            if (name in this.data) {
+                result[name] = clone(this.data[name]);
+            } else if (name in defaults) {
+                result[name] = clone(defaults[name]);
+            }
+        }
+        return result;
+    }
+
+    async set(items) {
+        const changes = {};
+        for (const [key, value] of Object.entries(clone(items))) {
+            changes[key] = { oldValue: this.data[key], newValue: value };
+            this.data[key] = value;
+        }
+        this.notify(changes);
+    }
+
+    async remove(keys) {
+        const changes = {};
+        for (const key of [].concat(keys)) {
+            if (key in this.data) {
+                changes[key] = { oldValue: this.data[key] };
+                delete this.data[key];
+            }
+        }
+        this.notify(changes);
+    }
+
+    async clear() {
+        await this.remove(Object.keys(this.data));
+    }
+
+    notify(changes) {
+        if (Object.keys(changes).length === 0) return;
+        this.hub.emit('storage.onChanged', clone(changes), this.areaName);
+    }
+
+    /**
+     * The chrome.storage.<area> object handed to a context
+     */
+    api() {
+        return {
+            get: (keys, callback) => withCallback(this.get(typeof keys === 'function' ? null : keys), typeof keys === 'function' ? keys : callback),
+            set: (items, callback) => withCallback(this.set(items), callback),
+            remove: (keys, callback) => withCallback(this.remove(keys), callback),
+            clear: callback => withCallback(this.clear(), callback)
+        };
+    }
+}
+
+/**
+ * One end of a runtime.connect() channel
+ */
+class FakePort {
+    constructor(name, sender = undefined) {
+        this.name = name;
+        this.sender = sender;
+        this.onMessage = new FakeEvent();
+        this.onDisconnect = new FakeEvent();
+        this.connected = true;
+        this.other = null;
+    }
+
+    postMessage(message) {
+        if (!this.connected) {
+            throw new Error('Attempting to use a disconnected port object');
+        }
+        const other = this.other;
+        const payload = clone(message);
+        nextTask().then(() => {
+            if (other.connected) other.onMessage.dispatch(payload, other);
+        });
+    }
+
+    disconnect() {
+        if (!this.connected) return;
+        this.connected = false;
+        const other = this.other;
+        nextTask().then(() => {
+            if (!other.connected) return;
+            other.connected = false;
+            other.onDisconnect.dispatch(other);
+        });
+    }
+}
+
+class FakeChrome {
+    constructor() {
+        this.clock = new FakeClock();
+        this.storage = {
+            sync: new FakeStorageArea('sync', this),
+            local: new FakeStorageArea('local', this),
+            session: new FakeStorageArea('session', this)
+        };
+        this.contexts = [];
+        this.tabs = new Map();
+        this.nextTabId = 1;
+        this.alarms = new Map();
+        this.notifications = new Map();
+        this.titles = new Map();
+        this.injections = [];
+        this.openedPages = [];
+        this.reloadedTabs = [];
+        // Set to load something into the tabs the extension opens: ({ url, active }) => tab
+        this.tabLoader = null;
+    }
+
+    /**
+     * Add a browser tab. inject(files) is called when the extension runs scripts in it;
+     * leave it out for pages the extension may not script.
+     */
+    addTab({ url, active = true, inject = null } = {}) {
+        if (active) {
+            this.tabs.forEach(tab => { tab.active = false; });
+        }
+        const tab = { id: this.nextTabId++, url, active, status: 'complete', windowId: 1 };
+        this.tabs.set(tab.id, { tab, inject });
+        return tab;
+    }
+
+    /**
+     * The chrome object for one context.
+     * @param {string} kind - 'background', 'page' (popup, options...) or 'tab' (content script)
+     * @param {object} [options] - tabId for content scripts, url for extension pages
+     */
+    createApi(kind, { tabId = null, url = null } = {}) {
+        const events = {
+            'runtime.onMessage': new FakeEvent(),
+            'runtime.onConnect': new FakeEvent(),
+            'runtime.onInstalled': new FakeEvent(),
+            'runtime.onStartup': new FakeEvent(),
+            'runtime.onSuspend': new FakeEvent(),
+            'storage.onChanged': new FakeEvent(),
+            'tabs.onUpdated': new FakeEvent(),
+            'alarms.onAlarm': new FakeEvent(),
+            'notifications.onClicked': new FakeEvent(),
+            'action.onClicked': new FakeEvent()
+        };
+        const context = { kind, tabId, url, events };
+        this.contexts.push(context);
+
+        const hub = this;
+        const extensionOnly = kind !== 'tab';
+
+        const api = {
+            runtime: {
+                id: EXTENSION_ID,
+                lastError: undefined,
+                onMessage: events['runtime.onMessage'],
+                onConnect: events['runtime.onConnect'],
+                onInstalled: events['runtime.onInstalled'],
+                onStartup: events['runtime.onStartup'],
+                onSuspend: events['runtime.onSuspend'],
+                getURL: path => `chrome-extension://${EXTENSION_ID}/${path.replace(/^\//, '')}`,
+                sendMessage: (message, callback) => withCallback(hub.sendRuntimeMessage(context, message), callback),
+                connect: (connectInfo = {}) => hub.connect(context, connectInfo),
+                openOptionsPage: (callback) => {
+                    hub.openedPages.push('options.html');
+                    return withCallback(Promise.resolve(), callback);
+                }
+            },
+            storage: {
+                sync: this.storage.sync.api(),
+                local: this.storage.local.api(),
+                session: this.storage.session.api(),
+                onChanged: events['storage.onChanged']
+            }
+        };
+
+        if (!extensionOnly) {
+            return api;
+        }
+
+        api.tabs = {
+            onUpdated: events['tabs.onUpdated'],
+            get: (id, callback) => withCallback(hub.getTab(id), callback),
+            query: (queryInfo, callback) => withCallback(hub.queryTabs(queryInfo), callback),
+            create: (properties, callback) => withCallback(hub.createTab(properties), callback),
+            update: (id, properties, callback) => withCallback(hub.updateTab(id, properties), callback),
+            remove: (id, callback) => withCallback(hub.removeTab(id), callback),
+            reload: (id, callback) => {
+                hub.reloadedTabs.push(id);
+                return withCallback(Promise.resolve(), callback);
+            },
+            sendMessage: (id, message, options, callback) => withCallback(
+                hub.sendTabMessage(context, id, message),
+                typeof options === 'function' ? options : callback
+            )
+        };
+        api.scripting = {
+            executeScript: injection => hub.executeScript(injection)
+        };
+        api.alarms = {
+            onAlarm: events['alarms.onAlarm'],
+            create: (name, info) => hub.createAlarm(name, info),
+            get: (name, callback) => withCallback(Promise.resolve(clone(hub.alarms.get(name))), callback),
+            getAll: callback => withCallback(Promise.resolve(clone([...hub.alarms.values()])), callback),
+            clear: (name, callback) => withCallback(Promise.resolve(hub.alarms.delete(name)), callback)
+        };
+        api.notifications = {
+            onClicked: events['notifications.onClicked'],
+            create: (id, options, callback) => {
+                hub.notifications.set(id, clone(options));
+                return withCallback(Promise.resolve(id), callback);
+            },
+            clear: (id, callback) => withCallback(Promise.resolve(hub.notifications.delete(id)), callback)
+        };
+        api.action = {
+            onClicked: events['action.onClicked'],
+            setTitle: ({ tabId: id, title }) => {
+                hub.titles.set(id, title);
+                return Promise.resolve();
+            }
+        };
+
+        return api;
+    }
+
+    /**
+     * Forget a context, e.g. when its popup or tab closes
+     */
+    removeContext(api) {
+        this.contexts = this.contexts.filter(context => context.events['runtime.onMessage'] !== api.runtime.onMessage);
+    }
+
+    /**
+     * Fire an event in every context listening for it, e.g. emit('runtime.onInstalled', { reason: 'install' })
+     */
+    emit(eventName, ...args) {
+        for (const context of this.contexts) {
+            context.events[eventName]?.dispatch(...args);
+        }
+    }
+
+    async sendRuntimeMessage(from, message) {
+        const sender = from.kind === 'tab'
+            ? { id: EXTENSION_ID, tab: clone(this.tabs.get(from.tabId)?.tab), frameId: 0, url: this.tabs.get(from.tabId)?.tab.url }
+            : { id: EXTENSION_ID, url: from.url };
+        const receivers = this.contexts.filter(context => context !== from && context.kind !== 'tab');
+        return this.deliver(receivers, message, sender);
+    }
+
+    async sendTabMessage(from, tabId, message) {
+        const receivers = this.contexts.filter(context => context.kind === 'tab' && context.tabId === tabId);
+        return this.deliver(receivers, message, { id: EXTENSION_ID, url: from.url });
+    }
+
+    /**
+     * Call each receiver's onMessage listeners; the first sendResponse wins.
+     * Rejects like Chrome when nobody listens or nobody keeps the channel open.
+     */
+    async deliver(receivers, message, sender) {
+        await nextTask();
+        const listeners = receivers.flatMap(context => context.events['runtime.onMessage'].listeners);
+        if (listeners.length === 0) {
+            throw new Error(NO_RECEIVER);
+        }
+
+        return new Promise((resolve, reject) => {
+            let responded = false;
+            const sendResponse = response => {
+                if (responded) return;
+                responded = true;
+                const payload = clone(response);
+                nextTask().then(() => resolve(payload));
+            };
+
+            let keepOpen = false;
+            for (const listener of listeners) {
+                if (listener(clone(message), clone(sender), sendResponse) === true) {
+                    keepOpen = true;
+                }
+            }
+
+            if (!keepOpen && !responded) {
+                reject(new Error(PORT_CLOSED));
+            }
+        });
+    }
+
+    connect(from, { name = '' } = {}) {
+        const local = new FakePort(name);
+        const remote = new FakePort(name, { id: EXTENSION_ID, url: from.url });
+        local.other = remote;
+        remote.other = local;
+
+        const receivers = this.contexts.filter(context => context !== from && context.kind !== 'tab' &&
+            context.events['runtime.onConnect'].hasListeners());
+        nextTask().then(() => {
+            if (receivers.length === 0) {
+                remote.disconnect();
+                return;
+            }
+            receivers.forEach(context => context.events['runtime.onConnect'].dispatch(remote));
+        });
+
+        return local;
+    }
+
+    async getTab(id) {
+        const entry = this.tabs.get(id);
+        if (!entry) {
+            throw new Error(`No tab with id: ${id}.`);
+        }
+        return clone(entry.tab);
+    }
+
+    async queryTabs(queryInfo = {}) {
+        return [...this.tabs.values()]
+            .map(entry => entry.tab)
+            .filter(tab => queryInfo.active === undefined || tab.active === queryInfo.active)
+            .map(clone);
+    }
+
+    async createTab({ url, active = true } = {}) {
+        this.openedPages.push(url);
+        return clone(this.tabLoader ? this.tabLoader({ url, active }) : this.addTab({ url, active }));
+    }
+
+    async removeTab(id) {
+        if (!this.tabs.delete(id)) {
+            throw new Error(`No tab with id: ${id}.`);
+        }
+        this.contexts = this.contexts.filter(context => context.tabId !== id);
+    }
+
+    async updateTab(id, properties) {
+        const entry = this.tabs.get(id);
+        if (!entry) {
+            throw new Error(`No tab with id: ${id}.`);
+        }
+        Object.assign(entry.tab, properties);
+        return clone(entry.tab);
+    }
+
+    async executeScript({ target, files = [] }) {
+        this.injections.push({ tabId: target.tabId, files: [...files] });
+        const entry = this.tabs.get(target.tabId);
+        if (!entry) {
+            throw new Error(`No tab with id: ${target.tabId}.`);
+        }
+        if (!entry.inject) {
+            throw new Error(`Cannot access contents of url "${entry.tab.url}". Extension manifest must request permission to access this host.`);
+        }
+        await entry.inject(files);
+        return [{ frameId: 0, result: undefined }];
+    }
+
+    createAlarm(name, { when, delayInMinutes, periodInMinutes } = {}) {
+        const scheduledTime = when ?? Date.now() + (delayInMinutes ?? periodInMinutes ?? 0) * 60000;
+        this.alarms.set(name, { name, scheduledTime, periodInMinutes });
+    }
+}
+
+module.exports = { FakeChrome, FakeClock, FakeEvent, FakePort, EXTENSION_ID, NO_RECEIVER };
@@ -0,0 +1,174 @@
+/**
+ * Runs the whole extension against the fake chrome.* APIs: the service worker in a vm
+ * context, the popup in jsdom, and LinkedIn tabs built from saved pages.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { webcrypto } = require('node:crypto');
+const { JSDOM } = require('jsdom');
+const { FakeChrome } = require('./chrome-mock');
+const { loadPage, runScripts, ROOT, CONTENT_SCRIPTS } = require('./load-content-script');
+
+const quietConsole = { ...console, log: () => {} };
+
+async function offlineFetch(url) {
+    throw new TypeError(`fetch is disabled in tests (${url})`);
+}
+
+class ExtensionHarness {
+    constructor() {
+        this.chrome = new FakeChrome();
+        this.pages = [];
+    }
+
+    /**
+     * Start the service worker. fetch replaces the network for providers that make HTTP calls.
+     * @returns {{chrome: object, context: object, evaluate: Function}}
+     */
+    loadBackground({ fetch = offlineFetch } = {}) {
+        const chrome = this.chrome.createApi('background', { url: 'chrome-extension://background' });
+        const { clock } = this.chrome;
+        const sandbox = {
+            chrome,
+            console: quietConsole,
+            fetch,
+            crypto: webcrypto,
+            AbortController,
+            DOMException,
+            TextEncoder,
+            TextDecoder,
+            URL,
+            Response,
+            atob,
+            btoa,
+            setTimeout: clock.setTimeout,
+            clearTimeout: clock.clearTimeout,
+            setInterval: clock.setInterval,
+            clearInterval: clock.clearInterval,
+            addEventListener: () => {},
+            skipWaiting: () => {}
+        };
+        sandbox.self = sandbox;
+
+        const context = vm.createContext(sandbox);
+        const run = file => new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file })
+            .runInContext(context);
+        sandbox.importScripts = (...files) => files.forEach(run);
+        run('background.js');
+
+        this.background = { chrome, context, evaluate: code => vm.runInContext(code, context) };
+        return this.background;
+    }
+
+    /**
+     * Open a LinkedIn tab from a saved page.
+     * @param {object} options
+     * @param {string} options.fixture - file name in tests/fixtures
+     * @param {string} options.url - the tab's URL
+     * @param {string} [options.contentScript] - 'loaded' when the manifest already injected it,
+     *   'injectable' when the page predates the extension, 'blocked' when scripting is refused
+     * @param {boolean} [options.active] - false for a tab opened in the background
+     */
+    openTab({ fixture, url, contentScript = 'loaded', active = true }) {
+        const page = loadPage(fixture, url);
+        let chrome = null;
+
+        const inject = async (files) => {
+            chrome = chrome || this.chrome.createApi('tab', { tabId: tab.id });
+            page.window.chrome = chrome;
+            runScripts(page, files);
+        };
+
+        const tab = this.chrome.addTab({ url, active, inject: contentScript === 'blocked' ? null : inject });
+        if (contentScript === 'loaded') {
+            inject(CONTENT_SCRIPTS);
+        }
+
+        const opened = {
+            tab,
+            window: page.window,
+            get assistant() {
+                return page.window.linkedinAssistant;
+            },
+            close: () => {
+                if (chrome) this.chrome.removeContext(chrome);
+                page.close();
+            }
+        };
+        this.pages.push(opened);
+        return opened;
+    }
+
+    /**
+     * Load a saved page into every tab the extension opens, e.g. the profiles of a batch
+     * @param {Function} fixtureFor - The tab's URL → a file name in tests/fixtures.
+     */
+    serveTabs(fixtureFor) {
+        this.chrome.tabLoader = ({ url, active }) => this.openTab({ fixture: fixtureFor(url), url, active }).tab;
+    }
+
+    /**
+     * Open the popup as if the toolbar icon was clicked, and wait for it to load its settings
+     * @returns {Promise<{window: Window, document: Document, manager: PopupManager, close: Function}>}
+     */
+    async openPopup() {
+        return this.openExtensionPage('popup.html', 'popupManager');
+    }
+
+    async openExtensionPage(file, managerName) {
+        const chrome = this.chrome.createApi('page', { url: `chrome-extension://${file}` });
+        const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const dom = new JSDOM(html, { url: chrome.runtime.getURL(file), runScripts: 'outside-only', pretendToBeVisual: true });
+        const { window } = dom;
+        const { clock } = this.chrome;
+
+        window.chrome = chrome;
+        window.console = quietConsole;
+        window.setTimeout = clock.setTimeout;
+        window.clearTimeout = clock.clearTimeout;
+        window.setInterval = clock.setInterval;
+        window.clearInterval = clock.clearInterval;
+
+        const context = dom.getInternalVMContext();
+        for (const script of window.document.querySelectorAll('script[src]')) {
+            const file = script.getAttribute('src');
+            new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+        }
+
+        await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+        await this.settle();
+
+        const opened = {
+            window,
+            document: window.document,
+            manager: window[managerName],
+            close: () => {
+                this.chrome.removeContext(chrome);
+                window.close();
+            }
+        };
+        this.pages.push(opened);
+        return opened;
+    }
+
+    /**
+     * Let messages, storage events and timeouts run until nothing is left to do
+     */
+    async settle() {
+        for (let idle = 0, rounds = 0; idle < 5 && rounds < 10000; rounds++) {
+            await new Promise(resolve => setImmediate(resolve));
+            idle = this.chrome.clock.timers.size > this.chrome.clock.pendingIntervals() ? 0 : idle + 1;
+        }
+    }
+
+    close() {
+        this.pages.forEach(page => page.close());
+        this.pages = [];
+        this.chrome.clock.reset();
+        this.chrome.contexts = [];
+    }
+}
+
+module.exports = { ExtensionHarness };
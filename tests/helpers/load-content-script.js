@@ -0,0 +1,101 @@
+/**
+ * Loads the content script into a jsdom window built from a saved LinkedIn page,
+ * the way Chrome injects it: the shared scripts first, then content.js.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { FakeChrome } = require('./chrome-mock');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const CONTENT_SCRIPTS = ['selector-registry.js', 'industries.js', 'headline-parser.js', 'messages.js', 'profile-url.js', 'content.js'];
+
+// The profile the fixture pages are served at
+const PROFILE_URL = 'https://www.linkedin.com/in/jane-doe/';
+
+// A fixed, local-time "now" for scripts given their own clock
+const NOW = new Date('2026-03-02T12:00:00').getTime();
+
+/**
+ * Record every MutationObserver the page creates so they can be disconnected on close
+ */
+function trackMutationObservers(window) {
+    const observers = [];
+    const NativeMutationObserver = window.MutationObserver;
+    window.MutationObserver = class extends NativeMutationObserver {
+        constructor(callback) {
+            super(callback);
+            observers.push(this);
+        }
+    };
+    return observers;
+}
+
+/**
+ * A jsdom window for a saved page, ready to have extension scripts run in it
+ * @param {string} fixture - file name in tests/fixtures
+ * @param {string} url - the page URL the scripts see in window.location
+ * @returns {{window: Window, context: object, close: Function}}
+ */
+function loadPage(fixture, url) {
+    const html = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+
+    const observers = trackMutationObservers(window);
+    // Keep the extension's debug logging out of the test output
+    window.console = { ...console, log: () => {} };
+
+    // Stop the scripts' DOM observers before tearing the window down
+    const close = () => {
+        observers.forEach(observer => observer.disconnect());
+        window.close();
+    };
+
+    return { window, context: dom.getInternalVMContext(), close };
+}
+
+/**
+ * Run repository files in a page, each as its own classic script so top-level
+ * classes and constants are shared between them
+ */
+function runScripts(page, files) {
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        new vm.Script(source, { filename: file }).runInContext(page.context);
+    }
+}
+
+/**
+ * Run repository files in a fresh context, without a page, and read back their globals
+ * @param {Array<string>} files - repository files, in load order
+ * @param {object} globals - what the scripts see as globals, e.g. { chrome }
+ * @param {Array<string>} names - top-level classes and constants to return
+ * @returns {object} The named globals, and the context to run more code in
+ */
+function loadScripts(files, globals = {}, names = []) {
+    const context = vm.createContext(globals);
+    runScripts({ context }, files);
+    return { context, ...vm.runInContext(`({ ${names.join(', ')} })`, context) };
+}
+
+/**
+ * @param {string} fixture - file name in tests/fixtures
+ * @param {string} url - the page URL the script sees in window.location
+ * @returns {{window: Window, assistant: LinkedInConnectionAssistant, close: Function}}
+ */
+function loadContentScript(fixture, url) {
+    const page = loadPage(fixture, url);
+    const chrome = new FakeChrome();
+    const tab = chrome.addTab({ url });
+
+    page.window.chrome = chrome.createApi('tab', { tabId: tab.id });
+    runScripts(page, CONTENT_SCRIPTS);
+
+    return { window: page.window, assistant: page.window.linkedinAssistant, close: page.close };
+}
+
+module.exports = { loadContentScript, loadPage, runScripts, loadScripts, ROOT, CONTENT_SCRIPTS, PROFILE_URL, NOW };
@@ -0,0 +1,32 @@
+/**
+ * The message history export in history-store.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeChrome } = require('./helpers/chrome-mock');
+const { loadScripts, PROFILE_URL } = require('./helpers/load-content-script');
+
+describe('history CSV export', () => {
+    const { HistoryStore } = loadScripts(['history-store.js'], { chrome: new FakeChrome().createApi('page') }, ['HistoryStore']);
+
+    // The row after the header; quoted cells may hold line breaks
+    function exportRow(entry) {
+        const csv = HistoryStore.toCsv([{ createdAt: '2026-03-02T09:00:00.000Z', profileUrl: PROFILE_URL, ...entry }]);
+        return csv.slice(csv.indexOf('\r\n') + 2);
+    }
+
+    it('quotes cells with commas, quotes and line breaks', () => {
+        const row = exportRow({ name: 'Jane Doe', company: 'Globex, Inc.', message: 'Hi Jane,\r\nsay "hello"' });
+
+        assert.equal(row, `2026-03-02T09:00:00.000Z,Jane Doe,,"Globex, Inc.",${PROFILE_URL},,,,,,,"Hi Jane,\r\nsay ""hello"""`);
+    });
+
+    it('exports profile text that looks like a formula as text', () => {
+        const row = exportRow({ name: '@Jane', headline: '=1+1', company: '+Globex', message: '-1' });
+
+        assert.equal(row, `2026-03-02T09:00:00.000Z,'@Jane,'=1+1,'+Globex,${PROFILE_URL},,,,,,,'-1`);
+        assert.match(exportRow({ headline: '=HYPERLINK("https://example.com","Hi")' }), /,"'=HYPERLINK\(""https:\/\/example\.com"",""Hi""\)",/);
+        assert.match(exportRow({ headline: '\tTabbed' }), /,'\tTabbed,/);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * The industry classifier in industries.js: weighted, whole-word scoring and the editable taxonomy
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeChrome } = require('./helpers/chrome-mock');
+const { ExtensionHarness } = require('./helpers/extension-harness');
+const { loadScripts, PROFILE_URL } = require('./helpers/load-content-script');
+
+describe('industry classifier', () => {
+    let fake, IndustryClassifier, DEFAULT_INDUSTRY_TAXONOMY, INDUSTRY_TAXONOMY_STORAGE_KEY;
+
+    beforeEach(() => {
+        fake = new FakeChrome();
+        ({ IndustryClassifier, DEFAULT_INDUSTRY_TAXONOMY, INDUSTRY_TAXONOMY_STORAGE_KEY } = loadScripts(
+            ['industries.js'], { chrome: fake.createApi('page') }, ['IndustryClassifier', 'DEFAULT_INDUSTRY_TAXONOMY', 'INDUSTRY_TAXONOMY_STORAGE_KEY']
+        ));
+    });
+
+    function topId(sources) {
+        return IndustryClassifier.classify(sources)[0]?.id;
+    }
+
+    it('matches whole words only', () => {
+        assert.equal(topId({ headline: 'Senior Accountant at Acme' }), 'finance');
+        assert.equal(topId({ headline: 'Account Executive at Acme' }), 'sales');
+        assert.equal(IndustryClassifier.classify({ headline: 'Content creator and storyteller' }).length, 0);
+        assert.equal(IndustryClassifier.classify({ headline: 'Techno DJ' }).length, 0);
+    });
+
+    it('matches plurals and phrases across line breaks', () => {
+        assert.equal(topId({ headline: 'Helping nurses and physicians' }), 'healthcare');
+        assert.equal(topId({ about: 'Ten years in private\nequity' }), 'finance');
+    });
+
+    it('ranks every matching category with a confidence', () => {
+        const ranking = IndustryClassifier.classify({
+            headline: 'Product Manager at a fintech startup',
+            experience: 'Payments platform\nSoftware engineer',
+            skills: 'Python'
+        });
+
+        assert.deepEqual([...ranking.map(entry => entry.id)], ['fintech', 'tech']);
+        assert.ok(ranking[0].confidence > ranking[1].confidence);
+        assert.ok(ranking.reduce((sum, entry) => sum + entry.confidence, 0) <= 1);
+        assert.equal(ranking[0].label, 'Fintech');
+    });
+
+    it('weighs the headline above the About section', () => {
+        const ranking = IndustryClassifier.classify({
+            headline: 'Marketing Director',
+            about: 'I studied finance before moving on.'
+        });
+
+        assert.equal(ranking[0].id, 'marketing');
+        assert.equal(ranking[1].id, 'finance');
+    });
+
+    it('reports weak evidence with low confidence', () => {
+        const [weak] = IndustryClassifier.classify({ about: 'Curious about strategy games' });
+        const [strong] = IndustryClassifier.classify({ headline: 'Management consulting partner' });
+
+        assert.equal(weak.id, 'consulting');
+        assert.ok(weak.confidence < 0.5);
+        assert.equal(strong.confidence, 1);
+    });
+
+    it('parses and formats the editor keyword list', () => {
+        const keywords = IndustryClassifier.parseKeywords('Public Sector: 4\nministry\n\n  federal : 2.5 ');
+
+        assert.deepEqual({ ...keywords }, { 'public sector': 4, ministry: 1, federal: 2.5 });
+        assert.equal(IndustryClassifier.formatKeywords(keywords), 'public sector: 4\nministry: 1\nfederal: 2.5');
+        assert.throws(() => IndustryClassifier.parseKeywords('solar: lots'), /positive number/);
+    });
+
+    it('stores edited categories and classifies with them', async () => {
+        const saved = await IndustryClassifier.save({ label: 'Climate Tech', keywords: { 'renewable energy': 3, solar: 2 } });
+        assert.equal(saved.id, 'climate-tech');
+
+        const taxonomy = await IndustryClassifier.load();
+        assert.ok(taxonomy.tech, 'built-in categories are kept');
+        assert.equal(IndustryClassifier.classify({ headline: 'Solar installer' }, taxonomy)[0].id, 'climate-tech');
+
+        await IndustryClassifier.remove('tech');
+        assert.equal((await IndustryClassifier.load()).tech, undefined);
+
+        await IndustryClassifier.reset();
+        assert.equal(fake.storage.local.data[INDUSTRY_TAXONOMY_STORAGE_KEY], undefined);
+        assert.equal(await IndustryClassifier.load(), DEFAULT_INDUSTRY_TAXONOMY);
+    });
+
+    it('rejects invalid categories', async () => {
+        await assert.rejects(IndustryClassifier.save({ label: 'Empty', keywords: {} }), /at least one keyword/);
+        await assert.rejects(IndustryClassifier.save({ label: 'Fintech', keywords: { payments: 1 } }), /already exists/);
+        await assert.rejects(IndustryClassifier.save({ label: 'Professional', keywords: { work: 1 } }), /cannot be used/);
+        await assert.rejects(IndustryClassifier.save({ id: 'tech', label: 'Technology', keywords: { tech: 0 } }), /positive weight/);
+        assert.equal(fake.storage.local.data[INDUSTRY_TAXONOMY_STORAGE_KEY], undefined);
+    });
+});
+
+describe('content script industry classification', () => {
+    let harness;
+
+    beforeEach(() => {
+        harness = new ExtensionHarness();
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    it('adds the ranked industries to the profile data', () => {
+        const page = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const data = page.assistant.extractProfileData();
+
+        assert.equal(data.industry, 'tech');
+        assert.equal(data.industries[0].id, 'tech');
+        assert.ok(data.industries[0].confidence > 0);
+    });
+
+    it('follows categories edited on the options page', async () => {
+        const page = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        await harness.settle();
+
+        await harness.chrome.storage.local.set({
+            industryTaxonomy: { infrastructure: { label: 'Infrastructure', keywords: { 'distributed systems': 5 } } }
+        });
+        await harness.settle();
+
+        assert.equal(page.assistant.extractIndustry(), 'infrastructure');
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Message languages in languages.js: profile language detection, localized greetings, closings
+ * and lengths, and generation in the detected or chosen language
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExtensionHarness } = require('./helpers/extension-harness');
+const { loadScripts } = require('./helpers/load-content-script');
+
+describe('language detection', () => {
+    const { LanguageDetector, getLanguage, noteLength, validateMessage } = loadScripts(
+        ['languages.js', 'validators.js'], {}, ['LanguageDetector', 'getLanguage', 'noteLength', 'validateMessage']
+    );
+
+    function detect(profileData) {
+        return LanguageDetector.detect(profileData).language;
+    }
+
+    it('reads the language of the profile text', () => {
+        assert.equal(detect({ headline: 'Leiterin Vertrieb bei Globex', about: 'Ich helfe Teams, die mit Daten arbeiten und nicht nur Berichte wollen.' }), 'de');
+        assert.equal(detect({ about: 'Sou engenheira de dados e trabalho com times de produto na área de pagamentos.' }), 'pt');
+        assert.equal(detect({ about: 'Soy gerente de producto con experiencia en pagos y me gusta trabajar con equipos pequeños.' }), 'es');
+        assert.equal(detect({ headline: 'プロダクトマネージャー | 東京' }), 'ja');
+        assert.equal(detect({ about: 'I help data teams turn dashboards into decisions and we are hiring.' }), 'en');
+    });
+
+    it('uses the location when the text says little', () => {
+        assert.equal(detect({ headline: 'Staff Engineer', location: 'Berlin, Germany' }), 'de');
+        assert.equal(detect({ headline: 'Product Manager', location: 'São Paulo, Brasil' }), 'pt');
+        assert.equal(detect({ headline: 'Product Manager', location: 'Limassol, Cyprus' }), 'en');
+    });
+
+    it('lets a profile written in English outweigh its location', () => {
+        const profile = {
+            location: 'Munich, Bavaria, Germany',
+            about: 'I lead the platform team at Globex and spend my time on developer experience, tooling and the systems that our engineers use every day.'
+        };
+
+        assert.equal(detect(profile), 'en');
+    });
+
+    it('falls back to English without any evidence', () => {
+        assert.deepEqual({ ...LanguageDetector.detect({}) }, { language: 'en', confidence: 0 });
+    });
+
+    it('resolves an explicit choice without detecting', () => {
+        assert.equal(LanguageDetector.resolve('fr', { location: 'Berlin' }).id, 'fr');
+        assert.equal(LanguageDetector.resolve('auto', { location: 'Berlin' }).id, 'de');
+        assert.equal(LanguageDetector.resolve('tlh', {}).id, 'en');
+    });
+
+    it('greets Japanese contacts by family name', () => {
+        const japanese = getLanguage('ja');
+
+        assert.equal(japanese.greeting('山田', '太郎'), '山田様');
+        assert.equal(japanese.greeting('Taro', 'Yamada'), 'Yamada様');
+        assert.equal(japanese.greeting('', ''), 'はじめまして。');
+        assert.equal(getLanguage('de').greeting('Jane', 'Doe'), 'Hallo Jane,');
+    });
+
+    it('counts characters the way LinkedIn does', () => {
+        const note = `山田様${'よろしくお願いいたします。'.repeat(22)}`;
+
+        assert.equal(noteLength(note), 289);
+        assert.ok(Buffer.byteLength(note) > 300, 'the UTF-8 size would be over the limit');
+        assert.equal(noteLength('Hi 👋'), 5, 'emoji outside the basic plane count twice');
+
+        const validation = validateMessage(note, { greeting: '山田様', maxLength: 300 });
+        assert.deepEqual([...validation.filter(rule => !rule.passed).map(rule => rule.id)], []);
+    });
+});
+
+describe('generation in the profile language', () => {
+    let harness, background, page;
+
+    beforeEach(async () => {
+        harness = new ExtensionHarness();
+        background = harness.loadBackground();
+        page = harness.chrome.createApi('page', { url: 'chrome-extension://test-page' });
+        await harness.chrome.storage.sync.set({
+            settings: { llm: { provider: 'mock' } },
+            userContext: 'I run a developer tools startup',
+            userRole: 'Founder'
+        });
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    function generate(data) {
+        return page.runtime.sendMessage({ action: 'generateMessage', version: background.evaluate('PROTOCOL_VERSION'), data });
+    }
+
+    it('writes to a German profile in German', async () => {
+        const response = await generate({
+            profileData: { name: 'Jana Müller', headline: 'Leiterin Vertrieb', location: 'Wien, Österreich' }
+        });
+
+        assert.equal(response.language, 'de');
+        assert.match(response.message, /^Hallo Jana, /);
+        assert.equal(response.validation.every(rule => rule.passed), true);
+    });
+
+    it('greets a German profile without a name in German', async () => {
+        const response = await generate({
+            profileData: { name: '', headline: 'Leiterin Vertrieb', location: 'Wien, Österreich' }
+        });
+
+        assert.equal(response.language, 'de');
+        assert.match(response.message, /^Hallo, /);
+        assert.doesNotMatch(response.message, /there/);
+        assert.equal(response.validation.every(rule => rule.passed), true);
+    });
+
+    it('follows the language chosen for the message over the detected one', async () => {
+        const response = await generate({
+            profileData: { name: 'Jana Müller', location: 'Wien, Österreich' },
+            language: 'es'
+        });
+
+        assert.equal(response.language, 'es');
+        assert.match(response.message, /^Hola Jana, /);
+    });
+
+    it('localizes the closings and length rules in the prompt', () => {
+        const prompt = background.evaluate(`createPrompt({ name: '山田 太郎' }, {
+            intent: getIntent('advice'),
+            language: getLanguage('ja'),
+            messageSettings: { messageLength: 'long' }
+        })`);
+
+        assert.match(prompt, /Start with exactly "山田様"/);
+        assert.match(prompt, /Must be 140-150 characters total/);
+        assert.match(prompt, /"アドバイスをいただけると大変ありがたいです。"/);
+        assert.match(prompt, /business Japanese/);
+    });
+
+    it('overrides the English greeting of templates without a language rule', () => {
+        const prompt = background.evaluate(`createPrompt({ name: 'Ana Souza' }, {
+            template: { body: 'Start with "Hi {firstName},". {intentRules} {toneInstruction} {lengthMax}' },
+            language: getLanguage('pt')
+        })`);
+
+        assert.match(prompt, /Language: Write in Brazilian Portuguese.*Start with exactly "Olá Ana,"/);
+    });
+});
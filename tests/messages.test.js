@@ -0,0 +1,177 @@
+/**
+ * The message protocol in messages.js: request validation, dispatching and error text
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-content-script');
+
+describe('message protocol', () => {
+    let PROTOCOL_VERSION, MESSAGE_SCHEMAS, MessageProtocol, MessageDispatcher;
+
+    beforeEach(() => {
+        ({ PROTOCOL_VERSION, MESSAGE_SCHEMAS, MessageProtocol, MessageDispatcher } = loadScripts(
+            ['messages.js'], {}, ['PROTOCOL_VERSION', 'MESSAGE_SCHEMAS', 'MessageProtocol', 'MessageDispatcher']
+        ));
+    });
+
+    function handlersFor(target, overrides = {}) {
+        const handlers = {};
+        for (const action of MessageProtocol.actionsFor(target)) {
+            handlers[action] = async () => ({ success: true, action });
+        }
+        return { ...handlers, ...overrides };
+    }
+
+    // Run one request through a dispatcher and collect what it sends back
+    async function dispatch(dispatcher, request) {
+        const responses = [];
+        const keepOpen = dispatcher.dispatch(request, {}, response => responses.push(response));
+        await new Promise(resolve => setImmediate(resolve));
+        return { keepOpen, responses };
+    }
+
+    describe('validate', () => {
+        it('accepts a request built with create()', () => {
+            const request = MessageProtocol.create('setPendingNote', { profileUrl: 'https://www.linkedin.com/in/jane-doe/', message: 'Hi Jane' });
+
+            assert.equal(request.version, PROTOCOL_VERSION);
+            assert.equal(MessageProtocol.validate(request), null);
+        });
+
+        it('rejects unknown actions', () => {
+            assert.equal(MessageProtocol.validate(MessageProtocol.create('showGenerateButton')).code, 'UNKNOWN_ACTION');
+        });
+
+        it('rejects other protocol versions', () => {
+            const problem = MessageProtocol.validate({ action: 'ping', data: {} });
+
+            assert.equal(problem.code, 'VERSION_MISMATCH');
+            assert.equal(problem.received, null);
+        });
+
+        it('names the missing required field', () => {
+            const problem = MessageProtocol.validate(MessageProtocol.create('insertReply', {}));
+
+            assert.equal(problem.code, 'INVALID_PAYLOAD');
+            assert.equal(problem.error, 'insertReply: text is required.');
+        });
+
+        it('checks field types', () => {
+            const problem = MessageProtocol.validate(MessageProtocol.create('logActivity', { type: ['messageGenerated'] }));
+
+            assert.equal(problem.error, 'logActivity: type must be of type string.');
+        });
+
+        it('rejects fields the schema does not declare', () => {
+            const problem = MessageProtocol.validate(MessageProtocol.create('ping', { verbose: true }));
+
+            assert.equal(problem.error, 'ping: unexpected field verbose.');
+        });
+
+        it('lets open actions carry any fields', () => {
+            assert.equal(MessageProtocol.validate(MessageProtocol.create('saveSettings', { userRole: 'Founder', tone: 'casual' })), null);
+        });
+
+        it('validates port data against another action', () => {
+            const problem = MessageProtocol.validate(MessageProtocol.create('start', { userRole: 'Founder' }), 'generateMessage');
+
+            assert.equal(problem.error, 'generateMessage: profileData is required.');
+        });
+    });
+
+    describe('MessageDispatcher', () => {
+        it('assigns every action to the background or the content script', () => {
+            for (const [action, schema] of Object.entries(MESSAGE_SCHEMAS)) {
+                assert.ok(['background', 'content'].includes(schema.target), action);
+            }
+        });
+
+        it('refuses to start without a handler for each of its actions', () => {
+            const handlers = handlersFor('content');
+            delete handlers.insertReply;
+
+            assert.throws(() => new MessageDispatcher('content', handlers), /missing: insertReply/);
+        });
+
+        it('refuses handlers for actions outside the protocol', () => {
+            const handlers = handlersFor('background', { generateGeminiMessage: async () => ({}) });
+
+            assert.throws(() => new MessageDispatcher('background', handlers), /unknown: generateGeminiMessage/);
+        });
+
+        it('answers its own actions asynchronously', async () => {
+            const dispatcher = new MessageDispatcher('content', handlersFor('content'));
+
+            const { keepOpen, responses } = await dispatch(dispatcher, MessageProtocol.create('getProfileData'));
+
+            assert.equal(keepOpen, true);
+            assert.deepEqual(responses.map(response => response.action), ['getProfileData']);
+        });
+
+        it('passes the request data to the handler', async () => {
+            let received = null;
+            const dispatcher = new MessageDispatcher('content', handlersFor('content', {
+                insertReply: async (data) => {
+                    received = data;
+                    return { success: true };
+                }
+            }));
+
+            await dispatch(dispatcher, MessageProtocol.create('insertReply', { text: 'Thanks!' }));
+
+            assert.equal(received.text, 'Thanks!');
+        });
+
+        it('ignores actions for another context without holding the channel open', async () => {
+            const dispatcher = new MessageDispatcher('content', handlersFor('content'));
+
+            const { keepOpen, responses } = await dispatch(dispatcher, MessageProtocol.create('getSettings'));
+
+            assert.equal(keepOpen, false);
+            assert.equal(responses.length, 0);
+        });
+
+        it('answers invalid requests immediately', async () => {
+            const dispatcher = new MessageDispatcher('background', handlersFor('background'));
+
+            const { keepOpen, responses } = await dispatch(dispatcher, { action: 'getSettings', version: PROTOCOL_VERSION + 1 });
+
+            assert.equal(keepOpen, false);
+            assert.equal(responses[0].code, 'VERSION_MISMATCH');
+        });
+
+        it('turns handler exceptions into INTERNAL_ERROR responses', async () => {
+            const dispatcher = new MessageDispatcher('background', handlersFor('background', {
+                getSettings: async () => {
+                    throw new Error('storage is unavailable');
+                }
+            }));
+
+            const { responses } = await dispatch(dispatcher, MessageProtocol.create('getSettings'));
+
+            assert.equal(responses[0].code, 'INTERNAL_ERROR');
+            assert.equal(responses[0].error, 'storage is unavailable');
+        });
+    });
+
+    describe('describeError', () => {
+        it('explains a missing response', () => {
+            assert.match(MessageProtocol.describeError(undefined), /Could not reach the extension background/);
+        });
+
+        it('prefers the response text, then the code text, then the fallback', () => {
+            assert.equal(MessageProtocol.describeError({ success: false, code: 'NO_API_KEY', error: 'Add a key' }), 'Add a key');
+            assert.match(MessageProtocol.describeError({ success: false, code: 'NO_API_KEY' }), /^No API key configured/);
+            assert.equal(MessageProtocol.describeError({ success: false }, 'Try again.'), 'Try again.');
+        });
+
+        it('adds advice for rate limits and rejected keys', () => {
+            const limited = MessageProtocol.error('PROVIDER_ERROR', 'Google Gemini API error: Quota exceeded', { status: 429 });
+            const rejected = MessageProtocol.error('PROVIDER_ERROR', 'Google Gemini API error: API key not valid', { status: 403 });
+
+            assert.match(MessageProtocol.describeError(limited), /wait a minute/);
+            assert.match(MessageProtocol.describeError(rejected), /Check the API key/);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Sender personas in personas.js, and generation written as the chosen or active persona
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeChrome } = require('./helpers/chrome-mock');
+const { ExtensionHarness } = require('./helpers/extension-harness');
+const { loadScripts, PROFILE_URL } = require('./helpers/load-content-script');
+
+const PROFILE = { name: 'Jane Doe', headline: 'Staff Software Engineer', company: 'Globex', profileUrl: PROFILE_URL };
+
+describe('persona store', () => {
+    let fake, PersonaStore;
+
+    beforeEach(() => {
+        fake = new FakeChrome();
+        ({ PersonaStore } = loadScripts(['languages.js', 'personas.js'], { chrome: fake.createApi('page') }, ['PersonaStore']));
+    });
+
+    it('reads settings from before personas as the default persona', async () => {
+        await fake.storage.sync.set({ userContext: 'Recruiter', userRole: 'Talent Partner', intentId: 'recruiting' });
+
+        const [persona] = await PersonaStore.getAll();
+
+        assert.equal(persona.id, 'default');
+        assert.equal(persona.userContext, 'Recruiter');
+        assert.equal(persona.intentId, 'recruiting');
+        assert.equal(persona.templateId, null);
+        assert.equal((await PersonaStore.getActive()).id, 'default');
+    });
+
+    it('saves, switches and updates personas', async () => {
+        await PersonaStore.save({ id: 'default', name: 'Networking', userContext: 'Engineer', userRole: 'Developer' });
+        const events = await PersonaStore.save({ name: ' Events ', userContext: 'Organizer', userRole: 'Community lead', signature: ' – Sam ' });
+
+        assert.equal(events.name, 'Events');
+        assert.equal(events.signature, '– Sam');
+        assert.deepEqual((await PersonaStore.getAll()).map(persona => persona.name), ['Networking', 'Events']);
+
+        await PersonaStore.setActive(events.id);
+        assert.equal((await PersonaStore.getActive()).id, events.id);
+        assert.equal((await PersonaStore.get('missing')).id, events.id, 'unknown ids fall back to the active persona');
+
+        await PersonaStore.update(events.id, { intentId: 'event-follow-up' });
+        assert.equal((await PersonaStore.get(events.id)).intentId, 'event-follow-up');
+        await assert.rejects(PersonaStore.update('missing', { intentId: 'advice' }), /no longer exists/);
+    });
+
+    it('hands over to the first persona when the active one is deleted, but keeps the last one', async () => {
+        await PersonaStore.save({ id: 'default', name: 'Networking', userContext: 'Engineer', userRole: 'Developer' });
+        const recruiting = await PersonaStore.save({ name: 'Recruiting', userContext: 'Hiring', userRole: 'Recruiter' });
+        await PersonaStore.setActive(recruiting.id);
+
+        await PersonaStore.remove(recruiting.id);
+
+        assert.equal((await PersonaStore.getActive()).id, 'default');
+        await assert.rejects(PersonaStore.remove('default'), /At least one persona/);
+        assert.equal(fake.storage.sync.data.personas.length, 1);
+    });
+});
+
+describe('generation with personas', () => {
+    let harness, background, page;
+
+    beforeEach(async () => {
+        harness = new ExtensionHarness();
+        background = harness.loadBackground();
+        page = harness.chrome.createApi('page', { url: 'chrome-extension://test-page' });
+        await harness.chrome.storage.sync.set({
+            settings: { llm: { provider: 'mock' }, history: { enabled: true } },
+            personas: [
+                { id: 'default', name: 'Networking', userContext: 'I build developer tools', userRole: 'Engineer', intentId: null, templateId: null, signature: '' },
+                { id: 'recruiting', name: 'Recruiting', userContext: 'Hiring backend engineers', userRole: 'Recruiter', intentId: 'recruiting', templateId: 'brief', signature: '– Sam, Acme Talent' }
+            ],
+            activePersonaId: 'recruiting'
+        });
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    function generate(data) {
+        return page.runtime.sendMessage({ action: 'generateMessage', version: background.evaluate('PROTOCOL_VERSION'), data: { profileData: PROFILE, ...data } });
+    }
+
+    it('writes as the active persona when none is named', async () => {
+        const response = await generate({});
+
+        assert.equal(response.success, true);
+        assert.equal(response.personaId, 'recruiting');
+        assert.equal(response.intentId, 'recruiting');
+        assert.equal(response.templateId, 'brief');
+        assert.match(response.message, /^Hi Jane, [\s\S]*\n– Sam, Acme Talent$/);
+        assert.ok(response.validation.some(rule => rule.id === 'signature' && rule.passed));
+    });
+
+    it('records the persona of each message in the history', async () => {
+        await generate({ personaId: 'default' });
+
+        const [entry] = harness.chrome.storage.local.data.messageHistory;
+        assert.equal(entry.personaId, 'default');
+        assert.equal(entry.personaName, 'Networking');
+    });
+
+    it('skips the signature check for personas without one', async () => {
+        const response = await generate({ personaId: 'default' });
+
+        assert.equal(response.validation.some(rule => rule.id === 'signature'), false);
+        assert.equal(response.validation.every(rule => rule.passed), true);
+    });
+
+    it('asks for a context and role when the persona has none', async () => {
+        await harness.chrome.storage.sync.set({ personas: [], activePersonaId: 'default' });
+
+        const response = await generate({});
+
+        assert.equal(response.code, 'MISSING_CONTEXT');
+    });
+
+    it('appends the signature rule to templates that do not place it', () => {
+        const prompt = background.evaluate(`createPrompt({ name: 'Jane Doe' }, {
+            template: { body: 'Write to {firstName}. {intentRules} {toneInstruction} {lengthMax}' },
+            signature: '– Sam'
+        })`);
+
+        assert.match(prompt, /End with this signature on its own line, exactly as written: – Sam/);
+    });
+
+    it('uses the active persona for notes inserted on the LinkedIn page', async () => {
+        const tab = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        await harness.settle();
+
+        const note = await tab.assistant.getNoteForCurrentProfile();
+
+        assert.match(note, /\n– Sam, Acme Talent$/);
+    });
+});
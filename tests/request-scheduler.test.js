@@ -0,0 +1,154 @@
+/**
+ * The request scheduler in request-scheduler.js: per-minute and per-day limits, retries with
+ * backoff and Retry-After, and the errors shown once a limit is hit
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { FakeChrome } = require('./helpers/chrome-mock');
+const { loadScripts, NOW } = require('./helpers/load-content-script');
+
+// Run providers.js and request-scheduler.js with a clock that records each wait and skips it
+function loadScheduler(chrome) {
+    const waits = [];
+    const scripts = loadScripts(['providers.js', 'request-scheduler.js'], {
+        chrome,
+        DOMException,
+        debugLog: () => {},
+        setTimeout: (callback, ms) => {
+            waits.push(ms);
+            return setImmediate(callback);
+        },
+        clearTimeout: timer => clearImmediate(timer),
+        now: NOW
+    }, ['RequestScheduler', 'ProviderError', 'parseRetryAfter', 'createProvider']);
+    vm.runInContext('Date.now = () => now', scripts.context);
+    return { waits, ...scripts };
+}
+
+describe('request scheduler', () => {
+    let fake, scheduler, RequestScheduler, ProviderError;
+
+    beforeEach(() => {
+        fake = new FakeChrome();
+        scheduler = loadScheduler(fake.createApi('background'));
+        ({ RequestScheduler, ProviderError } = scheduler);
+    });
+
+    function failing(status, options = {}) {
+        return new ProviderError('Google Gemini API error: Quota exceeded', { status, ...options });
+    }
+
+    it('refuses calls once the daily limit is used up', async () => {
+        const limits = { perMinute: 0, perDay: 2 };
+        await fake.storage.local.set({ apiCallLog: [NOW - 24 * 60 * 60 * 1000, NOW - 60 * 60 * 1000] });
+
+        assert.equal(await RequestScheduler.reserve(limits), 0);
+        await assert.rejects(RequestScheduler.reserve(limits), { code: 'DAILY_LIMIT_REACHED', message: /all 2 API calls allowed today/ });
+
+        assert.equal(fake.storage.local.data.apiCallLog.length, 2, 'calls from before today are dropped');
+        assert.equal((await RequestScheduler.usage(limits)).today, 2);
+    });
+
+    it('gives parallel calls one slot each', async () => {
+        const limits = { perMinute: 0, perDay: 2 };
+
+        const results = await Promise.allSettled([1, 2, 3].map(() => RequestScheduler.reserve(limits)));
+
+        assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+    });
+
+    it('waits for room under the per-minute limit, but not for long', async () => {
+        const limits = { perMinute: 2, perDay: 0 };
+        await fake.storage.local.set({ apiCallLog: [NOW - 50000, NOW - 45000] });
+
+        assert.equal(await RequestScheduler.reserve(limits), 10000);
+        assert.equal(await RequestScheduler.reserve(limits), 15000);
+        await assert.rejects(RequestScheduler.reserve(limits), { code: 'RATE_LIMITED', message: /2 API calls per minute\. Try again in 70 seconds/ });
+    });
+
+    it('retries overloaded responses, honoring Retry-After', async () => {
+        let calls = 0;
+        const result = await RequestScheduler.run(async () => {
+            calls++;
+            if (calls === 1) throw failing(503, { retryAfterMs: 2000 });
+            if (calls === 2) throw failing(429);
+            return 'drafted';
+        }, { limits: { perMinute: 0, perDay: 0 } });
+
+        assert.equal(result, 'drafted');
+        assert.equal(calls, 3);
+        assert.equal(scheduler.waits[0], 2000);
+        assert.ok(scheduler.waits[1] >= 2000 && scheduler.waits[1] <= 3000, 'the second retry backs off exponentially');
+        assert.equal(fake.storage.local.data.apiCallLog.length, 3, 'retries count against the limits');
+    });
+
+    it('explains a rate limit once the retries are used up', async () => {
+        let calls = 0;
+        const run = RequestScheduler.run(async () => {
+            calls++;
+            throw failing(429);
+        }, { limits: { perMinute: 0, perDay: 0 } });
+
+        await assert.rejects(run, { name: 'RateLimitError', code: 'RATE_LIMITED', status: 429, message: /limiting requests \(HTTP 429\)/ });
+        assert.equal(calls, 4);
+    });
+
+    it('does not wait out a long Retry-After or retry other errors', async () => {
+        let calls = 0;
+        await assert.rejects(RequestScheduler.run(async () => {
+            calls++;
+            throw failing(503, { retryAfterMs: 120000 });
+        }, { limits: { perMinute: 0, perDay: 0 } }), { code: 'PROVIDER_BUSY', retryAfterMs: 120000 });
+        assert.equal(calls, 1);
+
+        await assert.rejects(RequestScheduler.run(async () => {
+            throw failing(400);
+        }, { limits: { perMinute: 0, perDay: 0 } }), { name: 'ProviderError', status: 400 });
+    });
+
+    it('stops waiting when the generation is cancelled', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await assert.rejects(RequestScheduler.sleep(5000, controller.signal), { name: 'AbortError' });
+    });
+
+    it('meters the calls that top up missing candidates', async () => {
+        const requests = [];
+        scheduler.context.fetch = async (url, options) => {
+            requests.push(JSON.parse(options.body).n);
+            return Response.json({ choices: [{ message: { content: 'Hi Jane, draft' }, finish_reason: 'stop' }] });
+        };
+        const provider = scheduler.createProvider({ provider: 'openai', model: 'gpt-4o-mini' }, 'sk-test');
+        const scheduled = RequestScheduler.wrap(provider, { perMinute: 0, perDay: 0 });
+
+        const results = await scheduled.generateMany('Write to Jane', 3);
+
+        assert.equal(results.length, 3);
+        assert.deepEqual(requests, [3, undefined, undefined], 'one request for three choices, then two single calls');
+        assert.equal(fake.storage.local.data.apiCallLog.length, 3);
+    });
+
+    it('only meters hosted providers', () => {
+        assert.equal(RequestScheduler.isMetered('gemini'), true);
+        assert.equal(RequestScheduler.isMetered(undefined), true, 'the default provider is hosted');
+        assert.equal(RequestScheduler.isMetered('ollama'), false);
+    });
+});
+
+describe('Retry-After', () => {
+    const { parseRetryAfter } = loadScheduler(new FakeChrome().createApi('background'));
+
+    it('reads seconds, HTTP dates and Gemini retry delays', () => {
+        const withHeader = value => new Response('', { status: 429, headers: { 'Retry-After': value } });
+
+        assert.equal(parseRetryAfter(withHeader('30')), 30000);
+        assert.equal(parseRetryAfter(withHeader(new Date(NOW + 5000).toUTCString())), 5000);
+        assert.equal(parseRetryAfter(new Response('', { status: 429 }), {
+            error: { details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '37s' }] }
+        }), 37000);
+        assert.equal(parseRetryAfter(new Response('', { status: 503 })), null);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * The response cache in response-cache.js: keys, expiry and the size limit, and the popup showing
+ * cached drafts when it is reopened on a profile
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeChrome } = require('./helpers/chrome-mock');
+const { ExtensionHarness } = require('./helpers/extension-harness');
+const { loadScripts, PROFILE_URL, NOW } = require('./helpers/load-content-script');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('response cache', () => {
+    let fake, ResponseCache, RESPONSE_CACHE_LIMIT;
+
+    beforeEach(() => {
+        fake = new FakeChrome();
+        ({ ResponseCache, RESPONSE_CACHE_LIMIT } = loadScripts(
+            ['response-cache.js'], { chrome: fake.createApi('background') }, ['ResponseCache', 'RESPONSE_CACHE_LIMIT']
+        ));
+    });
+
+    it('keys the same inputs the same way, whatever their key order', () => {
+        const inputs = {
+            profileData: { name: 'Jane Doe', profileUrl: PROFILE_URL },
+            llmSettings: { provider: 'gemini', model: 'gemini-1.5-flash-latest', temperature: 0.7 }
+        };
+        const key = ResponseCache.keyFor(inputs);
+
+        assert.equal(ResponseCache.keyFor({
+            llmSettings: { temperature: 0.7, model: 'gemini-1.5-flash-latest', provider: 'gemini' },
+            profileData: { profileUrl: PROFILE_URL, name: 'Jane Doe' }
+        }), key);
+        assert.notEqual(ResponseCache.keyFor({ ...inputs, profileData: { ...inputs.profileData, headline: 'CTO' } }), key);
+        assert.notEqual(ResponseCache.keyFor({ ...inputs, llmSettings: { ...inputs.llmSettings, temperature: 0.2 } }), key);
+    });
+
+    it('keys profile data it cannot canonicalize without failing', () => {
+        const key = ResponseCache.keyFor({ profileData: { name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane%E0%A4/' } });
+
+        assert.match(key, /^[0-9a-f]{14}$/);
+    });
+
+    it('forgets entries past their time to live', async () => {
+        await ResponseCache.set('abc', { message: 'Hi Jane' }, NOW);
+
+        assert.equal((await ResponseCache.get('abc', NOW + HOUR_MS)).result.message, 'Hi Jane');
+        assert.equal(await ResponseCache.get('abc', NOW + 25 * HOUR_MS), null);
+        assert.deepEqual({ ...fake.storage.local.data.responseCache }, {});
+    });
+
+    it('drops the least recently used entries past the limit', async () => {
+        for (let index = 0; index < RESPONSE_CACHE_LIMIT; index++) {
+            await ResponseCache.set(`key-${index}`, { message: `Draft ${index}` }, NOW + index);
+        }
+        await ResponseCache.get('key-0', NOW + RESPONSE_CACHE_LIMIT);
+        await ResponseCache.set('newest', { message: 'Newest' }, NOW + RESPONSE_CACHE_LIMIT + 1);
+
+        const keys = Object.keys(fake.storage.local.data.responseCache);
+        assert.equal(keys.length, RESPONSE_CACHE_LIMIT);
+        assert.ok(keys.includes('key-0'), 'a draft shown again is kept');
+        assert.ok(!keys.includes('key-1'));
+        assert.ok(keys.includes('newest'));
+    });
+});
+
+describe('cached drafts in the popup', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = new ExtensionHarness();
+        await harness.chrome.storage.sync.set({
+            userContext: 'I run a developer tools startup',
+            userRole: 'Founder',
+            settings: { llm: { provider: 'mock' } }
+        });
+        harness.loadBackground();
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    function generations() {
+        return (harness.chrome.storage.local.data.activityLog || []).filter(entry => entry.type !== 'generationFailed').length;
+    }
+
+    function cachedBadge(popup) {
+        return popup.document.getElementById('cachedBadge');
+    }
+
+    it('shows the drafts generated earlier when the popup is reopened', async () => {
+        const first = await harness.openPopup();
+        await first.manager.handleGenerateMessage();
+        const message = first.manager.variants[0].message;
+        assert.equal(cachedBadge(first).style.display, 'none');
+        first.close();
+
+        const reopened = await harness.openPopup();
+        await harness.settle();
+
+        assert.equal(reopened.document.getElementById('messagePreview').value, message);
+        assert.equal(cachedBadge(reopened).style.display, 'inline-block');
+        assert.match(reopened.document.getElementById('statusMessage').textContent, /generated earlier/);
+        assert.equal(generations(), 1, 'the provider was called once');
+    });
+
+    it('only shows cached drafts on open, never generates', async () => {
+        const popup = await harness.openPopup();
+        await harness.settle();
+
+        assert.equal(popup.manager.variants.length, 0);
+        assert.equal(generations(), 0);
+    });
+
+    it('generates new drafts on regenerate and caches those', async () => {
+        const popup = await harness.openPopup();
+        await popup.manager.handleGenerateMessage();
+        await popup.manager.handleGenerateMessage();
+        assert.equal(generations(), 1, 'generating again shows the cached drafts');
+
+        await popup.manager.handleRegenerateMessage();
+
+        assert.equal(generations(), 2);
+        assert.equal(cachedBadge(popup).style.display, 'none');
+        const regenerated = popup.manager.variants[0].message;
+        popup.close();
+
+        const reopened = await harness.openPopup();
+        await harness.settle();
+        assert.equal(reopened.manager.variants[0].message, regenerated);
+    });
+
+    it('generates again for a different persona context', async () => {
+        const popup = await harness.openPopup();
+        await popup.manager.handleGenerateMessage();
+        popup.document.getElementById('userRole').value = 'Head of Engineering';
+
+        await popup.manager.handleGenerateMessage();
+
+        assert.equal(generations(), 2);
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * Usage statistics: the activity log and its summaries in stats-store.js, what the service worker,
+ * popup and content script record, and the statistics page
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeChrome } = require('./helpers/chrome-mock');
+const { ExtensionHarness } = require('./helpers/extension-harness');
+const { loadScripts, PROFILE_URL } = require('./helpers/load-content-script');
+
+const PROFILE = { name: 'Jane Doe', headline: 'Staff Software Engineer', company: 'Globex', profileUrl: PROFILE_URL };
+
+function event(type, at, fields = {}) {
+    return { type, at: new Date(at).toISOString(), ...fields };
+}
+
+describe('stats store', () => {
+    let fake, StatsStore, ACTIVITY_LIMIT;
+
+    beforeEach(() => {
+        fake = new FakeChrome();
+        ({ StatsStore, ACTIVITY_LIMIT } = loadScripts(['stats-store.js'], { chrome: fake.createApi('page') }, ['StatsStore', 'ACTIVITY_LIMIT']));
+    });
+
+    it('appends events and drops the oldest past the limit', async () => {
+        await fake.storage.local.set({ activityLog: Array.from({ length: ACTIVITY_LIMIT }, (_, index) => ({ type: 'messageCopied', index })) });
+
+        const stored = await StatsStore.record({ type: 'messageGenerated', personaId: 'default' });
+        await StatsStore.record({ type: 'somethingElse' });
+
+        const log = fake.storage.local.data.activityLog;
+        assert.equal(log.length, ACTIVITY_LIMIT);
+        assert.equal(log[0].index, 1);
+        assert.equal(log[log.length - 1].type, 'messageGenerated');
+        assert.ok(stored.at, 'events are timestamped');
+    });
+
+    it('counts activity per day, persona and intent', () => {
+        // Copied out of the script's realm so deepEqual compares plain objects
+        const summary = structuredClone(StatsStore.summarize([
+            event('messageGenerated', '2026-03-02T09:00:00', { personaId: 'default', personaName: 'Networking', intentId: 'advice', intentLabel: 'Advice' }),
+            event('messageRegenerated', '2026-03-02T09:01:00', { personaId: 'default', personaName: 'Networking', intentId: 'advice', intentLabel: 'Advice' }),
+            event('messageCopied', '2026-03-02T09:02:00', { personaId: 'default', intentId: 'advice', regenerations: 1 }),
+            event('generationFailed', '2026-03-04T12:00:00', { personaId: 'recruiting', personaName: 'Recruiting', code: 'PROVIDER_ERROR' })
+        ]));
+
+        assert.equal(summary.totals.messageGenerated, 1);
+        assert.equal(summary.totals.generationFailed, 1);
+        assert.deepEqual(summary.byDay.map(day => day.key), ['2026-03-02', '2026-03-04']);
+        assert.equal(summary.byDay[0].counts.messageCopied, 1);
+        assert.deepEqual(summary.byPersona.map(group => [group.label, group.counts.messageRegenerated]), [['Networking', 1], ['Recruiting', 0]]);
+        assert.deepEqual(summary.byIntent.map(group => group.key), ['advice']);
+    });
+
+    it('ignores events before the period', () => {
+        const summary = StatsStore.summarize([
+            event('messageGenerated', '2026-01-01T09:00:00'),
+            event('messageGenerated', '2026-03-02T09:00:00')
+        ], { since: new Date('2026-03-01T00:00:00') });
+
+        assert.equal(summary.totals.messageGenerated, 1);
+    });
+
+    it('estimates the cost from list prices and leaves unknown models out', () => {
+        const summary = StatsStore.summarize([
+            event('messageGenerated', '2026-03-02T09:00:00', { provider: 'gemini', model: 'gemini-1.5-flash-latest', promptTokens: 1000000, outputTokens: 1000000 }),
+            event('messageGenerated', '2026-03-02T09:00:00', { provider: 'openai', model: 'gpt-4o-mini-2024-07-18', promptTokens: 2000000, outputTokens: 0 }),
+            event('messageGenerated', '2026-03-02T09:00:00', { provider: 'ollama', model: 'llama3.1', promptTokens: 500, outputTokens: 100 }),
+            event('messageGenerated', '2026-03-02T09:00:00', { provider: 'openai', model: 'my-finetune', promptTokens: 300, outputTokens: 50 })
+        ]);
+
+        assert.equal(summary.cost.usd.toFixed(3), '0.675');
+        assert.equal(summary.cost.unpricedTokens, 350);
+        assert.deepEqual({ ...summary.tokens }, { prompt: 3000800, output: 1000150 });
+    });
+
+    it('compares first drafts used with drafts used after regenerating', () => {
+        const summary = StatsStore.summarize([
+            event('messageCopied', '2026-03-02T09:00:00', { regenerations: 0 }),
+            event('messageInserted', '2026-03-02T09:00:00'),
+            event('messageCopied', '2026-03-02T09:00:00', { regenerations: 2 }),
+            event('messageRegenerated', '2026-03-02T09:00:00')
+        ]);
+
+        assert.equal(summary.acceptance.firstDraft, 2);
+        assert.equal(summary.acceptance.afterRegenerating, 1);
+        assert.equal(summary.acceptance.firstDraftRate.toFixed(2), '0.67');
+        assert.equal(StatsStore.summarize([]).acceptance.firstDraftRate, null);
+    });
+});
+
+describe('recording activity', () => {
+    let harness, background, page;
+
+    beforeEach(async () => {
+        harness = new ExtensionHarness();
+        background = harness.loadBackground();
+        page = harness.chrome.createApi('page', { url: 'chrome-extension://test-page' });
+        await harness.chrome.storage.sync.set({
+            settings: { llm: { provider: 'mock' } },
+            userContext: 'I run a developer tools startup',
+            userRole: 'Founder'
+        });
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    function send(action, data) {
+        return page.runtime.sendMessage({ action, version: background.evaluate('PROTOCOL_VERSION'), data });
+    }
+
+    function activityLog() {
+        return harness.chrome.storage.local.data.activityLog || [];
+    }
+
+    it('records each generation with the tokens of every draft and retry', async () => {
+        await send('generateMessage', { profileData: PROFILE, intentId: 'advice', variantCount: 2 });
+        await send('generateMessage', { profileData: PROFILE, intentId: 'advice', regenerate: true });
+
+        const [generated, regenerated] = activityLog();
+        assert.equal(generated.type, 'messageGenerated');
+        assert.equal(generated.kind, 'connection');
+        assert.equal(generated.personaId, 'default');
+        assert.equal(generated.intentLabel, 'Asking for advice');
+        assert.equal(generated.provider, 'mock');
+        assert.ok(generated.promptTokens > 0 && generated.outputTokens > 0);
+        assert.equal(regenerated.type, 'messageRegenerated');
+        assert.ok(generated.promptTokens > regenerated.promptTokens, 'two drafts use more tokens than one');
+        assert.equal(harness.chrome.storage.sync.data.statistics.messagesGenerated, 2);
+        assert.equal(JSON.stringify(activityLog()).includes('Jane'), false, 'no profile details are kept');
+    });
+
+    it('records failures with their code', async () => {
+        await harness.chrome.storage.sync.set({ settings: { llm: { provider: 'gemini' } } });
+
+        const response = await send('generateMessage', { profileData: PROFILE });
+
+        const [failed] = activityLog();
+        assert.equal(failed.type, 'generationFailed');
+        assert.equal(failed.code, response.code);
+        assert.equal(failed.provider, 'gemini');
+    });
+
+    it('labels reported copies with the persona and intent', async () => {
+        await send('logActivity', { type: 'messageCopied', kind: 'connection', personaId: 'default', intentId: 'recruiting', regenerations: 1 });
+
+        const [copied] = activityLog();
+        assert.equal(copied.personaName, 'Default');
+        assert.equal(copied.intentLabel, 'Recruiting a candidate');
+        assert.equal(copied.regenerations, 1);
+    });
+
+    it('counts a copy after regenerating in the popup', async () => {
+        harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        const popup = await harness.openPopup();
+        Object.defineProperty(popup.window.navigator, 'clipboard', { value: { writeText: async () => {} } });
+
+        await popup.manager.handleGenerateMessage();
+        await popup.manager.handleRegenerateMessage();
+        await popup.manager.handleCopyMessage();
+        await popup.manager.handleCopyMessage();
+        await harness.settle();
+
+        assert.deepEqual(activityLog().map(entry => [entry.type, entry.regenerations]), [
+            ['messageGenerated', undefined],
+            ['messageRegenerated', undefined],
+            ['messageCopied', 1]
+        ]);
+    });
+
+    it('counts notes inserted from the LinkedIn page as first drafts', async () => {
+        const tab = harness.openTab({ fixture: 'profile-new-layout.html', url: PROFILE_URL });
+        await harness.settle();
+
+        await tab.assistant.getNoteForCurrentProfile();
+        await tab.assistant.recordNoteInserted(tab.assistant.pendingNote);
+
+        const inserted = activityLog().find(entry => entry.type === 'messageInserted');
+        assert.equal(inserted.personaId, 'default');
+        assert.equal(inserted.regenerations, 0);
+    });
+});
+
+describe('statistics page', () => {
+    let harness;
+
+    beforeEach(() => {
+        harness = new ExtensionHarness();
+    });
+
+    afterEach(() => {
+        harness.close();
+    });
+
+    it('charts the recorded activity', async () => {
+        const now = Date.now();
+        await harness.chrome.storage.local.set({
+            activityLog: [
+                event('messageGenerated', now, { personaId: 'default', personaName: 'Networking', intentId: 'advice', provider: 'gemini', model: 'gemini-1.5-pro', promptTokens: 4000, outputTokens: 1000 }),
+                event('messageCopied', now, { personaId: 'default', intentId: 'advice', regenerations: 0 })
+            ]
+        });
+
+        const page = await harness.openExtensionPage('stats.html', 'statsManager');
+        const text = (id) => page.document.getElementById(id).textContent;
+
+        assert.match(text('statsSummary'), /^2 recorded action\(s\)/);
+        assert.match(text('statsTotals'), /\$0\.01Estimated cost/);
+        assert.match(text('personaChart'), /Networking.*1 generated · 1 copied/);
+        assert.match(text('intentChart'), /^Asking for advice/);
+        assert.match(text('acceptanceChart'), /First draft.*1 \(100%\)/);
+        assert.equal(page.document.querySelectorAll('#dayChart .stats-row').length, 30);
+    });
+
+    it('resets the statistics', async () => {
+        await harness.chrome.storage.local.set({ activityLog: [event('messageGenerated', Date.now())] });
+        const page = await harness.openExtensionPage('stats.html', 'statsManager');
+        page.window.confirm = () => true;
+
+        await page.manager.handleReset();
+
+        assert.equal(harness.chrome.storage.local.data.activityLog, undefined);
+        assert.match(page.document.getElementById('statsSummary').textContent, /No activity/);
+    });
+});
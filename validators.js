@@ -0,0 +1,122 @@
+/**
+ * LinkedIn Connection Assistant - Message Validators
+ * Checks a generated message against the hard rules of a connection note.
+ * Each validator returns { passed, detail }; failures are fed back to the model on retry.
+ */
+
+// LinkedIn rejects connection notes longer than this
+const LINKEDIN_NOTE_LIMIT = 300;
+
+/**
+ * Length as LinkedIn counts it. The note box limits UTF-16 code units, so every kana, kanji,
+ * accented or Cyrillic letter counts as one and most emoji as two; bytes and words do not matter.
+ */
+function noteLength(text) {
+    return text.length;
+}
+
+const DEFAULT_VALIDATION_SETTINGS = {
+    maxAttempts: 3
+};
+
+const MESSAGE_VALIDATORS = [
+    {
+        id: 'length',
+        label: ({ maxLength = LINKEDIN_NOTE_LIMIT }) => `At most ${maxLength} characters`,
+        check(message, { maxLength = LINKEDIN_NOTE_LIMIT }) {
+            const length = noteLength(message);
+            return {
+                passed: length <= maxLength,
+                detail: `The message is ${length} characters; it must be ${maxLength} or fewer.`
+            };
+        }
+    },
+    {
+        id: 'greeting',
+        label: 'Opens with the greeting',
+        check(message, { firstName, greeting = `Hi ${firstName},` }) {
+            return {
+                passed: message.startsWith(greeting),
+                detail: `The message must start with exactly "${greeting}".`
+            };
+        }
+    },
+    {
+        id: 'bannedPhrases',
+        label: 'No banned phrases',
+        check(message, { bannedPhrases = [] }) {
+            const lower = message.toLowerCase();
+            const found = bannedPhrases.filter(phrase => lower.includes(phrase.toLowerCase()));
+            return {
+                passed: found.length === 0,
+                detail: `The message uses banned phrases: ${found.map(phrase => `"${phrase}"`).join(', ')}.`
+            };
+        }
+    },
+    {
+        id: 'complete',
+        label: 'Complete, not cut off',
+        check(message, { finishReason, signature = '' }) {
+            const truncated = finishReason === 'length';
+            // A signature line ends the way the sender wrote it; the sentence before it must still be whole
+            const body = signature && message.endsWith(signature) ? message.slice(0, -signature.length).trim() : message;
+            const endsCleanly = /[.!?)"'’”。！？」』]$/.test(body);
+            return {
+                passed: !truncated && endsCleanly,
+                detail: truncated
+                    ? 'The message was cut off before it finished. Write a shorter message that ends with a full sentence.'
+                    : 'The message must end with a complete sentence.'
+            };
+        }
+    },
+    {
+        id: 'signature',
+        label: 'Ends with the signature',
+        // Only checked when the persona has a signature line
+        appliesTo: ({ signature }) => !!signature,
+        check(message, { signature }) {
+            return {
+                passed: message.endsWith(signature),
+                detail: `The message must end with this signature on its own line, exactly as written: "${signature}".`
+            };
+        }
+    }
+];
+
+/**
+ * Trim whitespace and the quotes models sometimes wrap a message in
+ */
+function normalizeMessage(text) {
+    return text.trim().replace(/^"([\s\S]*)"$/, '$1').trim();
+}
+
+/**
+ * Run every validator against a message
+ * @param {string} message - The generated message.
+ * @param {object} context - the greeting (or firstName for "Hi {firstName},"), bannedPhrases, maxLength
+ *   (defaults to LinkedIn's limit), the persona's signature and the provider's finishReason.
+ * @returns {Array<{id: string, label: string, passed: boolean, detail: string}>}
+ */
+function validateMessage(message, context) {
+    const validators = MESSAGE_VALIDATORS.filter(validator => !validator.appliesTo || validator.appliesTo(context));
+    return validators.map(validator => {
+        const { passed, detail } = validator.check(message, context);
+        const label = typeof validator.label === 'function' ? validator.label(context) : validator.label;
+        return { id: validator.id, label, passed, detail: passed ? '' : detail };
+    });
+}
+
+/**
+ * Build a follow-up prompt that shows the model its previous attempt and what was wrong with it
+ */
+function buildRetryPrompt(originalPrompt, previousMessage, failures) {
+    return `${originalPrompt}
+Your previous attempt was:
+"${previousMessage}"
+
+It broke these rules:
+${failures.map(failure => `- ${failure.detail}`).join('\n')}
+
+Write a new message that follows ALL rules and fixes these problems. Return ONLY the message text.
+`;
+}